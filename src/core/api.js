@@ -3,6 +3,19 @@
  * @module core/api
  */
 
+import { Storage } from './storage.js';
+import { OfflineQueue } from './queue.js';
+import { APIMock } from './mock.js';
+
+// 영구 응답 캐시 키 접두사 (localStorage)
+const CACHE_PREFIX = 'catui-api:';
+
+// 오프라인 큐에 저장할 수 있는 변경 요청 메서드
+const MUTATION_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// APIUtil 응답 캐시 전략 (그 외 cache 값은 fetch의 캐시 모드로 전달)
+const CACHE_STRATEGIES = ['swr', 'network-first', 'cache-first'];
+
 /**
  * API 유틸리티 클래스
  * @class
@@ -16,12 +29,233 @@
  * @example
  * // POST 요청
  * const response = await APIUtil.post('/api/users', { name: 'John' });
+ *
+ * @example
+ * // 타임아웃, 재시도, 취소
+ * const request = APIUtil.get('/api/feed', { timeout: 5000, retry: 3 });
+ * request.cancel();
+ *
+ * @example
+ * // stale-while-revalidate 캐시
+ * const me = await APIUtil.get('/api/me', { cache: 'swr', ttl: 30000 });
+ *
+ * @example
+ * // 오프라인이면 큐에 저장 후 온라인 시 재전송
+ * const response = await APIUtil.post('/api/reports', report, { offline: true });
+ * if (response.data?.queued) { ... }
  */
 export class APIUtil {
   // 인터셉터 저장소
   static _requestInterceptors = [];
   static _responseInterceptors = [];
 
+  // 응답 캐시 (메모리, LRU) 및 진행 중인 요청 (중복 제거용)
+  static _cache = new Map();
+  static _inflight = new Map();
+
+  // 재검증 이벤트를 발생시킬 이벤트 버스
+  static _eventBus = null;
+
+  // 401 응답 처리 함수 (세션 갱신)
+  static _unauthorizedHandler = null;
+
+  // 목 어댑터 (APIUtil.mock()으로 활성화)
+  static _mock = null;
+
+  /**
+   * 오프라인 요청 큐
+   * @type {OfflineQueue}
+   */
+  static queue = new OfflineQueue({
+    send: (entry) => APIUtil._request(entry.url, {
+      method: entry.method,
+      body: entry.body,
+      headers: entry.headers
+    }, new AbortController().signal),
+    emit: (event, data) => APIUtil._eventBus?.emit(event, data)
+  });
+
+  /**
+   * 전역 기본 옵션
+   * @property {number} timeout - 요청 타임아웃 (ms, 0이면 없음)
+   * @property {Object} retry - 재시도 정책
+   * @property {number} retry.retries - 최대 재시도 횟수
+   * @property {string[]} retry.methods - 재시도할 메서드 (기본: 멱등 메서드만)
+   * @property {number[]} retry.statusCodes - 재시도할 HTTP 상태 코드 (네트워크 오류/타임아웃은 항상 재시도)
+   * @property {number} retry.delay - 첫 재시도 대기 시간 (ms)
+   * @property {number} retry.factor - 지수 백오프 배수
+   * @property {number} retry.maxDelay - 최대 대기 시간 (ms)
+   * @property {boolean} retry.jitter - 대기 시간 무작위 분산 여부
+   * @property {boolean} dedupe - 같은 URL의 진행 중인 GET 요청 공유 여부
+   * @property {Object} cache - 응답 캐시 기본값
+   * @property {number} cache.ttl - 캐시 유효 시간 (ms)
+   * @property {boolean} cache.persist - localStorage에도 저장 여부
+   * @property {number} cache.max - 메모리 캐시 최대 항목 수
+   * @property {boolean} offline - 변경 요청이 네트워크 오류로 실패하면 오프라인 큐에 저장
+   */
+  static defaults = {
+    timeout: 0,
+    dedupe: true,
+    offline: false,
+    cache: {
+      ttl: 60000,
+      persist: false,
+      max: 100
+    },
+    retry: {
+      retries: 0,
+      methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+      statusCodes: [408, 429, 500, 502, 503, 504],
+      delay: 300,
+      factor: 2,
+      maxDelay: 10000,
+      jitter: true
+    }
+  };
+
+  /**
+   * 전역 기본 옵션 설정
+   * @param {Object} options - 옵션 (defaults 참고)
+   * @param {number} [options.timeout] - 요청 타임아웃 (ms)
+   * @param {Object|number} [options.retry] - 재시도 정책 또는 최대 재시도 횟수
+   * @param {boolean|Object} [options.offline] - 오프라인 큐 사용 (객체면 { onConflict })
+   *
+   * @example
+   * APIUtil.configure({
+   *   timeout: 10000,
+   *   retry: { retries: 2, statusCodes: [502, 503, 504] }
+   * });
+   *
+   * @example
+   * APIUtil.configure({
+   *   offline: {
+   *     // 409/412 응답: 수정할 요청 필드를 반환하면 재전송, 아니면 폐기
+   *     onConflict: (entry, response) => ({ headers: { ...entry.headers, 'If-Match': '*' } })
+   *   }
+   * });
+   */
+  static configure(options = {}) {
+    if (typeof options.timeout === 'number') {
+      this.defaults.timeout = options.timeout;
+    }
+
+    if (options.retry !== undefined) {
+      const retry = typeof options.retry === 'number' ? { retries: options.retry } : options.retry;
+      this.defaults.retry = { ...this.defaults.retry, ...retry };
+    }
+
+    if (typeof options.dedupe === 'boolean') {
+      this.defaults.dedupe = options.dedupe;
+    }
+
+    if (options.cache) {
+      this.defaults.cache = { ...this.defaults.cache, ...options.cache };
+    }
+
+    if (options.offline !== undefined) {
+      this.defaults.offline = Boolean(options.offline);
+      if (typeof options.offline === 'object' && options.offline.onConflict) {
+        this.queue.onConflict = options.offline.onConflict;
+      }
+      if (this.defaults.offline) {
+        this.queue.start();
+      }
+    }
+  }
+
+  /**
+   * 401 응답 처리 함수 등록
+   * 핸들러가 true를 반환하면 (예: 토큰 갱신 성공) 요청을 한 번 다시 전송합니다.
+   * 요청 인터셉터가 다시 실행되므로 새 토큰이 적용됩니다.
+   * @param {Function|null} handler - (url, config) => Promise<boolean> (config: 인터셉터가 적용된 요청 설정)
+   *
+   * @example
+   * APIUtil.onUnauthorized(async (url) => {
+   *   return refreshToken(); // 성공하면 true
+   * });
+   */
+  static onUnauthorized(handler) {
+    this._unauthorizedHandler = handler;
+  }
+
+  /**
+   * 목 어댑터 활성화
+   * 등록한 라우트에 대한 요청은 네트워크 대신 핸들러가 응답하고, 나머지는 실제 네트워크로 전송됩니다.
+   * 인터셉터, 재시도, 캐시, 세션 갱신은 실제 요청과 동일하게 동작합니다.
+   * @param {Object} [routes] - { 'METHOD /path': handler 또는 고정 데이터 }
+   * @param {Object} [options] - APIMock 옵션 (delay, passthrough, errorRate, historyLimit)
+   * @returns {APIMock} 목 어댑터 (이미 활성화되어 있으면 같은 인스턴스)
+   *
+   * @example
+   * const mock = APIUtil.mock({
+   *   'GET /api/users/:id': ({ params }) => ({ id: params.id, name: 'John' }),
+   *   'GET /api/users': [{ id: 1 }, { id: 2 }]
+   * }, { delay: 300 });
+   *
+   * mock.fail('POST /api/orders', { status: 500, times: 1 });
+   * mock.restore();
+   */
+  static mock(routes, options) {
+    if (!this._mock) {
+      this._mock = new APIMock({
+        onRestore: () => {
+          this._mock = null;
+        }
+      });
+    }
+
+    if (options) this._mock.configure(options);
+    if (routes) this._mock.routes(routes);
+
+    return this._mock;
+  }
+
+  /**
+   * fetch 실행 (목 어댑터가 있으면 목으로 전달)
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} init - fetch 옵션
+   * @returns {Promise<Response>}
+   */
+  static _fetch(url, init) {
+    return this._mock ? this._mock.fetch(url, init) : fetch(url, init);
+  }
+
+  /**
+   * 재검증 이벤트 버스 연결
+   * 캐시된 응답이 새 데이터로 갱신되면 'api:revalidate' 이벤트를 발생시킵니다.
+   * @param {EventBus} eventBus - 이벤트 버스
+   */
+  static setEventBus(eventBus) {
+    this._eventBus = eventBus;
+  }
+
+  /**
+   * 캐시 재검증 이벤트 구독 ('api:revalidate' 중 URL이 일치하는 것만)
+   * @param {string|RegExp|Function} match - URL(쿼리 문자열 무시), 정규식 또는 (url) => boolean
+   * @param {Function} handler - ({ url, data, result }) => void
+   * @returns {Function|null} 구독 취소 함수 (match가 없거나 이벤트 버스가 없으면 null)
+   *
+   * @example
+   * const off = APIUtil.onRevalidate('/api/posts', ({ data }) => render(data));
+   */
+  static onRevalidate(match, handler) {
+    if (!match || !this._eventBus) return null;
+
+    let test;
+    if (typeof match === 'function') {
+      test = match;
+    } else if (match instanceof RegExp) {
+      test = url => match.test(url);
+    } else {
+      test = url => url === match || url.startsWith(`${match}?`);
+    }
+
+    return this._eventBus.on('api:revalidate', (detail) => {
+      if (test(detail.url)) handler(detail);
+    });
+  }
+
   /**
    * 인터셉터 객체
    */
@@ -200,63 +434,464 @@ export class APIUtil {
 
   /**
    * HTTP 요청 (기본)
+   * 반환된 Promise의 cancel()로 요청을 취소할 수 있습니다.
    * @param {string} url - 요청 URL
    * @param {Object} [options={}] - fetch 옵션
-   * @returns {Promise<Object>} API 응답
+   * @param {number} [options.timeout] - 타임아웃 (ms, 재시도마다 적용, 기본값: APIUtil.defaults.timeout)
+   * @param {Object|number|boolean} [options.retry] - 재시도 정책 또는 최대 재시도 횟수 (false면 재시도 안함)
+   * @param {AbortSignal} [options.signal] - 취소 시그널
+   * @param {string} [options.cache] - GET 캐시 전략 ('swr', 'network-first', 'cache-first', 그 외 값은 fetch 캐시 모드)
+   * @param {number} [options.ttl] - 캐시 유효 시간 (ms, 기본값: APIUtil.defaults.cache.ttl)
+   * @param {boolean} [options.persist] - 캐시를 localStorage에도 저장 (기본값: APIUtil.defaults.cache.persist)
+   * @param {boolean} [options.dedupe] - 진행 중인 같은 GET 요청(URL, 헤더) 공유 (기본값: true)
+   * @param {boolean} [options.offline] - 변경 요청을 오프라인 큐에 저장 (기본값: APIUtil.defaults.offline)
+   * @param {Function|Object} [options.onUploadProgress] - 업로드 진행률 ({ loaded, total, percent }) => void 또는 LoadingIndicator (XMLHttpRequest 사용)
+   * @param {Function|Object} [options.onDownloadProgress] - 다운로드 진행률 ({ loaded, total, percent }) => void 또는 LoadingIndicator
+   * @returns {Promise<Object>} API 응답 (cancel() 메서드 포함)
    *
    * @example
    * const response = await APIUtil.request('/api/users', {
    *   method: 'POST',
    *   body: JSON.stringify({ name: 'John' })
    * });
+   *
+   * @example
+   * // 화면을 떠날 때 취소
+   * const request = APIUtil.get('/api/search?q=cat', { timeout: 8000 });
+   * CATUI.view.beforeLoad(() => request.cancel());
+   * const response = await request;
+   * if (response.error?.type === 'abort') return;
    */
-  static async request(url, options = {}) {
+  static request(url, options = {}) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+
+    // 외부 시그널 연결 (요청이 끝나면 해제 - 여러 요청에 재사용되는 시그널의 누수 방지)
+    if (options.signal) {
+      if (options.signal.aborted) {
+        controller.abort();
+      } else {
+        options.signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    const method = (options.method || 'GET').toUpperCase();
+    const dedupe = options.dedupe ?? this.defaults.dedupe;
+
+    let promise;
+    if (method === 'GET' && CACHE_STRATEGIES.includes(options.cache)) {
+      promise = this._cachedRequest(url, options, controller.signal);
+    } else if (method === 'GET' && dedupe) {
+      promise = this._shared(this._sharedKey(url, options), (signal) => this._request(url, options, signal), controller.signal);
+    } else if (MUTATION_METHODS.includes(method) && (options.offline ?? this.defaults.offline)) {
+      promise = this._queueableRequest(url, { ...options, method }, controller.signal);
+    } else {
+      promise = this._request(url, options, controller.signal);
+    }
+
+    if (options.signal) {
+      promise = promise.finally(() => options.signal.removeEventListener('abort', onAbort));
+    }
+
+    promise.cancel = () => controller.abort();
+    return promise;
+  }
+
+  /**
+   * 변경 요청 (오프라인이면 큐에 저장)
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} options - 요청 옵션
+   * @param {AbortSignal} signal - 취소 시그널
+   * @returns {Promise<Object>} API 응답 (큐에 저장되면 statusCode 202, data.queued: true)
+   */
+  static async _queueableRequest(url, options, signal) {
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    // 대기 중인 요청이 있으면 순서 유지를 위해 뒤에 추가
+    if (offline || this.queue.pending > 0) {
+      const queued = await this._enqueue(url, options);
+      if (queued) {
+        if (!offline) this.queue.replay();
+        return queued;
+      }
+    }
+
+    const result = await this._request(url, options, signal);
+
+    // 요청이 전송되지 못한 네트워크 오류만 저장 (타임아웃은 서버가 처리했을 수 있음)
+    if (result.statusCode === 0 && result.error?.type === 'network') {
+      return (await this._enqueue(url, options)) || result;
+    }
+
+    return result;
+  }
+
+  /**
+   * 오프라인 큐에 요청 저장
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} options - 요청 옵션
+   * @returns {Promise<Object|null>} 큐 저장 응답 (저장할 수 없으면 null)
+   */
+  static async _enqueue(url, options) {
+    // IndexedDB에 저장 가능한 문자열 바디만 지원
+    if (options.body !== undefined && typeof options.body !== 'string') {
+      return null;
+    }
+
     try {
-      // 기본 헤더 설정
-      const headers = {
-        'Content-Type': 'application/json',
-        ...options.headers
-      };
+      const id = await this.queue.add({
+        url,
+        method: options.method,
+        body: options.body,
+        headers: options.headers || {}
+      });
+      return this.success({ queued: true, id }, 'Queued for sync', 202);
+    } catch (error) {
+      console.error('Failed to queue offline request:', error);
+      return null;
+    }
+  }
 
-      let config = {
-        ...options,
-        headers,
-        url // URL도 config에 포함
+  /**
+   * 공유 요청 키 (URL + 요청 헤더)
+   * Authorization, Accept 등 헤더가 다른 요청은 응답이 다를 수 있으므로 공유하지 않습니다.
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} options - 요청 옵션
+   * @returns {string}
+   */
+  static _sharedKey(url, options) {
+    // Headers는 이름을 소문자로 정렬해 순회
+    const headers = Array.from(new Headers(options.headers || {}))
+      .map(([name, value]) => `${name}:${value}`)
+      .join('\n');
+    return headers ? `GET ${url}\n${headers}` : `GET ${url}`;
+  }
+
+  /**
+   * 진행 중인 같은 요청 공유
+   * 공유 중인 모든 호출이 취소된 경우에만 실제 요청을 취소합니다.
+   * @private
+   * @param {string} key - 요청 키 (_sharedKey)
+   * @param {Function} factory - (signal) => Promise<Object> 실제 요청 함수
+   * @param {AbortSignal} signal - 호출자의 취소 시그널
+   * @returns {Promise<Object>} API 응답
+   */
+  static _shared(key, factory, signal) {
+    let entry = this._inflight.get(key);
+
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, count: 0 };
+      entry.promise = factory(controller.signal).finally(() => {
+        if (this._inflight.get(key) === entry) {
+          this._inflight.delete(key);
+        }
+      });
+      this._inflight.set(key, entry);
+    }
+
+    entry.count++;
+
+    return new Promise((resolve) => {
+      const onAbort = () => {
+        entry.count--;
+        if (entry.count === 0) {
+          this._inflight.delete(key);
+          entry.controller.abort();
+        }
+        const error = this._createError('AbortError', 'abort', 'Request cancelled');
+        resolve(this.error(error.message, 0, error));
       };
 
-      // 요청 인터셉터 실행
-      for (const interceptor of this._requestInterceptors) {
-        if (interceptor && interceptor.onFulfilled) {
-          try {
-            config = await interceptor.onFulfilled(config);
-          } catch (error) {
-            if (interceptor.onRejected) {
-              config = await interceptor.onRejected(error);
-            } else {
-              throw error;
-            }
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.promise.then((result) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(result);
+      });
+    });
+  }
+
+  /**
+   * 캐시 전략에 따른 GET 요청
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} options - 요청 옵션
+   * @param {AbortSignal} signal - 취소 시그널
+   * @returns {Promise<Object>} API 응답
+   */
+  static async _cachedRequest(url, options, signal) {
+    const ttl = options.ttl ?? this.defaults.cache.ttl;
+    const persist = options.persist ?? this.defaults.cache.persist;
+    const entry = this._readCache(url, persist);
+    const fresh = entry && Date.now() - entry.time < ttl;
+    const load = (loadSignal) => this._shared(
+      this._sharedKey(url, options),
+      (sharedSignal) => this._fetchToCache(url, options, entry, persist, sharedSignal),
+      loadSignal
+    );
+
+    if (options.cache === 'cache-first') {
+      return fresh ? entry.result : load(signal);
+    }
+
+    if (options.cache === 'network-first') {
+      const result = await load(signal);
+      // 네트워크 실패 시 캐시된 응답 사용
+      if (result.statusCode === 0 && result.error?.type !== 'abort' && entry) {
+        return entry.result;
+      }
+      return result;
+    }
+
+    // swr: 캐시를 즉시 반환하고 만료되었으면 백그라운드에서 재검증
+    if (!entry) {
+      return load(signal);
+    }
+    if (!fresh) {
+      load(new AbortController().signal);
+    }
+    return entry.result;
+  }
+
+  /**
+   * 네트워크 요청 후 캐시 저장 (ETag 재검증 포함)
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} options - 요청 옵션
+   * @param {Object|null} entry - 기존 캐시 항목
+   * @param {boolean} persist - localStorage 저장 여부
+   * @param {AbortSignal} signal - 취소 시그널
+   * @returns {Promise<Object>} API 응답
+   */
+  static async _fetchToCache(url, options, entry, persist, signal) {
+    const meta = {};
+    const headers = entry?.etag
+      ? { ...options.headers, 'If-None-Match': entry.etag }
+      : options.headers;
+
+    const result = await this._request(url, { ...options, headers }, signal, meta);
+
+    // 304 Not Modified: 캐시된 응답 유지
+    if (meta.notModified) {
+      if (!entry) return this.error('Not Modified', 304);
+      this._writeCache(url, { ...entry, time: Date.now() }, persist);
+      return entry.result;
+    }
+
+    if (result.success) {
+      this._writeCache(url, { result, etag: meta.etag || null, time: Date.now() }, persist);
+
+      // 캐시된 데이터가 바뀌었으면 재검증 이벤트 발생
+      if (entry && JSON.stringify(entry.result.data) !== JSON.stringify(result.data)) {
+        this._eventBus?.emit('api:revalidate', { url, data: result.data, result });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 캐시 항목 읽기 (메모리 → localStorage)
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {boolean} persist - localStorage 조회 여부
+   * @returns {Object|null} { result, etag, time }
+   */
+  static _readCache(url, persist) {
+    let entry = this._cache.get(url);
+
+    if (entry) {
+      // LRU: 최근 사용 항목을 뒤로
+      this._cache.delete(url);
+      this._cache.set(url, entry);
+      return entry;
+    }
+
+    if (persist) {
+      entry = Storage.get(`${CACHE_PREFIX}${url}`);
+      if (entry) {
+        this._cache.set(url, entry);
+        return entry;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 캐시 항목 저장
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} entry - { result, etag, time }
+   * @param {boolean} persist - localStorage 저장 여부
+   */
+  static _writeCache(url, entry, persist) {
+    this._cache.delete(url);
+    this._cache.set(url, entry);
+
+    while (this._cache.size > this.defaults.cache.max) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+
+    if (persist) {
+      Storage.set(`${CACHE_PREFIX}${url}`, entry);
+    }
+  }
+
+  /**
+   * 응답 캐시 삭제
+   * @param {string} [url] - 삭제할 URL (없으면 전체)
+   *
+   * @example
+   * APIUtil.clearCache('/api/me'); // 로그아웃 후
+   * APIUtil.clearCache();
+   */
+  static clearCache(url) {
+    if (url) {
+      this._cache.delete(url);
+      Storage.remove(`${CACHE_PREFIX}${url}`);
+      return;
+    }
+
+    this._cache.clear();
+    Storage.keys()
+      .filter(key => key.startsWith(CACHE_PREFIX))
+      .forEach(key => Storage.remove(key));
+  }
+
+  /**
+   * 요청 설정 준비 (기본 헤더, 요청 인터셉터, APIUtil 전용 옵션 분리)
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} options - 요청 옵션
+   * @returns {Promise<Object>} { config, finalUrl, fetchConfig, timeout, retry, progress }
+   */
+  static async _prepareRequest(url, options) {
+    // 기본 헤더 설정 (FormData/Blob은 브라우저가 Content-Type 설정)
+    const headers = this._isBinaryBody(options.body)
+      ? { ...options.headers }
+      : { 'Content-Type': 'application/json', ...options.headers };
+
+    let config = {
+      ...options,
+      headers,
+      url // URL도 config에 포함
+    };
+
+    // 요청 인터셉터 실행
+    for (const interceptor of this._requestInterceptors) {
+      if (interceptor && interceptor.onFulfilled) {
+        try {
+          config = await interceptor.onFulfilled(config);
+        } catch (error) {
+          if (interceptor.onRejected) {
+            config = await interceptor.onRejected(error);
+          } else {
+            throw error;
           }
         }
       }
+    }
 
-      // URL 추출 (인터셉터에서 변경되었을 수 있음)
-      const finalUrl = config.url || url;
-      delete config.url; // fetch에 전달하지 않음
+    // URL 및 APIUtil 전용 옵션 추출 (인터셉터에서 변경되었을 수 있음, fetch에 전달하지 않음)
+    const {
+      url: configUrl,
+      timeout = this.defaults.timeout,
+      retry,
+      onUploadProgress,
+      onDownloadProgress,
+      ...fetchConfig
+    } = config;
+    ['signal', 'ttl', 'persist', 'dedupe', 'offline', 'field', 'format'].forEach(key => delete fetchConfig[key]);
+    if (CACHE_STRATEGIES.includes(fetchConfig.cache)) {
+      delete fetchConfig.cache;
+    }
 
-      const response = await fetch(finalUrl, config);
+    return {
+      config,
+      finalUrl: configUrl || url,
+      fetchConfig,
+      timeout,
+      retry,
+      progress: { upload: onUploadProgress, download: onDownloadProgress }
+    };
+  }
 
-      // JSON 파싱 (실패 시 텍스트로 처리)
+  /**
+   * 바이너리 바디 여부 (FormData, Blob, ArrayBuffer 등)
+   * @private
+   * @param {*} body - 요청 바디
+   * @returns {boolean}
+   */
+  static _isBinaryBody(body) {
+    return (typeof FormData !== 'undefined' && body instanceof FormData) ||
+      (typeof Blob !== 'undefined' && body instanceof Blob) ||
+      body instanceof ArrayBuffer ||
+      ArrayBuffer.isView(body);
+  }
+
+  /**
+   * HTTP 요청 실행
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} options - 요청 옵션
+   * @param {AbortSignal} signal - 취소 시그널
+   * @param {Object} [meta] - 캐시 재검증용 응답 정보 (etag, notModified)
+   * @param {boolean} [authRetried=false] - 401 재요청 여부
+   * @returns {Promise<Object>} API 응답
+   */
+  static async _request(url, options, signal, meta, authRetried = false) {
+    try {
+      const { config, finalUrl, fetchConfig, timeout, retry, progress } = await this._prepareRequest(url, options);
+      const policy = this._getRetryPolicy(retry, fetchConfig.method || 'GET');
+
+      let response;
       let data;
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
+      for (let attempt = 0; ; attempt++) {
         try {
-          data = await response.json();
-        } catch (parseError) {
-          data = { message: 'Invalid JSON response' };
+          ({ response, data } = await this._send(finalUrl, fetchConfig, timeout, signal, progress));
+        } catch (error) {
+          // 취소된 요청과 재시도 불가능한 오류는 그대로 처리
+          if (error.type === 'abort' || !this._shouldRetry(policy, attempt, 0)) {
+            throw error;
+          }
+          await this._sleep(this._getRetryDelay(policy, attempt), signal);
+          continue;
+        }
+
+        if (response.ok || !this._shouldRetry(policy, attempt, response.status)) {
+          break;
+        }
+        await this._sleep(this._getRetryDelay(policy, attempt, response), signal);
+      }
+
+      // 401: 세션 갱신 후 한 번 재요청 (동시 요청들은 같은 갱신을 기다림)
+      if (response.status === 401 && !authRetried && this._unauthorizedHandler) {
+        let refreshed = false;
+        try {
+          refreshed = await this._unauthorizedHandler(finalUrl, config);
+        } catch (error) {
+          console.error('Error in unauthorized handler:', error);
+        }
+        if (refreshed) {
+          return this._request(url, options, signal, meta, true);
+        }
+      }
+
+      if (meta) {
+        meta.etag = response.headers.get('etag');
+        if (response.status === 304) {
+          meta.notModified = true;
+          return null;
         }
-      } else {
-        const text = await response.text();
-        data = { message: text || 'Non-JSON response' };
       }
 
       let result;
@@ -290,11 +925,11 @@ export class APIUtil {
       return result;
 
     } catch (error) {
-      // 네트워크 오류
+      // 네트워크 오류 (타임아웃, 취소 포함)
       let result = this.error(
         error.message || 'Network error',
         0, // 0 = 네트워크 오류
-        error
+        { message: error.message, name: error.name, type: error.type || 'network' }
       );
 
       // 에러에 대한 응답 인터셉터 실행
@@ -313,6 +948,280 @@ export class APIUtil {
     }
   }
 
+  /**
+   * 단일 fetch 시도 (타임아웃 적용, 응답 본문 파싱 포함)
+   * 업로드 진행률이 필요하면 XMLHttpRequest를 사용합니다.
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} config - fetch 옵션
+   * @param {number} timeout - 타임아웃 (ms)
+   * @param {AbortSignal} signal - 취소 시그널
+   * @param {Object} [progress] - 진행률 콜백 { upload, download }
+   * @returns {Promise<{response: Response, data: Object}>}
+   */
+  static async _send(url, config, timeout, signal, progress = {}) {
+    if (signal.aborted) {
+      throw this._createError('AbortError', 'abort', 'Request cancelled');
+    }
+
+    const mocked = this._mock?.matches(url, config.method) || false;
+
+    if (progress.upload && typeof XMLHttpRequest !== 'undefined' && !mocked) {
+      return this._sendXHR(url, config, timeout, signal, progress);
+    }
+
+    // 시도별 컨트롤러 (취소 시그널 + 타임아웃)
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    let timedOut = false;
+    const timer = timeout > 0 ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout) : null;
+
+    try {
+      const response = await this._fetch(url, { ...config, signal: controller.signal });
+
+      // 목 응답은 업로드가 한 번에 완료된 것으로 보고
+      if (mocked && progress.upload) {
+        const size = config.body?.size ?? config.body?.length ?? 0;
+        this._reportProgress(progress.upload, size || 1, size || 1);
+      }
+
+      const text = progress.download
+        ? await this._readBody(response, progress.download)
+        : await response.text();
+
+      return { response, data: this._parseBody(text, response.headers.get('content-type')) };
+    } catch (error) {
+      if (timedOut) {
+        throw this._createError('TimeoutError', 'timeout', `Request timeout after ${timeout}ms`);
+      }
+      if (signal.aborted) {
+        throw this._createError('AbortError', 'abort', 'Request cancelled');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * XMLHttpRequest로 요청 (업로드/다운로드 진행률)
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} config - fetch 옵션
+   * @param {number} timeout - 타임아웃 (ms)
+   * @param {AbortSignal} signal - 취소 시그널
+   * @param {Object} progress - 진행률 콜백 { upload, download }
+   * @returns {Promise<{response: Object, data: Object}>}
+   */
+  static _sendXHR(url, config, timeout, signal, progress) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      const onAbort = () => xhr.abort();
+      const settle = (fn, value) => {
+        signal.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+
+      xhr.open(config.method || 'GET', url);
+      Object.entries(config.headers || {}).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+      xhr.withCredentials = config.credentials === 'include';
+      if (timeout > 0) {
+        xhr.timeout = timeout;
+      }
+
+      xhr.upload.onprogress = (e) => this._reportProgress(progress.upload, e.loaded, e.lengthComputable ? e.total : 0);
+      if (progress.download) {
+        xhr.onprogress = (e) => this._reportProgress(progress.download, e.loaded, e.lengthComputable ? e.total : 0);
+      }
+
+      xhr.onload = () => {
+        // fetch Response와 같은 형태로 변환
+        const response = {
+          ok: xhr.status >= 200 && xhr.status < 300,
+          status: xhr.status,
+          headers: { get: (name) => xhr.getResponseHeader(name) }
+        };
+        settle(resolve, { response, data: this._parseBody(xhr.responseText, response.headers.get('content-type')) });
+      };
+      xhr.onerror = () => settle(reject, new TypeError('Network request failed'));
+      xhr.ontimeout = () => settle(reject, this._createError('TimeoutError', 'timeout', `Request timeout after ${timeout}ms`));
+      xhr.onabort = () => settle(reject, this._createError('AbortError', 'abort', 'Request cancelled'));
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      xhr.send(config.body ?? null);
+    });
+  }
+
+  /**
+   * 응답 본문 읽기 (다운로드 진행률 보고)
+   * @private
+   * @param {Response} response - fetch 응답
+   * @param {Function|Object} onProgress - 진행률 콜백
+   * @returns {Promise<string>} 본문 텍스트
+   */
+  static async _readBody(response, onProgress) {
+    if (!response.body?.getReader) {
+      return response.text();
+    }
+
+    const total = Number(response.headers.get('content-length')) || 0;
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let loaded = 0;
+    let text = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      loaded += value.byteLength;
+      text += decoder.decode(value, { stream: true });
+      this._reportProgress(onProgress, loaded, total);
+    }
+
+    return text + decoder.decode();
+  }
+
+  /**
+   * 응답 본문 파싱 (JSON 파싱 실패 시 텍스트로 처리)
+   * @private
+   * @param {string} text - 본문 텍스트
+   * @param {string|null} contentType - Content-Type 헤더
+   * @returns {Object}
+   */
+  static _parseBody(text, contentType) {
+    if (contentType && contentType.includes('application/json')) {
+      try {
+        return JSON.parse(text);
+      } catch (parseError) {
+        return { message: 'Invalid JSON response' };
+      }
+    }
+    return { message: text || 'Non-JSON response' };
+  }
+
+  /**
+   * 진행률 보고
+   * @private
+   * @param {Function|Object} target - (info) => void 또는 progress(percent) 메서드가 있는 객체 (LoadingIndicator)
+   * @param {number} loaded - 전송된 바이트
+   * @param {number} total - 전체 바이트 (알 수 없으면 0)
+   */
+  static _reportProgress(target, loaded, total) {
+    const percent = total ? Math.min(100, Math.round((loaded / total) * 100)) : null;
+
+    try {
+      if (typeof target === 'function') {
+        target({ loaded, total, percent });
+      } else if (target && typeof target.progress === 'function' && percent !== null) {
+        target.progress(percent);
+      }
+    } catch (error) {
+      console.error('Error in progress callback:', error);
+    }
+  }
+
+  /**
+   * 에러 객체 생성
+   * @private
+   * @param {string} name - 에러 이름
+   * @param {string} type - 에러 유형 ('timeout', 'abort')
+   * @param {string} message - 메시지
+   * @returns {Error}
+   */
+  static _createError(name, type, message) {
+    const error = new Error(message);
+    error.name = name;
+    error.type = type;
+    return error;
+  }
+
+  /**
+   * 요청에 적용할 재시도 정책
+   * @private
+   * @param {Object|number|boolean} [retry] - 요청별 재시도 옵션
+   * @param {string} method - HTTP 메서드
+   * @returns {Object|null} 정책 (재시도하지 않으면 null)
+   */
+  static _getRetryPolicy(retry, method) {
+    if (retry === false) return null;
+
+    const policy = {
+      ...this.defaults.retry,
+      ...(typeof retry === 'number' ? { retries: retry } : retry)
+    };
+
+    if (!policy.retries || !policy.methods.includes(method.toUpperCase())) {
+      return null;
+    }
+    return policy;
+  }
+
+  /**
+   * 재시도 여부 판단
+   * @private
+   * @param {Object|null} policy - 재시도 정책
+   * @param {number} attempt - 현재 시도 번호 (0부터)
+   * @param {number} status - HTTP 상태 코드 (0 = 네트워크 오류/타임아웃)
+   * @returns {boolean}
+   */
+  static _shouldRetry(policy, attempt, status) {
+    if (!policy || attempt >= policy.retries) return false;
+    return status === 0 || policy.statusCodes.includes(status);
+  }
+
+  /**
+   * 재시도 대기 시간 계산 (지수 백오프 + 지터, Retry-After 헤더 우선)
+   * @private
+   * @param {Object} policy - 재시도 정책
+   * @param {number} attempt - 현재 시도 번호 (0부터)
+   * @param {Response} [response] - 실패한 응답
+   * @returns {number} 대기 시간 (ms)
+   */
+  static _getRetryDelay(policy, attempt, response) {
+    const retryAfter = response?.headers?.get('retry-after');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (ms >= 0) return Math.min(ms, policy.maxDelay);
+    }
+
+    const delay = Math.min(policy.delay * Math.pow(policy.factor, attempt), policy.maxDelay);
+    return policy.jitter ? delay / 2 + Math.random() * delay / 2 : delay;
+  }
+
+  /**
+   * 대기 (취소 시 즉시 reject)
+   * @private
+   * @param {number} ms - 대기 시간
+   * @param {AbortSignal} signal - 취소 시그널
+   * @returns {Promise<void>}
+   */
+  static _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this._createError('AbortError', 'abort', 'Request cancelled'));
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
   /**
    * GET 요청
    * @param {string} url - 요청 URL
@@ -325,7 +1234,7 @@ export class APIUtil {
    *   console.log(response.data);
    * }
    */
-  static async get(url, options = {}) {
+  static get(url, options = {}) {
     return this.request(url, {
       ...options,
       method: 'GET'
@@ -345,7 +1254,7 @@ export class APIUtil {
    *   email: 'john@example.com'
    * });
    */
-  static async post(url, body, options = {}) {
+  static post(url, body, options = {}) {
     return this.request(url, {
       ...options,
       method: 'POST',
@@ -365,7 +1274,7 @@ export class APIUtil {
    *   name: 'Jane'
    * });
    */
-  static async put(url, body, options = {}) {
+  static put(url, body, options = {}) {
     return this.request(url, {
       ...options,
       method: 'PUT',
@@ -385,7 +1294,7 @@ export class APIUtil {
    *   age: 31
    * });
    */
-  static async patch(url, body, options = {}) {
+  static patch(url, body, options = {}) {
     return this.request(url, {
       ...options,
       method: 'PATCH',
@@ -402,13 +1311,205 @@ export class APIUtil {
    * @example
    * const response = await APIUtil.delete('/api/users/123');
    */
-  static async delete(url, options = {}) {
+  static delete(url, options = {}) {
     return this.request(url, {
       ...options,
       method: 'DELETE'
     });
   }
 
+  /**
+   * 파일 업로드 (multipart/form-data)
+   * @param {string} url - 요청 URL
+   * @param {File|File[]|FormData|Object} data - 파일, 파일 배열, FormData 또는 필드 객체
+   * @param {Object} [options={}] - 요청 옵션
+   * @param {string} [options.field='file'] - 파일 필드 이름
+   * @param {Function|Object} [options.onUploadProgress] - 업로드 진행률 콜백 또는 LoadingIndicator
+   * @returns {Promise<Object>} API 응답 (cancel() 메서드 포함)
+   *
+   * @example
+   * CATUI.loading.setConfig({ style: 'bar' });
+   * CATUI.loading.show();
+   * const response = await APIUtil.upload('/api/photos', files, {
+   *   onUploadProgress: CATUI.loading
+   * });
+   * CATUI.loading.hide();
+   *
+   * @example
+   * await APIUtil.upload('/api/profile', { name: 'John', avatar: file }, {
+   *   onUploadProgress: ({ percent }) => console.log(`${percent}%`)
+   * });
+   */
+  static upload(url, data, options = {}) {
+    return this.request(url, {
+      method: 'POST',
+      ...options,
+      body: this._toFormData(data, options.field || 'file')
+    });
+  }
+
+  /**
+   * 업로드 데이터를 FormData로 변환
+   * @private
+   * @param {File|File[]|FormData|Object} data - 업로드 데이터
+   * @param {string} field - 파일 필드 이름
+   * @returns {FormData}
+   */
+  static _toFormData(data, field) {
+    if (data instanceof FormData) {
+      return data;
+    }
+
+    const formData = new FormData();
+    const append = (name, value) => {
+      if (Array.isArray(value)) {
+        value.forEach(item => append(name, item));
+      } else if (value instanceof Blob) {
+        formData.append(name, value, value.name);
+      } else if (value !== undefined && value !== null) {
+        formData.append(name, typeof value === 'object' ? JSON.stringify(value) : value);
+      }
+    };
+
+    if (data instanceof Blob || Array.isArray(data)) {
+      append(field, data);
+    } else {
+      Object.entries(data || {}).forEach(([name, value]) => append(name, value));
+    }
+
+    return formData;
+  }
+
+  /**
+   * 스트리밍 응답 (비동기 이터레이터)
+   * NDJSON(줄 단위 JSON)은 줄마다 파싱된 객체를, text는 수신한 텍스트 조각을 반환합니다.
+   * 반복을 중단(break)하면 요청도 취소됩니다.
+   * @param {string} url - 요청 URL
+   * @param {Object} [options={}] - 요청 옵션
+   * @param {string} [options.format='ndjson'] - 'ndjson', 'lines' (줄 단위 텍스트), 'text' (수신 조각)
+   * @param {number} [options.timeout] - 응답 헤더 수신까지의 타임아웃 (ms)
+   * @param {AbortSignal} [options.signal] - 취소 시그널
+   * @param {Function|Object} [options.onDownloadProgress] - 다운로드 진행률 콜백
+   * @yields {Object|string} 파싱된 항목
+   * @throws {Error} HTTP 오류 (error.statusCode), 네트워크 오류, 타임아웃, 취소
+   *
+   * @example
+   * for await (const row of APIUtil.stream('/api/export')) {
+   *   table.append(row);
+   * }
+   *
+   * @example
+   * let answer = '';
+   * for await (const chunk of APIUtil.stream('/api/chat', { method: 'POST', body, format: 'text' })) {
+   *   answer += chunk;
+   * }
+   */
+  static async *stream(url, options = {}) {
+    const format = options.format || 'ndjson';
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        controller.abort();
+      } else {
+        options.signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    try {
+      const { finalUrl, fetchConfig, timeout, progress } = await this._prepareRequest(url, {
+        ...options,
+        headers: format === 'ndjson' ? { Accept: 'application/x-ndjson', ...options.headers } : options.headers
+      });
+
+      let timedOut = false;
+      const timer = timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout) : null;
+
+      let response;
+      try {
+        response = await this._fetch(finalUrl, { ...fetchConfig, signal: controller.signal });
+      } catch (error) {
+        if (timedOut) throw this._createError('TimeoutError', 'timeout', `Request timeout after ${timeout}ms`);
+        if (controller.signal.aborted) throw this._createError('AbortError', 'abort', 'Request cancelled');
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (!response.ok) {
+        const data = this._parseBody(await response.text(), response.headers.get('content-type'));
+        const error = this._createError('HTTPError', 'http', data.message || 'Request failed');
+        error.statusCode = response.status;
+        throw error;
+      }
+
+      const total = Number(response.headers.get('content-length')) || 0;
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let loaded = 0;
+      let buffer = '';
+
+      const parseLine = (line) => {
+        if (format !== 'ndjson') return line;
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          console.error('Invalid NDJSON line:', line);
+          return undefined;
+        }
+      };
+
+      try {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          loaded += value.byteLength;
+          if (progress.download) {
+            this._reportProgress(progress.download, loaded, total);
+          }
+
+          const chunk = decoder.decode(value, { stream: true });
+          if (format === 'text') {
+            yield chunk;
+            continue;
+          }
+
+          buffer += chunk;
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+
+          for (const line of lines) {
+            if (!line.trim()) continue;
+            const item = parseLine(line);
+            if (item !== undefined) yield item;
+          }
+        }
+
+        // 마지막 줄 (줄바꿈 없이 끝난 경우)
+        buffer += decoder.decode();
+        if (format === 'text') {
+          if (buffer) yield buffer;
+        } else if (buffer.trim()) {
+          const item = parseLine(buffer);
+          if (item !== undefined) yield item;
+        }
+      } catch (error) {
+        if (controller.signal.aborted) throw this._createError('AbortError', 'abort', 'Request cancelled');
+        throw error;
+      } finally {
+        // 반복 중단 시 연결 종료
+        reader.cancel().catch(() => {});
+      }
+    } finally {
+      options.signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
   /**
    * 여러 요청을 병렬로 실행
    * @param {...Promise} requests - 요청 프로미스들
@@ -0,0 +1,194 @@
+/**
+ * 뒤로 가기 버튼 디스패처
+ * @module core/backbutton
+ */
+
+/**
+ * 뒤로 가기 디스패처
+ * @class
+ * @description 하드웨어 뒤로 가기(Android), 브라우저 뒤로 가기, 앱 내 BackButton을 하나로 처리합니다.
+ * 열린 오버레이(Modal, Drawer, DatePicker, Lightbox 등)를 가장 위에서부터 먼저 닫고,
+ * 닫을 오버레이가 없으면 라우터의 이전 뷰로 이동합니다.
+ *
+ * 오버레이가 열려 있는 동안에는 히스토리에 가드 항목을 하나 추가하여,
+ * 뒤로 가기가 페이지를 벗어나지 않고 오버레이를 닫도록 합니다.
+ *
+ * @example
+ * const unregister = CATUI.backButton.register(() => sheet.close());
+ * // 시트를 직접 닫은 경우
+ * unregister();
+ *
+ * @example
+ * // 앱바의 뒤로 가기 버튼
+ * backIcon.addEventListener('click', () => CATUI.backButton.handle());
+ */
+export class BackButtonDispatcher {
+  /**
+   * BackButtonDispatcher 생성자
+   * @constructor
+   * @param {ViewRouter} router - 뷰 라우터
+   */
+  constructor(router) {
+    this.router = router;
+    this._handlers = [];
+    this._guarded = false;
+    this._ignoreNextPop = false;
+  }
+
+  /**
+   * 뒤로 가기 핸들러 등록 (마지막에 등록된 핸들러가 먼저 실행)
+   * @param {Function} handler - 핸들러 (뒤로 가기 시 한 번 호출되고 해제됨)
+   * @returns {Function} 해제 함수
+   *
+   * @example
+   * const unregister = CATUI.backButton.register(() => modal.close());
+   */
+  register(handler) {
+    this._handlers.push(handler);
+    this._syncGuard();
+    return () => this.unregister(handler);
+  }
+
+  /**
+   * 뒤로 가기 핸들러 해제
+   * @param {Function} handler - 핸들러
+   */
+  unregister(handler) {
+    const index = this._handlers.indexOf(handler);
+    if (index === -1) return;
+
+    this._handlers.splice(index, 1);
+    this._syncGuard();
+  }
+
+  /**
+   * 등록된 핸들러 수
+   * @returns {number}
+   */
+  get size() {
+    return this._handlers.length;
+  }
+
+  /**
+   * 뒤로 가기 실행
+   * 가장 위의 핸들러(오버레이)를 실행하고, 없으면 라우터의 이전 뷰로 이동합니다.
+   * @returns {boolean} 처리 여부 (false면 더 이상 뒤로 갈 곳이 없음)
+   *
+   * @example
+   * if (!CATUI.backButton.handle()) {
+   *   // 첫 화면: 앱 종료 안내 등
+   * }
+   */
+  handle() {
+    if (this._runTopHandler()) {
+      return true;
+    }
+
+    if (this.router?.canGoBack()) {
+      this.router.back();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * 모든 핸들러 해제
+   */
+  clear() {
+    this._handlers = [];
+    this._syncGuard();
+  }
+
+  /**
+   * 가장 위의 핸들러 실행
+   * @private
+   * @returns {boolean} 실행 여부
+   */
+  _runTopHandler() {
+    const handler = this._handlers.pop();
+    if (!handler) return false;
+
+    try {
+      handler();
+    } catch (error) {
+      console.error('Error in back button handler:', error);
+    }
+    this._syncGuard();
+    return true;
+  }
+
+  /**
+   * popstate 이벤트 처리 (라우터가 먼저 호출)
+   * @private
+   * @param {PopStateEvent} e - popstate 이벤트
+   * @returns {boolean} true면 디스패처가 처리했으므로 라우터는 무시
+   */
+  _consumePopState(e) {
+    // 가드 제거를 위해 직접 호출한 history.back()
+    if (this._ignoreNextPop) {
+      this._ignoreNextPop = false;
+      return true;
+    }
+
+    // 앞으로 가기로 남아 있던 가드 항목에 도착한 경우 무시
+    if (!this._guarded) {
+      return e.state?.backGuard === true;
+    }
+
+    // 가드 항목이 소비됨 → 오버레이 닫기 또는 (memory 모드) 이전 뷰로 이동
+    this._guarded = false;
+
+    if (!this._runTopHandler() && this.router?.mode === 'memory' && this.router.canGoBack()) {
+      this.router.back();
+    }
+
+    this._syncGuard();
+    return true;
+  }
+
+  /**
+   * 라우터가 새 히스토리 항목을 추가하기 전에 호출
+   * 가드 항목이 맨 위에 있으면 새 항목이 가드를 대체하도록 합니다.
+   * @private
+   * @returns {boolean} true면 pushState 대신 replaceState 사용
+   */
+  _takeGuard() {
+    if (!this._guarded) return false;
+    this._guarded = false;
+    return true;
+  }
+
+  /**
+   * 가드 항목 동기화
+   * 핸들러가 있거나 memory 모드에서 이전 뷰가 있으면 가드를 유지합니다.
+   * @private
+   */
+  _syncGuard() {
+    if (typeof window === 'undefined' || !window.history) return;
+
+    const needed = this._handlers.length > 0 ||
+      (this.router?.mode === 'memory' && this.router.canGoBack());
+
+    if (needed && !this._guarded) {
+      window.history.pushState({ backGuard: true }, '');
+      this._guarded = true;
+    } else if (!needed && this._guarded) {
+      this._guarded = false;
+      this._ignoreNextPop = true;
+      window.history.back();
+    }
+  }
+
+  /**
+   * 디스패처 정리
+   */
+  destroy() {
+    this._handlers = [];
+    this._guarded = false;
+    this._ignoreNextPop = false;
+    this.router = null;
+  }
+}
+
+export default BackButtonDispatcher;
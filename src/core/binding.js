@@ -0,0 +1,542 @@
+/**
+ * 선언적 데이터 바인딩 (StateManager ↔ DOM)
+ * @module core/binding
+ */
+
+import { Template } from './template.js';
+
+// catui-class:이름 속성 접두사
+const CLASS_PREFIX = 'catui-class:';
+
+// 아직 적용하지 않은 값
+const UNSET = Symbol('unset');
+
+/**
+ * 데이터 바인딩 관리자
+ * @class
+ * @description catui-* 속성으로 StateManager 스토어와 DOM을 연결합니다.
+ * 각 속성은 사용하는 경로만 감시하며, 값이 바뀐 노드만 갱신합니다.
+ *
+ * 속성
+ * - catui-bind="user.name" - 텍스트
+ * - catui-model="form.email" - 입력 요소 양방향 바인딩 (checkbox, radio, select, number 지원)
+ * - catui-show="items.length > 0" - 표시/숨김
+ * - catui-class:active="tab === 'home'" - 클래스 토글 (속성 이름은 소문자)
+ * - catui-each="items as item, i" - 반복 (catui-key="item.id"로 노드 재사용)
+ *
+ * 값에는 템플릿 표현식(비교, !, &&, ||, 필터)을 사용할 수 있습니다.
+ * 라우터 뷰 안의 바인딩은 뷰를 떠날 때 자동으로 해제됩니다 (keep-alive 뷰는 유지).
+ *
+ * @example
+ * <div id="cart">
+ *   <p catui-show="!items.length">장바구니가 비어 있습니다</p>
+ *   <li catui-each="items as item" catui-key="item.id" catui-class:is-done="item.done">
+ *     <input type="checkbox" catui-model="item.done">
+ *     <span catui-bind="item.name"></span>
+ *   </li>
+ *   <strong catui-bind="total | currency:'KRW'"></strong>
+ * </div>
+ *
+ * const cart = CATUI.state.create({ items: [], total: 0 });
+ * CATUI.bind(cart, '#cart');
+ */
+export class DataBinder {
+  /**
+   * DataBinder 생성자
+   * @constructor
+   */
+  constructor() {
+    this._bindings = new Set();
+  }
+
+  /**
+   * 활성 바인딩 수
+   * @type {number}
+   */
+  get count() {
+    return this._bindings.size;
+  }
+
+  /**
+   * 스토어를 DOM에 바인딩
+   * @param {Proxy} store - StateManager 스토어
+   * @param {string|HTMLElement} root - 루트 요소 또는 선택자
+   * @param {Object} [options] - 옵션
+   * @param {Function} [options.set] - (path, value, locals) => void catui-model 값 변경 방법 (strict 모드 스토어는 액션 호출)
+   * @returns {ViewBinding|null} 바인딩 (destroy()로 해제)
+   *
+   * @example
+   * const form = CATUI.state.create({ email: '', agree: false }, { strict: true });
+   * form.$defineActions({ update(state, path, value) { state[path] = value; } });
+   * CATUI.bind(form, '#signup', { set: (path, value) => form.$actions.update(path, value) });
+   */
+  bind(store, root, options = {}) {
+    if (!store || typeof store.watch !== 'function') {
+      console.error('DataBinder.bind: store must be a StateManager store');
+      return null;
+    }
+
+    const element = typeof root === 'string' ? document.querySelector(root) : root;
+    if (!element || element.nodeType !== 1) {
+      console.error('DataBinder.bind: root element not found:', root);
+      return null;
+    }
+
+    const binding = new ViewBinding(store, element, options, () => this._bindings.delete(binding));
+    this._bindings.add(binding);
+    return binding;
+  }
+
+  /**
+   * 바인딩 해제
+   * @param {HTMLElement} [container] - 이 요소 안의 바인딩만 (없으면 문서에서 제거된 루트를 포함한 전체)
+   */
+  destroyBindings(container = null) {
+    this._select(container).forEach(binding => binding.destroy());
+  }
+
+  /**
+   * 바인딩 분리 (해제하지 않고 추적 목록에서만 제거, keep-alive 뷰 캐시용)
+   * @param {HTMLElement} [container] - 이 요소 안의 바인딩만 (없으면 전체)
+   * @returns {Set<ViewBinding>} 분리된 바인딩
+   */
+  detachBindings(container = null) {
+    const detached = new Set(this._select(container));
+    detached.forEach(binding => this._bindings.delete(binding));
+    return detached;
+  }
+
+  /**
+   * 분리된 바인딩 재등록
+   * @param {Set<ViewBinding>} detached - detachBindings() 결과
+   */
+  attachBindings(detached) {
+    detached?.forEach(binding => this._bindings.add(binding));
+  }
+
+  /**
+   * 정리
+   */
+  destroy() {
+    this.destroyBindings();
+    this._bindings.clear();
+  }
+
+  /**
+   * 대상 바인딩 선택
+   * @private
+   * @param {HTMLElement|null} container - 컨테이너
+   * @returns {ViewBinding[]}
+   */
+  _select(container) {
+    const bindings = Array.from(this._bindings);
+    if (!container) return bindings;
+    return bindings.filter(binding => container.contains(binding.root));
+  }
+}
+
+/**
+ * 루트 요소 하나의 바인딩
+ * @class
+ * @private
+ * @description 루트 아래의 catui-* 속성을 찾아 스토어 감시자와 연결합니다.
+ * 반복 항목은 각자의 스코프(반복 변수, 감시자, 이벤트 리스너)를 가집니다.
+ */
+class ViewBinding {
+  /**
+   * ViewBinding 생성자
+   * @constructor
+   * @param {Proxy} store - 스토어
+   * @param {HTMLElement} root - 루트 요소
+   * @param {Object} options - DataBinder.bind 옵션
+   * @param {Function} onDestroy - 해제 시 호출
+   */
+  constructor(store, root, options, onDestroy) {
+    this.store = store;
+    this.root = root;
+    this._setter = options.set || null;
+    this._onDestroy = onDestroy;
+    this._scope = createScope(null);
+
+    this._scan(root, this._scope);
+  }
+
+  /**
+   * 모든 바인딩 다시 계산 (값이 바뀐 노드만 갱신)
+   */
+  update() {
+    this._scope.updaters.forEach(update => update());
+  }
+
+  /**
+   * 바인딩 해제 (감시자와 이벤트 리스너 제거, DOM은 유지)
+   */
+  destroy() {
+    if (!this._scope) return;
+
+    destroyScope(this._scope);
+    this._scope = null;
+    this._onDestroy?.();
+    this._onDestroy = null;
+  }
+
+  /**
+   * 요소와 하위 요소의 속성 처리
+   * 하위 요소를 먼저 처리합니다 (select의 catui-each 옵션이 catui-model보다 먼저 생성되도록).
+   * @private
+   * @param {HTMLElement} el - 요소
+   * @param {Object} scope - 스코프
+   */
+  _scan(el, scope) {
+    if (el.hasAttribute('catui-each')) {
+      this._each(el, scope, el.getAttribute('catui-each'));
+      return;
+    }
+
+    Array.from(el.children).forEach(child => this._scan(child, scope));
+
+    Array.from(el.attributes).forEach(({ name, value }) => {
+      if (name === 'catui-bind') {
+        this._directive(scope, value, (text) => {
+          el.textContent = text === undefined || text === null ? '' : String(text);
+        });
+      } else if (name === 'catui-show') {
+        const display = el.style.display === 'none' ? '' : el.style.display;
+        this._directive(scope, value, (visible) => {
+          el.style.display = truthy(visible) ? display : 'none';
+        });
+      } else if (name.startsWith(CLASS_PREFIX)) {
+        const className = name.slice(CLASS_PREFIX.length);
+        this._directive(scope, value, (active) => {
+          el.classList.toggle(className, truthy(active));
+        });
+      } else if (name === 'catui-model') {
+        this._model(el, scope, value.trim());
+      }
+    });
+  }
+
+  /**
+   * 표현식 바인딩 등록 (사용하는 경로 감시 후 즉시 적용)
+   * @private
+   * @param {Object} scope - 스코프
+   * @param {string} source - 표현식
+   * @param {Function} apply - (value) => void DOM 반영
+   * @returns {Object|null} 컴파일된 표현식
+   */
+  _directive(scope, source, apply) {
+    let expression;
+    try {
+      expression = Template._expression(source);
+    } catch (error) {
+      console.error(`DataBinder: ${error.message}`);
+      return null;
+    }
+
+    let last = UNSET;
+    const update = () => {
+      let value;
+      try {
+        value = expression.evaluate(this.store, scope.locals);
+      } catch (error) {
+        console.error(`DataBinder: error evaluating "${source}":`, error);
+        return;
+      }
+
+      // 원시 값이 같으면 DOM을 건드리지 않음 (객체는 내부가 바뀌었을 수 있으므로 다시 적용)
+      if (value === last && (value === null || typeof value !== 'object')) return;
+      last = value;
+      apply(value);
+    };
+
+    scope.updaters.push(update);
+    this._watch(expression.paths, scope, update);
+    update();
+    return expression;
+  }
+
+  /**
+   * 표현식 경로 감시 (반복 변수 경로는 목록이 갱신될 때 함께 갱신되므로 제외)
+   * @private
+   * @param {string[]} paths - 경로 목록
+   * @param {Object} scope - 스코프
+   * @param {Function} update - 갱신 함수
+   */
+  _watch(paths, scope, update) {
+    const watched = new Set();
+
+    paths.forEach((path) => {
+      const keys = path.split('.');
+      const first = keys[0];
+      if (first === 'this' || first.startsWith('@') || (scope.locals && first in scope.locals)) return;
+
+      // length, size는 상위 컬렉션 변경으로 감시
+      if (keys.length > 1 && (keys[keys.length - 1] === 'length' || keys[keys.length - 1] === 'size')) {
+        keys.pop();
+      }
+
+      const key = keys.join('.');
+      if (watched.has(key)) return;
+      watched.add(key);
+      scope.cleanups.push(this.store.watch(key, update));
+    });
+  }
+
+  /**
+   * 양방향 바인딩 (catui-model)
+   * @private
+   * @param {HTMLElement} el - 입력 요소
+   * @param {Object} scope - 스코프
+   * @param {string} path - 경로
+   */
+  _model(el, scope, path) {
+    if (!/^[\w$@]+(\.[\w$@]+)*$/.test(path)) {
+      console.error(`DataBinder: catui-model must be a path: "${path}"`);
+      return;
+    }
+
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    const isCheckbox = type === 'checkbox';
+    const isRadio = type === 'radio';
+    const isSelect = el.tagName === 'SELECT';
+    const isMultiple = isSelect && el.multiple;
+    const isNumber = type === 'number' || type === 'range';
+
+    const expression = this._directive(scope, path, (value) => {
+      if (isCheckbox) {
+        el.checked = Array.isArray(value) ? value.includes(el.value) : Boolean(value);
+      } else if (isRadio) {
+        el.checked = value !== undefined && value !== null && String(value) === el.value;
+      } else if (isMultiple) {
+        const selected = Array.isArray(value) ? value.map(String) : [];
+        Array.from(el.options).forEach((option) => {
+          option.selected = selected.includes(option.value);
+        });
+      } else {
+        // 입력 중인 값과 같으면 그대로 두어 커서 위치 유지
+        const text = value === undefined || value === null ? '' : String(value);
+        if (el.value !== text) {
+          el.value = text;
+        }
+      }
+    });
+    if (!expression) return;
+
+    const handler = () => {
+      let value;
+      if (isCheckbox) {
+        const current = expression.evaluate(this.store, scope.locals);
+        if (Array.isArray(current)) {
+          // 배열이면 체크된 값 목록
+          value = current.filter(item => item !== el.value);
+          if (el.checked) value.push(el.value);
+        } else {
+          value = el.checked;
+        }
+      } else if (isRadio) {
+        if (!el.checked) return;
+        value = el.value;
+      } else if (isMultiple) {
+        value = Array.from(el.selectedOptions, option => option.value);
+      } else if (isNumber) {
+        value = el.value === '' ? null : Number(el.value);
+      } else {
+        value = el.value;
+      }
+
+      this._assign(path, value, scope.locals);
+    };
+
+    const event = isCheckbox || isRadio || isSelect ? 'change' : 'input';
+    el.addEventListener(event, handler);
+    scope.cleanups.push(() => el.removeEventListener(event, handler));
+  }
+
+  /**
+   * 경로에 값 쓰기 (반복 변수 경로는 해당 항목에 씀)
+   * @private
+   * @param {string} path - 경로
+   * @param {*} value - 값
+   * @param {Object|null} locals - 반복 변수
+   */
+  _assign(path, value, locals) {
+    if (this._setter) {
+      this._setter(path, value, locals);
+      return;
+    }
+
+    const keys = path.split('.');
+    const key = keys.pop();
+
+    if (keys.length === 0 && locals && key in locals) {
+      console.warn(`DataBinder: cannot assign to loop variable "${path}"`);
+      return;
+    }
+
+    const target = keys.length === 0 ? this.store : Template._expression(keys.join('.')).evaluate(this.store, locals);
+    if (target === null || typeof target !== 'object') {
+      console.warn(`DataBinder: cannot set "${path}"`);
+      return;
+    }
+
+    try {
+      if (target instanceof Map) {
+        target.set(key, value);
+      } else {
+        target[key] = value;
+      }
+    } catch (error) {
+      // strict 모드 등
+      console.error(`DataBinder: failed to set "${path}":`, error);
+    }
+  }
+
+  /**
+   * 반복 바인딩 (catui-each)
+   * 요소를 템플릿으로 사용하고 주석 노드 뒤에 항목 노드를 둡니다.
+   * catui-key가 있으면 키가 같은 노드를 재사용해 순서만 바꾸고, 없으면 위치로 재사용합니다.
+   * @private
+   * @param {HTMLElement} el - 반복할 요소
+   * @param {Object} scope - 스코프
+   * @param {string} source - 'items as item, i'
+   */
+  _each(el, scope, source) {
+    const match = source.match(/^([\s\S]+?)\s+as\s+([\w$]+)(?:\s*,\s*([\w$]+))?\s*$/);
+    if (!match) {
+      console.error(`DataBinder: invalid catui-each "${source}" (expected "items as item")`);
+      return;
+    }
+
+    const [, listSource, alias, indexAlias] = match;
+    let keyExpression = null;
+    if (el.hasAttribute('catui-key')) {
+      try {
+        keyExpression = Template._expression(el.getAttribute('catui-key'));
+      } catch (error) {
+        console.error(`DataBinder: ${error.message}`);
+      }
+    }
+
+    const template = el.cloneNode(true);
+    template.removeAttribute('catui-each');
+    template.removeAttribute('catui-key');
+
+    const anchor = document.createComment(` catui-each: ${source} `);
+    el.replaceWith(anchor);
+
+    let rows = [];
+
+    scope.cleanups.push(() => {
+      rows.forEach(row => destroyScope(row.scope));
+      rows = [];
+    });
+
+    this._directive(scope, listSource, (list) => {
+      const entries = toEntries(list);
+      const previous = new Map();
+      const duplicates = [];
+      rows.forEach((row) => {
+        if (previous.has(row.key)) {
+          duplicates.push(row);
+        } else {
+          previous.set(row.key, row);
+        }
+      });
+
+      const next = entries.map(([key, item], index) => {
+        const locals = Object.create(scope.locals);
+        locals[alias] = item;
+        locals['@index'] = index;
+        locals['@key'] = key;
+        locals['@first'] = index === 0;
+        locals['@last'] = index === entries.length - 1;
+        if (indexAlias) locals[indexAlias] = index;
+
+        const rowKey = keyExpression ? keyExpression.evaluate(this.store, locals) : index;
+        let row = previous.get(rowKey);
+
+        if (row) {
+          // 기존 노드 재사용: 반복 변수만 바꾸고 값이 바뀐 곳만 갱신
+          previous.delete(rowKey);
+          row.scope.locals = locals;
+          row.scope.updaters.forEach(update => update());
+        } else {
+          const node = template.cloneNode(true);
+          row = { key: rowKey, node, scope: createScope(locals) };
+          this._scan(node, row.scope);
+        }
+        return row;
+      });
+
+      // 사라진 항목 제거
+      [...previous.values(), ...duplicates].forEach((row) => {
+        destroyScope(row.scope);
+        row.node.remove();
+      });
+
+      // 순서 맞추기 (위치가 다른 노드만 이동)
+      let prev = anchor;
+      next.forEach((row) => {
+        if (prev.nextSibling !== row.node) {
+          prev.after(row.node);
+        }
+        prev = row.node;
+      });
+
+      rows = next;
+    });
+  }
+}
+
+/**
+ * 스코프 생성
+ * @private
+ * @param {Object|null} locals - 반복 변수
+ * @returns {Object} { locals, updaters, cleanups }
+ */
+function createScope(locals) {
+  return { locals, updaters: [], cleanups: [] };
+}
+
+/**
+ * 스코프 해제 (감시자, 이벤트 리스너, 하위 반복 항목)
+ * @private
+ * @param {Object} scope - 스코프
+ */
+function destroyScope(scope) {
+  scope.cleanups.forEach((cleanup) => {
+    try {
+      cleanup();
+    } catch (error) {
+      console.error('DataBinder: error during cleanup:', error);
+    }
+  });
+  scope.cleanups = [];
+  scope.updaters = [];
+}
+
+/**
+ * 조건 판별 (빈 배열은 거짓)
+ * @private
+ */
+function truthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+/**
+ * 반복 대상을 [key, value] 목록으로 변환
+ * @private
+ */
+function toEntries(value) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.map((item, index) => [index, item]);
+  if (value instanceof Map) return Array.from(value.entries());
+  if (typeof value[Symbol.iterator] === 'function' && typeof value !== 'string') {
+    return Array.from(value, (item, index) => [index, item]);
+  }
+  if (typeof value === 'object') return Object.entries(value);
+  return [];
+}
+
+export default DataBinder;
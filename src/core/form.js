@@ -8,6 +8,8 @@
  * @class
  * @description 폼 입력 값의 검증을 수행하는 클래스입니다.
  * 다양한 검증 규칙(required, email, min, max 등)을 제공합니다.
+ * 서버 확인 같은 비동기 규칙(remote), 조건부 규칙(when, requiredIf),
+ * 여러 필드에 걸친 폼 규칙(formRules)도 지원합니다.
  *
  * @example
  * const validator = new FormValidator('#myForm', {
@@ -32,6 +34,32 @@ export class FormValidator {
     return new FormValidator(form, rules, options);
   }
 
+  /**
+   * 조건부 규칙 생성 (다른 필드의 값이 조건과 같을 때만 검증)
+   * @param {string} field - 조건 필드 이름
+   * @param {*|Array|Function} value - 조건 값, 값 목록 또는 (value, values) => boolean
+   * @param {Object} rules - 조건이 맞을 때 적용할 규칙
+   * @returns {Object} 필드 규칙
+   *
+   * @example
+   * FormValidator.create('#signup', {
+   *   accountType: { required: true },
+   *   companyName: FormValidator.when('accountType', 'business', { required: true, minLength: 2 })
+   * });
+   */
+  static when(field, value, rules) {
+    return { ...rules, when: { field, value } };
+  }
+
+  /**
+   * @param {string|HTMLElement} form - 폼 선택자 또는 요소
+   * @param {Object} rules - 필드별 검증 규칙
+   * @param {Object} [options={}] - 옵션
+   * @param {Array<Object>} [options.formRules] - 여러 필드에 걸친 폼 규칙 (addFormRule 참고)
+   * @param {number} [options.asyncDebounce=300] - 입력 중 비동기 규칙 지연 시간 (ms)
+   * @param {string} [options.pendingClass='is-pending'] - 비동기 검사 중 필드 클래스
+   * @param {string} [options.asyncErrorMessage] - 비동기 검사 실패(예외) 시 메시지
+   */
   constructor(form, rules, options = {}) {
     this.form = typeof form === 'string' ? document.querySelector(form) : form;
     this.rules = rules;
@@ -40,14 +68,24 @@ export class FormValidator {
       validateOnInput: false,
       errorClass: 'is-invalid',
       successClass: 'is-valid',
+      pendingClass: 'is-pending',
       errorMessageClass: 'error-message',
       showErrorMessages: true,
+      asyncDebounce: 300,
+      asyncErrorMessage: '확인 중 오류가 발생했습니다. 다시 시도해주세요.',
       ...options
     };
 
     this.errors = {};
     this.touched = {};
+    this.formRules = [];
     this._eventHandlers = [];
+    this._dependents = new Map();   // 조건 필드 → 다시 검증할 필드
+    this._ruleErrors = new Map();   // 폼 규칙 → 에러 메시지
+    this._pending = new Map();      // 필드 이름 또는 폼 규칙 → 진행 중인 비동기 검사
+    this._asyncCache = new Map();   // 필드 이름 또는 폼 규칙 → 마지막 비동기 검사 결과
+
+    (this.options.formRules || []).forEach(rule => this.addFormRule(rule));
 
     this._init();
   }
@@ -61,67 +99,397 @@ export class FormValidator {
 
     // 각 필드에 이벤트 리스너 추가
     Object.keys(this.rules).forEach(fieldName => {
+      const rules = this.rules[fieldName];
+
+      // 조건 필드가 바뀌면 이 필드를 다시 검증
+      [rules.when, rules.requiredIf, rules.match].forEach((condition) => {
+        const source = conditionField(condition);
+        if (!source) return;
+        if (!this._dependents.has(source)) this._dependents.set(source, new Set());
+        this._dependents.get(source).add(fieldName);
+      });
+
       const field = this.form.elements[fieldName];
-      if (!field) return;
+      if (!field || !field.addEventListener) return;
 
       if (this.options.validateOnBlur) {
-        const blurHandler = () => this._validateField(fieldName);
+        const blurHandler = () => this._handleField(fieldName);
         field.addEventListener('blur', blurHandler);
         this._eventHandlers.push({ element: field, event: 'blur', handler: blurHandler });
       }
 
       if (this.options.validateOnInput) {
-        const inputHandler = () => this._validateField(fieldName);
+        const inputHandler = () => this._handleField(fieldName, { debounce: true });
         field.addEventListener('input', inputHandler);
         this._eventHandlers.push({ element: field, event: 'input', handler: inputHandler });
       }
     });
 
+    // 규칙이 없는 조건 필드(select, radio 등)의 변경
+    const changeHandler = (e) => {
+      const name = e.target && e.target.name;
+      if (!name) return;
+      this.touched[name] = true;
+      this._revalidateDependents(name);
+    };
+    this.form.addEventListener('change', changeHandler);
+    this._eventHandlers.push({ element: this.form, event: 'change', handler: changeHandler });
+
     // 폼 제출 이벤트
     const submitHandler = (e) => {
-      if (!this.validate()) {
-        e.preventDefault();
-      }
+      if (this.validate()) return;
+
+      e.preventDefault();
+      if (this._pending.size === 0) return;
+
+      // 비동기 검사가 끝나고 통과하면 다시 제출 (결과는 캐시되어 바로 통과)
+      const submitter = e.submitter && e.submitter.form === this.form ? e.submitter : undefined;
+      this.validateAsync().then((isValid) => {
+        if (!isValid || !this.form) return;
+        if (typeof this.form.requestSubmit === 'function') {
+          this.form.requestSubmit(submitter);
+        } else {
+          this.form.submit();
+        }
+      });
     };
     this.form.addEventListener('submit', submitHandler);
     this._eventHandlers.push({ element: this.form, event: 'submit', handler: submitHandler });
   }
 
+  /**
+   * 필드 이벤트 처리 (필드, 의존 필드, 폼 규칙 검증)
+   * @private
+   * @param {string} fieldName - 필드 이름
+   * @param {Object} [options] - { debounce } 비동기 규칙 지연 여부
+   */
+  _handleField(fieldName, options) {
+    this._validateField(fieldName, options);
+    this._revalidateDependents(fieldName, options);
+  }
+
+  /**
+   * 필드 값에 의존하는 필드와 폼 규칙 다시 검증
+   * @private
+   * @param {string} fieldName - 바뀐 필드 이름
+   * @param {Object} [options] - { debounce } 비동기 규칙 지연 여부
+   */
+  _revalidateDependents(fieldName, options) {
+    const dependents = this._dependents.get(fieldName);
+    if (dependents) {
+      dependents.forEach((name) => {
+        if (this.touched[name]) this._validateField(name, options);
+      });
+    }
+
+    // 관련 필드를 모두 입력한 폼 규칙만 검사
+    this.formRules.forEach((rule) => {
+      if (rule.fields.includes(fieldName) && rule.fields.every(name => this.touched[name])) {
+        this._validateFormRule(rule);
+      }
+    });
+  }
+
   /**
    * 단일 필드 검증
+   * 비동기 규칙은 동기 규칙을 모두 통과한 뒤 실행되며, 결과가 나올 때까지 false를 반환합니다.
    * @param {string} fieldName - 필드 이름
+   * @param {Object} [options] - 옵션
+   * @param {boolean} [options.debounce=false] - 비동기 규칙을 asyncDebounce만큼 지연 (입력 중 검증)
    * @returns {boolean} 검증 성공 여부
    */
-  _validateField(fieldName) {
+  _validateField(fieldName, { debounce = false } = {}) {
     const field = this.form.elements[fieldName];
     if (!field) return true;
 
     const rules = this.rules[fieldName];
     const value = field.value;
+    const values = this.getValues();
 
     this.touched[fieldName] = true;
 
+    // 조건이 맞지 않으면 검증하지 않음
+    if (rules.when !== undefined && !matchesCondition(rules.when, values, this.form)) {
+      return this._finish(fieldName, { valid: true });
+    }
+
+    const context = { fieldName, values };
+    const deferred = [];
+
     // 모든 규칙 검사
     for (const [ruleName, ruleValue] of Object.entries(rules)) {
       const validator = this.validators[ruleName];
       if (!validator) continue;
 
-      const result = validator.validate(value, ruleValue, this.form);
+      // 비동기 규칙은 빈 값이면 건너뜀 (필수 여부는 required로 검사)
+      if (validator.async) {
+        if (hasValue(value)) deferred.push({ validator, ruleValue });
+        continue;
+      }
+
+      const result = validator.validate(value, ruleValue, this.form, context);
+      if (isThenable(result)) {
+        deferred.push({ promise: result });
+        continue;
+      }
+
       if (!result.valid) {
-        this.errors[fieldName] = result.message;
-        this._updateFieldUI(field, false, result.message);
-        return false;
+        return this._finish(fieldName, result);
       }
     }
 
     // 모든 규칙 통과
-    delete this.errors[fieldName];
-    this._updateFieldUI(field, true);
-    return true;
+    if (deferred.length === 0) {
+      return this._finish(fieldName, { valid: true });
+    }
+
+    // 같은 값에 대한 비동기 결과가 있으면 재사용
+    const cached = this._asyncCache.get(fieldName);
+    if (cached && cached.signature === value) {
+      return this._finish(fieldName, cached.result);
+    }
+
+    const wait = debounce
+      ? Math.max(...deferred.map(({ validator, ruleValue }) => (
+        (ruleValue && ruleValue.debounce) ?? (validator && validator.debounce) ?? this.options.asyncDebounce
+      )))
+      : 0;
+
+    return this._schedule(fieldName, {
+      signature: value,
+      wait,
+      task: signal => this._runDeferred(deferred, value, { ...context, signal })
+    });
+  }
+
+  /**
+   * 비동기 규칙 순서대로 실행 (첫 실패에서 중단)
+   * @private
+   * @param {Array<Object>} deferred - { validator, ruleValue } 또는 { promise }
+   * @param {string} value - 필드 값
+   * @param {Object} context - { fieldName, values, signal }
+   * @returns {Promise<Object>} { valid, message }
+   */
+  async _runDeferred(deferred, value, context) {
+    for (const { validator, ruleValue, promise } of deferred) {
+      if (context.signal.aborted) break;
+
+      const result = await this._settle(
+        () => promise || validator.validate(value, ruleValue, this.form, context),
+        context.signal
+      );
+      if (!result.valid) return result;
+    }
+    return { valid: true };
+  }
+
+  /**
+   * 비동기 결과를 { valid, message }로 정리 (예외는 실패로 처리)
+   * @private
+   * @param {Function} run - () => Promise|결과
+   * @param {AbortSignal} signal - 취소 시그널
+   * @param {string} [message] - boolean 결과일 때 메시지
+   * @returns {Promise<Object>} { valid, message }
+   */
+  async _settle(run, signal, message = DEFAULT_MESSAGE) {
+    try {
+      return toResult(await run(), message);
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('FormValidator: async validation failed', error);
+      }
+      return { valid: false, message: this.options.asyncErrorMessage };
+    }
+  }
+
+  /**
+   * 비동기 검사 예약 (이전 검사 취소, 대기 상태 표시)
+   * @private
+   * @param {string|Object} key - 필드 이름 또는 폼 규칙
+   * @param {Object} options - 옵션
+   * @param {string} options.signature - 검사 대상 값 (같은 값이면 진행 중인 검사 유지)
+   * @param {number} [options.wait=0] - 지연 시간 (ms)
+   * @param {AbortController} [options.controller] - 취소 컨트롤러
+   * @param {Function} options.task - (signal) => Promise<{ valid, message }>
+   * @returns {boolean} 항상 false (결과 대기 중)
+   */
+  _schedule(key, { signature, wait = 0, controller = new AbortController(), task }) {
+    const current = this._pending.get(key);
+    if (current && current.signature === signature && (current.timer === null || wait > 0)) {
+      controller.abort();
+      return false;
+    }
+
+    this._cancel(key);
+
+    // 이전 결과는 새 검사가 끝날 때까지 대기 상태로 표시
+    if (typeof key === 'string') {
+      delete this.errors[key];
+    } else {
+      this._ruleErrors.delete(key);
+    }
+
+    const entry = { signature, controller, timer: null, resolve: null };
+    this._pending.set(key, entry);
+
+    entry.promise = new Promise((resolve) => {
+      entry.resolve = resolve;
+
+      const run = async () => {
+        entry.timer = null;
+        const result = await task(controller.signal);
+
+        // 취소되었거나 새 검사로 대체된 결과는 무시
+        if (this._pending.get(key) !== entry) return;
+
+        this._pending.delete(key);
+        this._asyncCache.set(key, { signature, result });
+        resolve(this._apply(key, result));
+      };
+
+      if (wait > 0) {
+        entry.timer = setTimeout(run, wait);
+      } else {
+        run();
+      }
+    });
+
+    this._refresh(key);
+    return false;
+  }
+
+  /**
+   * 진행 중인 비동기 검사 취소
+   * @private
+   * @param {string|Object} key - 필드 이름 또는 폼 규칙
+   */
+  _cancel(key) {
+    const entry = this._pending.get(key);
+    if (!entry) return;
+
+    this._pending.delete(key);
+    clearTimeout(entry.timer);
+    entry.controller.abort();
+    entry.resolve(false);
+  }
+
+  /**
+   * 검사 결과 확정 (진행 중인 비동기 검사는 취소)
+   * @private
+   * @param {string|Object} key - 필드 이름 또는 폼 규칙
+   * @param {Object} result - { valid, message }
+   * @returns {boolean} 검증 성공 여부
+   */
+  _finish(key, result) {
+    this._cancel(key);
+    return this._apply(key, result);
+  }
+
+  /**
+   * 검사 결과 저장 및 UI 반영
+   * @private
+   * @param {string|Object} key - 필드 이름 또는 폼 규칙
+   * @param {Object} result - { valid, message }
+   * @returns {boolean} 검증 성공 여부
+   */
+  _apply(key, result) {
+    if (typeof key === 'string') {
+      if (result.valid) {
+        delete this.errors[key];
+      } else {
+        this.errors[key] = result.message;
+      }
+    } else if (result.valid) {
+      this._ruleErrors.delete(key);
+    } else {
+      this._ruleErrors.set(key, result.message);
+    }
+
+    this._refresh(key);
+    return result.valid;
+  }
+
+  /**
+   * 검사 대상 필드의 UI 갱신 (필드 에러 → 폼 규칙 에러 → 대기 → 성공 순)
+   * @private
+   * @param {string|Object} key - 필드 이름 또는 폼 규칙
+   */
+  _refresh(key) {
+    const fieldName = typeof key === 'string' ? key : key.field;
+    const field = fieldName && this.form.elements[fieldName];
+    if (!field || !field.classList) return;
+
+    const error = this.errors[fieldName] || this._ruleError(fieldName);
+    const rules = this.rules[fieldName];
+
+    if (error) {
+      this._updateFieldUI(field, false, error);
+    } else if (this.isPending(fieldName)) {
+      this._updateFieldUI(field, 'pending');
+    } else if (rules && rules.when !== undefined && !matchesCondition(rules.when, this.getValues(), this.form)) {
+      this._updateFieldUI(field, null);
+    } else {
+      this._updateFieldUI(field, true);
+    }
+  }
+
+  /**
+   * 필드에 표시할 폼 규칙 에러
+   * @private
+   * @param {string} fieldName - 필드 이름
+   * @returns {string|null} 에러 메시지
+   */
+  _ruleError(fieldName) {
+    for (const [rule, message] of this._ruleErrors) {
+      if (rule.field === fieldName) return message;
+    }
+    return null;
+  }
+
+  /**
+   * 폼 규칙 검증
+   * @private
+   * @param {Object} rule - 폼 규칙
+   * @returns {boolean} 검증 성공 여부 (비동기 검사 중이면 false)
+   */
+  _validateFormRule(rule) {
+    const values = this.getValues();
+
+    if (rule.when !== undefined && !matchesCondition(rule.when, values, this.form)) {
+      return this._finish(rule, { valid: true });
+    }
+
+    const signature = JSON.stringify(rule.fields.map(name => values[name] ?? null));
+    const cached = this._asyncCache.get(rule);
+    if (cached && cached.signature === signature) {
+      return this._finish(rule, cached.result);
+    }
+
+    const controller = new AbortController();
+    const message = rule.message || DEFAULT_MESSAGE;
+    let result;
+
+    try {
+      result = rule.validate(values, { form: this.form, signal: controller.signal });
+    } catch (error) {
+      console.error('FormValidator: form rule failed', error);
+      return this._finish(rule, { valid: false, message });
+    }
+
+    if (!isThenable(result)) {
+      return this._finish(rule, toResult(result, message));
+    }
+
+    return this._schedule(rule, {
+      signature,
+      controller,
+      task: signal => this._settle(() => result, signal, message)
+    });
   }
 
   /**
    * 전체 폼 검증
+   * 비동기 규칙이 진행 중이면 false를 반환합니다. 결과까지 기다리려면 validateAsync()를 사용하세요.
    * @returns {boolean} 검증 성공 여부
    */
   validate() {
@@ -133,23 +501,66 @@ export class FormValidator {
       }
     });
 
+    this.formRules.forEach(rule => {
+      if (!this._validateFormRule(rule)) {
+        isValid = false;
+      }
+    });
+
     return isValid;
   }
 
+  /**
+   * 전체 폼 검증 (비동기 규칙 완료까지 대기)
+   * 입력 중 지연된 검사는 바로 실행하고, 같은 값으로 끝난 검사 결과는 재사용합니다.
+   * @returns {Promise<boolean>} 검증 성공 여부
+   *
+   * @example
+   * form.addEventListener('submit', async (e) => {
+   *   e.preventDefault();
+   *   if (!(await validator.validateAsync())) return;
+   *   await CATUI.api.post('/api/signup', new FormData(form));
+   * });
+   */
+  async validateAsync() {
+    if (this.validate()) return true;
+
+    // 검사 중 다른 검사가 다시 예약될 수 있으므로 모두 끝날 때까지 대기
+    while (this._pending.size > 0) {
+      await Promise.all(Array.from(this._pending.values(), entry => entry.promise));
+    }
+
+    return this.isValid();
+  }
+
   /**
    * 필드 UI 업데이트
    * @private
+   * @param {HTMLElement} field - 필드 요소
+   * @param {boolean|string|null} state - 검증 결과 (true, false, 'pending' 또는 null은 상태 없음)
+   * @param {string} [errorMessage=''] - 에러 메시지
    */
-  _updateFieldUI(field, isValid, errorMessage = '') {
+  _updateFieldUI(field, state, errorMessage = '') {
+    const { errorClass, successClass, pendingClass } = this.options;
+    const isValid = state === true;
+
     // 클래스 업데이트
-    field.classList.remove(this.options.errorClass, this.options.successClass);
-    field.classList.add(isValid ? this.options.successClass : this.options.errorClass);
+    field.classList.remove(errorClass, successClass, pendingClass);
+    if (state === 'pending') {
+      field.classList.add(pendingClass);
+      field.setAttribute('aria-busy', 'true');
+    } else {
+      field.removeAttribute('aria-busy');
+      if (state !== null) {
+        field.classList.add(isValid ? successClass : errorClass);
+      }
+    }
 
     // 에러 메시지 표시
     if (this.options.showErrorMessages) {
       let errorEl = field.parentElement.querySelector(`.${this.options.errorMessageClass}`);
 
-      if (!isValid && errorMessage) {
+      if (state === false && errorMessage) {
         if (!errorEl) {
           errorEl = document.createElement('div');
           errorEl.className = this.options.errorMessageClass;
@@ -163,12 +574,50 @@ export class FormValidator {
     }
   }
 
+  /**
+   * 폼 값 가져오기 (체크박스는 boolean, 같은 이름의 체크박스와 다중 선택은 배열)
+   * @returns {Object} 필드 이름 → 값
+   */
+  getValues() {
+    const values = {};
+    if (!this.form) return values;
+
+    Array.from(this.form.elements).forEach((element) => {
+      const { name } = element;
+      if (!name || name in values) return;
+      values[name] = readValue(this.form.elements[name]);
+    });
+
+    return values;
+  }
+
+  /**
+   * 비동기 검사 진행 여부
+   * @param {string} [fieldName] - 필드 이름 (생략하면 폼 전체)
+   * @returns {boolean}
+   */
+  isPending(fieldName) {
+    if (fieldName === undefined) return this._pending.size > 0;
+    if (this._pending.has(fieldName)) return true;
+
+    for (const key of this._pending.keys()) {
+      if (typeof key === 'object' && key.field === fieldName) return true;
+    }
+    return false;
+  }
+
   /**
    * 에러 목록 가져오기
+   * 폼 규칙 에러는 rule.field(없으면 rule.name 또는 'form') 키로 포함됩니다.
    * @returns {Object} 에러 객체
    */
   getErrors() {
-    return { ...this.errors };
+    const errors = {};
+    this._ruleErrors.forEach((message, rule) => {
+      const key = rule.field || rule.name || 'form';
+      if (!(key in errors)) errors[key] = message;
+    });
+    return { ...errors, ...this.errors };
   }
 
   /**
@@ -177,21 +626,24 @@ export class FormValidator {
    * @returns {string|null} 에러 메시지
    */
   getError(fieldName) {
-    return this.errors[fieldName] || null;
+    return this.getErrors()[fieldName] || null;
   }
 
   /**
-   * 검증 성공 여부
+   * 검증 성공 여부 (비동기 검사 중이면 false)
    * @returns {boolean}
    */
   isValid() {
-    return Object.keys(this.errors).length === 0;
+    return Object.keys(this.errors).length === 0 && this._ruleErrors.size === 0 && this._pending.size === 0;
   }
 
   /**
    * 폼 리셋
    */
   reset() {
+    Array.from(this._pending.keys()).forEach(key => this._cancel(key));
+    this._asyncCache.clear();
+    this._ruleErrors.clear();
     this.errors = {};
     this.touched = {};
 
@@ -199,10 +651,14 @@ export class FormValidator {
       this.form.reset();
 
       // UI 초기화
-      Object.keys(this.rules).forEach(fieldName => {
+      const fieldNames = new Set(Object.keys(this.rules));
+      this.formRules.forEach(rule => rule.field && fieldNames.add(rule.field));
+
+      fieldNames.forEach(fieldName => {
         const field = this.form.elements[fieldName];
-        if (field) {
-          field.classList.remove(this.options.errorClass, this.options.successClass);
+        if (field && field.classList) {
+          field.classList.remove(this.options.errorClass, this.options.successClass, this.options.pendingClass);
+          field.removeAttribute('aria-busy');
           const errorEl = field.parentElement.querySelector(`.${this.options.errorMessageClass}`);
           if (errorEl) {
             errorEl.style.display = 'none';
@@ -216,6 +672,7 @@ export class FormValidator {
    * 이벤트 리스너 정리
    */
   destroy() {
+    Array.from(this._pending.keys()).forEach(key => this._cancel(key));
     this._eventHandlers.forEach(({ element, event, handler }) => {
       element.removeEventListener(event, handler);
     });
@@ -233,6 +690,17 @@ export class FormValidator {
       })
     },
 
+    requiredIf: {
+      validate: (value, condition, form, context = {}) => {
+        const values = context.values || {};
+        if (!matchesCondition(condition, values, form)) return { valid: true };
+        return {
+          valid: hasValue(value),
+          message: '필수 입력 항목입니다.'
+        };
+      }
+    },
+
     email: {
       validate: (value) => {
         if (!value) return { valid: true };
@@ -328,8 +796,8 @@ export class FormValidator {
     },
 
     custom: {
-      validate: (value, fn) => {
-        const result = fn(value);
+      validate: (value, fn, form, context) => {
+        const result = fn(value, context);
         if (typeof result === 'boolean') {
           return {
             valid: result,
@@ -338,6 +806,15 @@ export class FormValidator {
         }
         return result;
       }
+    },
+
+    remote: {
+      async: true,
+      validate: async (value, option, form, context) => {
+        const check = typeof option === 'function' ? option : option.validate;
+        const result = await check(value, context);
+        return toResult(result, option.message || '사용할 수 없는 값입니다.');
+      }
     }
   };
 
@@ -349,6 +826,135 @@ export class FormValidator {
   addValidator(name, validator) {
     this.validators[name] = validator;
   }
+
+  /**
+   * 폼 규칙 추가 (여러 필드에 걸친 검증)
+   * 관련 필드를 모두 입력한 뒤와 validate() 시 검사하며, 에러는 rule.field에 표시됩니다.
+   * @param {Object} rule - 폼 규칙
+   * @param {string[]} rule.fields - 관련 필드 이름
+   * @param {Function} rule.validate - (values, { form, signal }) => boolean|{ valid, message }|Promise
+   * @param {string} [rule.message] - 실패 메시지
+   * @param {string} [rule.field] - 에러를 표시할 필드
+   * @param {string} [rule.name] - field가 없을 때 getErrors()의 키 (기본값: 'form')
+   * @param {*} [rule.when] - 조건 (필드 이름, { field, value } 또는 (values) => boolean)
+   * @returns {boolean} 추가 성공 여부
+   *
+   * @example
+   * validator.addFormRule({
+   *   fields: ['startDate', 'endDate'],
+   *   field: 'endDate',
+   *   validate: ({ startDate, endDate }) => !startDate || !endDate || startDate <= endDate,
+   *   message: '종료일은 시작일 이후여야 합니다.'
+   * });
+   */
+  addFormRule(rule) {
+    if (!rule || typeof rule.validate !== 'function') {
+      console.error('FormValidator.addFormRule: rule.validate must be a function');
+      return false;
+    }
+
+    this.formRules.push({ ...rule, fields: rule.fields || [] });
+    return true;
+  }
+}
+
+const DEFAULT_MESSAGE = '유효하지 않은 값입니다.';
+
+/**
+ * 값이 입력되었는지 확인 (배열은 길이, 체크박스는 선택 여부)
+ * @private
+ */
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'boolean') return value;
+  return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+/**
+ * Promise 여부
+ * @private
+ */
+function isThenable(value) {
+  return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
+
+/**
+ * 검증 결과를 { valid, message }로 변환
+ * @private
+ * @param {boolean|Object} result - 검증 결과
+ * @param {string} message - boolean 결과일 때 메시지
+ * @returns {Object}
+ */
+function toResult(result, message) {
+  if (result && typeof result === 'object') {
+    return { valid: Boolean(result.valid), message: result.message || message };
+  }
+  return { valid: Boolean(result), message };
+}
+
+/**
+ * 요소의 값 읽기 (체크박스는 boolean, 같은 이름의 체크박스와 다중 선택은 배열)
+ * @private
+ * @param {Element|RadioNodeList} field - 폼 요소 또는 같은 이름의 요소 목록
+ * @returns {*}
+ */
+function readValue(field) {
+  if (!field) return undefined;
+
+  if (!field.tagName && typeof field.length === 'number') {
+    const elements = Array.from(field);
+    if (elements.some(element => element.type === 'checkbox')) {
+      return elements.filter(element => element.checked).map(element => element.value);
+    }
+    return field.value;
+  }
+
+  if (field.type === 'checkbox') return field.checked;
+  if (field.type === 'select-multiple') {
+    return Array.from(field.selectedOptions, option => option.value);
+  }
+  return field.value;
+}
+
+/**
+ * 조건 일치 여부
+ * @private
+ * @param {string|Object|Function} condition - 필드 이름(값이 있으면 일치), { field, value } 또는 (values, form) => boolean
+ * @param {Object} values - 폼 값
+ * @param {HTMLFormElement} form - 폼 요소
+ * @returns {boolean}
+ */
+function matchesCondition(condition, values, form) {
+  if (typeof condition === 'function') return Boolean(condition(values, form));
+  if (typeof condition === 'string') return hasValue(values[condition]);
+  if (!condition || typeof condition !== 'object') return Boolean(condition);
+
+  const actual = values[condition.field];
+  const expected = condition.value;
+
+  if (expected === undefined) return hasValue(actual);
+  if (typeof expected === 'function') return Boolean(expected(actual, values));
+  if (Array.isArray(expected)) return expected.some(item => sameValue(actual, item));
+  return sameValue(actual, expected);
+}
+
+/**
+ * 폼 값과 조건 값 비교 (문자열 기준, 배열은 포함 여부)
+ * @private
+ */
+function sameValue(actual, expected) {
+  if (Array.isArray(actual)) return actual.some(item => String(item) === String(expected));
+  return String(actual ?? '') === String(expected);
+}
+
+/**
+ * 조건이 참조하는 필드 이름
+ * @private
+ */
+function conditionField(condition) {
+  if (typeof condition === 'string') return condition;
+  if (condition && typeof condition === 'object' && typeof condition.field === 'string') return condition.field;
+  return null;
 }
 
 export default FormValidator;
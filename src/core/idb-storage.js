@@ -0,0 +1,265 @@
+/**
+ * IndexedDB 저장소 - Storage의 비동기 백엔드
+ * @module core/idb-storage
+ */
+
+// 기본 데이터베이스 설정
+const DEFAULT_DB_NAME = 'catui-storage';
+const STORE_NAME = 'entries';
+const EXPIRES_INDEX = 'expires';
+
+/**
+ * IndexedDB 저장소
+ * @class
+ * @description Storage와 같은 set/get/has/remove/keys 의미를 가진 IndexedDB 기반 비동기 저장소입니다.
+ * 값은 구조화 복제로 저장되므로 Blob, File, ArrayBuffer, Map, Date, 큰 배열도 JSON 변환 없이 저장할 수 있습니다.
+ *
+ * 보통은 Storage의 storage 옵션에 'indexeddb'를 지정해 사용합니다.
+ *
+ * @example
+ * await Storage.set('avatar', blob, { storage: 'indexeddb', expires: 86400 });
+ * const avatar = await Storage.get('avatar', null, 'indexeddb');
+ *
+ * // 별도 데이터베이스
+ * const messages = new IDBStorage({ name: 'chat-history' });
+ * await messages.set('room:1', history);
+ */
+export class IDBStorage {
+  /**
+   * IDBStorage 생성자
+   * @constructor
+   * @param {Object} [options] - 옵션
+   * @param {string} [options.name='catui-storage'] - 데이터베이스 이름
+   */
+  constructor(options = {}) {
+    this.name = options.name || DEFAULT_DB_NAME;
+    this._db = null;
+  }
+
+  /**
+   * 지원 여부
+   * @type {boolean}
+   */
+  static get supported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * 값 저장
+   * @param {string} key - 키
+   * @param {*} value - 값 (구조화 복제 가능한 값)
+   * @param {Object} [options] - 옵션
+   * @param {number} [options.expires] - 만료 시간 (초)
+   * @returns {Promise<boolean>} 성공 여부
+   */
+  async set(key, value, options = {}) {
+    if (!key || typeof key !== 'string') {
+      console.error('IDBStorage.set: key must be a non-empty string');
+      return false;
+    }
+
+    const entry = { key, value, timestamp: Date.now() };
+    if (options.expires && typeof options.expires === 'number') {
+      entry.expires = Date.now() + (options.expires * 1000);
+    }
+
+    try {
+      await this._request('readwrite', store => store.put(entry));
+      return true;
+    } catch (error) {
+      console.error('IDBStorage.set error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 값 가져오기
+   * @param {string} key - 키
+   * @param {*} [defaultValue=null] - 기본값 (없거나 만료된 경우 반환)
+   * @returns {Promise<*>} 저장된 값 또는 기본값
+   */
+  async get(key, defaultValue = null) {
+    const entry = await this._getEntry(key);
+    return entry ? entry.value : defaultValue;
+  }
+
+  /**
+   * 값 존재 확인
+   * @param {string} key - 키
+   * @returns {Promise<boolean>} 존재 여부
+   */
+  async has(key) {
+    return Boolean(await this._getEntry(key));
+  }
+
+  /**
+   * 값 제거
+   * @param {string} key - 키
+   * @returns {Promise<boolean>} 성공 여부
+   */
+  async remove(key) {
+    if (!key || typeof key !== 'string') {
+      return false;
+    }
+
+    try {
+      await this._request('readwrite', store => store.delete(key));
+      return true;
+    } catch (error) {
+      console.error('IDBStorage.remove error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 모든 값 제거
+   * @returns {Promise<boolean>} 성공 여부
+   */
+  async clear() {
+    try {
+      await this._request('readwrite', store => store.clear());
+      return true;
+    } catch (error) {
+      console.error('IDBStorage.clear error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 모든 키 목록 가져오기
+   * @returns {Promise<string[]>} 키 배열
+   */
+  async keys() {
+    try {
+      return await this._request('readonly', store => store.getAllKeys());
+    } catch (error) {
+      console.error('IDBStorage.keys error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 만료된 항목 제거
+   * @param {string} [prefix=''] - 이 접두사로 시작하는 키만 제거
+   * @returns {Promise<number>} 제거된 항목 수
+   */
+  async cleanExpired(prefix = '') {
+    try {
+      const range = IDBKeyRange.upperBound(Date.now());
+      let removed = 0;
+
+      await this._request('readwrite', (store) => {
+        // 만료 시간이 있는 항목만 인덱스에 포함되므로 값은 읽지 않음
+        const request = store.index(EXPIRES_INDEX).openKeyCursor(range);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          if (String(cursor.primaryKey).startsWith(prefix)) {
+            store.delete(cursor.primaryKey);
+            removed++;
+          }
+          cursor.continue();
+        };
+        return request;
+      });
+
+      return removed;
+    } catch (error) {
+      console.error('IDBStorage.cleanExpired error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * 데이터베이스 연결 종료
+   */
+  close() {
+    if (this._db) {
+      this._db.then(db => db.close(), () => {});
+      this._db = null;
+    }
+  }
+
+  /**
+   * 만료되지 않은 항목 조회 (만료된 항목은 제거)
+   * @private
+   * @param {string} key - 키
+   * @returns {Promise<Object|null>} { key, value, timestamp, expires }
+   */
+  async _getEntry(key) {
+    if (!key || typeof key !== 'string') {
+      return null;
+    }
+
+    try {
+      const entry = await this._request('readonly', store => store.get(key));
+      if (!entry) return null;
+
+      if (entry.expires && Date.now() > entry.expires) {
+        await this.remove(key);
+        return null;
+      }
+
+      return entry;
+    } catch (error) {
+      console.error('IDBStorage.get error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 데이터베이스 열기
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        if (!IDBStorage.supported) {
+          reject(new Error('IndexedDB is not supported'));
+          return;
+        }
+
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          store.createIndex(EXPIRES_INDEX, 'expires');
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // 다른 탭에서 버전을 올리면 연결을 닫고 다음 요청에서 다시 연결
+          db.onversionchange = () => {
+            db.close();
+            this._db = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+      }).catch((error) => {
+        this._db = null;
+        throw error;
+      });
+    }
+    return this._db;
+  }
+
+  /**
+   * 트랜잭션 요청 실행 (트랜잭션 완료 후 결과 반환)
+   * @private
+   * @param {string} mode - 'readonly' 또는 'readwrite'
+   * @param {Function} fn - (store) => IDBRequest
+   * @returns {Promise<*>}
+   */
+  async _request(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = fn(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
+
+export default IDBStorage;
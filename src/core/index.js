@@ -9,8 +9,14 @@ import { DOM } from './dom.js';
 import { EventBus } from './event.js';
 import { ModuleLoader } from './loader.js';
 import { ViewRouter } from './router.js';
+import { BackButtonDispatcher } from './backbutton.js';
 import LoadingIndicator from './loading.js';
 import { APIUtil } from './api.js';
+import { SessionManager } from './session.js';
+import { Realtime } from './realtime.js';
+import { TabSync } from './sync.js';
+import { DataBinder } from './binding.js';
+import { ListReconciler } from './reconcile.js';
 import { Security } from './security.js';
 import { Utils } from './utils.js';
 import { Template } from './template.js';
@@ -47,6 +53,11 @@ class CATUIMobileCore {
     this.eventBus = new EventBus();
     this.loader = new ModuleLoader();
     this.router = new ViewRouter();
+    this.backButton = new BackButtonDispatcher(this.router);
+    this.session = new SessionManager(this.eventBus);
+    this.realtime = new Realtime(this.eventBus);
+    this.sync = new TabSync(this.eventBus);
+    this.binder = new DataBinder();
     this.loadingIndicator = LoadingIndicator;
 
     // 모바일 전용 인스턴스
@@ -56,17 +67,35 @@ class CATUIMobileCore {
 
     // 이벤트 리스너 추적 (메모리 관리용)
     this._clickHandler = null;
+    this._touchStartHandler = null;
     this._domReadyHandler = null;
 
-    // Router에 Loading 통합 (URL 변경 없이 내부 렌더링만)
+    // Router에 뒤로 가기 디스패처 연결 (하드웨어/브라우저 뒤로 가기 처리)
+    this.router.setBackButton(this.backButton);
+
+    // Router에 Loading 통합
+    // 히스토리 모드는 <meta name="catui-router-mode" content="hash|history|memory">로 지정 (기본값: memory)
     this.router.init({
       loading: this.loadingIndicator,
-      useHistory: false
+      ...this._getRouterOptions()
     });
 
     // Router에 Loader 연결 (인스턴스 자동 정리용)
     this.router.setLoader(this.loader);
 
+    // Router에 데이터 바인딩 연결 (뷰를 떠날 때 자동 해제)
+    this.router.setBinder(this.binder);
+
+    // API 캐시 재검증 이벤트 연결 ('api:revalidate')
+    APIUtil.setEventBus(this.eventBus);
+
+    // 세션 잠금 화면의 auth 모듈 로드용
+    this.session.setLoader(this.loader);
+
+    // 탭 간 동기화 (CATUI.sync.start() 호출 시 동작)
+    this.session.setSync(this.sync);
+    GlobalState.setSync(this.sync);
+
     // catui-href 자동 바인딩 (DOM ready 후)
     this._bindSPALinks();
 
@@ -117,6 +146,7 @@ class CATUIMobileCore {
 
           const path = link.getAttribute('catui-href');
           const target = link.getAttribute('catui-target');
+          const transition = link.getAttribute('catui-transition');
 
           if (path) {
             // 링크별 타겟이 있으면 임시로 변경
@@ -127,7 +157,7 @@ class CATUIMobileCore {
             }
 
             // 네비게이션 실행
-            this.router.navigate(path).then(() => {
+            this.router.navigate(path, transition ? { transition } : false).then(() => {
               // 원래 컨테이너로 복원 (타겟이 지정된 경우만)
               if (target) {
                 this.router.setContainer(originalContainer);
@@ -139,6 +169,18 @@ class CATUIMobileCore {
 
       // capture 단계에서 이벤트 캡처 (더 일찍 처리)
       document.addEventListener('click', this._clickHandler, true);
+
+      // 터치 시작 시 뷰 프리페치 (클릭보다 먼저 요청 시작)
+      this._touchStartHandler = (e) => {
+        const link = e.target.closest?.('[catui-href]');
+        if (link) {
+          this.router.prefetchLink(link);
+        }
+      };
+      document.addEventListener('touchstart', this._touchStartHandler, { capture: true, passive: true });
+
+      // 화면에 보이는 링크 프리페치 (catui-prefetch="visible")
+      this.router.observeLinks(document);
     };
 
     // DOM이 이미 로드되었으면 즉시 실행, 아니면 대기
@@ -231,6 +273,30 @@ class CATUIMobileCore {
     return this.loader.destroyInstances();
   }
 
+  /**
+   * 문서 메타 태그에서 라우터 히스토리 옵션 읽기
+   * @private
+   * @returns {Object} { mode, base }
+   */
+  _getRouterOptions() {
+    const readMeta = (name) => {
+      if (typeof document === 'undefined') return null;
+      return document.querySelector(`meta[name="${name}"]`)?.getAttribute('content')?.trim() || null;
+    };
+
+    const mode = readMeta('catui-router-mode');
+    const options = {
+      mode: ['hash', 'history', 'memory'].includes(mode) ? mode : 'memory'
+    };
+
+    const base = readMeta('catui-router-base');
+    if (base) {
+      options.base = base;
+    }
+
+    return options;
+  }
+
   // ===== View Router API =====
   /**
    * View Router 인스턴스
@@ -296,6 +362,30 @@ class CATUIMobileCore {
     return Template;
   }
 
+  // ===== Data Binding API =====
+  /**
+   * 스토어를 DOM에 바인딩 (catui-bind, catui-model, catui-show, catui-class:*, catui-each)
+   * @param {Proxy} store - StateManager 스토어
+   * @param {string|HTMLElement} root - 루트 요소 또는 선택자
+   * @param {Object} [options] - DataBinder.bind 옵션
+   * @returns {Object|null} 바인딩 (destroy()로 해제)
+   */
+  bind(store, root, options) {
+    return this.binder.bind(store, root, options);
+  }
+
+  // ===== List Reconcile API =====
+  /**
+   * 키 기반 목록 갱신 (바뀐 항목만 추가/이동/교체/제거)
+   * @param {HTMLElement} container - 항목만 담는 컨테이너
+   * @param {Array} items - 아이템 배열
+   * @param {Object} options - ListReconciler.reconcile 옵션 ({ render, key, update, place })
+   * @returns {Object} { added, updated, moved, removed }
+   */
+  reconcile(container, items, options) {
+    return ListReconciler.reconcile(container, items, options);
+  }
+
   // ===== Storage API =====
   /**
    * Storage 유틸리티
@@ -535,18 +625,51 @@ class CATUIMobileCore {
       this._clickHandler = null;
     }
 
+    if (this._touchStartHandler) {
+      document.removeEventListener('touchstart', this._touchStartHandler, { capture: true });
+      this._touchStartHandler = null;
+    }
+
     // DOMContentLoaded 리스너 제거 (아직 실행 안된 경우)
     if (this._domReadyHandler) {
       document.removeEventListener('DOMContentLoaded', this._domReadyHandler);
       this._domReadyHandler = null;
     }
 
+    // 세션 정리 (저장된 토큰은 유지)
+    if (this.session) {
+      this.session.destroy();
+    }
+
+    // 실시간 채널 정리
+    if (this.realtime) {
+      this.realtime.destroy();
+    }
+
+    // 탭 간 동기화 정리
+    GlobalState.setSync(null);
+    if (this.sync) {
+      this.sync.destroy();
+    }
+
+    // 데이터 바인딩 정리
+    if (this.binder) {
+      this.binder.destroy();
+    }
+
+    // 뒤로 가기 디스패처 정리
+    if (this.backButton) {
+      this.backButton.destroy();
+    }
+
     // 라우터 정리
     if (this.router && typeof this.router.destroy === 'function') {
       this.router.destroy();
     }
 
     // 이벤트 버스 정리
+    APIUtil.setEventBus(null);
+    APIUtil.queue.destroy();
     if (this.eventBus && typeof this.eventBus.clear === 'function') {
       this.eventBus.clear();
     }
@@ -571,6 +694,11 @@ class CATUIMobileCore {
 
     // 참조 정리 (메모리 누수 방지)
     this.router = null;
+    this.backButton = null;
+    this.session = null;
+    this.realtime = null;
+    this.sync = null;
+    this.binder = null;
     this.loader = null;
     this.eventBus = null;
     this.loadingIndicator = null;
@@ -612,6 +740,12 @@ const CATUI = Object.assign(
     off: (...args) => coreInstance.off(...args),
     emit: (...args) => coreInstance.emit(...args),
 
+    // Data Binding
+    bind: (store, root, opts) => coreInstance.bind(store, root, opts),
+
+    // List Reconcile
+    reconcile: (container, items, opts) => coreInstance.reconcile(container, items, opts),
+
     // Security
     escape: (str) => coreInstance.escape(str),
     sanitize: (html) => coreInstance.sanitize(html),
@@ -647,6 +781,11 @@ const CATUI = Object.assign(
 CATUI.version = coreInstance.version;
 CATUI.view = coreInstance.view;
 CATUI.router = coreInstance.router;
+CATUI.backButton = coreInstance.backButton;
+CATUI.session = coreInstance.session;
+CATUI.realtime = coreInstance.realtime;
+CATUI.sync = coreInstance.sync;
+CATUI.binder = coreInstance.binder;
 CATUI.api = coreInstance.api;
 CATUI.loading = coreInstance.loading;
 CATUI.template = coreInstance.template;
@@ -377,6 +377,41 @@ export class ModuleLoader {
     }
   }
 
+  /**
+   * 인스턴스 분리 (제외 모듈 제외)
+   * 파괴하지 않고 추적 목록에서만 제거합니다. keep-alive 뷰 캐시에 사용됩니다.
+   * @returns {Map<string, Set>} 분리된 인스턴스 (moduleName -> Set<instance>)
+   */
+  detachInstances() {
+    const detached = new Map();
+
+    for (const [moduleName, instanceSet] of this.instances) {
+      if (this.excludeFromCleanup.has(moduleName) || instanceSet.size === 0) {
+        continue;
+      }
+      detached.set(moduleName, new Set(instanceSet));
+      instanceSet.clear();
+    }
+
+    return detached;
+  }
+
+  /**
+   * 분리된 인스턴스 재등록
+   * @param {Map<string, Set>} detached - detachInstances() 결과
+   */
+  attachInstances(detached) {
+    if (!detached) return;
+
+    for (const [moduleName, instanceSet] of detached) {
+      if (!this.instances.has(moduleName)) {
+        this.instances.set(moduleName, new Set());
+      }
+      const target = this.instances.get(moduleName);
+      instanceSet.forEach(instance => target.add(instance));
+    }
+  }
+
   /**
    * 특정 모듈의 인스턴스 수
    * @param {string} moduleName - 모듈 이름
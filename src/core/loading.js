@@ -29,6 +29,7 @@ export class LoadingIndicator {
     this.showTimer = null;
     this.hideTimer = null;
     this.isShowing = false;
+    this.percent = 0;
   }
 
   /**
@@ -42,6 +43,8 @@ export class LoadingIndicator {
     // 이미 표시 중이면 무시
     if (this.isShowing) return;
 
+    this.percent = 0;
+
     // 기존 타이머 취소
     if (this.hideTimer) {
       clearTimeout(this.hideTimer);
@@ -80,17 +83,23 @@ export class LoadingIndicator {
 
   /**
    * 진행률 설정 (프로그레스 바)
+   * 표시 지연(delay) 중에 설정한 진행률은 표시될 때 적용됩니다.
    * @param {number} percent - 진행률 (0-100)
    *
    * @example
    * loading.progress(50); // 50%
+   *
+   * @example
+   * // APIUtil 업로드 진행률과 직접 연결
+   * CATUI.api.upload('/api/photos', files, { onUploadProgress: loading });
    */
   progress(percent) {
+    this.percent = Math.max(0, Math.min(100, percent));
     if (!this.element) return;
 
     const bar = this.element.querySelector('.imcat-loading-bar-fill');
     if (bar) {
-      bar.style.width = `${Math.max(0, Math.min(100, percent))}%`;
+      bar.style.width = `${this.percent}%`;
     }
   }
 
@@ -140,7 +149,7 @@ export class LoadingIndicator {
     } else if (this.config.style === 'bar') {
       innerHTML = `
         <div class="imcat-loading-bar">
-          <div class="imcat-loading-bar-fill"></div>
+          <div class="imcat-loading-bar-fill" style="width: ${this.percent}%"></div>
         </div>
       `;
     } else if (this.config.style === 'dots') {
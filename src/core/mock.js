@@ -0,0 +1,428 @@
+/**
+ * API 목(Mock) 어댑터
+ * @module core/mock
+ */
+
+/**
+ * API 목 어댑터
+ * @class
+ * @description 백엔드 없이 화면을 개발하거나 테스트할 때 APIUtil 요청을 가로채 응답합니다.
+ * fetch 단계에서 동작하므로 인터셉터, 재시도, 캐시, 세션 갱신 등은 실제와 동일하게 실행됩니다.
+ *
+ * 핸들러는 요청 정보({ method, url, path, params, query, body, headers })를 받아
+ * 데이터, [status, data, headers] 배열, 또는 Response를 반환합니다. 핸들러 대신 고정 데이터(fixture)를 등록할 수도 있습니다.
+ *
+ * @example
+ * const mock = APIUtil.mock({
+ *   'GET /api/users/:id': ({ params }) => ({ id: params.id, name: 'John' }),
+ *   'POST /api/users': ({ body }) => [201, { id: 1, ...body }],
+ *   'GET /api/config': { theme: 'dark' }
+ * }, { delay: [200, 600] });
+ *
+ * mock.fail('GET /api/orders', { status: 503, times: 2 });
+ * mock.calls('POST /api/users'); // 기록된 요청
+ * mock.restore();
+ */
+export class APIMock {
+  /**
+   * APIMock 생성자
+   * @constructor
+   * @param {Object} [options] - 옵션
+   * @param {Function} [options.onRestore] - restore() 호출 시 실행 (APIUtil 연결 해제)
+   */
+  constructor(options = {}) {
+    this.options = {
+      delay: 0,
+      passthrough: true,
+      errorRate: 0,
+      historyLimit: 500
+    };
+
+    this.history = [];
+    this._routes = [];
+    this._failures = [];
+    this._onRestore = options.onRestore || null;
+  }
+
+  /**
+   * 옵션 설정
+   * @param {Object} [options] - 옵션
+   * @param {number|number[]} [options.delay=0] - 응답 지연 (ms 또는 [최소, 최대])
+   * @param {boolean} [options.passthrough=true] - 등록되지 않은 요청을 실제 네트워크로 전송 (false면 404)
+   * @param {number} [options.errorRate=0] - 무작위 네트워크 오류 비율 (0-1)
+   * @param {number} [options.historyLimit=500] - 최대 요청 기록 수 (오래된 기록부터 삭제)
+   * @returns {APIMock}
+   */
+  configure(options = {}) {
+    Object.assign(this.options, options);
+    return this;
+  }
+
+  /**
+   * 라우트 핸들러 등록
+   * @param {string} method - HTTP 메서드 ('*'이면 모든 메서드)
+   * @param {string} path - 경로 패턴 (:param, * 지원)
+   * @param {Function|*} handler - 핸들러 또는 고정 데이터
+   * @param {Object} [options] - 라우트 옵션
+   * @param {number|number[]} [options.delay] - 응답 지연
+   * @param {number} [options.status=200] - 고정 데이터 응답 상태 코드
+   * @returns {Function} 등록 해제 함수
+   *
+   * @example
+   * mock.on('GET', '/api/search', ({ query }) => results.filter(r => r.name.includes(query.q)));
+   */
+  on(method, path, handler, options = {}) {
+    const route = {
+      method: method.toUpperCase(),
+      ...this._compile(path),
+      handler,
+      options
+    };
+
+    this._routes.push(route);
+    return () => {
+      this._routes = this._routes.filter(r => r !== route);
+    };
+  }
+
+  /**
+   * 여러 라우트 등록
+   * @param {Object} routes - { 'METHOD /path': handler }
+   * @returns {APIMock}
+   */
+  routes(routes) {
+    Object.entries(routes).forEach(([key, handler]) => {
+      const { method, path } = this._parseKey(key);
+      this.on(method, path, handler);
+    });
+    return this;
+  }
+
+  /**
+   * 오류 주입
+   * @param {string} key - 'METHOD /path' (메서드 생략 시 모든 메서드)
+   * @param {Object} [options] - 옵션
+   * @param {number} [options.status=500] - HTTP 상태 코드
+   * @param {string} [options.message='Mock error'] - 오류 메시지
+   * @param {boolean} [options.network=false] - 네트워크 오류로 실패
+   * @param {number} [options.times=Infinity] - 실패 횟수 (이후 정상 응답)
+   * @returns {Function} 해제 함수
+   *
+   * @example
+   * mock.fail('GET /api/feed', { network: true, times: 1 }); // 첫 요청만 네트워크 오류
+   */
+  fail(key, options = {}) {
+    const { method, path } = this._parseKey(key);
+    const failure = {
+      method,
+      ...this._compile(path),
+      status: options.status || 500,
+      message: options.message || 'Mock error',
+      network: Boolean(options.network),
+      remaining: options.times ?? Infinity
+    };
+
+    this._failures.push(failure);
+    return () => {
+      this._failures = this._failures.filter(f => f !== failure);
+    };
+  }
+
+  /**
+   * 기록된 요청 조회
+   * @param {string} [key] - 'METHOD /path' 필터 (없으면 전체)
+   * @returns {Object[]} [{ method, url, path, params, query, body, headers, time }]
+   */
+  calls(key) {
+    if (!key) return [...this.history];
+
+    const { method, path } = this._parseKey(key);
+    const { regex } = this._compile(path);
+    return this.history.filter(call =>
+      (method === '*' || call.method === method) && regex.test(call.path)
+    );
+  }
+
+  /**
+   * 요청 기록과 오류 주입 초기화 (라우트는 유지)
+   */
+  reset() {
+    this.history = [];
+    this._failures = [];
+  }
+
+  /**
+   * 목 해제 (이후 요청은 실제 네트워크로 전송)
+   */
+  restore() {
+    this._routes = [];
+    this.reset();
+    this._onRestore?.();
+  }
+
+  /**
+   * 요청에 일치하는 라우트가 있는지 확인
+   * @param {string} url - 요청 URL
+   * @param {string} [method='GET'] - HTTP 메서드
+   * @returns {boolean}
+   */
+  matches(url, method = 'GET') {
+    const { path } = this._parseURL(url);
+    return Boolean(this._findRoute(this._routes, method.toUpperCase(), path)) ||
+      Boolean(this._findRoute(this._failures, method.toUpperCase(), path)) ||
+      !this.options.passthrough;
+  }
+
+  /**
+   * fetch 대체 함수
+   * @param {string} url - 요청 URL
+   * @param {Object} [init] - fetch 옵션
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const { path, query } = this._parseURL(url);
+    const route = this._findRoute(this._routes, method, path);
+    const failure = this._findRoute(this._failures, method, path);
+
+    if (!route && !failure && this.options.passthrough) {
+      return fetch(url, init);
+    }
+
+    const request = {
+      method,
+      url,
+      path,
+      params: route ? this._extractParams(route, path) : {},
+      query,
+      body: this._parseBody(init.body),
+      headers: { ...init.headers },
+      time: Date.now()
+    };
+    this.history.push(request);
+    if (this.history.length > this.options.historyLimit) {
+      this.history.splice(0, this.history.length - this.options.historyLimit);
+    }
+
+    await this._delay(route?.options.delay ?? this.options.delay, init.signal);
+
+    // 오류 주입
+    if (failure && failure.remaining > 0) {
+      failure.remaining--;
+      if (failure.network) {
+        throw new TypeError('Failed to fetch');
+      }
+      return this._createResponse(failure.status, { message: failure.message });
+    }
+    if (this.options.errorRate && Math.random() < this.options.errorRate) {
+      throw new TypeError('Failed to fetch');
+    }
+
+    if (!route) {
+      console.warn(`[APIMock] No mock for ${method} ${path}`);
+      return this._createResponse(404, { message: `No mock for ${method} ${path}` });
+    }
+
+    return this._resolve(route, request);
+  }
+
+  /**
+   * 핸들러 실행 결과를 Response로 변환
+   * @private
+   * @param {Object} route - 라우트
+   * @param {Object} request - 요청 정보
+   * @returns {Promise<Response>}
+   */
+  async _resolve(route, request) {
+    if (typeof route.handler !== 'function') {
+      return this._createResponse(route.options.status || 200, route.handler);
+    }
+
+    let result;
+    try {
+      result = await route.handler(request);
+    } catch (error) {
+      console.error(`[APIMock] Handler error for ${request.method} ${request.path}:`, error);
+      return this._createResponse(500, { message: error.message });
+    }
+
+    if (typeof Response !== 'undefined' && result instanceof Response) {
+      return result;
+    }
+
+    // [status, data, headers] 형식 (핸들러 반환값에만 적용, 고정 데이터 배열은 그대로 응답)
+    if (this._isTuple(result)) {
+      const [status, data, headers] = result;
+      return this._createResponse(status, data, headers);
+    }
+
+    return this._createResponse(route.options.status || 200, result);
+  }
+
+  /**
+   * [status, data, headers] 형식 여부
+   * @private
+   * @param {*} result - 핸들러 반환값
+   * @returns {boolean}
+   */
+  _isTuple(result) {
+    return Array.isArray(result) && result.length <= 3 &&
+      Number.isInteger(result[0]) && result[0] >= 100 && result[0] <= 599;
+  }
+
+  /**
+   * Response 생성
+   * @private
+   * @param {number} status - 상태 코드
+   * @param {*} data - 응답 데이터
+   * @param {Object} [headers] - 응답 헤더
+   * @returns {Response}
+   */
+  _createResponse(status, data, headers = {}) {
+    const isText = typeof data === 'string';
+    const body = status === 204 || status === 304 || data === undefined
+      ? null
+      : (isText ? data : JSON.stringify(data));
+
+    return new Response(body, {
+      status,
+      headers: {
+        'content-type': isText ? 'text/plain' : 'application/json',
+        ...headers
+      }
+    });
+  }
+
+  /**
+   * 지연 (취소 시 AbortError)
+   * @private
+   * @param {number|number[]} delay - 지연 시간 또는 [최소, 최대]
+   * @param {AbortSignal} [signal] - 취소 시그널
+   * @returns {Promise<void>}
+   */
+  _delay(delay, signal) {
+    const ms = Array.isArray(delay)
+      ? delay[0] + Math.random() * (delay[1] - delay[0])
+      : delay;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms || 0);
+
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * 'METHOD /path' 키 파싱
+   * @private
+   * @param {string} key - 라우트 키
+   * @returns {{method: string, path: string}}
+   */
+  _parseKey(key) {
+    const match = key.trim().match(/^([A-Z]+|\*)\s+(.+)$/i);
+    return match
+      ? { method: match[1].toUpperCase(), path: match[2] }
+      : { method: '*', path: key.trim() };
+  }
+
+  /**
+   * 경로 패턴 컴파일
+   * @private
+   * @param {string} path - 경로 패턴
+   * @returns {{regex: RegExp, keys: string[]}}
+   */
+  _compile(path) {
+    const keys = [];
+    const pattern = path
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/:([A-Za-z0-9_]+)/g, (_, key) => {
+        keys.push(key);
+        return '([^/]+)';
+      })
+      .replace(/\*/g, () => {
+        keys.push('wildcard');
+        return '(.*)';
+      });
+
+    return { regex: new RegExp(`^${pattern}/?$`), keys };
+  }
+
+  /**
+   * 일치하는 라우트 찾기 (나중에 등록한 라우트 우선)
+   * @private
+   * @param {Object[]} routes - 라우트 목록
+   * @param {string} method - HTTP 메서드
+   * @param {string} path - 요청 경로
+   * @returns {Object|undefined}
+   */
+  _findRoute(routes, method, path) {
+    for (let i = routes.length - 1; i >= 0; i--) {
+      const route = routes[i];
+      if ((route.method === '*' || route.method === method) && route.regex.test(path)) {
+        if (route.remaining === undefined || route.remaining > 0) {
+          return route;
+        }
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * 경로 파라미터 추출
+   * @private
+   * @param {Object} route - 라우트
+   * @param {string} path - 요청 경로
+   * @returns {Object}
+   */
+  _extractParams(route, path) {
+    const match = path.match(route.regex);
+    const params = {};
+    route.keys.forEach((key, i) => {
+      params[key] = decodeURIComponent(match[i + 1] || '');
+    });
+    return params;
+  }
+
+  /**
+   * URL에서 경로와 쿼리 추출
+   * @private
+   * @param {string} url - 요청 URL
+   * @returns {{path: string, query: Object}}
+   */
+  _parseURL(url) {
+    const base = typeof window !== 'undefined' ? window.location.href : 'http://localhost/';
+    const parsed = new URL(url, base);
+    return {
+      path: parsed.pathname,
+      query: Object.fromEntries(parsed.searchParams)
+    };
+  }
+
+  /**
+   * 요청 바디 파싱 (JSON 문자열이면 객체로)
+   * @private
+   * @param {*} body - 요청 바디
+   * @returns {*}
+   */
+  _parseBody(body) {
+    if (typeof body !== 'string') return body;
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return body;
+    }
+  }
+}
+
+export default APIMock;
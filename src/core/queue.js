@@ -0,0 +1,294 @@
+/**
+ * 오프라인 요청 큐
+ * @module core/queue
+ */
+
+// IndexedDB 설정
+const DB_NAME = 'catui-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'mutations';
+
+// 충돌 해결 후 재전송 최대 횟수
+const MAX_CONFLICT_RETRIES = 3;
+
+/**
+ * 오프라인 요청 큐
+ * @class
+ * @description 오프라인 상태에서 실패한 변경 요청(POST, PUT, PATCH, DELETE)을 IndexedDB에 저장하고,
+ * 온라인이 되면 저장된 순서대로 다시 전송합니다.
+ *
+ * 상태 변경 시 다음 이벤트를 발생시킵니다.
+ * - 'api:queue' { pending, syncing } - 대기 중인 요청 수와 동기화 여부
+ * - 'api:queue-synced' { entry, result } - 요청 전송 성공
+ * - 'api:queue-error' { entry, result } - 요청 전송 실패 (큐에서 제거됨)
+ *
+ * @example
+ * CATUI.on('api:queue', ({ pending }) => {
+ *   badge.textContent = pending ? `${pending}개 변경사항 동기화 대기 중` : '';
+ * });
+ */
+export class OfflineQueue {
+  /**
+   * OfflineQueue 생성자
+   * @constructor
+   * @param {Object} options - 옵션
+   * @param {Function} options.send - (entry) => Promise<Object> 요청 전송 함수 (APIUtil 표준 응답 반환)
+   * @param {Function} [options.emit] - (event, data) => void 이벤트 발생 함수
+   */
+  constructor(options = {}) {
+    this.send = options.send;
+    this.emit = options.emit || (() => {});
+
+    // 충돌(409, 412) 처리 콜백
+    this.onConflict = null;
+
+    this.pending = 0;
+    this.syncing = false;
+
+    this._db = null;
+    this._started = false;
+    this._replayPromise = null;
+    this._onlineHandler = null;
+  }
+
+  /**
+   * 큐 시작 (저장된 요청 수 확인, online 이벤트 감지, 즉시 재전송 시도)
+   * @returns {Promise<void>}
+   *
+   * @example
+   * // 앱 시작 시 이전 세션에서 남은 요청 전송
+   * CATUI.api.queue.start();
+   */
+  async start() {
+    if (this._started) return;
+    this._started = true;
+
+    this._onlineHandler = () => this.replay();
+    window.addEventListener('online', this._onlineHandler);
+
+    try {
+      this.pending = await this._request('readonly', store => store.count());
+    } catch (error) {
+      console.error('Offline queue unavailable:', error);
+      // 다음 start()에서 다시 시도
+      window.removeEventListener('online', this._onlineHandler);
+      this._onlineHandler = null;
+      this._started = false;
+      return;
+    }
+
+    this._emitStatus();
+
+    if (this.pending > 0 && this._isOnline()) {
+      this.replay();
+    }
+  }
+
+  /**
+   * 요청 추가
+   * @param {Object} entry - 요청 정보
+   * @param {string} entry.url - 요청 URL
+   * @param {string} entry.method - HTTP 메서드
+   * @param {string} [entry.body] - 요청 바디 (문자열)
+   * @param {Object} [entry.headers] - 요청 헤더
+   * @returns {Promise<number>} 큐 항목 ID
+   */
+  async add(entry) {
+    const id = await this._request('readwrite', store => store.add({ ...entry, time: Date.now() }));
+
+    this.pending++;
+    this._emitStatus();
+    this.start();
+
+    return id;
+  }
+
+  /**
+   * 대기 중인 요청 목록 (저장된 순서)
+   * @returns {Promise<Object[]>}
+   */
+  entries() {
+    return this._request('readonly', store => store.getAll());
+  }
+
+  /**
+   * 요청 제거
+   * @param {number} id - 큐 항목 ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    await this._request('readwrite', store => store.delete(id));
+    this.pending = Math.max(0, this.pending - 1);
+    this._emitStatus();
+  }
+
+  /**
+   * 모든 요청 제거
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._request('readwrite', store => store.clear());
+    this.pending = 0;
+    this._emitStatus();
+  }
+
+  /**
+   * 대기 중인 요청을 순서대로 재전송
+   * 네트워크 오류나 서버 오류(5xx)가 발생하면 중단하고 다음 기회에 이어서 전송합니다.
+   * @returns {Promise<void>}
+   */
+  replay() {
+    if (!this._replayPromise) {
+      this._replayPromise = this._replay().finally(() => {
+        this._replayPromise = null;
+      });
+    }
+    return this._replayPromise;
+  }
+
+  /**
+   * 재전송 실행
+   * @private
+   */
+  async _replay() {
+    if (!this._isOnline()) return;
+
+    this.syncing = true;
+    this._emitStatus();
+
+    try {
+      for (const entry of await this.entries()) {
+        const { request, result } = await this._sendEntry(entry);
+
+        // 아직 오프라인이거나 서버 오류: 순서 유지를 위해 중단
+        if (result.statusCode === 0 || result.statusCode >= 500) {
+          break;
+        }
+
+        await this.remove(entry.id);
+        this.emit(result.success ? 'api:queue-synced' : 'api:queue-error', { entry: request, result });
+      }
+    } catch (error) {
+      console.error('Offline queue replay failed:', error);
+    } finally {
+      this.syncing = false;
+      this._emitStatus();
+    }
+  }
+
+  /**
+   * 요청 전송 (충돌 시 onConflict 콜백으로 해결)
+   * @private
+   * @param {Object} entry - 큐 항목
+   * @returns {Promise<{request: Object, result: Object}>}
+   */
+  async _sendEntry(entry) {
+    let request = entry;
+    let result = await this.send(request);
+
+    for (let i = 0; i < MAX_CONFLICT_RETRIES && this._isConflict(result) && this.onConflict; i++) {
+      let resolution;
+      try {
+        resolution = await this.onConflict(request, result);
+      } catch (error) {
+        console.error('Error in offline queue conflict handler:', error);
+      }
+
+      // 객체를 반환하면 요청을 수정하여 재전송, 아니면 폐기
+      if (!resolution || typeof resolution !== 'object') break;
+
+      request = { ...request, ...resolution };
+      result = await this.send(request);
+    }
+
+    return { request, result };
+  }
+
+  /**
+   * 충돌 응답 여부
+   * @private
+   * @param {Object} result - API 응답
+   * @returns {boolean}
+   */
+  _isConflict(result) {
+    return result.statusCode === 409 || result.statusCode === 412;
+  }
+
+  /**
+   * 온라인 여부
+   * @private
+   * @returns {boolean}
+   */
+  _isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * 상태 이벤트 발생
+   * @private
+   */
+  _emitStatus() {
+    this.emit('api:queue', { pending: this.pending, syncing: this.syncing });
+  }
+
+  /**
+   * IndexedDB 열기
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not supported'));
+          return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((error) => {
+        this._db = null;
+        throw error;
+      });
+    }
+    return this._db;
+  }
+
+  /**
+   * 스토어 요청 실행
+   * @private
+   * @param {string} mode - 'readonly' 또는 'readwrite'
+   * @param {Function} fn - (store) => IDBRequest
+   * @returns {Promise<*>} 요청 결과
+   */
+  async _request(mode, fn) {
+    const db = await this._open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = fn(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * 큐 정리 (저장된 요청은 유지)
+   */
+  destroy() {
+    if (this._onlineHandler) {
+      window.removeEventListener('online', this._onlineHandler);
+      this._onlineHandler = null;
+    }
+    this._db?.then(db => db.close()).catch(() => {});
+    this._db = null;
+    this._started = false;
+  }
+}
+
+export default OfflineQueue;
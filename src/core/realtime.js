@@ -0,0 +1,577 @@
+/**
+ * 실시간 채널 (WebSocket / Server-Sent Events)
+ * @module core/realtime
+ */
+
+import { EventBus } from './event.js';
+
+/**
+ * 실시간 채널
+ * @class
+ * @description WebSocket 또는 EventSource(SSE) 연결을 감싸 재연결(지수 백오프), 하트비트,
+ * 연결 끊김 중 전송 메시지 대기열, 토픽 구독을 제공합니다.
+ *
+ * 수신 메시지는 { topic, data } 형식의 JSON으로 간주하며, 토픽 메시지는
+ * 이벤트 버스에 '<prefix><topic>' 이벤트로 전달됩니다 (기본 prefix: '<name>:').
+ *
+ * 다음 이벤트를 발생시킵니다.
+ * - 'realtime:state' { name, state } - 'connecting', 'open', 'reconnecting', 'closed'
+ * - 'realtime:message' { name, topic, data } - 모든 수신 메시지
+ *
+ * @example
+ * const chat = CATUI.realtime.connect('wss://example.com/ws', { name: 'chat' });
+ *
+ * chat.subscribe('room:1', (message) => list.append(message));
+ * CATUI.on('chat:room:1', (message) => badge.increment()); // 이벤트 버스로도 수신
+ *
+ * chat.publish('room:1', { text: '안녕하세요' }); // 연결이 끊겨 있으면 재연결 후 전송
+ */
+export class RealtimeChannel {
+  /**
+   * RealtimeChannel 생성자
+   * @constructor
+   * @param {string|Function} url - 연결 URL (ws(s):// 이면 WebSocket, 그 외 SSE) 또는 URL 반환 함수
+   * @param {Object} [options] - 옵션
+   * @param {string} [options.name='realtime'] - 채널 이름
+   * @param {string} [options.transport] - 'websocket' 또는 'sse' (기본: URL로 판단)
+   * @param {string|string[]} [options.protocols] - WebSocket 서브 프로토콜
+   * @param {boolean} [options.withCredentials=false] - SSE 쿠키 전송
+   * @param {string} [options.prefix] - 이벤트 버스 이벤트 이름 접두사 (기본: '<name>:')
+   * @param {string} [options.topicKey='topic'] - 메시지의 토픽 필드
+   * @param {string} [options.dataKey='data'] - 메시지의 데이터 필드
+   * @param {Object|boolean} [options.reconnect] - 재연결 정책 (false면 재연결 안 함)
+   * @param {number} [options.reconnect.delay=1000] - 첫 재연결 대기 시간 (ms)
+   * @param {number} [options.reconnect.factor=2] - 지수 백오프 배수
+   * @param {number} [options.reconnect.maxDelay=30000] - 최대 대기 시간 (ms)
+   * @param {number} [options.reconnect.retries=Infinity] - 최대 재연결 횟수
+   * @param {boolean} [options.reconnect.jitter=true] - 대기 시간 무작위화
+   * @param {Object|boolean} [options.heartbeat] - 하트비트 (WebSocket 전용, false면 사용 안 함)
+   * @param {number} [options.heartbeat.interval=30000] - 핑 전송 간격 (ms)
+   * @param {number} [options.heartbeat.timeout=10000] - 응답 대기 시간 (초과 시 재연결)
+   * @param {*} [options.heartbeat.message={type:'ping'}] - 핑 메시지
+   * @param {Function} [options.heartbeat.isPong] - (message) => boolean 퐁 메시지 판별 (이벤트로 전달하지 않음)
+   * @param {number} [options.queueSize=100] - 연결 끊김 중 보관할 최대 메시지 수
+   * @param {Function|null} [options.subscribeMessage] - (topic) => 서버 구독 메시지 (null이면 전송 안 함)
+   * @param {Function|null} [options.unsubscribeMessage] - (topic) => 서버 구독 해제 메시지
+   * @param {EventBus} [eventBus] - 메시지를 전달할 이벤트 버스
+   */
+  constructor(url, options = {}, eventBus = null) {
+    this.url = url;
+    this.name = options.name || 'realtime';
+    this.eventBus = eventBus || new EventBus();
+
+    this.options = {
+      transport: null,
+      protocols: undefined,
+      withCredentials: false,
+      prefix: `${this.name}:`,
+      topicKey: 'topic',
+      dataKey: 'data',
+      queueSize: 100,
+      subscribeMessage: topic => ({ type: 'subscribe', topic }),
+      unsubscribeMessage: topic => ({ type: 'unsubscribe', topic }),
+      ...options,
+      reconnect: options.reconnect === false ? false : {
+        delay: 1000,
+        factor: 2,
+        maxDelay: 30000,
+        retries: Infinity,
+        jitter: true,
+        ...options.reconnect
+      },
+      heartbeat: options.heartbeat === false ? false : {
+        interval: 30000,
+        timeout: 10000,
+        message: { type: 'ping' },
+        isPong: message => message?.type === 'pong',
+        ...options.heartbeat
+      }
+    };
+
+    this.state = 'closed';
+
+    this._socket = null;
+    this._outbox = [];
+    this._topics = new Map();
+    this._attempts = 0;
+    this._manualClose = false;
+    this._reconnectTimer = null;
+    this._heartbeatTimer = null;
+    this._pongTimer = null;
+    this._onlineHandler = null;
+  }
+
+  /**
+   * 전송 방식
+   * @type {string} 'websocket' 또는 'sse'
+   */
+  get transport() {
+    if (this.options.transport) return this.options.transport;
+    // URL 반환 함수는 transport 옵션이 없으면 WebSocket으로 간주
+    if (typeof this.url === 'function') return 'websocket';
+    return /^wss?:/i.test(this.url) ? 'websocket' : 'sse';
+  }
+
+  /**
+   * 연결 여부
+   * @type {boolean}
+   */
+  get connected() {
+    return this.state === 'open';
+  }
+
+  /**
+   * 연결 시작
+   * @returns {RealtimeChannel}
+   */
+  open() {
+    if (this._socket) return this;
+
+    this._manualClose = false;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+
+    if (!this._onlineHandler && typeof window !== 'undefined') {
+      // 네트워크 복구 시 대기 없이 재연결
+      this._onlineHandler = () => {
+        if (this.state === 'reconnecting') {
+          clearTimeout(this._reconnectTimer);
+          this._reconnectTimer = null;
+          this._connect();
+        }
+      };
+      window.addEventListener('online', this._onlineHandler);
+    }
+
+    this._connect();
+    return this;
+  }
+
+  /**
+   * 연결 종료 (재연결하지 않음, 대기 중인 메시지는 유지)
+   */
+  close() {
+    this._manualClose = true;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+
+    if (this._onlineHandler) {
+      window.removeEventListener('online', this._onlineHandler);
+      this._onlineHandler = null;
+    }
+
+    this._teardown();
+    this._setState('closed');
+  }
+
+  /**
+   * 메시지 전송 (연결이 끊겨 있으면 대기열에 보관 후 연결 시 전송)
+   * @param {*} message - 메시지 (문자열이 아니면 JSON으로 직렬화)
+   * @returns {boolean} 즉시 전송 여부
+   */
+  send(message) {
+    if (this.transport === 'sse') {
+      console.warn(`[Realtime] "${this.name}" is an SSE channel and cannot send messages`);
+      return false;
+    }
+
+    if (this.connected) {
+      this._socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+      return true;
+    }
+
+    this._outbox.push(message);
+    if (this._outbox.length > this.options.queueSize) {
+      this._outbox.shift();
+    }
+    return false;
+  }
+
+  /**
+   * 토픽으로 메시지 전송
+   * @param {string} topic - 토픽
+   * @param {*} data - 데이터
+   * @returns {boolean} 즉시 전송 여부
+   *
+   * @example
+   * chat.publish('room:1', { text: 'Hello' }); // → { topic: 'room:1', data: { text: 'Hello' } }
+   */
+  publish(topic, data) {
+    return this.send({
+      [this.options.topicKey]: topic,
+      [this.options.dataKey]: data
+    });
+  }
+
+  /**
+   * 토픽 구독
+   * 첫 구독 시 서버에 구독 메시지를 보내고(WebSocket), 재연결 후에도 자동으로 다시 구독합니다.
+   * SSE 채널에서는 토픽이 SSE 이벤트 이름으로 사용됩니다.
+   * @param {string} topic - 토픽
+   * @param {Function} handler - (data, message) => void
+   * @returns {Function} 구독 해제 함수
+   */
+  subscribe(topic, handler) {
+    const count = this._topics.get(topic) || 0;
+    this._topics.set(topic, count + 1);
+
+    if (count === 0) {
+      this._subscribeRemote(topic);
+    }
+
+    const off = this.eventBus.on(this._eventName(topic), handler);
+    let active = true;
+
+    return () => {
+      if (!active) return;
+      active = false;
+      off();
+      this._unsubscribe(topic);
+    };
+  }
+
+  /**
+   * 대기 중인 전송 메시지 수
+   * @type {number}
+   */
+  get pending() {
+    return this._outbox.length;
+  }
+
+  /**
+   * 연결 생성
+   * @private
+   */
+  _connect() {
+    const url = typeof this.url === 'function' ? this.url() : this.url;
+    this._setState(this._attempts > 0 ? 'reconnecting' : 'connecting');
+
+    try {
+      this._socket = this.transport === 'sse'
+        ? this._createEventSource(url)
+        : this._createWebSocket(url);
+    } catch (error) {
+      console.error(`[Realtime] Failed to connect "${this.name}":`, error);
+      this._socket = null;
+      this._scheduleReconnect();
+    }
+  }
+
+  /**
+   * WebSocket 생성
+   * @private
+   * @param {string} url - 연결 URL
+   * @returns {WebSocket}
+   */
+  _createWebSocket(url) {
+    const socket = new WebSocket(url, this.options.protocols);
+
+    socket.onopen = () => this._handleOpen();
+    socket.onmessage = e => this._handleMessage(e.data);
+    socket.onclose = () => {
+      if (this._socket === socket) this._handleClose();
+    };
+    socket.onerror = () => {};
+
+    return socket;
+  }
+
+  /**
+   * EventSource 생성
+   * @private
+   * @param {string} url - 연결 URL
+   * @returns {EventSource}
+   */
+  _createEventSource(url) {
+    const source = new EventSource(url, { withCredentials: this.options.withCredentials });
+    source._listener = e => this._handleMessage(e.data, e.type);
+
+    source.onopen = () => this._handleOpen();
+    source.onmessage = source._listener;
+    // EventSource 자체 재연결 대신 백오프 정책으로 재연결
+    source.onerror = () => {
+      if (this._socket === source) this._handleClose();
+    };
+
+    this._topics.forEach((_, topic) => source.addEventListener(topic, source._listener));
+    return source;
+  }
+
+  /**
+   * 연결 성공 처리 (구독 복원, 대기 메시지 전송, 하트비트 시작)
+   * @private
+   */
+  _handleOpen() {
+    this._attempts = 0;
+    this._setState('open');
+
+    if (this.transport === 'websocket') {
+      this._topics.forEach((_, topic) => this._subscribeRemote(topic));
+
+      const outbox = this._outbox;
+      this._outbox = [];
+      outbox.forEach(message => this.send(message));
+    }
+
+    this._startHeartbeat();
+  }
+
+  /**
+   * 연결 끊김 처리
+   * @private
+   */
+  _handleClose() {
+    this._teardown();
+
+    if (this._manualClose) {
+      this._setState('closed');
+      return;
+    }
+    this._scheduleReconnect();
+  }
+
+  /**
+   * 수신 메시지 처리
+   * @private
+   * @param {string} raw - 수신 데이터
+   * @param {string} [eventType] - SSE 이벤트 이름
+   */
+  _handleMessage(raw, eventType) {
+    this._resetPongTimer();
+
+    let message = raw;
+    if (typeof raw === 'string') {
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        message = raw;
+      }
+    }
+
+    const { heartbeat, topicKey, dataKey } = this.options;
+    if (heartbeat && heartbeat.isPong(message)) return;
+
+    const isEnvelope = message !== null && typeof message === 'object' && topicKey in message;
+    const topic = isEnvelope
+      ? message[topicKey]
+      : (eventType && eventType !== 'message' ? eventType : null);
+    const data = isEnvelope && dataKey in message ? message[dataKey] : message;
+
+    this.eventBus.emit('realtime:message', { name: this.name, topic, data });
+    if (topic) {
+      this.eventBus.emit(this._eventName(topic), data, message);
+    }
+  }
+
+  /**
+   * 재연결 예약 (지수 백오프)
+   * @private
+   */
+  _scheduleReconnect() {
+    const policy = this.options.reconnect;
+    if (!policy || this._attempts >= policy.retries) {
+      this._setState('closed');
+      return;
+    }
+
+    let delay = Math.min(policy.delay * Math.pow(policy.factor, this._attempts), policy.maxDelay);
+    if (policy.jitter) {
+      delay = delay / 2 + Math.random() * delay / 2;
+    }
+
+    this._attempts++;
+    this._setState('reconnecting');
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._connect();
+    }, delay);
+  }
+
+  /**
+   * 하트비트 시작 (WebSocket)
+   * @private
+   */
+  _startHeartbeat() {
+    const { heartbeat } = this.options;
+    if (!heartbeat || this.transport !== 'websocket') return;
+
+    this._heartbeatTimer = setInterval(() => {
+      this.send(heartbeat.message);
+
+      // 응답(어떤 메시지든)이 없으면 연결이 끊긴 것으로 판단
+      if (!this._pongTimer) {
+        this._pongTimer = setTimeout(() => {
+          this._pongTimer = null;
+          this._handleClose();
+        }, heartbeat.timeout);
+      }
+    }, heartbeat.interval);
+  }
+
+  /**
+   * 하트비트 응답 대기 해제
+   * @private
+   */
+  _resetPongTimer() {
+    clearTimeout(this._pongTimer);
+    this._pongTimer = null;
+  }
+
+  /**
+   * 서버에 구독 메시지 전송
+   * SSE는 연결 중에도 이벤트 리스너를 바로 추가하고, WebSocket은 연결된 경우에만 전송합니다
+   * (연결 전 구독은 _handleOpen에서 전송).
+   * @private
+   * @param {string} topic - 토픽
+   */
+  _subscribeRemote(topic) {
+    if (this.transport === 'sse') {
+      this._socket?.addEventListener(topic, this._socket._listener);
+      return;
+    }
+    if (this.connected && this.options.subscribeMessage) {
+      this.send(this.options.subscribeMessage(topic));
+    }
+  }
+
+  /**
+   * 구독 해제 (마지막 구독자이면 서버에도 알림)
+   * @private
+   * @param {string} topic - 토픽
+   */
+  _unsubscribe(topic) {
+    const count = (this._topics.get(topic) || 1) - 1;
+    if (count > 0) {
+      this._topics.set(topic, count);
+      return;
+    }
+
+    this._topics.delete(topic);
+
+    if (this.transport === 'sse') {
+      this._socket?.removeEventListener(topic, this._socket._listener);
+    } else if (this.connected && this.options.unsubscribeMessage) {
+      this.send(this.options.unsubscribeMessage(topic));
+    }
+  }
+
+  /**
+   * 이벤트 버스 이벤트 이름
+   * @private
+   * @param {string} topic - 토픽
+   * @returns {string}
+   */
+  _eventName(topic) {
+    return `${this.options.prefix}${topic}`;
+  }
+
+  /**
+   * 상태 변경
+   * @private
+   * @param {string} state - 새 상태
+   */
+  _setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.eventBus.emit('realtime:state', { name: this.name, state });
+  }
+
+  /**
+   * 소켓과 타이머 정리
+   * @private
+   */
+  _teardown() {
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+    this._resetPongTimer();
+
+    const socket = this._socket;
+    this._socket = null;
+    if (!socket) return;
+
+    socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+    try {
+      socket.close();
+    } catch (error) {
+      // 이미 닫힌 소켓
+    }
+  }
+
+  /**
+   * 채널 정리
+   */
+  destroy() {
+    this.close();
+    this._outbox = [];
+    this._topics.clear();
+  }
+}
+
+/**
+ * 실시간 채널 관리자
+ * @class
+ * @description 이름별 채널을 생성하고 관리합니다. 채널 메시지는 코어 이벤트 버스로 전달됩니다.
+ *
+ * @example
+ * const feed = CATUI.realtime.connect('/api/feed/stream', { name: 'feed' }); // SSE
+ * feed.subscribe('post', (post) => list.prepend(post)); // SSE 'post' 이벤트 수신
+ * CATUI.on('feed:post', (post) => badge.increment());   // 구독한 토픽은 이벤트 버스로도 전달
+ *
+ * CATUI.realtime.channel('feed').close();
+ */
+export class Realtime {
+  /**
+   * Realtime 생성자
+   * @constructor
+   * @param {EventBus} [eventBus] - 채널 메시지를 전달할 이벤트 버스
+   */
+  constructor(eventBus = null) {
+    this.eventBus = eventBus;
+    this._channels = new Map();
+  }
+
+  /**
+   * 채널 생성 및 연결 (같은 이름의 채널이 있으면 그대로 반환)
+   * @param {string|Function} url - 연결 URL 또는 URL 반환 함수 (토큰 갱신 등)
+   * @param {Object} [options] - RealtimeChannel 옵션
+   * @returns {RealtimeChannel}
+   */
+  connect(url, options = {}) {
+    const name = options.name || 'realtime';
+    if (this._channels.has(name)) {
+      return this._channels.get(name).open();
+    }
+
+    const channel = new RealtimeChannel(url, { ...options, name }, this.eventBus);
+    this._channels.set(name, channel);
+    return channel.open();
+  }
+
+  /**
+   * 채널 조회
+   * @param {string} [name='realtime'] - 채널 이름
+   * @returns {RealtimeChannel|undefined}
+   */
+  channel(name = 'realtime') {
+    return this._channels.get(name);
+  }
+
+  /**
+   * 채널 종료 및 제거
+   * @param {string} [name='realtime'] - 채널 이름
+   */
+  disconnect(name = 'realtime') {
+    this._channels.get(name)?.destroy();
+    this._channels.delete(name);
+  }
+
+  /**
+   * 모든 채널 정리
+   */
+  destroy() {
+    this._channels.forEach(channel => channel.destroy());
+    this._channels.clear();
+  }
+}
+
+export default Realtime;
@@ -0,0 +1,205 @@
+/**
+ * 키 기반 목록 갱신 (keyed DOM diffing)
+ * @module core/reconcile
+ */
+
+// 컨테이너별 이전 렌더링 상태 (key → { node, html })
+const STATE = new WeakMap();
+
+/**
+ * 키 기반 목록 갱신
+ * @class
+ * @description 아이템 배열을 컨테이너의 자식 노드와 키(id, key)로 맞춰, 필요한 노드만 추가/이동/교체/제거합니다.
+ * 렌더링 결과(HTML 문자열)가 같은 아이템은 노드를 그대로 재사용하므로
+ * 포커스, 스와이프 상태, 스크롤, 이미 디코딩된 이미지가 유지됩니다.
+ * 이동은 최장 증가 부분 수열 밖의 노드만 옮겨 최소화합니다.
+ *
+ * 컨테이너의 자식은 모두 목록 항목으로 취급하며, 추적하지 않는 노드는 제거됩니다.
+ *
+ * @example
+ * CATUI.reconcile(listEl, todos, {
+ *   render: (todo) => `<li class="${todo.done ? 'is-done' : ''}">${CATUI.escape(todo.title)}</li>`,
+ *   place: (node, todo, index) => { node.dataset.index = index; }
+ * });
+ */
+export class ListReconciler {
+  /**
+   * 목록 갱신
+   * @param {HTMLElement} container - 항목만 담는 컨테이너
+   * @param {Array} items - 아이템 배열
+   * @param {Object} options - 옵션
+   * @param {Function} options.render - (item, index) => string|Node 항목 렌더링 (하나의 요소)
+   * @param {Function} [options.key] - (item, index) => key (기본: item.id ?? item.key ?? index)
+   * @param {Function} [options.update] - (node, item, index) => boolean 렌더링 결과가 바뀐 노드를 직접 갱신 (true면 교체하지 않음)
+   * @param {Function} [options.place] - (node, item, index) => void 배치 후 모든 노드에 호출 (data-index 등 위치 정보 설정)
+   * @returns {Object} { added, updated, moved, removed } 변경 수
+   *
+   * @example
+   * // 500개 중 하나만 바뀌면 해당 노드만 교체
+   * items[120] = { ...items[120], title: '수정됨' };
+   * ListReconciler.reconcile(list, items, { render: renderRow });
+   * // { added: 0, updated: 1, moved: 0, removed: 0 }
+   */
+  static reconcile(container, items, options = {}) {
+    const stats = { added: 0, updated: 0, moved: 0, removed: 0 };
+
+    if (!container || typeof options.render !== 'function') {
+      console.error('ListReconciler.reconcile: container and options.render are required');
+      return stats;
+    }
+
+    const getKey = options.key || defaultKey;
+    const previous = STATE.get(container) || new Map();
+    const list = Array.isArray(items) ? items : Array.from(items || []);
+
+    // 이전 순서 (컨테이너에 남아 있는 노드만)
+    const oldIndex = new Map();
+    let position = 0;
+    previous.forEach((entry, key) => {
+      if (entry.node.parentNode === container) {
+        oldIndex.set(key, position++);
+      }
+    });
+
+    // 새 항목 준비 (재사용, 갱신, 생성)
+    const next = new Map();
+    const entries = list.map((item, index) => {
+      let key = getKey(item, index);
+      if (next.has(key)) {
+        console.warn('ListReconciler.reconcile: duplicate key', key);
+        key = { duplicate: key, index };
+      }
+
+      const html = options.render(item, index);
+      const entry = previous.get(key);
+      let node;
+
+      if (entry && typeof html === 'string' && html === entry.html) {
+        node = entry.node;
+      } else if (entry && options.update && options.update(entry.node, item, index) === true) {
+        node = entry.node;
+        stats.updated++;
+      } else if (entry) {
+        // 같은 위치에서 교체 (이동 계산에 영향 없음)
+        node = toNode(html);
+        if (entry.node.parentNode === container) {
+          entry.node.replaceWith(node);
+        }
+        stats.updated++;
+      } else {
+        node = toNode(html);
+        stats.added++;
+      }
+
+      const record = { node, html, key };
+      next.set(key, record);
+      return record;
+    });
+
+    // 사라진 항목 제거
+    previous.forEach((entry, key) => {
+      if (!next.has(key) && entry.node.parentNode === container) {
+        entry.node.remove();
+        stats.removed++;
+      }
+    });
+
+    // 이동: 이전 순서가 증가하는 가장 긴 부분 수열은 제자리에 두고 나머지만 삽입
+    const stable = longestIncreasing(entries.map(entry => (oldIndex.has(entry.key) ? oldIndex.get(entry.key) : -1)));
+    let reference = null;
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const { node } = entries[i];
+      if (!stable.has(i) || node.parentNode !== container) {
+        if (node.parentNode === container) stats.moved++;
+        container.insertBefore(node, reference);
+      }
+      reference = node;
+    }
+
+    // 추적하지 않는 노드 제거 (이전 innerHTML 렌더링 등)
+    const owned = new Set(entries.map(entry => entry.node));
+    Array.from(container.childNodes).forEach((child) => {
+      if (!owned.has(child)) child.remove();
+    });
+
+    if (options.place) {
+      entries.forEach(({ node }, index) => options.place(node, list[index], index));
+    }
+
+    STATE.set(container, next);
+    return stats;
+  }
+
+  /**
+   * 컨테이너의 갱신 상태 초기화 (다음 갱신에서 모든 노드를 새로 생성)
+   * @param {HTMLElement} container - 컨테이너
+   */
+  static reset(container) {
+    STATE.delete(container);
+  }
+}
+
+/**
+ * 기본 키 (id → key → 인덱스)
+ * @private
+ */
+function defaultKey(item, index) {
+  if (item && typeof item === 'object') {
+    if (item.id !== undefined && item.id !== null) return item.id;
+    if (item.key !== undefined && item.key !== null) return item.key;
+  }
+  return index;
+}
+
+/**
+ * 렌더링 결과를 노드로 변환 (문자열이면 첫 번째 요소)
+ * @private
+ * @param {string|Node} html - 렌더링 결과
+ * @returns {Node}
+ */
+function toNode(html) {
+  if (html && typeof html === 'object' && html.nodeType) return html;
+
+  const template = document.createElement('template');
+  template.innerHTML = String(html ?? '').trim();
+  return template.content.firstElementChild || document.createComment('');
+}
+
+/**
+ * 최장 증가 부분 수열 (음수는 새 항목이므로 제외)
+ * @private
+ * @param {number[]} sequence - 이전 위치 목록
+ * @returns {Set<number>} 수열에 포함된 인덱스
+ */
+function longestIncreasing(sequence) {
+  const tails = [];      // 길이별 마지막 원소의 인덱스
+  const previous = [];   // 이전 원소 인덱스
+
+  sequence.forEach((value, i) => {
+    if (value < 0) return;
+
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sequence[tails[mid]] < value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const result = new Set();
+  let index = tails.length > 0 ? tails[tails.length - 1] : -1;
+  while (index !== undefined && index >= 0) {
+    result.add(index);
+    index = previous[index];
+  }
+  return result;
+}
+
+export default ListReconciler;
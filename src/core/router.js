@@ -4,6 +4,57 @@
  */
 
 import { Security } from './security.js';
+import { AnimationUtil } from './animation.js';
+
+// 리다이렉트 최대 횟수 (순환 리다이렉트 방지)
+const MAX_REDIRECTS = 10;
+
+// 페이지 전환 이징 (iOS 네비게이션과 유사한 감속 곡선)
+const TRANSITION_EASING = 'cubic-bezier(0.2, 0.8, 0.2, 1)';
+
+/**
+ * 기본 페이지 전환 효과
+ * push: 앞으로 이동, pop: 뒤로 이동
+ * enter/leave: [시작 키프레임, 종료 키프레임], enterOnTop: 들어오는 뷰를 위에 표시
+ */
+const VIEW_TRANSITIONS = {
+  slide: {
+    push: {
+      enter: [{ transform: 'translateX(100%)' }, { transform: 'translateX(0)' }],
+      leave: [{ transform: 'translateX(0)', opacity: '1' }, { transform: 'translateX(-30%)', opacity: '0.7' }],
+      enterOnTop: true
+    },
+    pop: {
+      enter: [{ transform: 'translateX(-30%)', opacity: '0.7' }, { transform: 'translateX(0)', opacity: '1' }],
+      leave: [{ transform: 'translateX(0)' }, { transform: 'translateX(100%)' }],
+      enterOnTop: false
+    }
+  },
+  fade: {
+    push: {
+      enter: [{ opacity: '0' }, { opacity: '1' }],
+      leave: [{ opacity: '1' }, { opacity: '0' }],
+      enterOnTop: true
+    },
+    pop: {
+      enter: [{ opacity: '0' }, { opacity: '1' }],
+      leave: [{ opacity: '1' }, { opacity: '0' }],
+      enterOnTop: true
+    }
+  },
+  modal: {
+    push: {
+      enter: [{ transform: 'translateY(100%)' }, { transform: 'translateY(0)' }],
+      leave: null,
+      enterOnTop: true
+    },
+    pop: {
+      enter: null,
+      leave: [{ transform: 'translateY(0)' }, { transform: 'translateY(100%)' }],
+      enterOnTop: false
+    }
+  }
+};
 
 /**
  * 뷰 라우터
@@ -32,100 +83,530 @@ export class ViewRouter {
     this.loading = null;
     this._popstateHandler = null;
 
-    // History API 사용 여부 (기본값: true)
+    // 라우트 테이블
+    this.routes = [];
+    this.notFoundView = null;
+    this.currentRoute = null;
+
+    // 페이지 전환
+    this.transition = 'none';
+    this.transitionDuration = 300;
+    this.transitions = { ...VIEW_TRANSITIONS };
+    this._transitionPromise = null;
+
+    // 네비게이션 스택 ({ path, transition })
+    this.stack = [];
+    this._historyIndex = 0;
+
+    // Keep-alive 캐시 (path -> { fragment, instances, bindings, scroll }, LRU)
+    this.keepAliveMax = 5;
+    this._keepAliveCache = new Map();
+
+    // 뷰 HTML 캐시 (메모리 + Cache Storage) 및 프리페치
+    this.viewCache = true;
+    this.viewCacheMax = 50;
+    this.viewCacheName = 'catui-views';
+    this.prefetchLinks = 'touch';
+    this._viewCache = new Map();
+    this._viewRequests = new Map();
+    this._linkObserver = null;
+
+    // 히스토리 모드 ('hash', 'history', 'memory')
+    // useHistory는 하위 호환용 (memory가 아니면 true)
+    this.mode = 'hash';
+    this.base = '';
     this.useHistory = true;
+
+    // 뒤로 가기 디스패처
+    this.backButton = null;
+
+    // 데이터 바인딩 (뷰를 떠날 때 해제)
+    this._binder = null;
   }
 
   /**
    * 초기화
    * @param {Object} [options] - 옵션
    * @param {Object} [options.loading] - 로딩 인디케이터 인스턴스
-   * @param {boolean} [options.autoNavigate=true] - 초기 hash 경로 자동 로드 여부
-   * @param {boolean} [options.useHistory=true] - History API 사용 여부 (false면 URL 변경 안함)
+   * @param {boolean} [options.autoNavigate=true] - 초기 URL 경로 자동 로드 여부
+   * @param {string} [options.mode='hash'] - 히스토리 모드 ('hash': #경로, 'history': pushState 실제 경로, 'memory': URL 변경 안함)
+   * @param {string} [options.base=''] - history 모드의 기본 경로 (예: '/app')
+   * @param {boolean} [options.useHistory=true] - (하위 호환) false면 'memory' 모드
+   * @param {Object[]} [options.routes] - 라우트 테이블 (addRoutes 참고)
+   * @param {string} [options.notFound] - 매칭되는 라우트가 없을 때 표시할 뷰
+   * @param {string} [options.transition='none'] - 기본 페이지 전환 ('slide', 'fade', 'modal', 'none')
+   * @param {number} [options.transitionDuration=300] - 전환 시간 (ms)
+   * @param {number} [options.keepAliveMax=5] - keep-alive 캐시 최대 뷰 수
+   * @param {boolean} [options.viewCache=true] - 뷰 HTML 캐시 사용 여부 (메모리 + Cache Storage)
+   * @param {string} [options.prefetchLinks='touch'] - 링크 프리페치 ('touch', 'visible', 'none')
    */
   init(options = {}) {
     if (options.loading) {
       this.loading = options.loading;
     }
 
-    // History API 사용 여부 설정
+    if (options.routes) {
+      this.addRoutes(options.routes);
+    }
+
+    if (options.notFound) {
+      this.setNotFound(options.notFound);
+    }
+
+    if (typeof options.keepAliveMax === 'number') {
+      this.keepAliveMax = options.keepAliveMax;
+    }
+
+    if ('viewCache' in options) {
+      this.viewCache = options.viewCache;
+    }
+
+    if (options.prefetchLinks) {
+      this.prefetchLinks = options.prefetchLinks;
+    }
+
+    if (options.transition || options.transitionDuration) {
+      this.setTransition(options.transition || this.transition, options.transitionDuration);
+    }
+
+    // 히스토리 모드 설정
     if ('useHistory' in options) {
-      this.useHistory = options.useHistory;
+      this.mode = options.useHistory ? 'hash' : 'memory';
+    }
+    if (options.mode) {
+      this.mode = options.mode;
     }
+    if (typeof options.base === 'string') {
+      this.base = options.base.replace(/\/+$/, '');
+    }
+    this.useHistory = this.mode !== 'memory';
 
-    // History API 이벤트 리스너 (useHistory가 true일 때만)
-    if (this.useHistory) {
-      this._popstateHandler = (e) => {
-        if (e.state?.path) {
-          this._loadView(e.state.path, false);
-        }
-      };
+    // popstate 리스너 (memory 모드에서도 하드웨어 뒤로 가기 처리를 위해 등록)
+    if (!this._popstateHandler) {
+      this._popstateHandler = (e) => this._handlePopState(e);
       window.addEventListener('popstate', this._popstateHandler);
     }
 
-    // 초기 경로 자동 로드 (useHistory가 true일 때만)
+    // 초기 경로 자동 로드 (memory 모드 제외)
     const autoNavigate = 'autoNavigate' in options ? options.autoNavigate : true;
     if (autoNavigate && this.useHistory) {
-      const initialPath = window.location.hash.slice(1) || '';
+      const initialPath = this._getLocationPath();
       if (initialPath) {
         this.navigate(initialPath, true);
       }
     }
   }
 
+  /**
+   * 히스토리 모드 변경
+   * @param {string} mode - 'hash', 'history', 'memory'
+   * @param {Object} [options] - 옵션
+   * @param {string} [options.base] - history 모드의 기본 경로
+   * @param {boolean} [options.autoNavigate=true] - 현재 URL 경로 자동 로드 여부
+   *
+   * @example
+   * CATUI.view.setMode('history', { base: '/app' });
+   * CATUI.view.setMode('hash');
+   */
+  setMode(mode, options = {}) {
+    if (!['hash', 'history', 'memory'].includes(mode)) {
+      throw new Error(`Invalid router mode: ${mode}`);
+    }
+    this.init({ ...options, mode });
+  }
+
+  /**
+   * 뒤로 가기 디스패처 연결
+   * @param {BackButtonDispatcher} backButton - 디스패처
+   */
+  setBackButton(backButton) {
+    this.backButton = backButton;
+  }
+
+  /**
+   * popstate 처리
+   * @private
+   * @param {PopStateEvent} e - popstate 이벤트
+   */
+  _handlePopState(e) {
+    // 오버레이 닫기 등 뒤로 가기 디스패처가 먼저 처리
+    if (this.backButton && this.backButton._consumePopState(e)) {
+      return;
+    }
+
+    if (!this.useHistory || !e.state?.path) return;
+
+    // 히스토리 인덱스로 이동 방향 판별
+    const index = e.state.index || 0;
+    const direction = index < this._historyIndex ? 'back' : 'forward';
+    this._historyIndex = index;
+    this._loadView(e.state.path, { history: 'none', direction });
+  }
+
+  /**
+   * 경로를 히스토리 URL로 변환
+   * @private
+   * @param {string} path - 라우트 경로 또는 뷰 파일 경로
+   * @returns {string}
+   */
+  _toURL(path) {
+    // history 모드는 라우트 경로만 실제 경로로 사용 (뷰 파일 경로는 hash 유지)
+    if (this.mode === 'history' && this._isRoutePath(path)) {
+      return `${this.base}${path}`;
+    }
+    return `#${path}`;
+  }
+
+  /**
+   * 현재 URL에서 라우터 경로 추출
+   * @private
+   * @returns {string} 경로 (없으면 빈 문자열)
+   */
+  _getLocationPath() {
+    const hashPath = window.location.hash.slice(1);
+
+    if (this.mode !== 'history' || (hashPath && !this._isRoutePath(hashPath))) {
+      return hashPath;
+    }
+
+    let pathname = window.location.pathname;
+    if (this.base && pathname.startsWith(this.base)) {
+      pathname = pathname.slice(this.base.length) || '/';
+    }
+
+    // 등록된 라우트와 일치하는 경우만 (정적 index.html 경로 등 제외)
+    return this._matchRoute(pathname) ? `${pathname}${window.location.search}` : '';
+  }
+
+  /**
+   * 라우트 등록
+   * @param {string} path - 라우트 패턴 (/로 시작, :name 파라미터, * 와일드카드)
+   * @param {Object|string} config - 라우트 설정 또는 뷰 파일 경로
+   * @param {string} [config.view] - 뷰 파일 경로 (views/*.html)
+   * @param {string|Function} [config.redirect] - 리다이렉트 대상 경로 또는 (to) => path 함수
+   * @param {string} [config.transition] - 이 라우트로 이동할 때 사용할 전환 효과
+   * @param {boolean} [config.keepAlive=false] - 떠날 때 DOM과 인스턴스를 캐시하고 돌아올 때 복원
+   * @param {Function|Function[]} [config.canEnter] - 진입 가드 (to, from) => boolean|string|Promise
+   * @param {Function|Function[]} [config.canLeave] - 이탈 가드 (to, from) => boolean|string|Promise
+   * @param {string[]} [config.modules] - 뷰 스크립트 실행 전에 로드할 모듈 이름
+   * @param {Object} [config.meta] - 사용자 정의 메타 데이터
+   * @returns {Function} 등록 취소 함수
+   *
+   * @example
+   * router.addRoute('/products/:id', 'views/product.html');
+   * router.addRoute('/docs/*', { view: 'views/docs.html' });
+   * router.addRoute('/items/:id', { redirect: '/products/:id' });
+   *
+   * @example
+   * // 가드: false면 취소, 문자열이면 해당 경로로 리다이렉트
+   * router.addRoute('/mypage', {
+   *   view: 'views/mypage.html',
+   *   canEnter: async () => (await auth.check()) || '/login',
+   *   modules: ['overlays', 'pickers']
+   * });
+   */
+  addRoute(path, config) {
+    const options = typeof config === 'string' ? { view: config } : { ...config };
+
+    if (!Security.validateRoutePath(path.replace(/[:*?]/g, ''))) {
+      throw new Error(`Invalid route path: ${path}`);
+    }
+
+    if (!options.view && !options.redirect) {
+      throw new Error(`Route "${path}" requires a view or redirect`);
+    }
+
+    const route = {
+      ...options,
+      path,
+      ...this._compileRoute(path)
+    };
+    this.routes.push(route);
+
+    return () => {
+      const index = this.routes.indexOf(route);
+      if (index !== -1) {
+        this.routes.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * 라우트 테이블 일괄 등록
+   * @param {Object[]} routes - 라우트 배열 ({ path, view, redirect, meta })
+   *
+   * @example
+   * router.addRoutes([
+   *   { path: '/', view: 'views/home.html' },
+   *   { path: '/products/:id', view: 'views/product.html' },
+   *   { path: '/old-products/:id', redirect: '/products/:id' }
+   * ]);
+   */
+  addRoutes(routes) {
+    routes.forEach(({ path, ...config }) => this.addRoute(path, config));
+  }
+
+  /**
+   * 404 뷰 설정
+   * @param {string} view - 뷰 파일 경로
+   *
+   * @example
+   * router.setNotFound('views/404.html');
+   */
+  setNotFound(view) {
+    if (!Security.validatePath(view)) {
+      throw new Error(`Invalid view path: ${view}`);
+    }
+    this.notFoundView = view;
+  }
+
+  /**
+   * 경로 해석 (라우트 매칭 및 리다이렉트 처리)
+   * @param {string} path - 라우트 경로 또는 뷰 파일 경로 (쿼리 스트링 포함 가능)
+   * @returns {Object|null} { path, view, params, query, route, notFound } 또는 null
+   *
+   * @example
+   * router.resolve('/products/42?tab=review');
+   * // { path: '/products/42?tab=review', view: 'views/product.html',
+   * //   params: { id: '42' }, query: { tab: 'review' }, route: {...}, notFound: false }
+   */
+  resolve(path) {
+    let target = path;
+
+    for (let i = 0; i <= MAX_REDIRECTS; i++) {
+      const [pathname, queryString = ''] = target.split('?');
+      const query = this._parseQuery(queryString);
+
+      // 뷰 파일 경로는 그대로 사용
+      if (!this._isRoutePath(pathname)) {
+        return { path: target, view: pathname, params: {}, query, route: null, notFound: false };
+      }
+
+      const match = this._matchRoute(pathname);
+
+      if (!match) {
+        if (!this.notFoundView) return null;
+        return { path: target, view: this.notFoundView, params: {}, query, route: null, notFound: true };
+      }
+
+      const { route, params } = match;
+
+      if (!route.redirect) {
+        return { path: target, view: route.view, params, query, route, notFound: false };
+      }
+
+      // 리다이렉트 (쿼리 스트링 유지)
+      target = typeof route.redirect === 'function'
+        ? route.redirect({ path: target, params, query })
+        : this._fillParams(route.redirect, params) + (queryString ? `?${queryString}` : '');
+    }
+
+    throw new Error(`Too many redirects: ${path}`);
+  }
+
+  /**
+   * 기본 페이지 전환 설정
+   * @param {string} name - 전환 효과 이름 ('slide', 'fade', 'modal', 'none' 또는 등록된 이름)
+   * @param {number} [duration] - 전환 시간 (ms)
+   *
+   * @example
+   * router.setTransition('slide', 350);
+   */
+  setTransition(name, duration) {
+    this.transition = name;
+    if (typeof duration === 'number') {
+      this.transitionDuration = duration;
+    }
+  }
+
+  /**
+   * 커스텀 전환 효과 등록
+   * @param {string} name - 전환 효과 이름
+   * @param {Object} definition - { push: { enter, leave, enterOnTop }, pop: { enter, leave, enterOnTop } }
+   *
+   * @example
+   * router.registerTransition('zoom', {
+   *   push: {
+   *     enter: [{ transform: 'scale(0.9)', opacity: '0' }, { transform: 'scale(1)', opacity: '1' }],
+   *     leave: [{ opacity: '1' }, { opacity: '0' }],
+   *     enterOnTop: true
+   *   },
+   *   pop: {
+   *     enter: [{ opacity: '0' }, { opacity: '1' }],
+   *     leave: [{ transform: 'scale(1)', opacity: '1' }, { transform: 'scale(0.9)', opacity: '0' }],
+   *     enterOnTop: false
+   *   }
+   * });
+   */
+  registerTransition(name, definition) {
+    this.transitions[name] = definition;
+  }
+
   /**
    * 페이지 이동
-   * @param {string} path - 페이지 경로
-   * @param {boolean} [replace=false] - 히스토리 교체 여부
+   * @param {string} path - 페이지 경로 (뷰 파일 경로 또는 등록된 라우트 경로)
+   * @param {boolean|Object} [options=false] - 히스토리 교체 여부 또는 옵션 객체
+   * @param {boolean} [options.replace=false] - 히스토리 교체 여부
+   * @param {string} [options.transition] - 이번 이동에 사용할 전환 효과
+   * @param {boolean} [options.reload=false] - keep-alive 캐시를 무시하고 새로 로드
    * @returns {Promise<void>}
    *
    * @example
    * router.navigate('views/home.html');
    * router.navigate('views/login.html', true); // 히스토리 교체
+   * router.navigate('/products/42?tab=review'); // 라우트 테이블 경로
+   * router.navigate('/compose', { transition: 'modal' }); // 전환 효과 지정
    */
-  async navigate(path, replace = false) {
+  async navigate(path, options = false) {
+    const { replace = false, transition, reload = false } = typeof options === 'object' && options !== null
+      ? options
+      : { replace: options };
+
     // 경로 보안 검증
-    if (!Security.validatePath(path)) {
+    const isValid = this._isRoutePath(path)
+      ? Security.validateRoutePath(path)
+      : Security.validatePath(path);
+
+    if (!isValid) {
       console.error('Invalid path:', path);
       await this._emitHook('onError', new Error('Invalid path'));
       return;
     }
 
-    await this._loadView(path, !replace);
+    await this._loadView(path, {
+      history: replace ? 'replace' : 'push',
+      direction: 'forward',
+      transition,
+      reload
+    });
   }
 
   /**
    * 뷰 로드
    * @private
    * @param {string} path - 경로 (쿼리 스트링 포함 가능)
-   * @param {boolean} [pushState=true] - pushState 사용 여부
+   * @param {Object} [options] - 옵션
+   * @param {string} [options.history='push'] - 히스토리 처리 ('push', 'replace', 'none')
+   * @param {string} [options.direction='forward'] - 이동 방향 ('forward', 'back')
+   * @param {string} [options.transition] - 전환 효과 (없으면 라우트/기본값 사용)
+   * @param {boolean} [options.reload=false] - keep-alive 캐시 무시
+   * @param {number} [options.redirects=0] - 가드 리다이렉트 횟수 (내부용)
    */
-  async _loadView(path, pushState = true) {
+  async _loadView(path, options = {}) {
+    const { history = 'push', direction = 'forward' } = options;
     const from = this.currentPath;
+    let keepEntry = null;
+    let rendered = false;
+
+    // 진행 중인 전환이 끝날 때까지 대기
+    if (this._transitionPromise) {
+      await this._transitionPromise.catch(() => {});
+    }
 
     try {
+      // 라우트 해석 (리다이렉트 포함)
+      const route = this.resolve(path);
+
+      if (!route) {
+        throw new Error(`No route matches: ${path}`);
+      }
+
+      if (!Security.validatePath(route.view)) {
+        throw new Error(`Invalid view path: ${route.view}`);
+      }
+
+      // 라우트 가드 (현재 라우트의 canLeave → 다음 라우트의 canEnter)
+      const previous = this.currentRoute;
+      let guardResult = await this._runGuards(previous?.route?.canLeave, route, previous);
+      if (guardResult === true) {
+        guardResult = await this._runGuards(route.route?.canEnter, route, previous);
+      }
+
+      // 가드 리다이렉트 (popstate로 이미 바뀐 히스토리 항목은 교체)
+      if (typeof guardResult === 'string') {
+        const redirects = (options.redirects || 0) + 1;
+        if (redirects > MAX_REDIRECTS) {
+          throw new Error(`Too many redirects: ${path}`);
+        }
+        await this._loadView(guardResult, {
+          ...options,
+          history: history === 'none' ? 'replace' : history,
+          redirects
+        });
+        return;
+      }
+
+      // 가드 취소 (popstate로 이미 URL이 바뀐 경우 현재 경로로 되돌림)
+      if (guardResult === false) {
+        if (history === 'none') {
+          this._restoreHistory();
+        }
+        return;
+      }
+
+      // 이전 뷰가 keep-alive면 인스턴스를 파괴하지 않고 분리
+      const container = document.querySelector(this.container);
+      if (container && this.currentRoute?.keepAlive) {
+        keepEntry = {
+          fragment: document.createDocumentFragment(),
+          instances: null,
+          bindings: null,
+          scroll: this._captureScroll(container)
+        };
+      }
+
       // 이전 뷰의 인스턴스 정리
-      await this._cleanupCurrentView();
+      await this._cleanupCurrentView(keepEntry);
 
       // beforeLoad 훅
-      await this._emitHook('beforeLoad', path, from);
+      await this._emitHook('beforeLoad', route.path, from);
 
       // 로딩 표시
       if (this.loading) {
         this.loading.show('페이지 로딩 중...');
       }
 
-      // 쿼리 스트링 분리 (fetch는 파일 경로만 필요)
-      const [filePath] = path.split('?');
+      // keep-alive 캐시 확인 (있으면 fetch 생략)
+      const cached = this._takeKeepAlive(route.path, options.reload);
+      let content;
+
+      if (cached) {
+        content = cached.fragment;
+        route.keepAlive = true;
+      } else {
+        // HTML 파일 가져오기 (캐시 우선, 오프라인이면 Cache Storage)
+        let response = await this._fetchView(route.view);
+
+        // 뷰 파일이 없으면 404 뷰로 대체
+        if (response.status === 404 && this.notFoundView && route.view !== this.notFoundView) {
+          route.notFound = true;
+          response = await this._fetchView(this.notFoundView);
+        }
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
 
-      // HTML 파일 가져오기
-      const response = await fetch(filePath);
+        content = response.html;
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        // 뷰가 선언한 모듈 로드 (스크립트 실행 전)
+        await this._loadViewModules(route, content);
+      }
+
+      // 전환 효과 결정
+      // 뒤로 이동: 떠나는 뷰가 들어올 때 사용한 전환의 역방향
+      // 앞으로 이동: 이동 옵션 > 라우트 설정 > 기본값
+      const transition = direction === 'back'
+        ? (options.transition || this.stack[this.stack.length - 1]?.transition || this.transition)
+        : (options.transition || route.route?.transition || this.transition);
+
+      // 로딩 숨김 (전환 애니메이션 전에)
+      if (this.loading) {
+        this.loading.hide();
       }
 
-      const html = await response.text();
+      // 뷰 스크립트에서 params()를 사용할 수 있도록 렌더링 전에 설정
+      this.currentRoute = route;
 
       // 뷰 파일 렌더링
       // views/ 폴더 및 하위 폴더의 뷰 파일은 개발자가 작성한 신뢰할 수 있는 파일이므로
@@ -138,25 +619,72 @@ export class ViewRouter {
       // - views/admin/dashboard.html 같은 하위 폴더도 지원
 
       // 컨테이너에 렌더링
-      const container = document.querySelector(this.container);
       if (container) {
-        container.innerHTML = html;
+        this._transitionPromise = this._renderView(container, content, {
+          transition,
+          direction,
+          keep: keepEntry?.fragment,
+          scrollTop: cached?.scroll.top
+        });
+        rendered = true;
+        try {
+          await this._transitionPromise;
+        } finally {
+          this._transitionPromise = null;
+        }
 
-        // 스크립트 실행
-        this._executeScripts(container);
+        // 새 뷰의 링크 프리페치 감시
+        this.observeLinks(container);
+
+        if (cached) {
+          // 캐시된 인스턴스 재등록 및 스크롤 복원
+          this._loader?.attachInstances?.(cached.instances);
+          this._binder?.attachBindings(cached.bindings);
+          this._restoreScroll(container, cached.scroll);
+        } else {
+          // 뷰에 catui-keep-alive 속성이 있으면 keep-alive 대상
+          route.keepAlive = !!(route.route?.keepAlive || container.querySelector('[catui-keep-alive]'));
+        }
+      }
+
+      // 떠난 뷰를 캐시에 저장
+      if (keepEntry) {
+        this._storeKeepAlive(from, keepEntry);
+        keepEntry = null;
       }
 
       // History API 업데이트 (useHistory가 true일 때만)
-      if (pushState && this.useHistory) {
-        window.history.pushState({ path }, '', `#${path}`);
+      // 뒤로 가기 가드 항목이 맨 위에 있으면 새 항목으로 대체
+      if (this.useHistory && history === 'push') {
+        const state = { path: route.path, index: ++this._historyIndex };
+        if (this.backButton?._takeGuard()) {
+          window.history.replaceState(state, '', this._toURL(route.path));
+        } else {
+          window.history.pushState(state, '', this._toURL(route.path));
+        }
+      } else if (this.useHistory && history === 'replace') {
+        window.history.replaceState({ path: route.path, index: this._historyIndex }, '', this._toURL(route.path));
       }
 
-      this.currentPath = path;
+      // 네비게이션 스택 업데이트
+      this._updateStack({ path: route.path, transition }, direction === 'back' ? 'pop' : history);
+
+      // memory 모드: 이전 뷰가 있으면 하드웨어 뒤로 가기용 가드 유지
+      this.backButton?._syncGuard();
+
+      this.currentPath = route.path;
 
       // afterLoad 훅
-      await this._emitHook('afterLoad', path);
+      await this._emitHook('afterLoad', route.path);
 
     } catch (error) {
+      // 렌더링 전에 실패하면 분리했던 인스턴스를 되돌림
+      if (keepEntry && !rendered) {
+        if (keepEntry.instances) {
+          this._loader?.attachInstances?.(keepEntry.instances);
+        }
+        this._binder?.attachBindings(keepEntry.bindings);
+      }
       console.error('Failed to load view:', error);
       await this._emitHook('onError', error);
     } finally {
@@ -167,6 +695,501 @@ export class ViewRouter {
     }
   }
 
+  /**
+   * 뷰 렌더링 (전환 효과 포함)
+   * 전환 중에는 나가는 뷰와 들어오는 뷰가 모두 DOM에 유지되며,
+   * 전환이 끝나면 들어오는 뷰의 노드를 컨테이너로 옮깁니다.
+   * @private
+   * @param {HTMLElement} container - 컨테이너
+   * @param {string|DocumentFragment} content - 뷰 HTML 또는 keep-alive 캐시 노드
+   * @param {Object} options - 옵션
+   * @param {string} options.transition - 전환 효과 이름
+   * @param {string} options.direction - 이동 방향 ('forward', 'back')
+   * @param {DocumentFragment} [options.keep] - 나가는 뷰 노드를 보관할 fragment (keep-alive)
+   * @param {number} [options.scrollTop] - 들어오는 뷰의 복원할 스크롤 위치
+   * @returns {Promise<void>}
+   */
+  async _renderView(container, content, { transition: transitionName, direction, keep, scrollTop }) {
+    const transition = this.transitions[transitionName];
+    const isHTML = typeof content === 'string';
+
+    // 전환 없음: 즉시 교체
+    if (!transition || !container.hasChildNodes() || !this._canAnimate()) {
+      if (keep) {
+        keep.append(...container.childNodes);
+      }
+      if (isHTML) {
+        container.innerHTML = content;
+        this._executeScripts(container);
+      } else {
+        container.replaceChildren(content);
+      }
+      return;
+    }
+
+    const effect = transition[direction === 'back' ? 'pop' : 'push'];
+    const previousScrollTop = container.scrollTop;
+
+    // 나가는 뷰 레이어 (현재 노드 이동)
+    const leaving = document.createElement('div');
+    leaving.className = 'catui-view-layer catui-view-layer--leaving';
+    leaving.append(...container.childNodes);
+
+    // 들어오는 뷰 레이어
+    const entering = document.createElement('div');
+    entering.className = 'catui-view-layer catui-view-layer--entering';
+    if (isHTML) {
+      entering.innerHTML = content;
+    } else {
+      // 캐시된 뷰는 스크롤 위치를 유지한 채 전환
+      entering.classList.add('catui-view-layer--restoring');
+      entering.append(content);
+    }
+
+    leaving.style.zIndex = effect.enterOnTop ? '1' : '2';
+    entering.style.zIndex = effect.enterOnTop ? '2' : '1';
+
+    container.classList.add('is-view-transitioning');
+    container.append(leaving, entering);
+    container.scrollTop = 0;
+    leaving.scrollTop = previousScrollTop;
+    if (!isHTML && scrollTop) {
+      entering.scrollTop = scrollTop;
+    }
+
+    // 스크립트 실행 (들어오는 뷰가 DOM에 있는 상태)
+    if (isHTML) {
+      this._executeScripts(entering);
+    }
+
+    const animations = [];
+    if (effect.enter) {
+      animations.push(AnimationUtil.animate(entering).custom(effect.enter[0], effect.enter[1], this.transitionDuration, TRANSITION_EASING));
+    }
+    if (effect.leave) {
+      animations.push(AnimationUtil.animate(leaving).custom(effect.leave[0], effect.leave[1], this.transitionDuration, TRANSITION_EASING));
+    }
+
+    try {
+      await Promise.all(animations);
+    } finally {
+      // 레이어 해제 (들어온 뷰 노드를 컨테이너로 이동)
+      leaving.remove();
+      if (keep) {
+        keep.append(...leaving.childNodes);
+      }
+      container.append(...entering.childNodes);
+      entering.remove();
+      container.classList.remove('is-view-transitioning');
+    }
+  }
+
+  /**
+   * 애니메이션 가능 여부 (prefers-reduced-motion 존중)
+   * @private
+   * @returns {boolean}
+   */
+  _canAnimate() {
+    if (typeof Element === 'undefined' || typeof Element.prototype.animate !== 'function') {
+      return false;
+    }
+    return !window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /**
+   * 네비게이션 스택 업데이트
+   * @private
+   * @param {Object} entry - { path, transition }
+   * @param {string} action - 'push', 'replace', 'pop' ('none'은 push로 처리)
+   */
+  _updateStack(entry, action) {
+    const lastIndex = Math.max(this.stack.length - 1, 0);
+
+    if (action === 'pop') {
+      this.stack.pop();
+      const top = this.stack[this.stack.length - 1];
+      // 이전 항목과 경로가 다르면 (히스토리 여러 단계 이동 등) 교체
+      if (!top || top.path !== entry.path) {
+        this.stack[Math.max(this.stack.length - 1, 0)] = entry;
+      }
+    } else if (action === 'replace') {
+      this.stack[lastIndex] = entry;
+    } else {
+      this.stack.push(entry);
+    }
+  }
+
+  /**
+   * 뷰 프리페치 (HTML을 미리 가져와 캐시)
+   * @param {string} path - 라우트 경로 또는 뷰 파일 경로
+   * @returns {Promise<boolean>} 성공 여부
+   *
+   * @example
+   * router.prefetch('/products/42');
+   * router.prefetch('views/settings.html');
+   */
+  async prefetch(path) {
+    const isValid = this._isRoutePath(path)
+      ? Security.validateRoutePath(path)
+      : Security.validatePath(path);
+
+    if (!this.viewCache || !isValid) return false;
+
+    try {
+      const route = this.resolve(path);
+      if (!route || !Security.validatePath(route.view)) return false;
+
+      const response = await this._fetchView(route.view);
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 링크 가시성 프리페치 감시
+   * prefetchLinks가 'visible'이거나 catui-prefetch="visible"인 catui-href 링크가
+   * 화면에 보이면 프리페치합니다.
+   * @param {HTMLElement|Document} [root=document] - 검색 범위
+   *
+   * @example
+   * router.observeLinks(document.querySelector('.tab-bar'));
+   */
+  observeLinks(root = document) {
+    if (!this.viewCache || typeof IntersectionObserver === 'undefined') return;
+
+    // 데이터 절약 모드에서는 가시성 프리페치 안함
+    if (navigator.connection?.saveData) return;
+
+    root.querySelectorAll('[catui-href]').forEach((link) => {
+      if (this._getPrefetchMode(link) !== 'visible') return;
+
+      if (!this._linkObserver) {
+        this._linkObserver = new IntersectionObserver((entries) => {
+          entries.forEach((entry) => {
+            if (!entry.isIntersecting) return;
+            this._linkObserver.unobserve(entry.target);
+            this.prefetch(entry.target.getAttribute('catui-href'));
+          });
+        });
+      }
+      this._linkObserver.observe(link);
+    });
+  }
+
+  /**
+   * 링크의 프리페치 모드 (catui-prefetch 속성 > 라우터 기본값)
+   * @private
+   * @param {HTMLElement} link - catui-href 링크
+   * @returns {string} 'touch', 'visible', 'none'
+   */
+  _getPrefetchMode(link) {
+    return link.getAttribute('catui-prefetch') || this.prefetchLinks;
+  }
+
+  /**
+   * 링크 터치 시작 처리 (prefetchLinks가 'none'이 아니면 프리페치)
+   * @param {HTMLElement} link - catui-href 링크
+   */
+  prefetchLink(link) {
+    if (this._getPrefetchMode(link) === 'none') return;
+    this.prefetch(link.getAttribute('catui-href'));
+  }
+
+  /**
+   * 뷰 HTML 가져오기 (메모리 캐시 → 네트워크 → Cache Storage)
+   * @private
+   * @param {string} view - 뷰 파일 경로
+   * @returns {Promise<{ok: boolean, status: number, statusText: string, html: string}>}
+   */
+  _fetchView(view) {
+    if (this.viewCache && this._viewCache.has(view)) {
+      // LRU 순서 갱신
+      const html = this._viewCache.get(view);
+      this._viewCache.delete(view);
+      this._viewCache.set(view, html);
+      return Promise.resolve({ ok: true, status: 200, statusText: 'OK', html });
+    }
+
+    // 진행 중인 요청 공유 (프리페치와 네비게이션 중복 방지)
+    if (this._viewRequests.has(view)) {
+      return this._viewRequests.get(view);
+    }
+
+    const request = this._requestView(view).finally(() => {
+      this._viewRequests.delete(view);
+    });
+    this._viewRequests.set(view, request);
+    return request;
+  }
+
+  /**
+   * 뷰 HTML 네트워크 요청
+   * @private
+   * @param {string} view - 뷰 파일 경로
+   * @returns {Promise<Object>}
+   */
+  async _requestView(view) {
+    let response;
+
+    try {
+      response = await fetch(view);
+    } catch (error) {
+      // 오프라인: Cache Storage에서 복원
+      const html = await this._readCachedView(view);
+      if (html === null) throw error;
+
+      this._storeView(view, html, false);
+      return { ok: true, status: 200, statusText: 'OK', html };
+    }
+
+    const html = await response.text();
+
+    if (response.ok) {
+      this._storeView(view, html, true);
+    }
+
+    return { ok: response.ok, status: response.status, statusText: response.statusText, html };
+  }
+
+  /**
+   * 뷰 HTML 캐시 저장
+   * @private
+   * @param {string} view - 뷰 파일 경로
+   * @param {string} html - HTML
+   * @param {boolean} persist - Cache Storage에도 저장할지 여부
+   */
+  _storeView(view, html, persist) {
+    if (!this.viewCache) return;
+
+    this._viewCache.set(view, html);
+    while (this._viewCache.size > this.viewCacheMax) {
+      this._viewCache.delete(this._viewCache.keys().next().value);
+    }
+
+    if (persist && typeof caches !== 'undefined') {
+      caches.open(this.viewCacheName)
+        .then(cache => cache.put(view, new Response(html, { headers: { 'Content-Type': 'text/html' } })))
+        .catch(() => {
+          // Cache Storage 사용 불가 (비보안 컨텍스트 등)는 무시
+        });
+    }
+  }
+
+  /**
+   * Cache Storage에서 뷰 HTML 읽기
+   * @private
+   * @param {string} view - 뷰 파일 경로
+   * @returns {Promise<string|null>}
+   */
+  async _readCachedView(view) {
+    if (!this.viewCache || typeof caches === 'undefined') return null;
+
+    try {
+      const cache = await caches.open(this.viewCacheName);
+      const response = await cache.match(view);
+      return response ? await response.text() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 뷰 HTML 캐시 비우기 (메모리 + Cache Storage)
+   * @returns {Promise<void>}
+   *
+   * @example
+   * // 앱 업데이트 후 뷰 캐시 무효화
+   * await router.clearViewCache();
+   */
+  async clearViewCache() {
+    this._viewCache.clear();
+
+    if (typeof caches !== 'undefined') {
+      try {
+        await caches.delete(this.viewCacheName);
+      } catch (error) {
+        // 무시
+      }
+    }
+  }
+
+  /**
+   * 가드 실행
+   * @private
+   * @param {Function|Function[]} guards - 가드 함수 (배열 가능)
+   * @param {Object} to - 이동할 라우트 (resolve() 결과)
+   * @param {Object|null} from - 현재 라우트
+   * @returns {Promise<boolean|string>} true: 통과, false: 취소, string: 리다이렉트 경로
+   */
+  async _runGuards(guards, to, from) {
+    if (!guards) return true;
+
+    const list = Array.isArray(guards) ? guards : [guards];
+    for (const guard of list) {
+      const result = await guard(to, from);
+      if (result === false || typeof result === 'string') {
+        return result;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 취소된 popstate 이동의 URL 되돌리기
+   * @private
+   */
+  _restoreHistory() {
+    if (!this.useHistory || !this.currentPath) return;
+
+    this._historyIndex++;
+    window.history.pushState({ path: this.currentPath, index: this._historyIndex }, '', this._toURL(this.currentPath));
+  }
+
+  /**
+   * 뷰가 선언한 모듈 로드
+   * 라우트의 modules 옵션과 뷰의 <meta name="catui-modules" content="overlays,pickers">를 합쳐서 로드합니다.
+   * @private
+   * @param {Object} route - resolve() 결과
+   * @param {string} html - 뷰 HTML
+   */
+  async _loadViewModules(route, html) {
+    if (!this._loader || typeof this._loader.use !== 'function') return;
+
+    const names = new Set(route.route?.modules || []);
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    template.content.querySelectorAll('meta[name="catui-modules"]').forEach((meta) => {
+      (meta.getAttribute('content') || '').split(',').forEach((name) => {
+        if (name.trim()) names.add(name.trim());
+      });
+    });
+
+    // 모듈 이름 검증 (경로 조작 방지)
+    const modules = Array.from(names).filter((name) => {
+      const valid = /^[a-z0-9-]+$/i.test(name);
+      if (!valid) {
+        console.warn(`[CATUI] Invalid module name in view: ${name}`);
+      }
+      return valid;
+    });
+
+    if (modules.length > 0) {
+      await this._loader.use(...modules);
+    }
+  }
+
+  /**
+   * 스크롤 위치 수집 (컨테이너 및 내부 스크롤 요소)
+   * @private
+   * @param {HTMLElement} container - 컨테이너
+   * @returns {{top: number, elements: Array}}
+   */
+  _captureScroll(container) {
+    const elements = [];
+    container.querySelectorAll('*').forEach((el) => {
+      if (el.scrollTop || el.scrollLeft) {
+        elements.push({ el, top: el.scrollTop, left: el.scrollLeft });
+      }
+    });
+    return { top: container.scrollTop, elements };
+  }
+
+  /**
+   * 스크롤 위치 복원
+   * @private
+   * @param {HTMLElement} container - 컨테이너
+   * @param {Object} scroll - _captureScroll() 결과
+   */
+  _restoreScroll(container, scroll) {
+    container.scrollTop = scroll.top;
+    scroll.elements.forEach(({ el, top, left }) => {
+      el.scrollTop = top;
+      el.scrollLeft = left;
+    });
+  }
+
+  /**
+   * keep-alive 캐시에서 꺼내기
+   * @private
+   * @param {string} path - 경로
+   * @param {boolean} [reload=false] - true면 캐시를 폐기하고 null 반환
+   * @returns {Object|null}
+   */
+  _takeKeepAlive(path, reload = false) {
+    const entry = this._keepAliveCache.get(path);
+    if (!entry) return null;
+
+    this._keepAliveCache.delete(path);
+
+    if (reload) {
+      this._destroyKeepAliveEntry(entry);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * keep-alive 캐시에 저장 (LRU)
+   * @private
+   * @param {string} path - 경로
+   * @param {Object} entry - { fragment, instances, bindings, scroll }
+   */
+  _storeKeepAlive(path, entry) {
+    if (this._keepAliveCache.has(path)) {
+      this._destroyKeepAliveEntry(this._keepAliveCache.get(path));
+      this._keepAliveCache.delete(path);
+    }
+
+    this._keepAliveCache.set(path, entry);
+
+    // 가장 오래 사용하지 않은 뷰부터 제거
+    while (this._keepAliveCache.size > Math.max(this.keepAliveMax, 0)) {
+      const [oldestPath, oldest] = this._keepAliveCache.entries().next().value;
+      this._keepAliveCache.delete(oldestPath);
+      this._destroyKeepAliveEntry(oldest);
+    }
+  }
+
+  /**
+   * keep-alive 캐시 항목 파괴
+   * @private
+   * @param {Object} entry - 캐시 항목
+   */
+  _destroyKeepAliveEntry(entry) {
+    entry.instances?.forEach((instanceSet, moduleName) => {
+      instanceSet.forEach((instance) => {
+        try {
+          if (instance && typeof instance.destroy === 'function') {
+            instance.destroy();
+          }
+        } catch (error) {
+          console.error(`[CATUI] Error destroying cached instance from ${moduleName}:`, error);
+        }
+      });
+    });
+    entry.bindings?.forEach(binding => binding.destroy());
+    entry.fragment.replaceChildren();
+  }
+
+  /**
+   * keep-alive 캐시 비우기
+   * @param {string} [path] - 특정 경로만 제거 (없으면 전체)
+   *
+   * @example
+   * router.clearKeepAlive('/products'); // 해당 뷰만 다음 방문 시 새로 로드
+   * router.clearKeepAlive(); // 전체
+   */
+  clearKeepAlive(path) {
+    if (path) {
+      this._takeKeepAlive(path, true);
+      return;
+    }
+    this._keepAliveCache.forEach(entry => this._destroyKeepAliveEntry(entry));
+    this._keepAliveCache.clear();
+  }
+
   /**
    * 스크립트 실행
    * @private
@@ -192,7 +1215,106 @@ export class ViewRouter {
   }
 
   /**
-   * URL 파라미터 조회
+   * 라우트 패턴 컴파일
+   * @private
+   * @param {string} path - 라우트 패턴
+   * @returns {{regex: RegExp, keys: string[]}}
+   */
+  _compileRoute(path) {
+    const keys = [];
+    const pattern = path
+      .split('/')
+      .map((segment) => {
+        if (segment === '*') {
+          keys.push('wildcard');
+          return '(.*)';
+        }
+        if (segment.startsWith(':')) {
+          const optional = segment.endsWith('?');
+          keys.push(segment.slice(1, optional ? -1 : undefined));
+          return optional ? '?([^/]*)' : '([^/]+)';
+        }
+        return segment.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('/');
+
+    return {
+      regex: new RegExp(`^${pattern}/?$`),
+      keys
+    };
+  }
+
+  /**
+   * 라우트 매칭
+   * @private
+   * @param {string} pathname - 쿼리 스트링을 제외한 경로
+   * @returns {{route: Object, params: Object}|null}
+   */
+  _matchRoute(pathname) {
+    for (const route of this.routes) {
+      const match = pathname.match(route.regex);
+      if (!match) continue;
+
+      const params = {};
+      route.keys.forEach((key, index) => {
+        const value = match[index + 1];
+        if (value !== undefined && value !== '') {
+          // 잘못 인코딩된 세그먼트는 그대로 전달
+          try {
+            params[key] = decodeURIComponent(value);
+          } catch (error) {
+            params[key] = value;
+          }
+        }
+      });
+
+      return { route, params };
+    }
+    return null;
+  }
+
+  /**
+   * 경로 패턴에 파라미터 채우기
+   * @private
+   * @param {string} pattern - 라우트 패턴
+   * @param {Object} params - 파라미터
+   * @returns {string}
+   */
+  _fillParams(pattern, params) {
+    return pattern
+      .replace(/:(\w+)\??/g, (match, key) => (params[key] !== undefined ? encodeURIComponent(params[key]) : ''))
+      .replace(/\*/g, () => params.wildcard || '');
+  }
+
+  /**
+   * 쿼리 스트링 파싱
+   * @private
+   * @param {string} queryString - 쿼리 스트링
+   * @returns {Object}
+   */
+  _parseQuery(queryString) {
+    const query = {};
+    if (!queryString) return query;
+
+    for (const [key, value] of new URLSearchParams(queryString)) {
+      // 이스케이프 없이 원본 값 반환 (뷰에서 사용 시)
+      query[key] = value;
+    }
+    return query;
+  }
+
+  /**
+   * 라우트 경로 여부 (/로 시작)
+   * @private
+   * @param {string} path - 경로
+   * @returns {boolean}
+   */
+  _isRoutePath(path) {
+    return typeof path === 'string' && path.startsWith('/');
+  }
+
+  /**
+   * URL 파라미터 조회 (경로 파라미터 + 쿼리 파라미터)
    * @returns {Object} 파라미터 객체
    *
    * @example
@@ -200,32 +1322,50 @@ export class ViewRouter {
    * const params = router.params();
    * console.log(params.id); // '123'
    * console.log(params.color); // 'red'
+   *
+   * @example
+   * // 라우트: /products/:id, URL: #/products/42?tab=review
+   * router.params(); // { id: '42', tab: 'review' }
    */
   params() {
+    if (this.currentRoute) {
+      return { ...this.currentRoute.query, ...this.currentRoute.params };
+    }
+
     const hash = window.location.hash.slice(1);
     const [, queryString] = hash.split('?');
 
-    if (!queryString) return {};
-
-    const params = {};
-    const searchParams = new URLSearchParams(queryString);
-
-    for (const [key, value] of searchParams) {
-      // 이스케이프 없이 원본 값 반환 (뷰에서 사용 시)
-      params[key] = value;
-    }
-
-    return params;
+    return this._parseQuery(queryString);
   }
 
   /**
    * 뒤로 가기
+   * memory 모드에서는 네비게이션 스택에서 이전 뷰로 이동합니다.
+   * @returns {Promise<void>|void}
    *
    * @example
    * router.back();
    */
   back() {
-    window.history.back();
+    if (this.useHistory) {
+      window.history.back();
+      return;
+    }
+
+    if (this.stack.length > 1) {
+      return this._loadView(this.stack[this.stack.length - 2].path, {
+        history: 'none',
+        direction: 'back'
+      });
+    }
+  }
+
+  /**
+   * 뒤로 갈 수 있는지 여부
+   * @returns {boolean}
+   */
+  canGoBack() {
+    return this.stack.length > 1;
   }
 
   /**
@@ -268,14 +1408,39 @@ export class ViewRouter {
     this._loader = loader;
   }
 
+  /**
+   * 데이터 바인딩 관리자 설정 (뷰 바인딩 정리용)
+   * @param {DataBinder} binder - 바인딩 관리자
+   */
+  setBinder(binder) {
+    this._binder = binder;
+  }
+
   /**
    * 현재 뷰 정리
    * @private
+   * @param {Object} [keepEntry] - keep-alive 항목 (있으면 인스턴스를 파괴하지 않고 분리)
    */
-  async _cleanupCurrentView() {
+  async _cleanupCurrentView(keepEntry = null) {
     // beforeUnload 훅 실행
     await this._emitHook('beforeUnload', this.currentPath);
 
+    // 뷰 안의 데이터 바인딩 해제 (keep-alive면 분리)
+    const container = this._binder ? document.querySelector(this.container) : null;
+    if (container) {
+      if (keepEntry) {
+        keepEntry.bindings = this._binder.detachBindings(container);
+      } else {
+        this._binder.destroyBindings(container);
+      }
+    }
+
+    // keep-alive: 인스턴스 분리 (돌아올 때 재등록)
+    if (keepEntry && this._loader && typeof this._loader.detachInstances === 'function') {
+      keepEntry.instances = this._loader.detachInstances();
+      return;
+    }
+
     // 모듈 인스턴스 정리 (overlays, navigation 제외)
     if (this._loader && typeof this._loader.destroyInstances === 'function') {
       this._loader.destroyInstances();
@@ -403,9 +1568,28 @@ export class ViewRouter {
       this.loading.forceHide();
     }
 
+    // keep-alive 캐시 정리
+    this.clearKeepAlive();
+
+    // 링크 프리페치 감시 및 메모리 캐시 정리 (Cache Storage는 오프라인용으로 유지)
+    if (this._linkObserver) {
+      this._linkObserver.disconnect();
+      this._linkObserver = null;
+    }
+    this._viewCache.clear();
+    this._viewRequests.clear();
+
     // 상태 및 참조 초기화 (메모리 누수 방지)
+    this.backButton = null;
     this.currentPath = '';
+    this.currentRoute = null;
+    this.routes = [];
+    this.notFoundView = null;
+    this.stack = [];
+    this._historyIndex = 0;
+    this._transitionPromise = null;
     this._loader = null;
+    this._binder = null;
     this.loading = null;
   }
 }
@@ -0,0 +1,270 @@
+/**
+ * 저장소 암호화 (WebCrypto AES-GCM)
+ * @module core/secure-storage
+ */
+
+import { IDBStorage } from './idb-storage.js';
+
+// 암호화된 값 표시
+const ENCRYPTED_MARK = '__catuiEncrypted';
+
+// 비밀번호 키 유도 정보 (localStorage) 및 기기 키 저장소 (IndexedDB)
+const SALT_KEY = 'catui-secure:salt';
+const VERIFIER_KEY = 'catui-secure:verifier';
+const KEYSTORE_NAME = 'catui-keystore';
+const DEVICE_KEY = 'device';
+
+// 비밀번호 확인용 평문
+const VERIFIER_TEXT = 'catui-secure';
+
+/**
+ * 저장소 암호화
+ * @class
+ * @description Storage의 encrypt 옵션에 사용하는 AES-GCM 암호화 키를 관리합니다.
+ * 키는 비밀번호(PIN)에서 PBKDF2로 유도하거나, IndexedDB에 보관하는 추출 불가능한 기기 키를 사용합니다.
+ * 키는 메모리에만 유지되며 lock()으로 해제합니다.
+ *
+ * 보통은 Storage.unlock(), Storage.lock()으로 사용합니다.
+ *
+ * @example
+ * await Storage.unlock('1234');                      // PIN에서 키 유도 (처음이면 등록)
+ * await Storage.set('card', card, { encrypt: true });
+ * const card = await Storage.getSecure('card');     // 복호화
+ */
+export class StorageCipher {
+  /**
+   * StorageCipher 생성자
+   * @constructor
+   */
+  constructor() {
+    this._key = null;
+    this._keystore = null;
+  }
+
+  /**
+   * 지원 여부
+   * @type {boolean}
+   */
+  static get supported() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+  }
+
+  /**
+   * 암호화된 값인지 확인
+   * @param {*} value - 저장된 값
+   * @returns {boolean}
+   */
+  static isEncrypted(value) {
+    return Boolean(value) && typeof value === 'object' && value[ENCRYPTED_MARK] === 1;
+  }
+
+  /**
+   * 잠금 해제 여부
+   * @type {boolean}
+   */
+  get unlocked() {
+    return this._key !== null;
+  }
+
+  /**
+   * 잠금 해제 (암호화 키 준비)
+   * @param {string|CryptoKey} [secret] - 비밀번호/PIN, AES-GCM CryptoKey 또는 생략 (기기 키)
+   * @param {Object} [options] - 옵션
+   * @param {number} [options.iterations=310000] - PBKDF2 반복 횟수
+   * @returns {Promise<boolean>} 성공 여부 (비밀번호가 다르면 false)
+   */
+  async unlock(secret, options = {}) {
+    if (!StorageCipher.supported) {
+      console.error('StorageCipher: WebCrypto is not supported');
+      return false;
+    }
+
+    try {
+      if (secret && typeof secret === 'object') {
+        this._key = secret;
+        return true;
+      }
+
+      if (secret === undefined || secret === null) {
+        this._key = await this._deviceKey();
+        return true;
+      }
+
+      const key = await this._deriveKey(String(secret), options.iterations || 310000);
+      const verifier = localStorage.getItem(VERIFIER_KEY);
+
+      if (verifier) {
+        try {
+          const text = await this._decryptText(JSON.parse(verifier), key);
+          if (text !== VERIFIER_TEXT) return false;
+        } catch (error) {
+          // 복호화 실패 = 다른 비밀번호
+          return false;
+        }
+      } else {
+        // 처음 사용: 이후 비밀번호 확인용 값 저장
+        localStorage.setItem(VERIFIER_KEY, JSON.stringify(await this._encryptText(VERIFIER_TEXT, key)));
+      }
+
+      this._key = key;
+      return true;
+    } catch (error) {
+      console.error('StorageCipher.unlock error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 잠금 (메모리의 키 해제)
+   */
+  lock() {
+    this._key = null;
+  }
+
+  /**
+   * 암호화 설정 초기화 (비밀번호 분실 시, 기존 암호화 값은 복호화할 수 없게 됨)
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    this.lock();
+    localStorage.removeItem(SALT_KEY);
+    localStorage.removeItem(VERIFIER_KEY);
+    if (IDBStorage.supported) {
+      await this._getKeystore().remove(DEVICE_KEY);
+    }
+  }
+
+  /**
+   * 값 암호화 (JSON 직렬화 후 AES-GCM)
+   * @param {*} value - 값
+   * @returns {Promise<Object>} 저장할 암호화 값
+   */
+  async encrypt(value) {
+    if (!this._key) {
+      throw new Error('Secure storage is locked');
+    }
+    return this._encryptText(JSON.stringify(value), this._key);
+  }
+
+  /**
+   * 값 복호화
+   * @param {Object} payload - encrypt()로 만든 값
+   * @returns {Promise<*>} 원래 값
+   */
+  async decrypt(payload) {
+    if (!this._key) {
+      throw new Error('Secure storage is locked');
+    }
+    return JSON.parse(await this._decryptText(payload, this._key));
+  }
+
+  /**
+   * 문자열 암호화
+   * @private
+   * @param {string} text - 평문
+   * @param {CryptoKey} key - 키
+   * @returns {Promise<Object>} { __catuiEncrypted, iv, data }
+   */
+  async _encryptText(text, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { [ENCRYPTED_MARK]: 1, iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+  }
+
+  /**
+   * 문자열 복호화
+   * @private
+   * @param {Object} payload - { iv, data }
+   * @param {CryptoKey} key - 키
+   * @returns {Promise<string>}
+   */
+  async _decryptText(payload, key) {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+      key,
+      fromBase64(payload.data)
+    );
+    return new TextDecoder().decode(data);
+  }
+
+  /**
+   * 비밀번호에서 키 유도 (PBKDF2-SHA256, 솔트는 처음 사용 시 생성)
+   * @private
+   * @param {string} secret - 비밀번호
+   * @param {number} iterations - 반복 횟수
+   * @returns {Promise<CryptoKey>}
+   */
+  async _deriveKey(secret, iterations) {
+    let salt = localStorage.getItem(SALT_KEY);
+    if (!salt) {
+      salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+      localStorage.setItem(SALT_KEY, salt);
+    }
+
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * 기기 키 (없으면 추출 불가능한 키를 생성해 IndexedDB에 보관)
+   * @private
+   * @returns {Promise<CryptoKey>}
+   */
+  async _deviceKey() {
+    const keystore = this._getKeystore();
+
+    const saved = await keystore.get(DEVICE_KEY);
+    if (saved) return saved;
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    if (!(await keystore.set(DEVICE_KEY, key))) {
+      throw new Error('Failed to store device key');
+    }
+    return key;
+  }
+
+  /**
+   * 기기 키 저장소
+   * @private
+   * @returns {IDBStorage}
+   */
+  _getKeystore() {
+    if (!this._keystore) {
+      this._keystore = new IDBStorage({ name: KEYSTORE_NAME });
+    }
+    return this._keystore;
+  }
+}
+
+/**
+ * 바이트 배열 → Base64
+ * @private
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Base64 → 바이트 배열
+ * @private
+ */
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+export default StorageCipher;
@@ -180,6 +180,53 @@ export class Security {
     return true;
   }
 
+  /**
+   * 라우트 경로 검증
+   * @param {string} path - 검증할 라우트 경로 (쿼리 스트링 포함 가능)
+   * @returns {boolean} 안전한 경로 여부
+   *
+   * @description
+   * 라우트 테이블에 등록된 가상 경로(/products/42 등)를 검증합니다.
+   * 경로 순회(..), null byte, 프로토콜 상대 경로(//) 등을 차단합니다.
+   *
+   * @example
+   * Security.validateRoutePath('/products/42'); // true
+   * Security.validateRoutePath('/search?q=phone'); // true
+   * Security.validateRoutePath('//evil.com'); // false
+   * Security.validateRoutePath('/files/../secret'); // false
+   */
+  static validateRoutePath(path) {
+    if (typeof path !== 'string' || !path) return false;
+
+    // 쿼리 스트링 분리
+    const [pathOnly] = path.split('?');
+
+    // /로 시작해야 함 (// 프로토콜 상대 경로 차단)
+    if (!pathOnly.startsWith('/') || pathOnly.startsWith('//')) {
+      return false;
+    }
+
+    // null byte 포함 차단
+    if (pathOnly.includes('\0') || pathOnly.includes('%00')) {
+      return false;
+    }
+
+    // 상위 디렉토리 세그먼트 차단 (URL 인코딩 우회 포함)
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathOnly);
+    } catch (e) {
+      return false;
+    }
+    if (decoded.split(/[/\\]/).includes('..')) {
+      return false;
+    }
+
+    // 안전한 문자만 허용 (영문, 숫자, 하이픈, 언더스코어, 슬래시, 점, 물결, 퍼센트 인코딩)
+    const safePattern = /^[a-zA-Z0-9\-_/.~%]+$/;
+    return safePattern.test(pathOnly);
+  }
+
   /**
    * 안전한 파일명 검증
    * @param {string} filename - 검증할 파일명
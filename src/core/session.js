@@ -0,0 +1,576 @@
+/**
+ * 세션 관리
+ * @module core/session
+ */
+
+import { APIUtil } from './api.js';
+import { Storage } from './storage.js';
+
+// 사용자 활동으로 간주할 이벤트
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'wheel'];
+
+/**
+ * 세션 관리자
+ * @class
+ * @description 액세스/리프레시 토큰 저장, 요청 헤더 자동 설정, 401 응답 시 토큰 갱신 후 재요청,
+ * 유휴 시간 초과 로그아웃 및 PIN 잠금 화면을 제공합니다.
+ *
+ * 탭 간 동기화(CATUI.sync)가 시작되어 있으면 한 탭의 로그아웃이 모든 탭에 적용됩니다.
+ *
+ * 동시에 여러 요청이 401을 받아도 토큰 갱신은 한 번만 실행되며,
+ * 갱신이 끝나면 대기 중이던 요청들이 새 토큰으로 다시 전송됩니다.
+ *
+ * 다음 이벤트를 발생시킵니다.
+ * - 'session:login', 'session:refresh' - 토큰 저장/갱신
+ * - 'session:logout' { reason, remote } - 'manual', 'expired', 'idle', 'lock' (remote: 다른 탭에서 로그아웃)
+ * - 'session:lock', 'session:unlock' - 잠금 화면
+ *
+ * @example
+ * CATUI.session.init({
+ *   refresh: async (refreshToken) => {
+ *     const res = await fetch('/api/auth/refresh', {
+ *       method: 'POST',
+ *       body: JSON.stringify({ refreshToken })
+ *     });
+ *     return res.ok ? res.json() : null; // { accessToken, refreshToken, expiresIn }
+ *   },
+ *   idleTimeout: 30 * 60 * 1000
+ * });
+ *
+ * await CATUI.session.login({ accessToken, refreshToken, expiresIn: 3600 });
+ * CATUI.on('session:logout', () => CATUI.view.navigate('/login'));
+ */
+export class SessionManager {
+  /**
+   * SessionManager 생성자
+   * @constructor
+   * @param {EventBus} [eventBus] - 세션 이벤트를 발생시킬 이벤트 버스
+   */
+  constructor(eventBus = null) {
+    this.eventBus = eventBus;
+    this.loader = null;
+    this.sync = null;
+
+    this.options = {
+      storageKey: 'catui-session',
+      storage: 'local',
+      refresh: null,
+      header: 'Authorization',
+      scheme: 'Bearer',
+      exclude: [],
+      refreshBefore: 30000,
+      idleTimeout: 0,
+      lock: null
+    };
+
+    this._initialized = false;
+    this._interceptorId = null;
+    this._refreshPromise = null;
+    // 갱신 함수 실행 중 여부와 그동안 보낸 요청 (갱신을 기다리지 않음)
+    this._refreshing = false;
+    this._refreshRequests = new WeakSet();
+    this._lastActivity = Date.now();
+    this._idleTimer = null;
+    this._activityHandler = null;
+    this._visibilityHandler = null;
+    this._lockElement = null;
+    this._pinInput = null;
+    this._lockAttempts = 0;
+    this._syncUnsubscribe = null;
+  }
+
+  /**
+   * 초기화
+   * @param {Object} [options] - 옵션
+   * @param {Function} [options.refresh] - (refreshToken) => Promise<{accessToken, refreshToken?, expiresIn?}|null> 토큰 갱신 함수
+   * @param {string} [options.storageKey='catui-session'] - 토큰 저장 키
+   * @param {string} [options.storage='local'] - 'local' 또는 'session'
+   * @param {string} [options.header='Authorization'] - 토큰 헤더 이름
+   * @param {string} [options.scheme='Bearer'] - 토큰 접두사 (빈 문자열이면 토큰만)
+   * @param {Array<string|RegExp>} [options.exclude] - 토큰을 붙이지 않을 URL (로그인, 갱신 API 등)
+   * @param {number} [options.refreshBefore=30000] - 만료 전 미리 갱신할 시간 (ms)
+   * @param {number} [options.idleTimeout=0] - 유휴 시간 초과 시 로그아웃 (ms, 0이면 사용 안함)
+   * @param {Object} [options.lock] - PIN 잠금 화면 (auth 모듈의 PinInput 사용)
+   * @param {number} options.lock.timeout - 유휴 시간 초과 시 잠금 (ms)
+   * @param {Function} options.lock.verify - (pin) => Promise<boolean> PIN 확인
+   * @param {number} [options.lock.length=4] - PIN 자릿수
+   * @param {number} [options.lock.maxAttempts=5] - 최대 시도 횟수 (초과 시 로그아웃)
+   * @param {string} [options.lock.title='PIN 입력'] - 제목
+   * @param {string} [options.lock.subtitle] - 부제목
+   */
+  init(options = {}) {
+    this.options = { ...this.options, ...options };
+
+    if (!this._initialized) {
+      this._interceptorId = APIUtil.interceptors.request.use((config) => this._authorize(config));
+      APIUtil.onUnauthorized((url, config) => this._handleUnauthorized(url, config));
+      this._initialized = true;
+    }
+
+    if (this.isAuthenticated()) {
+      this._startIdleTracking();
+    }
+  }
+
+  /**
+   * 모듈 로더 연결 (잠금 화면의 auth 모듈 로드용)
+   * @param {ModuleLoader} loader - 모듈 로더
+   */
+  setLoader(loader) {
+    this.loader = loader;
+  }
+
+  /**
+   * 탭 간 동기화 연결 (다른 탭의 로그아웃 수신)
+   * @param {TabSync} sync - 탭 동기화 인스턴스
+   */
+  setSync(sync) {
+    this._syncUnsubscribe?.();
+    this.sync = sync;
+    this._syncUnsubscribe = sync
+      ? sync.on('session:logout', ({ reason }) => this._logout(reason, true))
+      : null;
+  }
+
+  /**
+   * 로그인 (토큰 저장)
+   * @param {Object} tokens - 토큰
+   * @param {string} tokens.accessToken - 액세스 토큰
+   * @param {string} [tokens.refreshToken] - 리프레시 토큰
+   * @param {number} [tokens.expiresIn] - 액세스 토큰 만료 시간 (초)
+   * @param {Object} [tokens.user] - 사용자 정보
+   */
+  login(tokens) {
+    this._saveTokens(tokens);
+    this._lockAttempts = 0;
+    this._startIdleTracking();
+    this._emit('session:login', { user: tokens.user || null });
+  }
+
+  /**
+   * 로그아웃 (토큰 및 응답 캐시 삭제)
+   * @param {string} [reason='manual'] - 로그아웃 사유
+   */
+  logout(reason = 'manual') {
+    this._logout(reason, false);
+    this.sync?.post('session:logout', { reason });
+  }
+
+  /**
+   * 로그아웃 처리
+   * @private
+   * @param {string} reason - 로그아웃 사유
+   * @param {boolean} remote - 다른 탭에서 로그아웃했는지 여부
+   */
+  _logout(reason, remote) {
+    const wasAuthenticated = this.isAuthenticated();
+
+    Storage.remove(this.options.storageKey, this.options.storage);
+    APIUtil.clearCache();
+
+    this._stopIdleTracking();
+    this._removeLockScreen();
+
+    // 토큰을 공유하는 localStorage는 보낸 탭에서 이미 삭제되었으므로 다른 탭의 로그아웃은 항상 알림
+    if (wasAuthenticated || remote) {
+      this._emit('session:logout', { reason, remote });
+    }
+  }
+
+  /**
+   * 저장된 토큰
+   * @returns {Object|null} { accessToken, refreshToken, expiresAt, user }
+   */
+  getTokens() {
+    return Storage.get(this.options.storageKey, null, this.options.storage);
+  }
+
+  /**
+   * 액세스 토큰
+   * @returns {string|null}
+   */
+  getAccessToken() {
+    return this.getTokens()?.accessToken || null;
+  }
+
+  /**
+   * 로그인 여부
+   * @returns {boolean}
+   */
+  isAuthenticated() {
+    return Boolean(this.getAccessToken());
+  }
+
+  /**
+   * 잠금 여부
+   * @returns {boolean}
+   */
+  get isLocked() {
+    return Boolean(this._lockElement);
+  }
+
+  /**
+   * 토큰 갱신 (동시 호출 시 한 번만 실행)
+   * @returns {Promise<boolean>} 성공 여부 (실패하면 'expired' 사유로 로그아웃)
+   */
+  refresh() {
+    if (!this._refreshPromise) {
+      this._refreshPromise = this._refresh().finally(() => {
+        this._refreshPromise = null;
+      });
+    }
+    return this._refreshPromise;
+  }
+
+  /**
+   * 토큰 갱신 실행
+   * @private
+   * @returns {Promise<boolean>}
+   */
+  async _refresh() {
+    const tokens = this.getTokens();
+
+    if (!tokens || !this.options.refresh) {
+      this.logout('expired');
+      return false;
+    }
+
+    // 갱신 함수가 CATUI.api로 보내는 요청이 자기 자신을 기다리지 않도록 표시
+    this._refreshing = true;
+    try {
+      const next = await this.options.refresh(tokens.refreshToken, tokens);
+      if (!next?.accessToken) {
+        throw new Error('Invalid refresh response');
+      }
+
+      this._saveTokens({ refreshToken: tokens.refreshToken, user: tokens.user, ...next });
+      this._emit('session:refresh');
+      return true;
+    } catch (error) {
+      console.error('Session refresh failed:', error);
+      this.logout('expired');
+      return false;
+    } finally {
+      this._refreshing = false;
+    }
+  }
+
+  /**
+   * 401 응답 처리
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} config - 요청 설정
+   * @returns {Promise<boolean>} 재요청 여부
+   */
+  _handleUnauthorized(url, config) {
+    if (this._isExcluded(url) || this._refreshRequests.has(config) || !this.isAuthenticated()) {
+      return false;
+    }
+
+    // 요청 이후 다른 요청이 이미 토큰을 갱신했으면 바로 재요청
+    const sent = config.headers?.[this.options.header];
+    if (sent && sent !== this._formatToken(this.getAccessToken())) {
+      return true;
+    }
+
+    return this.refresh();
+  }
+
+  /**
+   * 헤더 값 생성
+   * @private
+   * @param {string} token - 액세스 토큰
+   * @returns {string}
+   */
+  _formatToken(token) {
+    const { scheme } = this.options;
+    return scheme ? `${scheme} ${token}` : token;
+  }
+
+  /**
+   * 토큰 저장
+   * @private
+   * @param {Object} tokens - 토큰
+   */
+  _saveTokens({ accessToken, refreshToken = null, expiresIn, user = null }) {
+    Storage.set(this.options.storageKey, {
+      accessToken,
+      refreshToken,
+      expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : null,
+      user
+    }, { storage: this.options.storage, pinned: true });
+  }
+
+  /**
+   * 요청 인터셉터: 토큰 헤더 추가 (만료 임박 시 먼저 갱신)
+   * @private
+   * @param {Object} config - 요청 설정
+   * @returns {Promise<Object>} 요청 설정
+   */
+  async _authorize(config) {
+    if (this._isExcluded(config.url)) {
+      return config;
+    }
+
+    // 갱신 중에 보낸 요청은 현재 토큰으로 바로 전송 (갱신 API 요청이 자기 자신을 기다리지 않도록)
+    if (this._refreshing) {
+      this._refreshRequests.add(config);
+      const token = this.getAccessToken();
+      if (token) config.headers[this.options.header] = this._formatToken(token);
+      return config;
+    }
+
+    // 진행 중인 갱신이 있으면 완료 후 새 토큰 사용
+    if (this._refreshPromise) {
+      await this._refreshPromise;
+    }
+
+    let tokens = this.getTokens();
+    if (tokens?.expiresAt && tokens.refreshToken && Date.now() > tokens.expiresAt - this.options.refreshBefore) {
+      await this.refresh();
+      tokens = this.getTokens();
+    }
+
+    if (tokens?.accessToken) {
+      config.headers[this.options.header] = this._formatToken(tokens.accessToken);
+    }
+
+    return config;
+  }
+
+  /**
+   * 토큰 제외 URL 여부
+   * @private
+   * @param {string} url - 요청 URL
+   * @returns {boolean}
+   */
+  _isExcluded(url = '') {
+    return this.options.exclude.some(pattern =>
+      pattern instanceof RegExp ? pattern.test(url) : url.startsWith(pattern)
+    );
+  }
+
+  /**
+   * 이벤트 발생
+   * @private
+   * @param {string} event - 이벤트 이름
+   * @param {*} [data] - 이벤트 데이터
+   */
+  _emit(event, data) {
+    this.eventBus?.emit(event, data);
+  }
+
+  // ===== 유휴 시간 =====
+
+  /**
+   * 유휴 시간 감지 시작
+   * @private
+   */
+  _startIdleTracking() {
+    const { idleTimeout, lock } = this.options;
+    if (!idleTimeout && !lock?.timeout) return;
+
+    this._lastActivity = Date.now();
+
+    if (!this._activityHandler) {
+      this._activityHandler = () => {
+        this._lastActivity = Date.now();
+      };
+      ACTIVITY_EVENTS.forEach(event => {
+        document.addEventListener(event, this._activityHandler, { passive: true, capture: true });
+      });
+
+      // 백그라운드에서는 타이머가 지연되므로 복귀 시 즉시 확인
+      this._visibilityHandler = () => {
+        if (document.visibilityState === 'visible') this._checkIdle();
+      };
+      document.addEventListener('visibilitychange', this._visibilityHandler);
+    }
+
+    this._scheduleIdleCheck();
+  }
+
+  /**
+   * 유휴 시간 감지 중지
+   * @private
+   */
+  _stopIdleTracking() {
+    clearTimeout(this._idleTimer);
+    this._idleTimer = null;
+
+    if (this._activityHandler) {
+      ACTIVITY_EVENTS.forEach(event => {
+        document.removeEventListener(event, this._activityHandler, { passive: true, capture: true });
+      });
+      document.removeEventListener('visibilitychange', this._visibilityHandler);
+      this._activityHandler = null;
+      this._visibilityHandler = null;
+    }
+  }
+
+  /**
+   * 다음 유휴 확인 예약
+   * @private
+   */
+  _scheduleIdleCheck() {
+    clearTimeout(this._idleTimer);
+
+    const elapsed = Date.now() - this._lastActivity;
+    const limits = [this.options.idleTimeout, this.isLocked ? 0 : this.options.lock?.timeout]
+      .filter(limit => limit > 0)
+      .map(limit => Math.max(limit - elapsed, 0));
+
+    if (limits.length > 0) {
+      this._idleTimer = setTimeout(() => this._checkIdle(), Math.min(...limits) + 50);
+    }
+  }
+
+  /**
+   * 유휴 시간 확인 (초과 시 잠금 또는 로그아웃)
+   * @private
+   */
+  _checkIdle() {
+    if (!this.isAuthenticated()) {
+      this._stopIdleTracking();
+      return;
+    }
+
+    const elapsed = Date.now() - this._lastActivity;
+    const { idleTimeout, lock } = this.options;
+
+    if (idleTimeout && elapsed >= idleTimeout) {
+      this.logout('idle');
+      return;
+    }
+
+    if (lock?.timeout && elapsed >= lock.timeout && !this.isLocked) {
+      this.lock();
+    }
+
+    this._scheduleIdleCheck();
+  }
+
+  // ===== 잠금 화면 =====
+
+  /**
+   * PIN 잠금 화면 표시
+   * @returns {Promise<void>}
+   */
+  async lock() {
+    const lockOptions = this.options.lock;
+    if (this.isLocked || !lockOptions?.verify || !this.loader) return;
+
+    const element = document.createElement('div');
+    element.className = 'catui-session-lock';
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    this._lockElement = element;
+
+    const container = document.createElement('div');
+    element.appendChild(container);
+    document.body.appendChild(element);
+
+    this._emit('session:lock');
+
+    try {
+      const { PinInput } = await this.loader.use('auth');
+      if (this._lockElement !== element) return;
+
+      this._pinInput = new PinInput({
+        container,
+        length: lockOptions.length || 4,
+        title: lockOptions.title || 'PIN 입력',
+        subtitle: lockOptions.subtitle || '',
+        onComplete: (pin) => this._verifyPin(pin)
+      });
+    } catch (error) {
+      // 잠금 화면을 표시할 수 없으면 세션을 유지하지 않음
+      console.error('Failed to show lock screen:', error);
+      this.logout('lock');
+    }
+  }
+
+  /**
+   * 잠금 해제
+   */
+  unlock() {
+    if (!this.isLocked) return;
+
+    this._removeLockScreen();
+    this._lockAttempts = 0;
+    this._lastActivity = Date.now();
+    this._scheduleIdleCheck();
+    this._emit('session:unlock');
+  }
+
+  /**
+   * PIN 확인
+   * @private
+   * @param {string} pin - 입력된 PIN
+   */
+  async _verifyPin(pin) {
+    const pinInput = this._pinInput;
+    pinInput?.setLocked(true);
+
+    let valid = false;
+    try {
+      valid = await this.options.lock.verify(pin);
+    } catch (error) {
+      console.error('PIN verification failed:', error);
+    }
+
+    if (valid) {
+      this.unlock();
+      return;
+    }
+
+    this._lockAttempts++;
+    if (this._lockAttempts >= (this.options.lock.maxAttempts || 5)) {
+      this.logout('lock');
+      return;
+    }
+
+    if (this._pinInput === pinInput) {
+      pinInput.setError(true);
+      pinInput.clear();
+      pinInput.setLocked(false);
+    }
+  }
+
+  /**
+   * 잠금 화면 제거
+   * @private
+   */
+  _removeLockScreen() {
+    this._pinInput?.destroy();
+    this._pinInput = null;
+    this._lockElement?.remove();
+    this._lockElement = null;
+  }
+
+  /**
+   * 정리
+   */
+  destroy() {
+    this._stopIdleTracking();
+    this._removeLockScreen();
+
+    if (this._interceptorId !== null) {
+      APIUtil.interceptors.request.eject(this._interceptorId);
+      this._interceptorId = null;
+    }
+    if (this._initialized) {
+      APIUtil.onUnauthorized(null);
+    }
+
+    this.setSync(null);
+
+    this._initialized = false;
+    this._refreshPromise = null;
+    this._refreshing = false;
+    this.eventBus = null;
+    this.loader = null;
+  }
+}
+
+export default SessionManager;
@@ -3,6 +3,17 @@
  * @module core/state
  */
 
+import { Storage } from './storage.js';
+
+// 영속화 저장 키 접두사
+const PERSIST_PREFIX = 'catui-state:';
+
+// 영속화할 때 Set/Map을 표시하는 키
+const COLLECTION_TAG = '$$collection';
+
+// 배열을 변경하는 메서드 (하나의 배치로 처리)
+const ARRAY_MUTATORS = new Set(['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin']);
+
 /**
  * 리액티브 상태 관리 클래스
  * @class
@@ -17,6 +28,23 @@ export class StateManager {
   /**
    * 상태 스토어 생성
    * @param {Object} initialState - 초기 상태
+   * @param {Object} [options] - 옵션
+   * @param {Object|string} [options.persist] - 영속화 설정 (문자열이면 key)
+   * @param {string} options.persist.key - 저장 키
+   * @param {number} [options.persist.version=1] - 저장 데이터 버전
+   * @param {Function} [options.persist.migrate] - (state, fromVersion) => state 이전 버전 데이터 변환 (없으면 버전이 다른 데이터는 버림)
+   * @param {string[]} [options.persist.include] - 저장할 경로 (예: ['items', 'ui.theme'])
+   * @param {string[]} [options.persist.exclude] - 제외할 경로
+   * @param {number} [options.persist.debounce=100] - 저장 지연 (ms)
+   * @param {string|Object} [options.persist.storage='local'] - 'local', 'session', 'indexeddb' 또는 { getItem, setItem, removeItem } 어댑터
+   * @param {Function} [options.persist.onHydrated] - (state) => void 복원 완료 콜백
+   * @param {Object|boolean} [options.history] - 실행 취소/다시 실행 기록 (true이면 기본 설정)
+   * @param {number} [options.history.limit=100] - 최대 기록 수
+   * @param {string} [options.name] - 스토어 이름 (미들웨어, 액션 기록에 표시)
+   * @param {boolean} [options.strict=false] - 액션 밖에서 상태를 변경하면 예외 발생
+   * @param {Object[]} [options.middleware] - 액션 미들웨어 목록 (use() 참고)
+   * @param {Object} [options.actionLog] - 액션 기록 설정
+   * @param {number} [options.actionLog.limit=100] - 최대 기록 수
    * @returns {Proxy} 리액티브 상태 객체
    *
    * @example
@@ -31,11 +59,60 @@ export class StateManager {
    * });
    *
    * store.count++; // 자동으로 감지됨
+   *
+   * @example
+   * // 새로고침 후에도 유지 (localStorage는 생성 시 즉시 복원)
+   * const cart = StateManager.create({ items: [], coupon: null, ui: { open: false } }, {
+   *   persist: { key: 'cart', version: 2, exclude: ['ui'], migrate: (state, from) => state }
+   * });
+   *
+   * // IndexedDB 등 비동기 저장소는 복원이 끝난 뒤에 감시자가 호출됨
+   * const drafts = StateManager.create({ posts: {} }, { persist: { key: 'drafts', storage: 'indexeddb' } });
+   * await drafts.$persist.hydrated;
+   *
+   * @example
+   * // 실행 취소/다시 실행 (batch는 하나의 기록)
+   * const doc = StateManager.create({ shapes: [], color: '#000' }, { history: { limit: 50 } });
+   * doc.batch(() => {
+   *   doc.shapes = [...doc.shapes, shape];
+   *   doc.color = shape.color;
+   * });
+   * doc.$undo();
+   * doc.$canRedo; // true
+   *
+   * @example
+   * // 액션과 미들웨어 (strict 모드에서는 액션 밖의 변경이 예외)
+   * const cart = StateManager.create({ items: [] }, { name: 'cart', strict: true });
+   * cart.$defineActions({
+   *   add(state, item) {
+   *     state.items.push(item);
+   *   }
+   * });
+   * cart.$use({
+   *   before: ({ action, args }) => console.log(action, args),
+   *   after: ({ action, changes, duration }) => analytics.track(action, { changes, duration })
+   * });
+   * cart.$actions.add({ id: 1 });
+   * debugPanel.textContent = cart.$actionLog.format();
    */
-  static create(initialState = {}) {
-    const state = new StateStore(initialState);
+  static create(initialState = {}, options = {}) {
+    const state = new StateStore(initialState, options);
     return state.getProxy();
   }
+
+  /**
+   * 이름 있는 스토어 생성 또는 가져오기 (GlobalState.use와 동일)
+   * @param {string} name - 스토어 이름
+   * @param {Object} [initialState] - 초기 상태
+   * @param {Object} [options] - create 옵션 (sync: true이면 다른 탭과 동기화)
+   * @returns {Proxy} 스토어
+   *
+   * @example
+   * const cart = StateManager.use('cart', { items: [] }, { persist: true, sync: true });
+   */
+  static use(name, initialState = {}, options = {}) {
+    return GlobalState.use(name, initialState, options);
+  }
 }
 
 /**
@@ -49,24 +126,67 @@ class StateStore {
    * StateStore 생성자
    * @constructor
    * @param {Object} initialState - 초기 상태
+   * @param {Object} [options] - 옵션 (StateManager.create 참고)
    */
-  constructor(initialState) {
+  constructor(initialState, options = {}) {
     this._state = { ...initialState };
     this._watchers = new Map(); // key -> [callback, callback, ...]
     this._computedCache = new Map();
     this._computedDeps = new Map();
     this._isUpdating = false;
     this._batchedUpdates = [];
+
+    // 중첩 객체 프록시 캐시 (원본 → 경로별 프록시) 및 프록시 → 원본
+    this._proxies = new WeakMap();
+    this._raw = new WeakMap();
+    this._rootProxy = null;
+
+    // compute() 의존성 수집 중인 경로
+    this._tracking = null;
+
+    // 변경 확정 리스너 (탭 동기화) 및 다른 탭의 변경 적용 중 여부
+    this._commitListeners = [];
+    this._remote = false;
+
+    // 영속화
+    this._persist = null;
+    this._hydrating = false;
+    this._deferredUpdates = [];
+    this._persistTimer = null;
+    this._pageHideHandler = null;
+
+    // 실행 취소/다시 실행 기록
+    this._history = null;
+
+    // 액션, 미들웨어, strict 모드
+    this._name = options.name || null;
+    this._strict = Boolean(options.strict);
+    this._actions = {};
+    this._middleware = [];
+    this._actionDepth = 0;
+    this._internalDepth = 0;
+    this._actionLog = { limit: 100, ...options.actionLog, entries: [], nextId: 1 };
+
+    if (options.history) {
+      this._initHistory(options.history);
+    }
+
+    (options.middleware || []).forEach(middleware => this.use(middleware));
+
+    if (options.persist) {
+      this._initPersist(options.persist);
+    }
   }
 
   /**
    * 리액티브 프록시 생성
+   * 중첩 객체, 배열, Map, Set도 읽을 때 리액티브 프록시로 감싸 변경을 감지합니다.
    */
   getProxy() {
     const self = this;
 
     const proxy = new Proxy(this._state, {
-      get(target, property) {
+      get(target, property, receiver) {
         // 내부 메서드 접근
         if (property === '_store') return self;
         if (property === 'watch') return self.watch.bind(self);
@@ -81,38 +201,195 @@ class StateStore {
         if (property === 'reset') return self.reset.bind(self);
         if (property === 'destroy') return self.destroy.bind(self);
 
-        return target[property];
+        // 확장 API는 상태 키와 겹치지 않도록 '$' 접두사 사용
+        if (property === '$persist') return self._getPersistAPI();
+        if (property === '$undo') return self.undo.bind(self);
+        if (property === '$redo') return self.redo.bind(self);
+        if (property === '$canUndo') return self.canUndo;
+        if (property === '$canRedo') return self.canRedo;
+        if (property === '$snapshot') return self.snapshot.bind(self);
+        if (property === '$restore') return self.restore.bind(self);
+        if (property === '$history') return self._getHistoryAPI();
+        if (property === '$defineActions') return self.defineActions.bind(self);
+        if (property === '$actions') return self._actions;
+        if (property === '$use') return self.use.bind(self);
+        if (property === '$actionLog') return self._getActionLogAPI();
+
+        return self._get(target, property, receiver, []);
       },
 
       set(target, property, value) {
-        const oldValue = target[property];
+        self._write(target, [property], value);
+        return true;
+      },
+
+      deleteProperty(target, property) {
+        self._write(target, [property], undefined, true);
+        return true;
+      }
+    });
 
-        // 값이 같으면 무시
-        if (oldValue === value) return true;
+    this._rootProxy = proxy;
+    return proxy;
+  }
 
-        // 상태 업데이트
-        target[property] = value;
+  /**
+   * 중첩 값을 리액티브 프록시로 감싸기
+   * @private
+   * @param {*} value - 값
+   * @param {Array} keys - 상태 루트로부터의 경로
+   * @returns {*} 객체/배열/Map/Set이면 프록시, 그 외는 그대로
+   */
+  _reactive(value, keys) {
+    const raw = this._toRaw(value);
+    if (!isObservable(raw)) return raw;
 
-        // 배치 모드가 아니면 즉시 알림
-        if (!self._isUpdating) {
-          self._notifyWatchers(property, value, oldValue);
-        } else {
-          // 배치 모드면 대기열에 추가
-          self._batchedUpdates.push({ property, value, oldValue });
-        }
+    let proxies = this._proxies.get(raw);
+    if (!proxies) {
+      proxies = new Map();
+      this._proxies.set(raw, proxies);
+    }
+
+    const path = keys.map(String).join('.');
+    if (!proxies.has(path)) {
+      const handler = raw instanceof Map || raw instanceof Set
+        ? this._collectionHandler(keys)
+        : this._objectHandler(keys);
+      const proxy = new Proxy(raw, handler);
+      proxies.set(path, proxy);
+      this._raw.set(proxy, raw);
+    }
+    return proxies.get(path);
+  }
+
+  /**
+   * 프록시의 원본 값
+   * @private
+   */
+  _toRaw(value) {
+    return this._raw.get(value) ?? value;
+  }
 
+  /**
+   * 객체/배열 프록시 핸들러
+   * @private
+   * @param {Array} keys - 객체 경로
+   * @returns {ProxyHandler}
+   */
+  _objectHandler(keys) {
+    const self = this;
+    return {
+      get(target, property, receiver) {
+        return self._get(target, property, receiver, keys);
+      },
+      set(target, property, value) {
+        self._write(target, [...keys, property], value);
+        return true;
+      },
+      deleteProperty(target, property) {
+        self._write(target, [...keys, property], undefined, true);
         return true;
       }
-    });
+    };
+  }
 
-    return proxy;
+  /**
+   * Map/Set 프록시 핸들러
+   * Map은 키 단위로, Set은 컬렉션 전체 단위로 변경을 알립니다.
+   * @private
+   * @param {Array} keys - 컬렉션 경로
+   * @returns {ProxyHandler}
+   */
+  _collectionHandler(keys) {
+    const self = this;
+    return {
+      get(target, property, receiver) {
+        const isMap = target instanceof Map;
+
+        if (property === 'size') {
+          self._track(keys);
+          return target.size;
+        }
+
+        const value = Reflect.get(target, property, target);
+        if (typeof value !== 'function') return value;
+
+        if (isMap && property === 'get') {
+          return (key) => {
+            self._track([...keys, key]);
+            return self._reactive(target.get(key), [...keys, key]);
+          };
+        }
+        if (isMap && property === 'set') {
+          return (key, item) => {
+            self._write(target, [...keys, key], item);
+            return receiver;
+          };
+        }
+        if (isMap && property === 'delete') {
+          return (key) => {
+            const had = target.has(key);
+            self._write(target, [...keys, key], undefined, true);
+            return had;
+          };
+        }
+        if (property === 'add' || property === 'delete' || property === 'clear') {
+          return (...args) => {
+            self._assertMutable(keys);
+            const before = isMap ? new Map(target) : new Set(target);
+            const result = value.apply(target, args.map(arg => self._toRaw(arg)));
+            if (before.size !== target.size) {
+              self._enqueue({ keys, value: copyCollection(target), oldValue: before, added: false, removed: false });
+            }
+            return property === 'add' ? receiver : result;
+          };
+        }
+
+        // 읽기 메서드 (has, forEach, keys, values, entries 등)
+        self._track(keys);
+        return value.bind(target);
+      }
+    };
+  }
+
+  /**
+   * 속성 읽기 (의존성 수집, 중첩 값 감싸기)
+   * @private
+   */
+  _get(target, property, receiver, keys) {
+    const value = Reflect.get(target, property, receiver);
+    if (typeof property === 'symbol') return value;
+
+    // 배열 변경 메서드는 하나의 배치로 처리 (push → 인덱스 + length)
+    if (Array.isArray(target) && ARRAY_MUTATORS.has(property)) {
+      return (...args) => {
+        let result;
+        this._batch(() => {
+          result = value.apply(receiver, args);
+        }, true);
+        return result;
+      };
+    }
+
+    // 프로토타입 메서드 (map, filter 등)
+    if (!Object.prototype.hasOwnProperty.call(target, property)) return value;
+
+    const path = [...keys, property];
+    this._track(path);
+    return this._reactive(value, path);
   }
 
   /**
    * 상태 변경 감시
-   * @param {string} key - 감시할 키
-   * @param {Function} callback - 콜백 (newValue, oldValue)
+   * 점 경로('user.address.city')와 와일드카드('items.*.done')를 지원합니다.
+   * 하위 값이 변경되면 상위 경로의 감시자도 호출됩니다.
+   * @param {string} key - 감시할 키 또는 경로
+   * @param {Function} callback - 콜백 (newValue, oldValue, path)
    * @returns {Function} 구독 취소 함수
+   *
+   * @example
+   * store.watch('user.address.city', (city) => render(city));
+   * store.watch('items.*.done', (done, prev, path) => console.log(path)); // 'items.2.done'
    */
   watch(key, callback) {
     if (!this._watchers.has(key)) {
@@ -195,26 +472,35 @@ class StateStore {
   }
 
   /**
-   * 의존성 추적 (간단한 구현)
+   * 의존성 추적 (중첩 경로 포함)
    * @private
    */
   _trackDependencies(getter) {
     const deps = new Set();
-    const proxy = new Proxy(this._state, {
-      get(target, property) {
-        deps.add(property);
-        return target[property];
-      }
-    });
+    this._tracking = deps;
 
     // getter 실행하여 의존성 수집
     try {
-      getter.call(proxy);
+      getter.call(this._rootProxy || this.getProxy());
     } catch (e) {
       // 에러 무시 (의존성만 수집)
+    } finally {
+      this._tracking = null;
     }
 
-    return Array.from(deps);
+    // 하위 경로를 읽었으면 상위 경로는 제외 (user.name을 읽으면 user는 불필요)
+    const paths = Array.from(deps);
+    return paths.filter(path => !paths.some(other => other.startsWith(`${path}.`)));
+  }
+
+  /**
+   * 읽은 경로 기록 (compute 의존성 수집 중일 때만)
+   * @private
+   */
+  _track(keys) {
+    if (this._tracking) {
+      this._tracking.add(keys.map(String).join('.'));
+    }
   }
 
   /**
@@ -229,20 +515,167 @@ class StateStore {
    * }); // 모든 변경 후 한 번만 알림
    */
   batch(fn) {
+    this._batch(fn, true);
+  }
+
+  /**
+   * 배치 실행
+   * @private
+   * @param {Function} fn - 업데이트 함수
+   * @param {boolean} record - 실행 취소 기록 여부
+   * @returns {*} fn 반환값
+   */
+  _batch(fn, record) {
+    // 중첩 배치는 가장 바깥 배치에서 한 번에 처리
+    if (this._isUpdating) {
+      return fn();
+    }
+
     this._isUpdating = true;
     this._batchedUpdates = [];
 
     try {
-      fn();
+      return fn();
     } finally {
       this._isUpdating = false;
 
-      // 배치된 업데이트 알림
-      this._batchedUpdates.forEach(({ property, value, oldValue }) => {
-        this._notifyWatchers(property, value, oldValue);
-      });
-
+      const updates = this._batchedUpdates;
       this._batchedUpdates = [];
+      this._commit(updates, record);
+    }
+  }
+
+  /**
+   * 프록시를 통한 값 변경 (관련 변경을 하나의 배치로 묶음)
+   * @private
+   */
+  _write(target, keys, value, remove = false) {
+    this._batch(() => this._set(target, keys, value, remove), true);
+  }
+
+  /**
+   * 값 변경
+   * @private
+   * @param {Object|Array|Map} target - 값을 가진 객체 (원본)
+   * @param {Array} keys - 상태 루트로부터의 경로 (마지막 요소가 target의 키)
+   * @param {*} value - 값
+   * @param {boolean} [remove=false] - 키 삭제
+   */
+  _set(target, keys, value, remove = false) {
+    this._assertMutable(keys);
+
+    const key = keys[keys.length - 1];
+    const isMap = target instanceof Map;
+    const existed = isMap ? target.has(key) : Object.prototype.hasOwnProperty.call(target, key);
+    const oldValue = isMap ? target.get(key) : target[key];
+    const raw = this._toRaw(value);
+
+    if (remove) {
+      if (!existed) return;
+      if (isMap) {
+        target.delete(key);
+      } else if (Array.isArray(target) && Number(key) === target.length - 1) {
+        // 마지막 요소 삭제는 길이도 줄임 (pop, 실행 취소)
+        const length = target.length;
+        target.length = length - 1;
+        this._enqueue({ keys, value: undefined, oldValue, added: false, removed: true });
+        this._enqueue({ keys: [...keys.slice(0, -1), 'length'], value: length - 1, oldValue: length, added: false, removed: false });
+        return;
+      } else {
+        delete target[key];
+      }
+    } else {
+      // 값이 같으면 무시
+      if (existed && oldValue === raw) return;
+
+      if (Array.isArray(target) && key === 'length' && raw < oldValue) {
+        // 길이를 줄이면 잘려나가는 요소를 먼저 기록 (실행 취소용)
+        for (let i = oldValue - 1; i >= raw; i--) {
+          this._enqueue({ keys: [...keys.slice(0, -1), String(i)], value: undefined, oldValue: target[i], added: false, removed: true });
+        }
+      }
+
+      const length = Array.isArray(target) ? target.length : 0;
+      if (isMap) {
+        target.set(key, raw);
+      } else {
+        target[key] = raw;
+      }
+
+      // 배열 끝에 추가되면 length 변경도 알림
+      if (Array.isArray(target) && key !== 'length' && target.length !== length) {
+        this._enqueue({ keys, value: raw, oldValue, added: !existed, removed: false });
+        this._enqueue({ keys: [...keys.slice(0, -1), 'length'], value: target.length, oldValue: length, added: false, removed: false });
+        return;
+      }
+    }
+
+    this._enqueue({ keys, value: remove ? undefined : raw, oldValue, added: !existed, removed: remove });
+  }
+
+  /**
+   * 변경 추가 (배치 중이면 대기열에 추가, 아니면 즉시 확정)
+   * @private
+   * @param {Object} update - { keys, value, oldValue, added, removed }
+   */
+  _enqueue(update) {
+    update.path = update.keys.map(String).join('.');
+
+    if (this._isUpdating) {
+      this._batchedUpdates.push(update);
+    } else {
+      this._commit([update], true);
+    }
+  }
+
+  /**
+   * 변경 확정 (기록 후 감시자 알림)
+   * @private
+   * @param {Object[]} updates - 변경 목록
+   * @param {boolean} record - 실행 취소 기록 여부
+   */
+  _commit(updates, record) {
+    if (updates.length === 0) return;
+
+    if (record) {
+      this._recordHistory(updates);
+    }
+
+    this._notifyWatchers(updates);
+
+    this._commitListeners.forEach(listener => {
+      try {
+        listener(updates, this._remote);
+      } catch (error) {
+        console.error('Error in state commit listener:', error);
+      }
+    });
+  }
+
+  /**
+   * 변경 확정 리스너 등록
+   * @private
+   * @param {Function} listener - (updates, remote) => void
+   * @returns {Function} 해제 함수
+   */
+  _onCommit(listener) {
+    this._commitListeners.push(listener);
+    return () => {
+      this._commitListeners = this._commitListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * 다른 탭의 변경 적용 (실행 취소 기록에 남기지 않음)
+   * @private
+   * @param {Object[]} changes - [{ keys, value, remove }]
+   */
+  _applyRemote(changes) {
+    this._remote = true;
+    try {
+      this._travel(changes);
+    } finally {
+      this._remote = false;
     }
   }
 
@@ -288,21 +721,17 @@ class StateStore {
    */
   setState(newState, merge = true) {
     this.batch(() => {
-      if (merge) {
-        Object.keys(newState).forEach(key => {
-          this._state[key] = newState[key];
-        });
-      } else {
-        // 전체 교체
+      if (!merge) {
+        // 전체 교체 (computed 속성은 유지)
         Object.keys(this._state).forEach(key => {
-          if (!(key in newState)) {
-            delete this._state[key];
+          if (!(key in newState) && !this._computedDeps.has(key)) {
+            this._set(this._state, [key], undefined, true);
           }
         });
-        Object.keys(newState).forEach(key => {
-          this._state[key] = newState[key];
-        });
       }
+      Object.keys(newState).forEach(key => {
+        this._set(this._state, [key], newState[key]);
+      });
     });
   }
 
@@ -311,26 +740,41 @@ class StateStore {
    * @param {Object} [initialState] - 새 초기 상태 (없으면 빈 객체)
    */
   reset(initialState = {}) {
-    this.setState(initialState, false);
+    this._internal(() => this.setState(initialState, false));
   }
 
   /**
    * 감시자에게 알림
    * @private
+   * @param {Object[]} updates - 변경 목록
    */
-  _notifyWatchers(key, newValue, oldValue) {
-    // 키별 watcher 알림
-    if (this._watchers.has(key)) {
-      const callbacks = this._watchers.get(key);
-      callbacks.forEach(callback => {
-        try {
-          callback(newValue, oldValue);
-        } catch (error) {
-          console.error(`Error in watcher for "${key}":`, error);
-        }
-      });
+  _notifyWatchers(updates) {
+    // 비동기 복원 중이면 복원 완료 후 알림
+    if (this._hydrating) {
+      this._deferredUpdates.push(...updates);
+      return;
     }
 
+    this._schedulePersist();
+
+    // 경로별 watcher 알림 (상위 경로 감시자는 한 번의 변경 묶음에서 한 번만)
+    const notified = new Set();
+    updates.forEach(update => {
+      [...this._watchers.keys()].forEach(pattern => {
+        if (pattern === '__global__') return;
+
+        this._matchWatcher(pattern, update, notified).forEach(([newValue, oldValue, path]) => {
+          [...(this._watchers.get(pattern) || [])].forEach(callback => {
+            try {
+              callback(newValue, oldValue, path);
+            } catch (error) {
+              console.error(`Error in watcher for "${pattern}":`, error);
+            }
+          });
+        });
+      });
+    });
+
     // 전역 subscriber 알림
     if (this._watchers.has('__global__')) {
       const globalCallbacks = this._watchers.get('__global__');
@@ -345,58 +789,962 @@ class StateStore {
   }
 
   /**
-   * 상태 스토어 정리 (메모리 누수 방지)
-   * 모든 watcher와 computed 속성을 제거합니다.
-   *
-   * @example
-   * const state = StateManager.create({ count: 0 });
-   * state.watch('count', handler);
-   * // 사용 종료 시
-   * state.destroy();
+   * 감시 경로와 변경 경로 비교
+   * @private
+   * @param {string} pattern - 감시 경로 (와일드카드 포함)
+   * @param {Object} update - 변경
+   * @param {Set} notified - 이미 알린 상위 경로
+   * @returns {Array[]} 호출할 [newValue, oldValue, path] 목록
    */
-  destroy() {
-    // 모든 watcher 제거
-    this._watchers.clear();
+  _matchWatcher(pattern, update, notified) {
+    const watchKeys = pattern.split('.');
+    const changeKeys = update.keys.map(String);
+    const common = Math.min(watchKeys.length, changeKeys.length);
 
-    // computed 캐시 및 의존성 제거
-    this._computedCache.clear();
-    this._computedDeps.clear();
+    for (let i = 0; i < common; i++) {
+      if (watchKeys[i] !== '*' && watchKeys[i] !== changeKeys[i]) return [];
+    }
 
-    // 배치 업데이트 큐 정리
-    this._batchedUpdates = [];
-    this._isUpdating = false;
+    // 정확히 일치
+    if (watchKeys.length === changeKeys.length) {
+      return [[update.value, update.oldValue, update.path]];
+    }
 
-    // 상태 초기화
-    this._state = {};
+    // 상위 경로: 내부 값이 변경됨
+    if (watchKeys.length < changeKeys.length) {
+      const keys = update.keys.slice(0, watchKeys.length);
+      const id = `${pattern}|${keys.map(String).join('.')}`;
+      if (notified.has(id)) return [];
+      notified.add(id);
+
+      const value = readPath(this._state, keys);
+      return [[value, value, update.path]];
+    }
+
+    // 하위 경로: 교체된 값에서 감시 경로의 값을 비교
+    const rest = watchKeys.slice(changeKeys.length);
+    const newValues = collectPaths(update.value, rest);
+    const oldValues = collectPaths(update.oldValue, rest);
+    const paths = new Set([...newValues.keys(), ...oldValues.keys()]);
+
+    return [...paths]
+      .filter(path => newValues.get(path) !== oldValues.get(path))
+      .map(path => [newValues.get(path), oldValues.get(path), `${update.path}.${path}`]);
   }
-}
 
-/**
- * 전역 상태 스토어 (옵션)
- * @class
- * @description 앱 전체에서 공유하는 전역 상태를 관리합니다.
- * 여러 컴포넌트간 상태를 공유할 때 사용합니다.
- *
- * @example
- * GlobalState.set('user', { name: 'John' });
- * const user = GlobalState.get('user');
- */
-export class GlobalState {
-  static _stores = new Map();
+  /**
+   * 실행 취소 가능 여부
+   * @type {boolean}
+   */
+  get canUndo() {
+    return Boolean(this._history?.past.length);
+  }
 
   /**
-   * 전역 스토어 생성 또는 가져오기
-   * @param {string} name - 스토어 이름
-   * @param {Object} [initialState] - 초기 상태
-   * @returns {Proxy} 스토어
+   * 다시 실행 가능 여부
+   * @type {boolean}
+   */
+  get canRedo() {
+    return Boolean(this._history?.future.length);
+  }
+
+  /**
+   * 마지막 변경 실행 취소
+   * @returns {boolean} 실행 여부
+   */
+  undo() {
+    if (!this.canUndo) return false;
+
+    const entry = this._history.past.pop();
+    this._travel([...entry.changes].reverse().map(change => ({
+      keys: change.keys,
+      value: change.oldValue,
+      remove: change.added
+    })));
+
+    this._history.future.push(entry);
+    this._emitHistory('undo', entry);
+    return true;
+  }
+
+  /**
+   * 실행 취소한 변경 다시 실행
+   * @returns {boolean} 실행 여부
+   */
+  redo() {
+    if (!this.canRedo) return false;
+
+    const entry = this._history.future.pop();
+    this._travel(entry.changes.map(change => ({
+      keys: change.keys,
+      value: change.value,
+      remove: change.removed
+    })));
+
+    this._history.past.push(entry);
+    this._emitHistory('redo', entry);
+    return true;
+  }
+
+  /**
+   * 현재 상태의 복사본 (computed 제외)
+   * @returns {Object} 스냅샷
    *
    * @example
-   * const userStore = GlobalState.use('user', { id: null, name: '' });
-   * const appStore = GlobalState.use('app', { theme: 'light' });
+   * const saved = store.$snapshot();
+   * // ...
+   * store.$restore(saved); // 실행 취소 기록에 하나의 변경으로 남음
    */
-  static use(name, initialState = {}) {
-    if (!this._stores.has(name)) {
-      this._stores.set(name, StateManager.create(initialState));
+  snapshot() {
+    const snapshot = {};
+    Object.keys(this._state).forEach(key => {
+      if (!this._computedDeps.has(key)) {
+        snapshot[key] = cloneValue(this._state[key]);
+      }
+    });
+    return snapshot;
+  }
+
+  /**
+   * 스냅샷으로 상태 복원
+   * @param {Object} snapshot - snapshot()으로 만든 스냅샷
+   */
+  restore(snapshot) {
+    this._internal(() => this.setState(cloneValue(snapshot), false));
+  }
+
+  /**
+   * 실행 취소 기록 초기화
+   * @private
+   * @param {Object|boolean} history - 기록 설정
+   */
+  _initHistory(history) {
+    this._history = {
+      limit: 100,
+      ...(history === true ? {} : history),
+      past: [],
+      future: [],
+      listeners: []
+    };
+  }
+
+  /**
+   * 변경 기록 (새 변경이 생기면 다시 실행 기록은 버림)
+   * @private
+   * @param {Object[]} updates - 변경 목록
+   */
+  _recordHistory(updates) {
+    if (!this._history) return;
+
+    const entry = { changes: updates, time: Date.now() };
+    const { past, limit } = this._history;
+
+    past.push(entry);
+    if (past.length > limit) {
+      past.shift();
+    }
+    this._history.future = [];
+
+    this._emitHistory('change', entry);
+  }
+
+  /**
+   * 기록된 변경 적용 (기록하지 않음)
+   * @private
+   * @param {Object[]} changes - [{ keys, value, remove }]
+   */
+  _travel(changes) {
+    this._internal(() => this._batch(() => {
+      changes.forEach(({ keys, value, remove }) => {
+        const target = readPath(this._state, keys.slice(0, -1));
+        if (target && typeof target === 'object') {
+          // 기록된 Set/Map은 복사해서 넣음 (이후 변경이 기록을 바꾸지 않도록)
+          this._set(target, keys, copyCollection(value), remove);
+        }
+      });
+    }, false));
+  }
+
+  /**
+   * 기록 이벤트 발생
+   * @private
+   * @param {string} type - 'change', 'undo', 'redo', 'clear'
+   * @param {Object|null} entry - 기록 항목
+   */
+  _emitHistory(type, entry) {
+    if (!this._history) return;
+
+    const event = { type, entry, canUndo: this.canUndo, canRedo: this.canRedo };
+    [...this._history.listeners].forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Error in history listener:', error);
+      }
+    });
+  }
+
+  /**
+   * 기록 API (state.$history)
+   * @private
+   * @returns {Object|null}
+   */
+  _getHistoryAPI() {
+    const history = this._history;
+    if (!history) return null;
+
+    return {
+      past: history.past.length,
+      future: history.future.length,
+      entries: [...history.past],
+      subscribe: (listener) => {
+        history.listeners.push(listener);
+        return () => {
+          history.listeners = history.listeners.filter(l => l !== listener);
+        };
+      },
+      go: (delta) => {
+        let steps = Math.abs(delta);
+        while (steps-- > 0 && (delta < 0 ? this.undo() : this.redo())) {
+          // 기록 끝에 도달하면 중단
+        }
+      },
+      clear: () => {
+        history.past = [];
+        history.future = [];
+        this._emitHistory('clear', null);
+      }
+    };
+  }
+
+  /**
+   * 액션 정의
+   * 액션은 (state, ...args)를 받으며, 액션 안의 변경은 하나의 배치(실행 취소 기록)로 처리됩니다.
+   * 액션에서 예외가 발생하면 그 액션의 변경은 모두 되돌립니다.
+   * 액션의 this는 액션 객체이므로 비동기 액션은 await 이후의 변경을 다른 액션으로 처리합니다.
+   * @param {Object<string, Function>} definitions - { name: (state, ...args) => result }
+   * @returns {Object} 액션 객체 (store.$actions)
+   *
+   * @example
+   * const { add, load } = cart.$defineActions({
+   *   add(state, item) {
+   *     if (!item.id) throw new Error('id is required'); // 변경 없이 취소
+   *     state.items.push(item);
+   *   },
+   *   async load(state) {
+   *     const items = await api.get('/cart');
+   *     this.replace(items); // await 이후의 변경은 다른 액션으로
+   *   },
+   *   replace(state, items) {
+   *     state.items = items;
+   *   }
+   * });
+   */
+  defineActions(definitions) {
+    Object.keys(definitions).forEach(name => {
+      const action = definitions[name];
+      if (typeof action !== 'function') return;
+      this._actions[name] = (...args) => this._dispatch(name, action, args);
+    });
+    return this._actions;
+  }
+
+  /**
+   * 액션 미들웨어 등록
+   * before가 false를 반환하면 액션을 실행하지 않고, 예외를 던지면 그 예외가 호출한 쪽으로 전달됩니다.
+   * @param {Object} middleware - 미들웨어
+   * @param {Function} [middleware.before] - ({ store, action, args, state }) => void|false 실행 전
+   * @param {Function} [middleware.after] - ({ ..., changes, result, duration }) => void 실행 후
+   * @param {Function} [middleware.error] - ({ ..., error, duration }) => void 실패 시 (변경은 되돌린 후)
+   * @returns {Function} 해제 함수
+   *
+   * @example
+   * cart.$use({
+   *   before: ({ action, args }) => {
+   *     if (action === 'add' && args[0].qty < 1) return false; // 검증
+   *   },
+   *   after: ({ store, action, changes }) => console.log(`${store}/${action}`, changes)
+   * });
+   */
+  use(middleware) {
+    this._middleware.push(middleware);
+    return () => {
+      this._middleware = this._middleware.filter(m => m !== middleware);
+    };
+  }
+
+  /**
+   * 액션 실행 (미들웨어, 기록, 실패 시 되돌리기)
+   * @private
+   * @param {string} name - 액션 이름
+   * @param {Function} action - 액션 함수
+   * @param {Array} args - 인자
+   * @returns {*} 액션 반환값
+   */
+  _dispatch(name, action, args) {
+    const context = { store: this._name, action: name, args, state: this._rootProxy || this.getProxy() };
+
+    for (const middleware of [...this._middleware]) {
+      if (middleware.before && middleware.before(context) === false) {
+        return undefined;
+      }
+    }
+
+    const start = Date.now();
+    let updates = [];
+    let result;
+
+    this._actionDepth++;
+    try {
+      result = this._batch(() => {
+        const offset = this._batchedUpdates.length;
+        try {
+          const value = action.call(this._actions, context.state, ...args);
+          updates = this._batchedUpdates.slice(offset);
+          return value;
+        } catch (error) {
+          this._revert(this._batchedUpdates.splice(offset));
+          throw error;
+        }
+      }, true);
+    } catch (error) {
+      this._finishAction(context, [], start, { error });
+      throw error;
+    } finally {
+      this._actionDepth--;
+    }
+
+    // 비동기 액션은 완료 후 after 호출 (await 이후의 변경은 포함하지 않음)
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        value => {
+          this._finishAction(context, updates, start, { result: value });
+          return value;
+        },
+        error => {
+          this._finishAction(context, updates, start, { error });
+          throw error;
+        }
+      );
+    }
+
+    this._finishAction(context, updates, start, { result });
+    return result;
+  }
+
+  /**
+   * 액션 완료 처리 (기록 후 after/error 미들웨어 호출)
+   * @private
+   * @param {Object} context - 미들웨어 컨텍스트
+   * @param {Object[]} updates - 액션의 변경 목록
+   * @param {number} start - 시작 시각
+   * @param {Object} outcome - { result } 또는 { error }
+   */
+  _finishAction(context, updates, start, outcome) {
+    const changes = updates.map(update => ({
+      path: update.path,
+      value: safeClone(update.value),
+      oldValue: safeClone(update.oldValue)
+    }));
+    const failed = 'error' in outcome;
+    const finished = { ...context, ...outcome, changes, duration: Date.now() - start };
+
+    const log = this._actionLog;
+    log.entries.push({
+      id: log.nextId++,
+      store: context.store,
+      action: context.action,
+      args: safeClone(context.args),
+      changes,
+      time: start,
+      duration: finished.duration,
+      error: failed ? outcome.error : null
+    });
+    if (log.entries.length > log.limit) {
+      log.entries.shift();
+    }
+
+    [...this._middleware].forEach(middleware => {
+      const hook = failed ? middleware.error : middleware.after;
+      if (!hook) return;
+      try {
+        hook(finished);
+      } catch (error) {
+        console.error(`Error in state middleware (${context.action}):`, error);
+      }
+    });
+  }
+
+  /**
+   * 적용된 변경을 알림 없이 되돌리기 (배치 중에만 호출)
+   * @private
+   * @param {Object[]} updates - 적용 순서대로의 변경 목록
+   */
+  _revert(updates) {
+    const pending = this._batchedUpdates;
+    this._batchedUpdates = [];
+
+    [...updates].reverse().forEach(({ keys, value, oldValue, added }) => {
+      // Set/Map 메서드 변경은 기록된 value가 복사본이므로 상태에 있는 컬렉션의 내용을 복원
+      const current = readPath(this._state, keys);
+      if ((current instanceof Set || current instanceof Map) && current !== value && value?.constructor === current.constructor && oldValue?.constructor === current.constructor) {
+        current.clear();
+        oldValue.forEach((item, key) => (current instanceof Map ? current.set(key, item) : current.add(item)));
+        return;
+      }
+
+      const target = readPath(this._state, keys.slice(0, -1));
+      if (target && typeof target === 'object') {
+        this._set(target, keys, oldValue, added);
+      }
+    });
+
+    this._batchedUpdates = pending;
+  }
+
+  /**
+   * strict 모드에서 액션 밖의 변경 차단
+   * @private
+   * @param {Array} keys - 변경 경로
+   */
+  _assertMutable(keys) {
+    if (this._strict && this._actionDepth === 0 && this._internalDepth === 0) {
+      const store = this._name ? ` "${this._name}"` : '';
+      throw new Error(`[StateManager] Cannot change "${keys.map(String).join('.')}" of store${store} outside an action (strict mode)`);
+    }
+  }
+
+  /**
+   * 내부 변경 실행 (실행 취소, 복원, 다른 탭 동기화 등은 strict 모드에서도 허용)
+   * @private
+   * @param {Function} fn - 실행 함수
+   */
+  _internal(fn) {
+    this._internalDepth++;
+    try {
+      fn();
+    } finally {
+      this._internalDepth--;
+    }
+  }
+
+  /**
+   * 액션 기록 API (state.$actionLog)
+   * @private
+   * @returns {Object}
+   */
+  _getActionLogAPI() {
+    const log = this._actionLog;
+
+    return {
+      entries: [...log.entries],
+      clear: () => {
+        log.entries = [];
+      },
+      // 한 줄에 하나씩 요약한 문자열 (출력은 호출한 쪽에서)
+      format: () => log.entries.map(entry => {
+        const name = entry.store ? `${entry.store}/${entry.action}` : entry.action;
+        const paths = entry.changes.map(change => change.path).join(', ') || '(no changes)';
+        const status = entry.error ? ` ✖ ${entry.error.message || entry.error}` : '';
+        return `#${entry.id} ${name} (${entry.duration}ms) ${paths}${status}`;
+      }).join('\n')
+    };
+  }
+
+  /**
+   * 영속화 초기화 및 복원
+   * @private
+   * @param {Object|string} persist - 영속화 설정
+   */
+  _initPersist(persist) {
+    const config = typeof persist === 'string' ? { key: persist } : persist;
+    if (!config.key) {
+      console.error('StateManager: persist.key is required');
+      return;
+    }
+
+    this._persist = {
+      version: 1,
+      migrate: null,
+      include: null,
+      exclude: [],
+      debounce: 100,
+      storage: 'local',
+      onHydrated: null,
+      ...config,
+      key: PERSIST_PREFIX + config.key
+    };
+    this._persist.adapter = createPersistAdapter(this._persist.storage);
+
+    // 페이지를 떠날 때 대기 중인 저장 즉시 실행
+    if (typeof window !== 'undefined') {
+      this._pageHideHandler = () => this._flushPersist();
+      window.addEventListener('pagehide', this._pageHideHandler);
+    }
+
+    this._persist.hydrated = this._hydrate();
+  }
+
+  /**
+   * 저장된 상태 복원
+   * 동기 저장소(local, session)는 즉시 복원하고, 비동기 저장소는 복원이 끝날 때까지 알림을 보류합니다.
+   * @private
+   * @returns {Promise<void>}
+   */
+  _hydrate() {
+    const { adapter, key } = this._persist;
+
+    let record;
+    try {
+      record = adapter.get(key);
+    } catch (error) {
+      console.error('StateManager: failed to read persisted state:', error);
+      return Promise.resolve();
+    }
+
+    if (record && typeof record.then === 'function') {
+      this._hydrating = true;
+      return record
+        .then(value => this._applyHydration(value))
+        .catch(error => console.error('StateManager: failed to hydrate state:', error))
+        .finally(() => this._finishHydration());
+    }
+
+    this._applyHydration(record);
+    this._persist.onHydrated?.(this.getState());
+    return Promise.resolve();
+  }
+
+  /**
+   * 저장된 데이터를 상태에 적용 (버전이 다르면 마이그레이션)
+   * @private
+   * @param {Object} record - { version, state }
+   */
+  _applyHydration(record) {
+    if (!record || typeof record !== 'object' || !record.state) return;
+
+    const { version, migrate } = this._persist;
+    let saved = decodeCollections(record.state);
+
+    if (record.version !== version) {
+      if (!migrate) return;
+      try {
+        saved = migrate(saved, record.version);
+      } catch (error) {
+        console.error('StateManager: persisted state migration failed:', error);
+        return;
+      }
+      if (!saved) return;
+    }
+
+    // 복원 전에 변경된 키는 현재 값을 유지
+    const changed = new Set(this._deferredUpdates.map(update => String(update.keys[0])));
+
+    Object.keys(saved).forEach(key => {
+      if (changed.has(key) || this._computedDeps.has(key)) return;
+
+      const oldValue = this._state[key];
+      const value = isPlainObject(oldValue) && isPlainObject(saved[key])
+        ? deepMerge(oldValue, saved[key])
+        : saved[key];
+
+      this._state[key] = value;
+      if (this._hydrating) {
+        this._deferredUpdates.push({ keys: [key], path: key, value, oldValue });
+      }
+    });
+  }
+
+  /**
+   * 비동기 복원 완료 (보류된 알림 전달)
+   * @private
+   */
+  _finishHydration() {
+    const updates = this._deferredUpdates;
+    this._hydrating = false;
+    this._deferredUpdates = [];
+
+    if (updates.length > 0) {
+      this._notifyWatchers(updates);
+    }
+
+    this._persist?.onHydrated?.(this.getState());
+  }
+
+  /**
+   * 저장 예약 (debounce)
+   * @private
+   */
+  _schedulePersist() {
+    if (!this._persist) return;
+
+    clearTimeout(this._persistTimer);
+    this._persistTimer = setTimeout(() => this._flushPersist(), this._persist.debounce);
+  }
+
+  /**
+   * 대기 중인 저장 즉시 실행
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _flushPersist() {
+    if (!this._persist || this._hydrating) return;
+
+    clearTimeout(this._persistTimer);
+    this._persistTimer = null;
+
+    const { adapter, key, version } = this._persist;
+    try {
+      await adapter.set(key, { version, state: this._snapshot() });
+    } catch (error) {
+      console.error('StateManager: failed to persist state:', error);
+    }
+  }
+
+  /**
+   * 저장할 상태 스냅샷 (include/exclude 경로 적용, computed 제외)
+   * @private
+   * @returns {Object}
+   */
+  _snapshot() {
+    const { include, exclude } = this._persist;
+    const state = {};
+
+    Object.keys(this._state).forEach(key => {
+      if (!this._computedDeps.has(key)) {
+        state[key] = this._state[key];
+      }
+    });
+
+    // Set/Map은 JSON에서 사라지므로 태그를 붙인 배열로 저장
+    let snapshot = JSON.parse(JSON.stringify(state, encodeCollection));
+
+    if (include) {
+      const picked = {};
+      include.forEach(path => {
+        const value = getPath(snapshot, path);
+        if (value !== undefined) setPath(picked, path, value);
+      });
+      snapshot = picked;
+    }
+
+    exclude.forEach(path => deletePath(snapshot, path));
+    return snapshot;
+  }
+
+  /**
+   * 영속화 API (state.$persist)
+   * @private
+   * @returns {Object|null}
+   */
+  _getPersistAPI() {
+    if (!this._persist) return null;
+
+    return {
+      hydrated: this._persist.hydrated,
+      flush: () => this._flushPersist(),
+      clear: async () => {
+        clearTimeout(this._persistTimer);
+        this._persistTimer = null;
+        await this._persist.adapter.remove(this._persist.key);
+      }
+    };
+  }
+
+  /**
+   * 상태 스토어 정리 (메모리 누수 방지)
+   * 모든 watcher와 computed 속성을 제거합니다.
+   *
+   * @example
+   * const state = StateManager.create({ count: 0 });
+   * state.watch('count', handler);
+   * // 사용 종료 시
+   * state.destroy();
+   */
+  destroy() {
+    // 대기 중인 저장 실행 후 영속화 해제
+    if (this._persist) {
+      if (this._persistTimer) this._flushPersist();
+      if (this._pageHideHandler) {
+        window.removeEventListener('pagehide', this._pageHideHandler);
+        this._pageHideHandler = null;
+      }
+      this._persist = null;
+      this._hydrating = false;
+      this._deferredUpdates = [];
+    }
+
+    // 모든 watcher 제거
+    this._watchers.clear();
+    this._history = null;
+    this._proxies = new WeakMap();
+    this._commitListeners = [];
+    this._middleware = [];
+    this._actionLog.entries = [];
+
+    // computed 캐시 및 의존성 제거
+    this._computedCache.clear();
+    this._computedDeps.clear();
+
+    // 배치 업데이트 큐 정리
+    this._batchedUpdates = [];
+    this._isUpdating = false;
+
+    // 상태 초기화
+    this._state = {};
+  }
+}
+
+/**
+ * 영속화 저장소 어댑터 생성
+ * @private
+ * @param {string|Object} storage - 'local', 'session', 'indexeddb' 또는 { getItem, setItem, removeItem }
+ * @returns {{get: Function, set: Function, remove: Function}}
+ */
+function createPersistAdapter(storage) {
+  if (storage && typeof storage === 'object') {
+    return {
+      get: key => storage.getItem(key),
+      set: (key, value) => storage.setItem(key, value),
+      remove: key => storage.removeItem(key)
+    };
+  }
+
+  const type = storage === 'session' || storage === 'indexeddb' ? storage : 'local';
+  return {
+    get: key => Storage.get(key, null, type),
+    set: (key, value) => Storage.set(key, value, { storage: type }),
+    remove: key => Storage.remove(key, type)
+  };
+}
+
+/**
+ * 영속화용 JSON replacer (Set/Map을 태그 붙인 배열로 변환)
+ * @private
+ */
+function encodeCollection(key, value) {
+  if (value instanceof Map) return { [COLLECTION_TAG]: 'Map', entries: [...value.entries()] };
+  if (value instanceof Set) return { [COLLECTION_TAG]: 'Set', values: [...value] };
+  return value;
+}
+
+/**
+ * 저장된 태그 배열을 Set/Map으로 복원
+ * @private
+ */
+function decodeCollections(value) {
+  if (Array.isArray(value)) return value.map(decodeCollections);
+  if (value === null || typeof value !== 'object') return value;
+
+  if (value[COLLECTION_TAG] === 'Map' && Array.isArray(value.entries)) {
+    return new Map(value.entries.map(([key, item]) => [decodeCollections(key), decodeCollections(item)]));
+  }
+  if (value[COLLECTION_TAG] === 'Set' && Array.isArray(value.values)) {
+    return new Set(value.values.map(decodeCollections));
+  }
+
+  const result = {};
+  Object.keys(value).forEach(key => {
+    result[key] = decodeCollections(value[key]);
+  });
+  return result;
+}
+
+/**
+ * 값 깊은 복사 (structuredClone 미지원 환경은 JSON)
+ * @private
+ */
+function cloneValue(value) {
+  if (value === undefined) return value;
+  if (typeof structuredClone === 'function') {
+    try {
+      return structuredClone(value);
+    } catch (error) {
+      // 함수 등 복제할 수 없는 값은 JSON으로 처리
+    }
+  }
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Set/Map 얕은 복사 (그 외 값은 그대로)
+ * @private
+ */
+function copyCollection(value) {
+  if (value instanceof Map) return new Map(value);
+  if (value instanceof Set) return new Set(value);
+  return value;
+}
+
+/**
+ * 기록용 복사 (복제할 수 없는 값은 그대로)
+ * @private
+ */
+function safeClone(value) {
+  try {
+    return cloneValue(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * 리액티브 프록시로 감쌀 수 있는 값 (일반 객체, 배열, Map, Set)
+ * @private
+ */
+function isObservable(value) {
+  if (value === null || typeof value !== 'object') return false;
+  if (Array.isArray(value) || value instanceof Map || value instanceof Set) return true;
+
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * 경로 값 읽기 (Map 지원)
+ * @private
+ * @param {*} obj - 루트 값
+ * @param {Array} keys - 경로
+ */
+function readPath(obj, keys) {
+  return keys.reduce((node, key) => {
+    if (node === null || node === undefined) return undefined;
+    return node instanceof Map ? node.get(key) : node[key];
+  }, obj);
+}
+
+/**
+ * 와일드카드 경로에 해당하는 값 수집
+ * @private
+ * @param {*} obj - 루트 값
+ * @param {string[]} keys - 경로 ('*' 포함 가능)
+ * @param {string} [prefix=''] - 구체 경로 접두사
+ * @returns {Map<string, *>} 구체 경로 → 값
+ */
+function collectPaths(obj, keys, prefix = '') {
+  const result = new Map();
+  if (keys.length === 0) {
+    result.set(prefix, obj);
+    return result;
+  }
+  if (obj === null || typeof obj !== 'object') return result;
+
+  const [key, ...rest] = keys;
+  const children = key === '*'
+    ? (obj instanceof Map ? [...obj.keys()] : Object.keys(obj))
+    : [key];
+
+  children.forEach(child => {
+    const value = obj instanceof Map ? obj.get(child) : obj[child];
+    const path = prefix ? `${prefix}.${child}` : String(child);
+    collectPaths(value, rest, path).forEach((v, p) => result.set(p, v));
+  });
+  return result;
+}
+
+/**
+ * 일반 객체 여부
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Map) && !(value instanceof Set);
+}
+
+/**
+ * 객체 깊은 병합 (배열은 교체)
+ * @private
+ */
+function deepMerge(target, source) {
+  const result = { ...target };
+  Object.keys(source).forEach(key => {
+    result[key] = isPlainObject(result[key]) && isPlainObject(source[key])
+      ? deepMerge(result[key], source[key])
+      : source[key];
+  });
+  return result;
+}
+
+/**
+ * 점 경로 값 읽기
+ * @private
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+}
+
+/**
+ * 점 경로 값 설정 (중간 객체 생성)
+ * @private
+ */
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, obj);
+  parent[last] = value;
+}
+
+/**
+ * 점 경로 값 삭제
+ * @private
+ */
+function deletePath(obj, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = getPath(obj, keys.join('.')) ?? (keys.length ? undefined : obj);
+  if (parent && typeof parent === 'object') {
+    delete parent[last];
+  }
+}
+
+/**
+ * 전역 상태 스토어 (옵션)
+ * @class
+ * @description 앱 전체에서 공유하는 전역 상태를 관리합니다.
+ * 여러 컴포넌트간 상태를 공유할 때 사용합니다.
+ *
+ * @example
+ * GlobalState.set('user', { name: 'John' });
+ * const user = GlobalState.get('user');
+ */
+export class GlobalState {
+  static _stores = new Map();
+
+  // 탭 간 동기화 (TabSync)
+  static _sync = null;
+
+  /**
+   * 탭 간 동기화 연결
+   * @param {TabSync} sync - 탭 동기화 인스턴스
+   */
+  static setSync(sync) {
+    this._sync = sync;
+  }
+
+  /**
+   * 전역 스토어 생성 또는 가져오기
+   * @param {string} name - 스토어 이름
+   * @param {Object} [initialState] - 초기 상태
+   * @param {Object} [options] - StateManager.create 옵션 (persist: true이면 스토어 이름을 key로 사용)
+   * @param {Object|boolean} [options.sync] - 다른 탭과 동기화 ({ conflict })
+   * @returns {Proxy} 스토어
+   *
+   * @example
+   * const userStore = GlobalState.use('user', { id: null, name: '' });
+   * const appStore = GlobalState.use('app', { theme: 'light' }, { persist: true });
+   */
+  static use(name, initialState = {}, options = {}) {
+    if (!this._stores.has(name)) {
+      const persist = options.persist === true ? { key: name } : options.persist;
+      const store = StateManager.create(initialState, { name, ...options, persist });
+      this._stores.set(name, store);
+
+      if (options.sync) {
+        this._sync?.register(name, store, options.sync === true ? {} : options.sync);
+      }
     }
     return this._stores.get(name);
   }
@@ -407,6 +1755,7 @@ export class GlobalState {
    */
   static remove(name) {
     const store = this._stores.get(name);
+    this._sync?.unregister(name);
     if (store && typeof store.destroy === 'function') {
       store.destroy();
     }
@@ -418,7 +1767,8 @@ export class GlobalState {
    */
   static clear() {
     // 모든 스토어의 destroy() 호출
-    this._stores.forEach(store => {
+    this._stores.forEach((store, name) => {
+      this._sync?.unregister(name);
       if (store && typeof store.destroy === 'function') {
         store.destroy();
       }
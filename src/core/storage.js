@@ -1,41 +1,91 @@
 /**
- * Storage Module - localStorage/sessionStorage 래퍼
+ * Storage Module - localStorage/sessionStorage/IndexedDB 래퍼
  * @module core/storage
  */
 
+import { IDBStorage } from './idb-storage.js';
+import { StorageCipher } from './secure-storage.js';
+
+// 스키마 버전 저장 키 (루트) 및 네임스페이스 버전 키 접미사
+const ROOT_VERSION_KEY = 'catui-storage-version';
+const VERSION_SUFFIX = '__version__';
+
 /**
  * Storage 유틸리티
  * @class
  * @description localStorage/sessionStorage를 편리하게 사용할 수 있는 래퍼 클래스입니다.
  * 자동 직렬화/역직렬화, TTL(만료 시간) 지원을 제공합니다.
  *
+ * storage에 'indexeddb'를 지정하면 IndexedDB에 저장하며, 이때 모든 메서드는 Promise를 반환합니다.
+ * IndexedDB는 용량 제한이 크고 Blob, 큰 배열 등을 JSON 변환 없이 저장합니다.
+ *
+ * encrypt 옵션으로 저장한 값은 AES-GCM으로 암호화되며, 잠금 해제(unlock) 후 getSecure()로 복호화합니다.
+ * 암호화된 값의 set, getSecure는 저장소와 관계없이 Promise를 반환하고, get()은 암호화된 값 대신 기본값을 반환합니다.
+ *
+ * localStorage/sessionStorage 용량이 부족하면 가장 오래 사용하지 않은 항목(만료된 항목 우선)을
+ * 삭제한 뒤 다시 저장합니다. pinned 옵션으로 저장한 항목과 Storage가 저장하지 않은 키는 삭제하지 않습니다.
+ *
  * @example
  * Storage.set('user', { name: 'John' });
  * const user = Storage.get('user');
+ *
+ * @example
+ * // IndexedDB (비동기)
+ * await Storage.set('photo:1', blob, { storage: 'indexeddb', expires: 7 * 86400 });
+ * const photo = await Storage.get('photo:1', null, 'indexeddb');
  */
 export class Storage {
+  // 다른 탭의 변경 리스너
+  static _changeListeners = [];
+  static _storageHandler = null;
+
+  // IndexedDB 백엔드 (처음 사용할 때 생성)
+  static _idb = null;
+
+  // 암호화 키 관리 (처음 사용할 때 생성)
+  static _cipher = null;
+
+  // 네임스페이스 인스턴스, 이번 실행 중 마지막 접근 시각 (LRU), 용량 초과 리스너
+  static _namespaces = new Map();
+  static _accessed = new Map();
+  static _quotaListeners = [];
+
   /**
    * 값 저장
    * @param {string} key - 키
    * @param {*} value - 값 (자동으로 JSON 직렬화)
    * @param {Object} [options={}] - 옵션
    * @param {number} [options.expires] - 만료 시간 (초)
-   * @param {string} [options.storage='local'] - 'local' 또는 'session'
-   * @returns {boolean} 성공 여부
+   * @param {string} [options.storage='local'] - 'local', 'session' 또는 'indexeddb'
+   * @param {boolean} [options.pinned=false] - 용량 초과 시 삭제 대상에서 제외
+   * @param {boolean} [options.encrypt=false] - AES-GCM 암호화 (unlock() 필요, JSON 값만)
+   * @returns {boolean|Promise<boolean>} 성공 여부 (indexeddb, encrypt는 Promise)
    *
    * @example
    * Storage.set('user', { id: 1, name: 'John' });
    * Storage.set('token', 'abc123', { expires: 3600 }); // 1시간 후 만료
    * Storage.set('temp', 'data', { storage: 'session' }); // sessionStorage
+   * await Storage.set('history', messages, { storage: 'indexeddb' }); // IndexedDB
+   * await Storage.set('card', card, { encrypt: true }); // 암호화
    */
   static set(key, value, options = {}) {
+    if (options.encrypt) {
+      return this._setEncrypted(key, value, options);
+    }
+
+    if (options.storage === 'indexeddb') {
+      return this._indexedDB().set(key, value, options);
+    }
+
     if (!key || typeof key !== 'string') {
       console.error('Storage.set: key must be a non-empty string');
       return false;
     }
 
+    const type = options.storage === 'session' ? 'session' : 'local';
+
     try {
-      const storage = options.storage === 'session' ? sessionStorage : localStorage;
+      const storage = type === 'session' ? sessionStorage : localStorage;
 
       const data = {
         value,
@@ -46,8 +96,20 @@ export class Storage {
       if (options.expires && typeof options.expires === 'number') {
         data.expires = Date.now() + (options.expires * 1000);
       }
+      if (options.pinned) {
+        data.pinned = true;
+      }
+
+      const serialized = JSON.stringify(data);
+      try {
+        storage.setItem(key, serialized);
+      } catch (error) {
+        if (!isQuotaError(error) || !this._evict(key, serialized, type)) {
+          throw error;
+        }
+      }
 
-      storage.setItem(key, JSON.stringify(data));
+      this._accessed.set(`${type}:${key}`, Date.now());
       return true;
     } catch (error) {
       console.error('Storage.set error:', error);
@@ -59,14 +121,50 @@ export class Storage {
    * 값 가져오기
    * @param {string} key - 키
    * @param {*} [defaultValue] - 기본값 (없거나 만료된 경우 반환)
-   * @param {string} [storage='local'] - 'local' 또는 'session'
-   * @returns {*} 저장된 값 또는 기본값
+   * @param {string} [storage='local'] - 'local', 'session' 또는 'indexeddb'
+   * @returns {*} 저장된 값 또는 기본값 (indexeddb는 Promise, 암호화된 값은 기본값)
    *
    * @example
    * const user = Storage.get('user');
    * const count = Storage.get('count', 0); // 없으면 0 반환
+   * const history = await Storage.get('history', [], 'indexeddb');
    */
   static get(key, defaultValue = null, storage = 'local') {
+    if (storage === 'indexeddb') {
+      return this._indexedDB().get(key, defaultValue).then(value =>
+        StorageCipher.isEncrypted(value) ? this._encryptedDefault(key, defaultValue) : value
+      );
+    }
+
+    const value = this._read(key, defaultValue, storage);
+    return StorageCipher.isEncrypted(value) ? this._encryptedDefault(key, defaultValue) : value;
+  }
+
+  /**
+   * 암호화된 값 가져오기 (복호화)
+   * 암호화하지 않은 값은 그대로 반환합니다.
+   * @param {string} key - 키
+   * @param {*} [defaultValue] - 기본값 (없거나 만료, 잠금, 복호화 실패 시 반환)
+   * @param {string} [storage='local'] - 'local', 'session' 또는 'indexeddb'
+   * @returns {Promise<*>} 복호화된 값 또는 기본값
+   *
+   * @example
+   * await Storage.unlock(pin);
+   * const card = await Storage.getSecure('card');
+   */
+  static async getSecure(key, defaultValue = null, storage = 'local') {
+    const value = storage === 'indexeddb'
+      ? await this._indexedDB().get(key, defaultValue)
+      : this._read(key, defaultValue, storage);
+
+    return StorageCipher.isEncrypted(value) ? this._decrypt(key, value, defaultValue) : value;
+  }
+
+  /**
+   * localStorage/sessionStorage에서 값 읽기 (만료 확인, 복호화하지 않음)
+   * @private
+   */
+  static _read(key, defaultValue, storage) {
     if (!key || typeof key !== 'string') {
       return defaultValue;
     }
@@ -87,6 +185,7 @@ export class Storage {
         return defaultValue;
       }
 
+      this._accessed.set(`${storage === 'session' ? 'session' : 'local'}:${key}`, Date.now());
       return data.value;
     } catch (error) {
       console.error('Storage.get error:', error);
@@ -97,8 +196,8 @@ export class Storage {
   /**
    * 값 존재 확인
    * @param {string} key - 키
-   * @param {string} [storage='local'] - 'local' 또는 'session'
-   * @returns {boolean} 존재 여부
+   * @param {string} [storage='local'] - 'local', 'session' 또는 'indexeddb'
+   * @returns {boolean|Promise<boolean>} 존재 여부 (indexeddb는 Promise)
    *
    * @example
    * if (Storage.has('token')) {
@@ -106,6 +205,10 @@ export class Storage {
    * }
    */
   static has(key, storage = 'local') {
+    if (storage === 'indexeddb') {
+      return this._indexedDB().has(key);
+    }
+
     if (!key || typeof key !== 'string') {
       return false;
     }
@@ -135,13 +238,17 @@ export class Storage {
   /**
    * 값 제거
    * @param {string} key - 키
-   * @param {string} [storage='local'] - 'local' 또는 'session'
-   * @returns {boolean} 성공 여부
+   * @param {string} [storage='local'] - 'local', 'session' 또는 'indexeddb'
+   * @returns {boolean|Promise<boolean>} 성공 여부 (indexeddb는 Promise)
    *
    * @example
    * Storage.remove('token');
    */
   static remove(key, storage = 'local') {
+    if (storage === 'indexeddb') {
+      return this._indexedDB().remove(key);
+    }
+
     if (!key || typeof key !== 'string') {
       return false;
     }
@@ -158,14 +265,18 @@ export class Storage {
 
   /**
    * 모든 값 제거
-   * @param {string} [storage='local'] - 'local' 또는 'session'
-   * @returns {boolean} 성공 여부
+   * @param {string} [storage='local'] - 'local', 'session' 또는 'indexeddb'
+   * @returns {boolean|Promise<boolean>} 성공 여부 (indexeddb는 Promise)
    *
    * @example
    * Storage.clear(); // localStorage 전체 삭제
    * Storage.clear('session'); // sessionStorage 전체 삭제
    */
   static clear(storage = 'local') {
+    if (storage === 'indexeddb') {
+      return this._indexedDB().clear();
+    }
+
     try {
       const storageObj = storage === 'session' ? sessionStorage : localStorage;
       storageObj.clear();
@@ -178,13 +289,17 @@ export class Storage {
 
   /**
    * 모든 키 목록 가져오기
-   * @param {string} [storage='local'] - 'local' 또는 'session'
-   * @returns {string[]} 키 배열
+   * @param {string} [storage='local'] - 'local', 'session' 또는 'indexeddb'
+   * @returns {string[]|Promise<string[]>} 키 배열 (indexeddb는 Promise)
    *
    * @example
    * const keys = Storage.keys(); // ['user', 'token', ...]
    */
   static keys(storage = 'local') {
+    if (storage === 'indexeddb') {
+      return this._indexedDB().keys();
+    }
+
     try {
       const storageObj = storage === 'session' ? sessionStorage : localStorage;
       return Object.keys(storageObj);
@@ -195,7 +310,7 @@ export class Storage {
   }
 
   /**
-   * 스토리지 크기 확인 (대략적)
+   * 스토리지 크기 확인 (대략적, localStorage/sessionStorage만)
    * @param {string} [storage='local'] - 'local' 또는 'session'
    * @returns {number} 사용 중인 바이트 수 (근사값)
    *
@@ -224,16 +339,39 @@ export class Storage {
 
   /**
    * 만료된 항목 제거
-   * @param {string} [storage='local'] - 'local' 또는 'session'
-   * @returns {number} 제거된 항목 수
+   * @param {string} [storage='local'] - 'local', 'session', 'indexeddb' 또는 'all' (모든 저장소)
+   * @returns {number|Promise<number>} 제거된 항목 수 (indexeddb, all은 Promise)
    *
    * @example
    * const removed = Storage.cleanExpired(); // 만료된 항목 삭제
+   * const total = await Storage.cleanExpired('all'); // localStorage, sessionStorage, IndexedDB
    */
   static cleanExpired(storage = 'local') {
+    if (storage === 'all') {
+      const removed = this.cleanExpired('local') + this.cleanExpired('session');
+      return IDBStorage.supported
+        ? this._indexedDB().cleanExpired().then(count => removed + count)
+        : Promise.resolve(removed);
+    }
+
+    return this._cleanExpired(storage);
+  }
+
+  /**
+   * 만료된 항목 제거 (접두사로 시작하는 키만)
+   * @private
+   * @param {string} storage - 'local', 'session' 또는 'indexeddb'
+   * @param {string} [prefix=''] - 키 접두사
+   * @returns {number|Promise<number>} 제거된 항목 수 (indexeddb는 Promise)
+   */
+  static _cleanExpired(storage, prefix = '') {
+    if (storage === 'indexeddb') {
+      return this._indexedDB().cleanExpired(prefix);
+    }
+
     try {
       const storageObj = storage === 'session' ? sessionStorage : localStorage;
-      const keys = Object.keys(storageObj);
+      const keys = Object.keys(storageObj).filter(key => key.startsWith(prefix));
       let removed = 0;
 
       keys.forEach(key => {
@@ -257,6 +395,586 @@ export class Storage {
       return 0;
     }
   }
+
+  /**
+   * 용량 초과 알림 등록 (항목을 삭제해 저장한 경우)
+   * @param {Function} handler - ({ key, storage, evicted }) => void
+   * @returns {Function} 구독 취소 함수
+   *
+   * @example
+   * Storage.onQuotaExceeded(({ key, evicted }) => {
+   *   console.warn(`"${key}" 저장을 위해 삭제됨:`, evicted);
+   * });
+   */
+  static onQuotaExceeded(handler) {
+    this._quotaListeners.push(handler);
+    return () => {
+      this._quotaListeners = this._quotaListeners.filter(listener => listener !== handler);
+    };
+  }
+
+  /**
+   * 스키마 버전 마이그레이션 (저장된 버전보다 높은 버전의 함수만 한 번씩 실행)
+   * 버전 기록이 없으면 0으로 간주합니다. 마이그레이션이 Promise를 반환하면 완료 후 다음 버전을 실행합니다.
+   * @param {number} version - 현재 스키마 버전
+   * @param {Object<number, Function>} migrations - { 버전: (storage, fromVersion) => void|Promise }
+   * @returns {Promise<number>} 적용된 버전 (동기 마이그레이션은 호출 즉시 적용됨, 실패하면 마지막으로 성공한 버전)
+   *
+   * @example
+   * Storage.migrate(2, {
+   *   1: (storage) => storage.remove('legacy-cache'),
+   *   2: (storage) => {
+   *     const theme = localStorage.getItem('catui-theme');
+   *     if (theme) storage.set('theme', theme);
+   *   }
+   * });
+   */
+  static migrate(version, migrations = {}) {
+    return runMigrations(this, ROOT_VERSION_KEY, version, migrations);
+  }
+
+  /**
+   * 네임스페이스 (키 접두사가 붙는 저장소, 같은 이름이면 같은 인스턴스)
+   * @param {string} name - 네임스페이스 이름 (키는 '<name>:<key>'로 저장)
+   * @param {Object} [options] - 옵션
+   * @param {string} [options.storage='local'] - 기본 저장소 ('local', 'session', 'indexeddb')
+   * @param {number} [options.version] - 스키마 버전 (migrations와 함께 지정하면 생성 시 마이그레이션)
+   * @param {Object<number, Function>} [options.migrations] - { 버전: (namespace, fromVersion) => void|Promise }
+   * @returns {StorageNamespace}
+   *
+   * @example
+   * const app = Storage.namespace('app', {
+   *   version: 2,
+   *   migrations: {
+   *     2: (ns) => ns.set('settings', { ...ns.get('settings'), fontSize: 'md' })
+   *   }
+   * });
+   * app.set('settings', { theme: 'dark' });   // 'app:settings'
+   * app.keys();                                // ['settings']
+   * app.clear();                               // 'app:' 키만 삭제
+   */
+  static namespace(name, options = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Storage.namespace: name must be a non-empty string');
+    }
+
+    if (!this._namespaces.has(name)) {
+      this._namespaces.set(name, new StorageNamespace(name, options));
+    }
+    return this._namespaces.get(name);
+  }
+
+  /**
+   * 용량 초과 시 오래 사용하지 않은 항목을 삭제하며 다시 저장
+   * @private
+   * @param {string} key - 저장할 키
+   * @param {string} serialized - 저장할 값
+   * @param {string} type - 'local' 또는 'session'
+   * @returns {boolean} 저장 성공 여부
+   */
+  static _evict(key, serialized, type) {
+    const storage = type === 'session' ? sessionStorage : localStorage;
+    const now = Date.now();
+    const candidates = [];
+
+    Object.keys(storage).forEach(candidate => {
+      if (candidate === key) return;
+      try {
+        const data = JSON.parse(storage.getItem(candidate));
+        // Storage가 저장한 항목만 삭제 대상
+        if (!data || typeof data !== 'object' || typeof data.timestamp !== 'number' || data.pinned) return;
+
+        candidates.push({
+          key: candidate,
+          expired: Boolean(data.expires && now > data.expires),
+          used: Math.max(data.timestamp, this._accessed.get(`${type}:${candidate}`) || 0)
+        });
+      } catch (e) {
+        // JSON이 아닌 값은 무시
+      }
+    });
+
+    // 만료된 항목 → 오래 사용하지 않은 항목 순
+    candidates.sort((a, b) => (b.expired - a.expired) || (a.used - b.used));
+
+    const evicted = [];
+    const removed = [];
+    let saved = false;
+
+    for (const candidate of candidates) {
+      removed.push([candidate.key, storage.getItem(candidate.key)]);
+      storage.removeItem(candidate.key);
+      evicted.push(candidate.key);
+
+      try {
+        storage.setItem(key, serialized);
+        saved = true;
+        break;
+      } catch (error) {
+        if (!isQuotaError(error)) break;
+      }
+    }
+
+    if (!saved) {
+      // 모두 삭제해도 저장할 수 없으면 삭제한 항목 복원
+      removed.reverse().forEach(([removedKey, value]) => {
+        try {
+          storage.setItem(removedKey, value);
+        } catch (error) {
+          console.error(`Storage: failed to restore "${removedKey}":`, error);
+        }
+      });
+      return false;
+    }
+
+    evicted.forEach(evictedKey => this._accessed.delete(`${type}:${evictedKey}`));
+
+    [...this._quotaListeners].forEach(listener => {
+      try {
+        listener({ key, storage: type, evicted });
+      } catch (error) {
+        console.error('Error in storage quota listener:', error);
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * 암호화 저장소 잠금 해제
+   * PinInput이나 세션 잠금 화면(lock.verify)에서 받은 PIN을 그대로 전달할 수 있습니다.
+   * @param {string|CryptoKey} [secret] - 비밀번호/PIN (PBKDF2로 키 유도), AES-GCM CryptoKey 또는 생략 (IndexedDB의 기기 키)
+   * @param {Object} [options] - 옵션
+   * @param {number} [options.iterations=310000] - PBKDF2 반복 횟수
+   * @returns {Promise<boolean>} 성공 여부 (처음 사용하는 비밀번호는 등록, 이후 다른 비밀번호면 false)
+   *
+   * @example
+   * const pin = new PinInput({
+   *   container: '#pin',
+   *   onComplete: async (value) => {
+   *     if (await Storage.unlock(value)) showWallet();
+   *     else { pin.setError(true); pin.clear(); }
+   *   }
+   * });
+   */
+  static unlock(secret, options = {}) {
+    return this._getCipher().unlock(secret, options);
+  }
+
+  /**
+   * 암호화 저장소 잠금 (메모리의 키 해제)
+   */
+  static lock() {
+    this._cipher?.lock();
+  }
+
+  /**
+   * 암호화 저장소 잠금 해제 여부
+   * @type {boolean}
+   */
+  static get unlocked() {
+    return Boolean(this._cipher?.unlocked);
+  }
+
+  /**
+   * 암호화 설정 초기화 (비밀번호 분실 시, 기존에 암호화한 값은 복호화할 수 없음)
+   * @returns {Promise<void>}
+   */
+  static resetEncryption() {
+    return this._getCipher().reset();
+  }
+
+  /**
+   * 암호화 후 저장
+   * @private
+   */
+  static async _setEncrypted(key, value, options) {
+    if (!key || typeof key !== 'string') {
+      console.error('Storage.set: key must be a non-empty string');
+      return false;
+    }
+
+    try {
+      const payload = await this._getCipher().encrypt(value);
+      return await this.set(key, payload, { ...options, encrypt: false });
+    } catch (error) {
+      console.error('Storage.set error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * get()으로 읽은 암호화된 값 대신 기본값 반환
+   * @private
+   */
+  static _encryptedDefault(key, defaultValue) {
+    console.warn(`Storage.get: "${key}" is encrypted, use getSecure() to decrypt it`);
+    return defaultValue;
+  }
+
+  /**
+   * 저장된 값 복호화 (잠겨 있거나 실패하면 기본값)
+   * @private
+   */
+  static async _decrypt(key, payload, defaultValue) {
+    if (!this.unlocked) {
+      console.warn(`Storage: "${key}" is encrypted and secure storage is locked`);
+      return defaultValue;
+    }
+
+    try {
+      return await this._cipher.decrypt(payload);
+    } catch (error) {
+      console.error(`Storage: failed to decrypt "${key}":`, error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * 암호화 키 관리
+   * @private
+   * @returns {StorageCipher}
+   */
+  static _getCipher() {
+    if (!this._cipher) {
+      this._cipher = new StorageCipher();
+    }
+    return this._cipher;
+  }
+
+  /**
+   * IndexedDB 백엔드
+   * @private
+   * @returns {IDBStorage}
+   */
+  static _indexedDB() {
+    if (!this._idb) {
+      this._idb = new IDBStorage();
+    }
+    return this._idb;
+  }
+
+  /**
+   * 다른 탭(창)에서의 localStorage 변경 감지
+   * @param {Function} handler - ({ key, value, oldValue, storage }) => void (clear()이면 key는 null)
+   * @returns {Function} 구독 취소 함수
+   *
+   * @example
+   * const off = Storage.onChange(({ key, value }) => {
+   *   if (key === 'theme') applyTheme(value);
+   * });
+   */
+  static onChange(handler) {
+    if (!this._storageHandler && typeof window !== 'undefined') {
+      this._storageHandler = (e) => {
+        if (e.storageArea && e.storageArea !== localStorage) return;
+
+        const change = {
+          key: e.key,
+          value: this._parseStored(e.newValue),
+          oldValue: this._parseStored(e.oldValue),
+          storage: 'local'
+        };
+
+        [...this._changeListeners].forEach(listener => {
+          try {
+            listener(change);
+          } catch (error) {
+            console.error('Error in storage change listener:', error);
+          }
+        });
+      };
+      window.addEventListener('storage', this._storageHandler);
+    }
+
+    this._changeListeners.push(handler);
+
+    return () => {
+      this._changeListeners = this._changeListeners.filter(listener => listener !== handler);
+      if (this._changeListeners.length === 0 && this._storageHandler) {
+        window.removeEventListener('storage', this._storageHandler);
+        this._storageHandler = null;
+      }
+    };
+  }
+
+  /**
+   * 저장된 문자열을 값으로 변환 (Storage.set 형식이면 value만 반환)
+   * @private
+   * @param {string|null} raw - 저장된 문자열
+   * @returns {*}
+   */
+  static _parseStored(raw) {
+    if (raw === null || raw === undefined) return null;
+
+    try {
+      const data = JSON.parse(raw);
+      return data && typeof data === 'object' && 'value' in data && 'timestamp' in data
+        ? data.value
+        : data;
+    } catch (error) {
+      return raw;
+    }
+  }
+}
+
+/**
+ * 네임스페이스 저장소
+ * @class
+ * @description 모든 키에 '<name>:' 접두사를 붙여 Storage에 저장합니다.
+ * Storage.namespace(name)로 생성하며 Storage와 같은 메서드를 제공합니다 (keys, clear는 네임스페이스 범위).
+ */
+class StorageNamespace {
+  /**
+   * StorageNamespace 생성자
+   * @constructor
+   * @param {string} name - 네임스페이스 이름
+   * @param {Object} [options] - Storage.namespace 옵션
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.prefix = `${name}:`;
+    this.storage = options.storage || 'local';
+
+    /**
+     * 마이그레이션 완료 Promise
+     * @type {Promise<number>}
+     */
+    this.ready = options.version !== undefined
+      ? this.migrate(options.version, options.migrations)
+      : Promise.resolve(this.version);
+  }
+
+  /**
+   * 저장된 스키마 버전 (기록이 없으면 0)
+   * @type {number}
+   */
+  get version() {
+    return readVersion(`${this.prefix}${VERSION_SUFFIX}`);
+  }
+
+  /**
+   * 값 저장
+   * @param {string} key - 키
+   * @param {*} value - 값
+   * @param {Object} [options] - Storage.set 옵션 (storage 기본값은 네임스페이스 저장소)
+   * @returns {boolean|Promise<boolean>}
+   */
+  set(key, value, options = {}) {
+    return Storage.set(this._key(key), value, { storage: this.storage, ...options });
+  }
+
+  /**
+   * 값 가져오기
+   * @param {string} key - 키
+   * @param {*} [defaultValue=null] - 기본값
+   * @param {string} [storage] - 저장소 (기본: 네임스페이스 저장소)
+   * @returns {*}
+   */
+  get(key, defaultValue = null, storage = this.storage) {
+    return Storage.get(this._key(key), defaultValue, storage);
+  }
+
+  /**
+   * 암호화된 값 가져오기 (Storage.getSecure 참고)
+   * @param {string} key - 키
+   * @param {*} [defaultValue=null] - 기본값
+   * @param {string} [storage] - 저장소 (기본: 네임스페이스 저장소)
+   * @returns {Promise<*>}
+   */
+  getSecure(key, defaultValue = null, storage = this.storage) {
+    return Storage.getSecure(this._key(key), defaultValue, storage);
+  }
+
+  /**
+   * 값 존재 확인
+   * @param {string} key - 키
+   * @param {string} [storage] - 저장소
+   * @returns {boolean|Promise<boolean>}
+   */
+  has(key, storage = this.storage) {
+    return Storage.has(this._key(key), storage);
+  }
+
+  /**
+   * 값 제거
+   * @param {string} key - 키
+   * @param {string} [storage] - 저장소
+   * @returns {boolean|Promise<boolean>}
+   */
+  remove(key, storage = this.storage) {
+    return Storage.remove(this._key(key), storage);
+  }
+
+  /**
+   * 네임스페이스의 키 목록 (접두사 제외)
+   * @param {string} [storage] - 저장소
+   * @returns {string[]|Promise<string[]>}
+   */
+  keys(storage = this.storage) {
+    const filter = keys => keys
+      .filter(key => key.startsWith(this.prefix) && key !== `${this.prefix}${VERSION_SUFFIX}`)
+      .map(key => key.slice(this.prefix.length));
+
+    const keys = Storage.keys(storage);
+    return Array.isArray(keys) ? filter(keys) : keys.then(filter);
+  }
+
+  /**
+   * 네임스페이스의 모든 값 제거 (스키마 버전은 유지)
+   * @param {string} [storage] - 저장소
+   * @returns {boolean|Promise<boolean>}
+   */
+  clear(storage = this.storage) {
+    const removeAll = keys => keys.map(key => Storage.remove(this._key(key), storage));
+
+    const keys = this.keys(storage);
+    return Array.isArray(keys)
+      ? removeAll(keys).every(Boolean)
+      : keys.then(list => Promise.all(removeAll(list))).then(results => results.every(Boolean));
+  }
+
+  /**
+   * 네임스페이스의 만료된 항목 제거
+   * @param {string} [storage] - 저장소
+   * @returns {number|Promise<number>} 제거된 항목 수
+   */
+  cleanExpired(storage = this.storage) {
+    return Storage._cleanExpired(storage, this.prefix);
+  }
+
+  /**
+   * 다른 탭에서의 네임스페이스 변경 감지
+   * @param {Function} handler - ({ key, value, oldValue, storage }) => void (key는 접두사 제외)
+   * @returns {Function} 구독 취소 함수
+   */
+  onChange(handler) {
+    return Storage.onChange((change) => {
+      if (change.key === null) {
+        handler(change);
+      } else if (change.key.startsWith(this.prefix) && change.key !== `${this.prefix}${VERSION_SUFFIX}`) {
+        handler({ ...change, key: change.key.slice(this.prefix.length) });
+      }
+    });
+  }
+
+  /**
+   * 하위 네임스페이스
+   * @param {string} name - 이름
+   * @param {Object} [options] - Storage.namespace 옵션
+   * @returns {StorageNamespace} '<name>:<sub>' 네임스페이스
+   */
+  namespace(name, options = {}) {
+    return Storage.namespace(`${this.name}:${name}`, { storage: this.storage, ...options });
+  }
+
+  /**
+   * 스키마 버전 마이그레이션 (Storage.migrate 참고)
+   * @param {number} version - 현재 스키마 버전
+   * @param {Object<number, Function>} migrations - { 버전: (namespace, fromVersion) => void|Promise }
+   * @returns {Promise<number>}
+   */
+  migrate(version, migrations = {}) {
+    return runMigrations(this, `${this.prefix}${VERSION_SUFFIX}`, version, migrations);
+  }
+
+  /**
+   * 접두사가 붙은 키
+   * @private
+   */
+  _key(key) {
+    return `${this.prefix}${key}`;
+  }
+}
+
+/**
+ * 용량 초과 오류 여부
+ * @private
+ */
+function isQuotaError(error) {
+  return Boolean(error) && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+  );
+}
+
+/**
+ * 저장된 스키마 버전 읽기 (버전은 항상 localStorage에 저장)
+ * @private
+ */
+function readVersion(versionKey) {
+  try {
+    return Number(localStorage.getItem(versionKey)) || 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * 마이그레이션 실행 (각 버전 완료 후 버전 기록)
+ * @private
+ * @param {Storage|StorageNamespace} target - 마이그레이션 함수에 전달할 저장소
+ * @param {string} versionKey - 버전 저장 키
+ * @param {number} version - 목표 버전
+ * @param {Object<number, Function>} migrations - 버전별 함수
+ * @returns {Promise<number>}
+ */
+function runMigrations(target, versionKey, version, migrations) {
+  const current = readVersion(versionKey);
+
+  if (current > version) {
+    console.warn(`Storage: stored schema version ${current} is newer than ${version}`);
+    return Promise.resolve(current);
+  }
+
+  const steps = Object.keys(migrations)
+    .map(Number)
+    .filter(step => step > current && step <= version)
+    .sort((a, b) => a - b);
+
+  const save = (step) => {
+    try {
+      localStorage.setItem(versionKey, String(step));
+    } catch (error) {
+      console.error('Storage: failed to save schema version:', error);
+    }
+  };
+
+  const run = (index, from) => {
+    if (index >= steps.length) {
+      if (from !== version) save(version);
+      return Promise.resolve(version);
+    }
+
+    const step = steps[index];
+    // 실패하면 이후 버전은 실행하지 않고 다음 시작 때 다시 시도
+    const fail = (error) => {
+      console.error(`Storage: migration to version ${step} failed:`, error);
+      return from;
+    };
+
+    let result;
+    try {
+      result = migrations[step](target, from);
+    } catch (error) {
+      return Promise.resolve(fail(error));
+    }
+
+    // 비동기 마이그레이션은 완료 후 다음 버전 실행
+    if (result && typeof result.then === 'function') {
+      return result.then(() => {
+        save(step);
+        return run(index + 1, step);
+      }, fail);
+    }
+
+    save(step);
+    return run(index + 1, step);
+  };
+
+  return run(0, current);
 }
 
 export default Storage;
@@ -0,0 +1,414 @@
+/**
+ * 탭 간 동기화 (BroadcastChannel / storage 이벤트)
+ * @module core/sync
+ */
+
+import { Storage } from './storage.js';
+
+// storage 이벤트 대체 전송에 사용하는 키 접두사
+const STORAGE_PREFIX = 'catui-sync:';
+
+/**
+ * 탭 간 동기화
+ * @class
+ * @description 같은 출처의 다른 탭(창, PWA)과 이름 있는 스토어, 로그아웃, localStorage 변경을 동기화합니다.
+ * BroadcastChannel을 사용하며, 지원하지 않는 브라우저에서는 localStorage의 storage 이벤트로 대체합니다.
+ *
+ * 스토어 동기화는 StateManager.use(name, init, { sync: true })로 만든 스토어에만 적용됩니다.
+ * 같은 경로를 두 탭이 변경하면 conflict 전략으로 결정합니다.
+ * - 'last-write-wins' (기본) - 나중에 변경한 값 적용
+ * - ({ name, path, local, remote, localTime, remoteTime }) => value - 적용할 값 반환
+ *
+ * 다음 이벤트를 발생시킵니다.
+ * - 'sync:update' { name, paths } - 다른 탭의 스토어 변경 적용
+ * - 'storage:change' { key, value, oldValue, storage } - 다른 탭의 localStorage 변경
+ *
+ * @example
+ * CATUI.sync.start();
+ *
+ * const cart = CATUI.StateManager.use('cart', { items: [] }, { sync: true });
+ * cart.items.push(item); // 다른 탭의 cart에도 반영
+ *
+ * CATUI.on('storage:change', ({ key, value }) => {
+ *   if (key === 'theme') applyTheme(value);
+ * });
+ */
+export class TabSync {
+  /**
+   * TabSync 생성자
+   * @constructor
+   * @param {EventBus} [eventBus] - 동기화 이벤트를 발생시킬 이벤트 버스
+   */
+  constructor(eventBus = null) {
+    this.eventBus = eventBus;
+    this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+    this.options = {
+      channel: 'catui-sync',
+      conflict: 'last-write-wins',
+      transport: null
+    };
+
+    this.started = false;
+
+    this._channel = null;
+    this._storageHandler = null;
+    this._storageUnsubscribe = null;
+    this._handlers = new Map();
+    this._stores = new Map();
+  }
+
+  /**
+   * 전송 방식
+   * @type {string} 'broadcast' 또는 'storage'
+   */
+  get transport() {
+    if (this.options.transport) return this.options.transport;
+    return typeof BroadcastChannel !== 'undefined' ? 'broadcast' : 'storage';
+  }
+
+  /**
+   * 동기화 시작
+   * @param {Object} [options] - 옵션
+   * @param {string} [options.channel='catui-sync'] - 채널 이름 (같은 이름의 탭끼리 동기화)
+   * @param {string|Function} [options.conflict='last-write-wins'] - 기본 충돌 해결 전략
+   * @param {string} [options.transport] - 'broadcast' 또는 'storage' (기본: 지원 여부로 판단)
+   * @returns {TabSync}
+   */
+  start(options = {}) {
+    if (this.started) return this;
+
+    this.options = { ...this.options, ...options };
+    this.started = true;
+
+    if (this.transport === 'broadcast') {
+      this._channel = new BroadcastChannel(this.options.channel);
+      this._channel.onmessage = (e) => this._receive(e.data);
+    } else if (typeof window !== 'undefined') {
+      this._storageHandler = (e) => {
+        if (e.key !== `${STORAGE_PREFIX}${this.options.channel}` || !e.newValue) return;
+        try {
+          this._receive(JSON.parse(e.newValue).message);
+        } catch (error) {
+          console.error('[TabSync] Invalid message:', error);
+        }
+      };
+      window.addEventListener('storage', this._storageHandler);
+    }
+
+    this._storageUnsubscribe = Storage.onChange((change) => {
+      if (change.key && change.key.startsWith(STORAGE_PREFIX)) return;
+      this.eventBus?.emit('storage:change', change);
+    });
+
+    // 이미 등록된 스토어는 다른 탭의 현재 상태 요청
+    this._stores.forEach((entry, name) => this.post('state:request', { name }));
+
+    return this;
+  }
+
+  /**
+   * 동기화 중지
+   */
+  stop() {
+    if (!this.started) return;
+
+    this.started = false;
+
+    if (this._channel) {
+      this._channel.close();
+      this._channel = null;
+    }
+    if (this._storageHandler) {
+      window.removeEventListener('storage', this._storageHandler);
+      this._storageHandler = null;
+    }
+    if (this._storageUnsubscribe) {
+      this._storageUnsubscribe();
+      this._storageUnsubscribe = null;
+    }
+  }
+
+  /**
+   * 다른 탭에 메시지 전송
+   * @param {string} type - 메시지 유형
+   * @param {*} [payload] - 데이터 (구조화 복제 가능한 값)
+   * @returns {boolean} 전송 여부 (시작 전이면 false)
+   *
+   * @example
+   * CATUI.sync.post('cart:checkout', { orderId });
+   */
+  post(type, payload) {
+    if (!this.started) return false;
+
+    const message = { type, payload, from: this.tabId, time: Date.now() };
+
+    try {
+      if (this._channel) {
+        try {
+          this._channel.postMessage(message);
+        } catch (error) {
+          // 복제할 수 없는 값(함수, 프록시 등)은 JSON으로 변환해 전송
+          this._channel.postMessage(JSON.parse(JSON.stringify(message)));
+        }
+      } else {
+        const key = `${STORAGE_PREFIX}${this.options.channel}`;
+        // 같은 값이면 storage 이벤트가 발생하지 않으므로 nonce 추가 후 바로 제거
+        localStorage.setItem(key, JSON.stringify({ message, nonce: Math.random() }));
+        localStorage.removeItem(key);
+      }
+      return true;
+    } catch (error) {
+      console.error('[TabSync] Failed to post message:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 다른 탭의 메시지 수신
+   * @param {string} type - 메시지 유형
+   * @param {Function} handler - (payload, message) => void
+   * @returns {Function} 구독 취소 함수
+   *
+   * @example
+   * CATUI.sync.on('cart:checkout', ({ orderId }) => showOrder(orderId));
+   */
+  on(type, handler) {
+    if (!this._handlers.has(type)) {
+      this._handlers.set(type, []);
+    }
+    this._handlers.get(type).push(handler);
+
+    return () => {
+      const handlers = this._handlers.get(type);
+      if (!handlers) return;
+      const filtered = handlers.filter(h => h !== handler);
+      if (filtered.length === 0) {
+        this._handlers.delete(type);
+      } else {
+        this._handlers.set(type, filtered);
+      }
+    };
+  }
+
+  /**
+   * 스토어 동기화 등록 (GlobalState.use의 sync 옵션에서 호출)
+   * @param {string} name - 스토어 이름
+   * @param {Proxy} store - 스토어
+   * @param {Object} [options] - 옵션
+   * @param {string|Function} [options.conflict] - 충돌 해결 전략 (기본: start()의 conflict)
+   */
+  register(name, store, options = {}) {
+    this.unregister(name);
+
+    const state = store._store;
+    const entry = {
+      store: state,
+      conflict: options.conflict || null,
+      times: new Map(),
+      synced: false,
+      unsubscribe: null
+    };
+
+    entry.unsubscribe = state._onCommit((updates, remote) => {
+      if (remote) return;
+
+      const time = Date.now();
+      const changes = updates
+        .filter(update => !state._computedDeps.has(update.keys[0]))
+        .map(update => {
+          entry.times.set(update.path, time);
+          return { keys: update.keys, value: update.value, remove: update.removed };
+        });
+
+      if (changes.length > 0) {
+        this.post('state:update', { name, changes, time });
+      }
+    });
+
+    this._stores.set(name, entry);
+    this.post('state:request', { name });
+  }
+
+  /**
+   * 스토어 동기화 해제
+   * @param {string} name - 스토어 이름
+   */
+  unregister(name) {
+    const entry = this._stores.get(name);
+    if (!entry) return;
+
+    entry.unsubscribe();
+    this._stores.delete(name);
+  }
+
+  /**
+   * 메시지 처리
+   * @private
+   * @param {Object} message - { type, payload, from, time }
+   */
+  _receive(message) {
+    if (!message || message.from === this.tabId) return;
+
+    const { type, payload } = message;
+
+    if (type === 'state:update') {
+      this._applyChanges(payload.name, payload.changes, payload.time, message.from);
+    } else if (type === 'state:request') {
+      this._sendSnapshot(payload.name, message.from);
+    } else if (type === 'state:snapshot') {
+      this._applySnapshot(payload, message.from);
+    }
+
+    const handlers = this._handlers.get(type);
+    if (handlers) {
+      [...handlers].forEach(handler => {
+        try {
+          handler(payload, message);
+        } catch (error) {
+          console.error(`[TabSync] Error in handler for "${type}":`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * 다른 탭의 변경 적용 (충돌 해결 후)
+   * @private
+   * @param {string} name - 스토어 이름
+   * @param {Object[]} changes - [{ keys, value, remove }]
+   * @param {number} time - 변경 시각
+   * @param {string} from - 보낸 탭 ID
+   */
+  _applyChanges(name, changes, time, from) {
+    const entry = this._stores.get(name);
+    if (!entry) return;
+
+    const applied = [];
+
+    changes.forEach(change => {
+      const path = change.keys.map(String).join('.');
+      const localTime = this._localTime(entry, path);
+      let resolved = change;
+
+      if (localTime !== null) {
+        const conflict = entry.conflict || this.options.conflict;
+
+        if (typeof conflict === 'function') {
+          const value = conflict({
+            name,
+            path,
+            local: readPath(entry.store._state, change.keys),
+            remote: change.remove ? undefined : change.value,
+            localTime,
+            remoteTime: time
+          });
+          resolved = { keys: change.keys, value, remove: value === undefined };
+        } else if (localTime > time || (localTime === time && this.tabId > from)) {
+          // last-write-wins: 이 탭의 변경이 더 늦으면 무시 (같은 시각이면 탭 ID로 결정)
+          return;
+        }
+      }
+
+      entry.times.set(path, time);
+      applied.push(resolved);
+    });
+
+    if (applied.length === 0) return;
+
+    entry.store._applyRemote(applied);
+    this.eventBus?.emit('sync:update', { name, paths: applied.map(change => change.keys.map(String).join('.')) });
+  }
+
+  /**
+   * 경로(및 하위 경로)의 마지막 로컬 변경 시각
+   * @private
+   * @param {Object} entry - 등록 정보
+   * @param {string} path - 경로
+   * @returns {number|null}
+   */
+  _localTime(entry, path) {
+    let latest = null;
+    entry.times.forEach((time, key) => {
+      if (key === path || key.startsWith(`${path}.`) || path.startsWith(`${key}.`)) {
+        if (latest === null || time > latest) latest = time;
+      }
+    });
+    return latest;
+  }
+
+  /**
+   * 현재 상태 전송 (새로 열린 탭의 요청에 응답)
+   * @private
+   * @param {string} name - 스토어 이름
+   * @param {string} to - 요청한 탭 ID
+   */
+  _sendSnapshot(name, to) {
+    const entry = this._stores.get(name);
+    if (!entry) return;
+
+    const times = {};
+    entry.times.forEach((time, path) => {
+      times[path] = time;
+    });
+
+    this.post('state:snapshot', { name, to, state: entry.store.snapshot(), times });
+  }
+
+  /**
+   * 다른 탭의 현재 상태 적용 (처음 받은 응답만)
+   * @private
+   * @param {Object} payload - { name, to, state, times }
+   * @param {string} from - 보낸 탭 ID
+   */
+  _applySnapshot({ name, to, state, times }, from) {
+    const entry = this._stores.get(name);
+    if (!entry || to !== this.tabId || entry.synced) return;
+
+    entry.synced = true;
+
+    // 최상위 키 단위로 적용 (키의 마지막 변경 시각으로 충돌 판단)
+    const changes = Object.keys(state).map(key => ({ keys: [key], value: state[key], remove: false }));
+    Object.keys(entry.store._state).forEach(key => {
+      if (!(key in state) && !entry.store._computedDeps.has(key) && times[key] !== undefined) {
+        changes.push({ keys: [key], value: undefined, remove: true });
+      }
+    });
+
+    changes.forEach(change => {
+      const key = change.keys[0];
+      const remoteTime = Object.keys(times).reduce((latest, path) =>
+        path === key || path.startsWith(`${key}.`) ? Math.max(latest, times[path]) : latest
+      , 0);
+      // 어느 탭에서도 변경하지 않은 키는 그대로 둠
+      if (remoteTime === 0) return;
+      this._applyChanges(name, [change], remoteTime, from);
+    });
+  }
+
+  /**
+   * 정리
+   */
+  destroy() {
+    this.stop();
+    this._stores.forEach((entry, name) => this.unregister(name));
+    this._handlers.clear();
+    this.eventBus = null;
+  }
+}
+
+/**
+ * 경로의 값 읽기
+ * @private
+ * @param {Object} obj - 대상
+ * @param {Array} keys - 경로
+ * @returns {*}
+ */
+function readPath(obj, keys) {
+  return keys.reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    return value instanceof Map ? value.get(key) : value[key];
+  }, obj);
+}
+
+export default TabSync;
@@ -3,19 +3,86 @@
  * @module core/template
  */
 
+import { Security } from './security.js';
+
+// 컴파일 캐시 최대 개수
+const CACHE_LIMIT = 500;
+
+// 파셜 최대 중첩 깊이 (재귀 파셜 무한 루프 방지)
+const PARTIAL_DEPTH_LIMIT = 100;
+
+// 이전 버전의 {{key}} 플레이스홀더 (파싱할 수 없는 템플릿의 대체 렌더링)
+const LEGACY_PATTERN = /\{\{(\w+)\}\}/g;
+
+// {{{raw}}} 또는 {{tag}}
+const TAG_PATTERN = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+// 표현식 토큰: 문자열, 숫자, 연산자, 경로
+const TOKEN_PATTERN = /\s*(?:('(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*")|(-?\d+(?:\.\d+)?)(?![\w$@])|(===|!==|>=|<=|&&|\|\||[><!|:()])|([@$\w][\w$@.]*))/y;
+
 /**
- * 간단하고 빠른 템플릿 엔진
+ * 이스케이프하지 않을 문자열 (raw 필터)
+ * @private
+ */
+class SafeString {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * 템플릿 엔진
  * @class
- * @description {{key}} 문법을 사용하는 간단한 템플릿 엔진입니다.
- * 자동 XSS 방어(이스케이프)를 제공하며, 조건부/리스트 렌더링을 지원합니다.
+ * @description {{key}} 문법을 사용하는 템플릿 엔진입니다.
+ * 점 경로, 조건문, 반복문, 필터, 파셜을 지원하며 출력은 자동으로 이스케이프됩니다 (XSS 방어).
+ *
+ * 문법
+ * - {{user.name}} - 값 출력 (이스케이프), {{{html}}} - 이스케이프 없이 출력
+ * - {{#if cond}} ... {{else if other}} ... {{else}} ... {{/if}}, {{#unless cond}} ... {{/unless}}
+ * - {{#each items as item, i}} ... {{else}} 비어 있을 때 {{/each}} (@index, @first, @last, @key)
+ * - {{price | currency:'KRW'}}, {{date | format:'YYYY-MM-DD'}} - 필터
+ * - {{> card}}, {{> card item}} - 파셜
+ * - {{! 주석 }}
+ *
+ * 조건에는 비교(===, !==, >, <, >=, <=), !, &&, ||를 사용할 수 있습니다.
+ * 템플릿은 eval 없이 함수로 컴파일되어 캐시되므로 CSP 환경에서도 동작합니다.
  *
  * @example
  * const html = Template.render('Hello {{name}}!', { name: 'John' });
+ *
+ * @example
+ * Template.partial('price', '<span class="price">{{amount | currency:"KRW"}}</span>');
+ *
+ * const renderCart = Template.compile(`
+ *   {{#each items as item}}
+ *     <li class="{{#if item.soldOut}}is-disabled{{/if}}">
+ *       {{item.name | truncate:20}} {{> price item}}
+ *     </li>
+ *   {{else}}
+ *     <li>장바구니가 비어 있습니다</li>
+ *   {{/each}}
+ * `);
+ * list.innerHTML = renderCart({ items });
  */
 export class Template {
+  // 컴파일된 템플릿 캐시 (템플릿 문자열 → { render, body })
+  static _cache = new Map();
+
+  // 등록된 파셜 (이름 → 템플릿 문자열)
+  static _partials = new Map();
+
+  // 등록된 필터 (이름 → (value, ...args) => value)
+  static _filters = new Map();
+
   /**
    * 템플릿 렌더링 (자동 XSS 방어)
-   * @param {string} template - 템플릿 문자열 ({{key}} 형식)
+   * 문법 오류가 있는 템플릿은 예외 대신 {{key}}만 치환합니다 (템플릿마다 한 번 에러 기록).
+   * 문법 오류를 확인하려면 compile()을 사용하세요.
+   * @param {string} template - 템플릿 문자열
    * @param {Object} [data={}] - 데이터 객체
    * @returns {string} 렌더링된 HTML
    *
@@ -28,25 +95,16 @@ export class Template {
    * const html = Template.render('{{userInput}}', {
    *   userInput: '<script>alert("XSS")</script>'
    * });
-   * // '&lt;script&gt;alert("XSS")&lt;/script&gt;'
+   * // '&lt;script&gt;alert(&quot;XSS&quot;)&lt;&#x2F;script&gt;'
+   *
+   * @example
+   * Template.render('{{#if user.admin}}관리자{{else}}{{user.name}}{{/if}}', { user });
    */
   static render(template, data = {}) {
     if (typeof template !== 'string') {
       return '';
     }
-
-    // {{key}} 형식의 플레이스홀더를 데이터로 치환
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      const value = data[key];
-
-      // undefined/null은 빈 문자열로
-      if (value === undefined || value === null) {
-        return '';
-      }
-
-      // 자동 이스케이프 (XSS 방어)
-      return this._escape(String(value));
-    });
+    return this._compileLenient(template, true).render(data);
   }
 
   /**
@@ -66,11 +124,7 @@ export class Template {
     if (typeof template !== 'string') {
       return '';
     }
-
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      const value = data[key];
-      return value !== undefined && value !== null ? String(value) : '';
-    });
+    return this._compileLenient(template, false).render(data);
   }
 
   /**
@@ -111,13 +165,17 @@ export class Template {
       return '';
     }
 
-    return items.map(item => this.render(template, item)).join('');
+    const { render } = this._compileLenient(String(template), true);
+    return items.map(item => render(item)).join('');
   }
 
   /**
-   * 템플릿 컴파일 (재사용을 위한 함수 생성)
+   * 템플릿 컴파일 (파싱 결과를 렌더링 함수로 캐시)
    * @param {string} template - 템플릿 문자열
-   * @returns {Function} 렌더링 함수
+   * @param {Object} [options] - 옵션
+   * @param {boolean} [options.escape=true] - 출력 이스케이프
+   * @returns {Function} (data) => string 렌더링 함수
+   * @throws {Error} 블록이 닫히지 않았거나 잘못된 문법
    *
    * @example
    * const greeting = Template.compile('Hello {{name}}!');
@@ -125,12 +183,119 @@ export class Template {
    * greeting({ name: 'Jane' }); // 'Hello Jane!'
    *
    * @performance
-   * - 같은 템플릿을 여러 번 사용할 경우 compile()로 최적화
-   * - 정규표현식이 매번 실행되지만, 간단한 패턴이므로 충분히 빠름
-   * - 복잡한 템플릿 엔진이 필요하면 Handlebars, Mustache 권장
+   * - 같은 템플릿 문자열은 한 번만 파싱되고, render()도 캐시를 사용
+   * - 캐시는 최대 500개까지 유지 (오래된 것부터 제거)
+   */
+  static compile(template, options = {}) {
+    return this._compileBody(String(template), options.escape !== false).render;
+  }
+
+  /**
+   * 파셜 등록 ({{> name}}으로 사용)
+   * @param {string} name - 파셜 이름
+   * @param {string} template - 템플릿 문자열
+   *
+   * @example
+   * Template.partial('avatar', '<img class="avatar" src="{{src}}" alt="{{name}}">');
+   * Template.render('{{#each users as user}}{{> avatar user}}{{/each}}', { users });
+   */
+  static partial(name, template) {
+    this._partials.set(name, template);
+  }
+
+  /**
+   * 필터 등록 ({{value | name:arg}}로 사용)
+   * @param {string} name - 필터 이름
+   * @param {Function} fn - (value, ...args) => value
+   *
+   * @example
+   * Template.filter('phone', (value) => String(value).replace(/(\d{3})(\d{4})(\d{4})/, '$1-$2-$3'));
+   * Template.render('{{tel | phone}}', { tel: '01012345678' }); // '010-1234-5678'
+   */
+  static filter(name, fn) {
+    this._filters.set(name, fn);
+  }
+
+  /**
+   * 컴파일 캐시 비우기
+   */
+  static clearCache() {
+    this._cache.clear();
+  }
+
+  /**
+   * 템플릿 파싱 및 캐시 (내부용)
+   * @private
+   * @param {string} template - 템플릿 문자열
+   * @param {boolean} escape - 출력 이스케이프
+   * @returns {Object} { render: (data) => string, body: (scope) => string }
+   */
+  static _compileBody(template, escape) {
+    const cacheKey = `${escape ? 'e' : 'r'}:${template}`;
+
+    if (this._cache.has(cacheKey)) {
+      return this._cache.get(cacheKey);
+    }
+
+    const body = compileNodes(parse(template), escape);
+    const compiled = { render: (data = {}) => body(createScope(data, null, 0)), body };
+
+    this._cache.set(cacheKey, compiled);
+    if (this._cache.size > CACHE_LIMIT) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+
+    return compiled;
+  }
+
+  /**
+   * 템플릿 컴파일 (문법 오류는 {{key}} 치환으로 대체, 내부용)
+   * render(), renderRaw(), each()는 사용자 입력이나 이전 형식의 템플릿도 받으므로 예외를 던지지 않습니다.
+   * @private
+   * @param {string} template - 템플릿 문자열
+   * @param {boolean} escape - 출력 이스케이프
+   * @returns {Object} { render: (data) => string }
    */
-  static compile(template) {
-    return (data = {}) => this.render(template, data);
+  static _compileLenient(template, escape) {
+    const cacheKey = `legacy:${escape ? 'e' : 'r'}:${template}`;
+    if (this._cache.has(cacheKey)) {
+      return this._cache.get(cacheKey);
+    }
+
+    try {
+      return this._compileBody(template, escape);
+    } catch (error) {
+      console.error(`${error.message} - rendering {{key}} placeholders only`);
+
+      const render = (data = {}) => template.replace(LEGACY_PATTERN, (match, key) => {
+        const value = data !== null && typeof data === 'object' && hasOwn(data, key) ? data[key] : undefined;
+        if (value === undefined || value === null) return '';
+        return escape ? this._escape(String(value)) : String(value);
+      });
+      const compiled = { render };
+
+      this._cache.set(cacheKey, compiled);
+      if (this._cache.size > CACHE_LIMIT) {
+        this._cache.delete(this._cache.keys().next().value);
+      }
+      return compiled;
+    }
+  }
+
+  /**
+   * 표현식 컴파일 (데이터 바인딩용, 내부용)
+   * @private
+   * @param {string} source - 표현식 (예: 'items.length > 0', 'price | currency')
+   * @returns {Object} { evaluate: (data, locals) => *, paths: string[] }
+   * @throws {Error} 잘못된 표현식
+   */
+  static _expression(source) {
+    const paths = [];
+    const expr = parseExpression(String(source), paths);
+    return {
+      evaluate: (data, locals = null) => expr(createScope(data, null, 0, locals)),
+      paths
+    };
   }
 
   /**
@@ -140,10 +305,567 @@ export class Template {
    * @returns {string} 이스케이프된 문자열
    */
   static _escape(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+    return Security.escape(str);
+  }
+}
+
+// ===== 기본 필터 =====
+
+Template.filter('upper', value => String(value ?? '').toUpperCase());
+Template.filter('lower', value => String(value ?? '').toLowerCase());
+Template.filter('capitalize', (value) => {
+  const str = String(value ?? '');
+  return str.charAt(0).toUpperCase() + str.slice(1);
+});
+Template.filter('trim', value => String(value ?? '').trim());
+Template.filter('truncate', (value, length = 50, suffix = '...') => {
+  const str = String(value ?? '');
+  return str.length > length ? str.slice(0, length) + suffix : str;
+});
+Template.filter('default', (value, fallback = '') =>
+  value === undefined || value === null || value === '' ? fallback : value
+);
+Template.filter('number', (value, digits, locale) => {
+  if (value === undefined || value === null || value === '' || isNaN(value)) return '';
+  const options = digits === undefined ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+  return new Intl.NumberFormat(locale, options).format(Number(value));
+});
+Template.filter('currency', (value, currency = 'KRW', locale) => {
+  if (value === undefined || value === null || value === '' || isNaN(value)) return '';
+  return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(Number(value));
+});
+Template.filter('format', (value, pattern = 'YYYY-MM-DD') => formatDate(value, pattern));
+Template.filter('date', (value, pattern = 'YYYY-MM-DD') => formatDate(value, pattern));
+Template.filter('json', value => JSON.stringify(value));
+Template.filter('length', (value) => {
+  if (value === undefined || value === null) return 0;
+  if (typeof value.length === 'number') return value.length;
+  if (typeof value.size === 'number') return value.size;
+  return typeof value === 'object' ? Object.keys(value).length : 0;
+});
+Template.filter('join', (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value));
+Template.filter('raw', value => new SafeString(value === undefined || value === null ? '' : String(value)));
+
+// ===== 파서 =====
+
+/**
+ * 템플릿을 노드 트리로 파싱
+ * @private
+ * @param {string} template - 템플릿 문자열
+ * @returns {Object[]} 노드 목록
+ */
+function parse(template) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  // 현재 노드의 출력 대상 (if/each는 else 이후 다른 목록에 추가)
+  const target = () => {
+    const node = stack[stack.length - 1];
+    return node.current;
+  };
+  root.current = root.children;
+
+  let lastIndex = 0;
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      target().push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    // {{{raw}}}
+    if (match[1] !== undefined) {
+      target().push({ type: 'output', expr: parseExpression(match[1]), raw: true });
+      continue;
+    }
+
+    const tag = match[2];
+    const head = tag.charAt(0);
+
+    if (head === '!') continue;
+
+    if (head === '#') {
+      const [, name, rest = ''] = tag.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+      let node;
+
+      if (name === 'if' || name === 'unless') {
+        node = { type: 'if', branches: [{ expr: parseExpression(rest), negate: name === 'unless', children: [] }], otherwise: [] };
+        node.current = node.branches[0].children;
+      } else if (name === 'each') {
+        const [, source, alias, indexAlias] = rest.match(/^([\s\S]*?)(?:\s+as\s+([\w$]+)(?:\s*,\s*([\w$]+))?)?$/);
+        node = { type: 'each', expr: parseExpression(source), alias, indexAlias, children: [], otherwise: [] };
+        node.current = node.children;
+      } else {
+        throw new Error(`Template: unknown block "{{#${name}}}"`);
+      }
+
+      node.name = name;
+      target().push(node);
+      stack.push(node);
+      continue;
+    }
+
+    if (head === '/') {
+      const name = tag.slice(1).trim();
+      const node = stack[stack.length - 1];
+      if (stack.length === 1 || node.name !== name) {
+        throw new Error(`Template: unexpected "{{/${name}}}"`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    if (tag === 'else' || /^else\s+if\s/.test(tag)) {
+      const node = stack[stack.length - 1];
+      if (stack.length === 1 || node.current === node.otherwise) {
+        throw new Error('Template: unexpected "{{else}}"');
+      }
+
+      if (tag === 'else') {
+        node.current = node.otherwise;
+      } else if (node.type === 'if') {
+        const branch = { expr: parseExpression(tag.replace(/^else\s+if\s+/, '')), negate: false, children: [] };
+        node.branches.push(branch);
+        node.current = branch.children;
+      } else {
+        throw new Error('Template: "{{else if}}" is only allowed in {{#if}}');
+      }
+      continue;
+    }
+
+    if (head === '>') {
+      const [, name, context] = tag.match(/^>\s*([\w$.-]+)\s*([\s\S]*)$/) || [];
+      if (!name) {
+        throw new Error(`Template: invalid partial "{{${tag}}}"`);
+      }
+      target().push({ type: 'partial', name, expr: context ? parseExpression(context) : null });
+      continue;
+    }
+
+    target().push({ type: 'output', expr: parseExpression(tag), raw: false });
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Template: unclosed "{{#${stack[stack.length - 1].name}}}"`);
+  }
+
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * 표현식 파싱
+ * 문법: or := and ('||' and)*, and := compare ('&&' compare)*, compare := unary (op unary)?,
+ * unary := '!'* pipe, pipe := primary ('|' name (':' primary)*)*
+ * @private
+ * @param {string} source - 표현식
+ * @param {string[]} [paths] - 사용된 경로를 수집할 배열
+ * @returns {Function} (scope) => value
+ */
+function parseExpression(source, paths = null) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+
+    if (!match) {
+      if (source.slice(start).trim() === '') break;
+      throw new Error(`Template: invalid expression "${source}"`);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'literal', value: match[1].slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'literal', value: Number(match[2]) });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'op', value: match[3] });
+    } else {
+      const word = match[4];
+      if (word === 'true' || word === 'false') {
+        tokens.push({ type: 'literal', value: word === 'true' });
+      } else if (word === 'null' || word === 'undefined') {
+        tokens.push({ type: 'literal', value: word === 'null' ? null : undefined });
+      } else {
+        tokens.push({ type: 'path', value: word });
+      }
+    }
+  }
+
+  let pos = 0;
+  const peek = value => tokens[pos]?.type === 'op' && tokens[pos].value === value;
+  const fail = () => {
+    throw new Error(`Template: invalid expression "${source}"`);
+  };
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) fail();
+
+    if (token.type === 'literal') {
+      const { value } = token;
+      return () => value;
+    }
+    if (token.type === 'path') {
+      paths?.push(token.value);
+      const keys = token.value.split('.');
+      return scope => lookup(scope, keys);
+    }
+    if (token.value === '(') {
+      const inner = or();
+      if (!peek(')')) fail();
+      pos++;
+      return inner;
+    }
+    return fail();
+  };
+
+  const pipe = () => {
+    let value = primary();
+
+    while (peek('|')) {
+      pos++;
+      const name = tokens[pos++];
+      if (!name || name.type !== 'path') fail();
+
+      const args = [];
+      while (peek(':')) {
+        pos++;
+        args.push(primary());
+      }
+
+      value = applyFilter(value, name.value, args);
+    }
+
+    return value;
+  };
+
+  const unary = () => {
+    if (peek('!')) {
+      pos++;
+      const operand = unary();
+      return scope => !operand(scope);
+    }
+    return pipe();
+  };
+
+  const compare = () => {
+    const left = unary();
+    const token = tokens[pos];
+    const comparator = token?.type === 'op' ? COMPARATORS[token.value] : null;
+    if (!comparator) return left;
+
+    pos++;
+    const right = unary();
+    return scope => comparator(left(scope), right(scope));
+  };
+
+  const and = () => {
+    let left = compare();
+    while (peek('&&')) {
+      pos++;
+      const l = left;
+      const right = compare();
+      left = scope => l(scope) && right(scope);
+    }
+    return left;
+  };
+
+  const or = () => {
+    let left = and();
+    while (peek('||')) {
+      pos++;
+      const l = left;
+      const right = and();
+      left = scope => l(scope) || right(scope);
+    }
+    return left;
+  };
+
+  if (tokens.length === 0) fail();
+
+  const expr = or();
+  if (pos < tokens.length) fail();
+  return expr;
+}
+
+// 비교 연산자
+const COMPARATORS = {
+  '===': (a, b) => a === b,
+  '!==': (a, b) => a !== b,
+  '>': (a, b) => a > b,
+  '<': (a, b) => a < b,
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b
+};
+
+/**
+ * 필터 적용 함수 생성 (필터는 렌더링 시점에 찾으므로 나중에 등록해도 됨)
+ * @private
+ */
+function applyFilter(valueFn, name, args) {
+  return (scope) => {
+    const value = valueFn(scope);
+    const filter = Template._filters.get(name);
+
+    if (!filter) {
+      console.warn(`Template: unknown filter "${name}"`);
+      return value;
+    }
+
+    try {
+      return filter(value, ...args.map(arg => arg(scope)));
+    } catch (error) {
+      console.error(`Template: error in filter "${name}":`, error);
+      return '';
+    }
+  };
+}
+
+// ===== 렌더러 =====
+
+/**
+ * 렌더링 스코프 생성
+ * @private
+ * @param {*} data - 현재 데이터 (this)
+ * @param {Object|null} parent - 상위 스코프
+ * @param {number} depth - 파셜 깊이
+ * @param {Object} [locals] - 반복 변수 (item, @index 등)
+ */
+function createScope(data, parent, depth, locals = null) {
+  return { data, parent, depth, locals };
+}
+
+/**
+ * 자기 속성 여부 (Object.prototype의 constructor 등은 제외)
+ * @private
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * 경로 값 찾기 (반복 변수 → 현재 데이터의 자기 속성 → 상위 스코프 순)
+ * @private
+ * @param {Object} scope - 스코프
+ * @param {string[]} keys - 경로
+ * @returns {*}
+ */
+function lookup(scope, keys) {
+  const [first, ...rest] = keys;
+  let value;
+
+  if (first === 'this') {
+    value = scope.data;
+  } else {
+    let current = scope;
+    let found = false;
+
+    while (current && !found) {
+      if (current.locals && first in current.locals) {
+        value = current.locals[first];
+        found = true;
+      } else if (current.data !== null && typeof current.data === 'object' && hasOwn(current.data, first)) {
+        value = current.data[first];
+        found = true;
+      }
+      current = current.parent;
+    }
+  }
+
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value instanceof Map && !hasGetter(value, key) ? value.get(key) : value[key];
+  }
+  return value;
+}
+
+/**
+ * 접근자 속성 여부 (Map의 size 등은 get 대신 속성으로 읽음)
+ * @private
+ */
+function hasGetter(object, key) {
+  for (let proto = object; proto; proto = Object.getPrototypeOf(proto)) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+    if (descriptor) return typeof descriptor.get === 'function';
+  }
+  return false;
+}
+
+/**
+ * 노드 목록을 렌더링 함수로 변환
+ * @private
+ * @param {Object[]} nodes - 노드 목록
+ * @param {boolean} escape - 출력 이스케이프
+ * @returns {Function} (scope) => string
+ */
+function compileNodes(nodes, escape) {
+  const parts = nodes.map(node => compileNode(node, escape));
+  if (parts.length === 1) return parts[0];
+
+  return (scope) => {
+    let html = '';
+    for (let i = 0; i < parts.length; i++) {
+      html += parts[i](scope);
+    }
+    return html;
+  };
+}
+
+/**
+ * 노드를 렌더링 함수로 변환
+ * @private
+ */
+function compileNode(node, escape) {
+  if (node.type === 'text') {
+    const { value } = node;
+    return () => value;
+  }
+
+  if (node.type === 'output') {
+    const { expr } = node;
+    const shouldEscape = escape && !node.raw;
+    return (scope) => {
+      const value = expr(scope);
+      if (value === undefined || value === null) return '';
+      if (value instanceof SafeString || !shouldEscape) return String(value);
+      return Template._escape(String(value));
+    };
+  }
+
+  if (node.type === 'if') {
+    const branches = node.branches.map(branch => ({
+      test: branch.negate ? scope => !truthy(branch.expr(scope)) : scope => truthy(branch.expr(scope)),
+      render: compileNodes(branch.children, escape)
+    }));
+    const otherwise = compileNodes(node.otherwise, escape);
+
+    return (scope) => {
+      for (const branch of branches) {
+        if (branch.test(scope)) return branch.render(scope);
+      }
+      return otherwise(scope);
+    };
+  }
+
+  if (node.type === 'each') {
+    const { expr, alias, indexAlias } = node;
+    const body = compileNodes(node.children, escape);
+    const otherwise = compileNodes(node.otherwise, escape);
+
+    return (scope) => {
+      const entries = toEntries(expr(scope));
+      if (entries.length === 0) return otherwise(scope);
+
+      let html = '';
+      entries.forEach(([key, item], index) => {
+        // 프로토타입 없는 객체 (constructor 등이 반복 변수로 잡히지 않도록)
+        const locals = Object.assign(Object.create(null), {
+          '@index': index,
+          '@key': key,
+          '@first': index === 0,
+          '@last': index === entries.length - 1
+        });
+        if (alias) locals[alias] = item;
+        if (indexAlias) locals[indexAlias] = index;
+
+        // as 별칭이 없으면 아이템이 this
+        html += body(createScope(alias ? scope.data : item, scope, scope.depth, locals));
+      });
+      return html;
+    };
   }
+
+  if (node.type === 'partial') {
+    const { name, expr } = node;
+    return (scope) => {
+      const template = Template._partials.get(name);
+      if (template === undefined) {
+        console.warn(`Template: unknown partial "${name}"`);
+        return '';
+      }
+      if (scope.depth >= PARTIAL_DEPTH_LIMIT) {
+        console.error(`Template: partial "${name}" is nested too deeply`);
+        return '';
+      }
+
+      let body;
+      try {
+        ({ body } = Template._compileBody(String(template), escape));
+      } catch (error) {
+        console.error(`Template: invalid partial "${name}":`, error.message);
+        return '';
+      }
+
+      const data = expr ? expr(scope) : scope.data;
+      return body(createScope(data, expr ? null : scope.parent, scope.depth + 1, expr ? null : scope.locals));
+    };
+  }
+
+  return () => '';
+}
+
+/**
+ * 조건 판별 (빈 배열은 거짓)
+ * @private
+ */
+function truthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+/**
+ * 반복 대상을 [key, value] 목록으로 변환
+ * @private
+ */
+function toEntries(value) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.map((item, index) => [index, item]);
+  if (value instanceof Map) return Array.from(value.entries());
+  if (typeof value[Symbol.iterator] === 'function' && typeof value !== 'string') {
+    return Array.from(value, (item, index) => [index, item]);
+  }
+  if (typeof value === 'object') return Object.entries(value);
+  return [];
+}
+
+/**
+ * 날짜 형식화 (YYYY, YY, MM, M, DD, D, HH, H, hh, h, mm, ss, A)
+ * @private
+ * @param {Date|string|number} value - 날짜
+ * @param {string} pattern - 형식
+ * @returns {string}
+ */
+function formatDate(value, pattern) {
+  if (value === undefined || value === null || value === '') return '';
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return '';
+
+  const pad = n => String(n).padStart(2, '0');
+  const hours = date.getHours();
+  const tokens = {
+    YYYY: date.getFullYear(),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: pad(date.getMonth() + 1),
+    M: date.getMonth() + 1,
+    DD: pad(date.getDate()),
+    D: date.getDate(),
+    HH: pad(hours),
+    H: hours,
+    hh: pad(hours % 12 || 12),
+    h: hours % 12 || 12,
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    A: hours < 12 ? 'AM' : 'PM'
+  };
+
+  return pattern.replace(/YYYY|YY|MM|M|DD|D|HH|H|hh|h|mm|ss|A/g, token => tokens[token]);
 }
 
 export default Template;
@@ -401,6 +401,7 @@ class Lightbox {
     this._isOpen = false;
     this._isZoomed = false;
     this._handlers = {};
+    this._unregisterBack = null;
   }
 
   _createElement() {
@@ -735,12 +736,16 @@ class Lightbox {
     });
 
     this._isOpen = true;
+    this._unregisterBack = CATUI.backButton.register(() => this.close());
     this.options.onOpen?.();
   }
 
   close() {
     if (!this._isOpen) return;
 
+    this._unregisterBack?.();
+    this._unregisterBack = null;
+
     this._overlay.style.opacity = '0';
     document.body.style.overflow = '';
 
@@ -7,6 +7,16 @@
 /**
  * FileUpload 클래스 - 파일 업로드
  * @class FileUpload
+ *
+ * @example
+ * const uploader = new FileUpload({
+ *   container: '#photos',
+ *   multiple: true,
+ *   uploadUrl: '/api/photos',
+ *   onProgress: ({ percent }) => console.log(`${percent}%`),
+ *   onUpload: (response) => console.log(response.data)
+ * });
+ * await uploader.upload();
  */
 class FileUpload {
   constructor(options = {}) {
@@ -19,8 +29,14 @@ class FileUpload {
       preview: true,
       dragDrop: true,
       placeholder: '파일을 선택하거나 드래그하세요',
+      uploadUrl: null,             // 업로드 URL (CATUI.api.upload 사용)
+      fieldName: 'file',           // 파일 필드 이름
+      autoUpload: false,           // 파일 선택 시 자동 업로드
+      uploadOptions: {},           // 추가 요청 옵션 (headers 등)
       onChange: null,
       onError: null,
+      onProgress: null,            // 업로드 진행률 ({ loaded, total, percent }) => void
+      onUpload: null,              // 업로드 완료 (response) => void
       ...options
     };
 
@@ -30,6 +46,7 @@ class FileUpload {
 
     this._files = [];
     this._handlers = {};
+    this._uploadRequest = null;
 
     if (this._container) {
       this._render();
@@ -50,12 +67,14 @@ class FileUpload {
           <span class="catui-file-upload-hint">${this._getHintText()}</span>
         </div>
       </div>
+      <div class="catui-file-upload-progress"><div class="catui-file-upload-progress-fill"></div></div>
       ${this.options.preview ? '<div class="catui-file-upload-preview"></div>' : ''}
     `;
 
     this._input = this._container.querySelector('.catui-file-upload-input');
     this._dropzone = this._container.querySelector('.catui-file-upload-dropzone');
     this._previewEl = this._container.querySelector('.catui-file-upload-preview');
+    this._progressFill = this._container.querySelector('.catui-file-upload-progress-fill');
   }
 
   _getHintText() {
@@ -131,6 +150,10 @@ class FileUpload {
     if (this.options.onChange) {
       this.options.onChange(this._files);
     }
+
+    if (this.options.autoUpload && this.options.uploadUrl && this._files.length > 0) {
+      this.upload();
+    }
   }
 
   _updatePreview() {
@@ -187,7 +210,69 @@ class FileUpload {
     if (this.options.onChange) this.options.onChange(this._files);
   }
 
+  /**
+   * 선택된 파일 업로드 (진행률 표시)
+   * @param {string} [url] - 업로드 URL (기본값: options.uploadUrl)
+   * @returns {Promise<Object>} API 응답
+   */
+  async upload(url = this.options.uploadUrl) {
+    if (typeof CATUI === 'undefined' || !CATUI.api) {
+      console.error('[FileUpload] CATUI.api is not available');
+      return null;
+    }
+    if (!url || this._files.length === 0) return null;
+
+    this.cancelUpload();
+    this._setProgress(0);
+    this._container.classList.add('is-uploading');
+
+    const files = this.options.multiple ? this._files : this._files[0];
+    this._uploadRequest = CATUI.api.upload(url, files, {
+      ...this.options.uploadOptions,
+      field: this.options.fieldName,
+      onUploadProgress: (progress) => {
+        if (progress.percent !== null) this._setProgress(progress.percent);
+        this.options.onProgress?.(progress);
+      }
+    });
+
+    const request = this._uploadRequest;
+    const response = await request;
+
+    // 다른 업로드로 대체되었거나 정리된 경우
+    if (this._uploadRequest !== request || !this._container) return response;
+
+    this._uploadRequest = null;
+    this._container.classList.remove('is-uploading');
+
+    if (response.success) {
+      this.options.onUpload?.(response);
+    } else if (response.error?.type !== 'abort' && this.options.onError) {
+      this.options.onError([{ error: 'upload', message: response.message, response }]);
+    }
+
+    return response;
+  }
+
+  /**
+   * 진행 중인 업로드 취소
+   */
+  cancelUpload() {
+    if (!this._uploadRequest) return;
+
+    this._uploadRequest.cancel();
+    this._uploadRequest = null;
+    this._container?.classList.remove('is-uploading');
+  }
+
+  _setProgress(percent) {
+    if (this._progressFill) {
+      this._progressFill.style.width = `${percent}%`;
+    }
+  }
+
   destroy() {
+    this.cancelUpload();
     this._input.removeEventListener('change', this._handlers.change);
     this._dropzone.removeEventListener('click', this._handlers.click);
     if (this.options.dragDrop) {
@@ -73,9 +73,18 @@ class SwipeableList {
    */
   _render() {
     this._container.className = 'catui-swipeable-list';
-    this._container.innerHTML = this._items.map((item, index) =>
-      this._renderItem(item, index)
-    ).join('');
+
+    // 바뀐 아이템만 갱신 (열린 스와이프 상태 유지)
+    CATUI.reconcile(this._container, this._items, {
+      render: (item, index) => this._renderItem(item, index),
+      place: (node, item, index) => {
+        node.dataset.index = index;
+      }
+    });
+
+    if (this._openedItem && !this._openedItem.isConnected) {
+      this._openedItem = null;
+    }
   }
 
   /**
@@ -112,7 +121,7 @@ class SwipeableList {
       : '';
 
     return `
-      <div class="catui-swipeable-item" data-index="${index}" data-id="${item.id || index}" data-offset="0">
+      <div class="catui-swipeable-item" data-id="${item.id || index}" data-offset="0">
         ${rightActionsHtml}
         <div class="catui-swipeable-content">
           ${content}
@@ -489,7 +498,6 @@ class SwipeableList {
    */
   setItems(items) {
     this._items = [...items];
-    this._openedItem = null;
     this._render();
   }
 
@@ -894,47 +902,35 @@ class CheckList {
   _render() {
     this._container.className = 'catui-checklist';
 
-    let html = '';
-
-    // 전체 선택
-    if (this.options.selectAll) {
-      const checkedCount = this._items.filter(i => i.checked && !i.disabled).length;
-      const selectableCount = this._items.filter(i => !i.disabled).length;
-      const isAllChecked = checkedCount === selectableCount && selectableCount > 0;
-      const isIndeterminate = checkedCount > 0 && checkedCount < selectableCount;
-
-      html += `
-        <div class="catui-checklist-header">
-          <label class="catui-checklist-selectall">
-            <input type="checkbox" 
-              class="catui-checklist-selectall-input"
-              ${isAllChecked ? 'checked' : ''}
-              ${isIndeterminate ? 'data-indeterminate="true"' : ''}
-            />
-            <span class="catui-checklist-checkbox${isIndeterminate ? ' is-indeterminate' : ''}"></span>
-            <span class="catui-checklist-selectall-label">${this.options.selectAllLabel}</span>
-          </label>
-          <span class="catui-checklist-count">${checkedCount}/${selectableCount}</span>
-        </div>
+    // 전체 선택 헤더와 아이템 컨테이너는 한 번만 생성
+    let list = this._container.querySelector(':scope > .catui-checklist-items');
+    if (!list) {
+      this._container.innerHTML = `
+        ${this.options.selectAll ? `
+          <div class="catui-checklist-header">
+            <label class="catui-checklist-selectall">
+              <input type="checkbox" class="catui-checklist-selectall-input" />
+              <span class="catui-checklist-checkbox"></span>
+              <span class="catui-checklist-selectall-label">${this.options.selectAllLabel}</span>
+            </label>
+            <span class="catui-checklist-count"></span>
+          </div>
+        ` : ''}
+        <div class="catui-checklist-items"></div>
       `;
+      list = this._container.querySelector('.catui-checklist-items');
     }
 
-    // 아이템 목록
-    html += '<div class="catui-checklist-items">';
-
-    this._items.forEach((item, index) => {
-      html += this._renderItem(item, index);
+    // 바뀐 아이템만 갱신
+    CATUI.reconcile(list, this._items, {
+      render: (item, index) => this._renderItem(item, index),
+      place: (node, item, index) => {
+        node.dataset.index = index;
+      }
     });
 
-    html += '</div>';
-
-    this._container.innerHTML = html;
-
-    // indeterminate 상태 설정
-    const selectAllInput = this._container.querySelector('.catui-checklist-selectall-input');
-    if (selectAllInput && selectAllInput.dataset.indeterminate === 'true') {
-      selectAllInput.indeterminate = true;
-    }
+    // 전체 선택 상태 (checked, indeterminate, 카운트)
+    this._updateSelectAllState();
   }
 
   /**
@@ -948,7 +944,7 @@ class CheckList {
 
     return `
       <label class="catui-checklist-item${item.disabled ? ' is-disabled' : ''}${item.checked ? ' is-checked' : ''}" 
-        data-index="${index}" data-id="${item.id || index}">
+        data-id="${item.id || index}">
         <input type="checkbox" 
           class="catui-checklist-input"
           ${item.checked ? 'checked' : ''}
@@ -994,26 +990,12 @@ class CheckList {
 
       // 단일 선택 모드 - 다른 항목 해제
       if (willBeChecked && !this.options.multiple) {
-        this._items.forEach((i, idx) => {
-          if (i.checked && idx !== index) {
-            i.checked = false;
-            const otherLabel = this._container.querySelector(`.catui-checklist-item[data-index="${idx}"]`);
-            if (otherLabel) {
-              otherLabel.classList.remove('is-checked');
-              const otherInput = otherLabel.querySelector('.catui-checklist-input');
-              if (otherInput) otherInput.checked = false;
-            }
-          }
-        });
+        this._items.forEach(i => i.checked = false);
       }
 
-      // 상태 업데이트
+      // 상태 업데이트 (DOM은 _render에서 바뀐 항목만 갱신)
       item.checked = willBeChecked;
-      label.classList.toggle('is-checked', willBeChecked);
-      input.checked = willBeChecked;
-
-      // 전체 선택 상태 업데이트
-      this._updateSelectAllState();
+      this._render();
 
       // 콜백
       if (willBeChecked && this.options.onSelect) {
@@ -1133,30 +1115,14 @@ class CheckList {
    * @private
    */
   _selectAll(checked) {
-    // 상태 및 DOM 업데이트
-    this._items.forEach((item, index) => {
+    // 상태 업데이트 (DOM은 _render에서 바뀐 항목만 갱신)
+    this._items.forEach((item) => {
       if (!item.disabled) {
         item.checked = checked;
-
-        // DOM 업데이트
-        const label = this._container.querySelector(`.catui-checklist-item[data-index="${index}"]`);
-        if (label) {
-          label.classList.toggle('is-checked', checked);
-          const input = label.querySelector('.catui-checklist-input');
-          if (input) input.checked = checked;
-        }
       }
     });
 
-    // 전체 선택 체크박스 업데이트
-    const selectAllInput = this._container.querySelector('.catui-checklist-selectall-input');
-    if (selectAllInput) {
-      selectAllInput.checked = checked;
-      selectAllInput.indeterminate = false;
-    }
-
-    // 카운트 업데이트
-    this._updateSelectAllState();
+    this._render();
 
     if (this.options.onChange) {
       this.options.onChange(this.getSelected(), this._items);
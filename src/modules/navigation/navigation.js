@@ -336,7 +336,7 @@ class AppBar {
    * @param {Array} [options.trailing] - 오른쪽 액션들
    * @param {string} [options.variant='default'] - 스타일 (default, primary, transparent)
    * @param {boolean} [options.fixed=true] - 고정 여부
-   * @param {Function} [options.onBack] - 뒤로가기 콜백
+   * @param {Function} [options.onBack] - 뒤로가기 콜백 (없으면 BackButton.handle() 실행)
    */
   constructor(options = {}) {
     this.options = {
@@ -403,8 +403,14 @@ class AppBar {
   _bindEvents() {
     // 뒤로가기 버튼
     const backBtn = this._container.querySelector('.catui-appbar-back');
-    if (backBtn && this.options.onBack) {
-      backBtn.addEventListener('click', () => this.options.onBack());
+    if (backBtn) {
+      backBtn.addEventListener('click', () => {
+        if (this.options.onBack) {
+          this.options.onBack();
+        } else {
+          BackButton.handle();
+        }
+      });
     }
 
     // 액션 버튼들
@@ -1256,16 +1262,27 @@ class Accordion {
 /**
  * BackButton 클래스 - 모바일 뒤로가기 처리
  * @class BackButton
+ * @description CATUI 코어가 있으면 CATUI.backButton 디스패처를 사용하여
+ * 오버레이(Modal, Drawer, DatePicker, Lightbox 등)와 같은 스택에서 처리합니다.
  */
 class BackButton {
   static _handlers = [];
   static _initialized = false;
 
   /**
-   * 초기화
+   * 코어 뒤로 가기 디스패처
+   * @private
+   * @returns {BackButtonDispatcher|null}
+   */
+  static get _dispatcher() {
+    return typeof CATUI !== 'undefined' && CATUI.backButton ? CATUI.backButton : null;
+  }
+
+  /**
+   * 초기화 (디스패처가 없을 때만 자체 popstate 처리)
    */
   static init() {
-    if (this._initialized) return;
+    if (this._initialized || this._dispatcher) return;
 
     window.addEventListener('popstate', (e) => {
       if (this._handlers.length > 0) {
@@ -1289,6 +1306,10 @@ class BackButton {
    * @returns {Function} 해제 함수
    */
   static register(handler) {
+    if (this._dispatcher) {
+      return this._dispatcher.register(handler);
+    }
+
     this.init();
 
     if (this._handlers.length === 0) {
@@ -1305,6 +1326,11 @@ class BackButton {
    * @param {Function} handler
    */
   static unregister(handler) {
+    if (this._dispatcher) {
+      this._dispatcher.unregister(handler);
+      return;
+    }
+
     const index = this._handlers.indexOf(handler);
     if (index !== -1) {
       this._handlers.splice(index, 1);
@@ -1315,10 +1341,29 @@ class BackButton {
     }
   }
 
+  /**
+   * 뒤로 가기 실행 (앱바 뒤로 가기 버튼 등)
+   * 가장 위의 핸들러를 실행하고, 없으면 이전 뷰(또는 이전 페이지)로 이동합니다.
+   * @returns {boolean} 처리 여부
+   */
+  static handle() {
+    if (this._dispatcher) {
+      return this._dispatcher.handle();
+    }
+
+    history.back();
+    return true;
+  }
+
   /**
    * 모든 핸들러 해제
    */
   static clear() {
+    if (this._dispatcher) {
+      this._dispatcher.clear();
+      return;
+    }
+
     this._handlers = [];
   }
 }
@@ -18,6 +18,7 @@ class Overlay {
       zIndex: 1300, // $z-index-modal
       closeOnBackdrop: true,
       closeOnEscape: false, // 모바일에서는 기본 비활성
+      closeOnBack: true, // 하드웨어/브라우저 뒤로 가기로 닫기
       animation: true,
       animationDuration: 200,
       ...options
@@ -28,6 +29,28 @@ class Overlay {
     this._isOpen = false;
     this._onCloseCallback = null;
     this._backdropClickHandler = null;
+    this._unregisterBack = null;
+  }
+
+  /**
+   * 뒤로 가기 핸들러 연결 (열릴 때)
+   * @protected
+   */
+  _bindBack() {
+    if (this.options.closeOnBack && !this._unregisterBack) {
+      this._unregisterBack = CATUI.backButton.register(() => this.close());
+    }
+  }
+
+  /**
+   * 뒤로 가기 핸들러 해제 (닫힐 때)
+   * @protected
+   */
+  _unbindBack() {
+    if (this._unregisterBack) {
+      this._unregisterBack();
+      this._unregisterBack = null;
+    }
   }
 
   /**
@@ -86,6 +109,7 @@ class Overlay {
     }
 
     this._isOpen = true;
+    this._bindBack();
   }
 
   /**
@@ -95,6 +119,8 @@ class Overlay {
   async close() {
     if (!this._isOpen) return;
 
+    this._unbindBack();
+
     // 애니메이션
     this._backdrop.style.opacity = '0';
 
@@ -576,6 +602,7 @@ class Drawer extends Overlay {
     this._element.style.transform = 'translateX(0)';
 
     this._isOpen = true;
+    this._bindBack();
   }
 
   /**
@@ -584,6 +611,8 @@ class Drawer extends Overlay {
   async close() {
     if (!this._isOpen) return;
 
+    this._unbindBack();
+
     const isLeft = this.options.position === 'left';
     const translateX = isLeft ? '-100%' : '100%';
 
@@ -532,6 +532,7 @@ class DataList {
       layout: 'list',              // list, grid, table
       gridColumns: 2,
       onItemClick: null,
+      revalidateOn: null,          // API 캐시 재검증 시 제자리 새로고침할 URL (string, RegExp, (url) => boolean)
       ...options
     };
 
@@ -541,6 +542,7 @@ class DataList {
     this._isLoading = false;
     this._totalItems = this.options.data.length;
     this._handlers = {};
+    this._unsubscribeRevalidate = null;
 
     this._init();
   }
@@ -557,6 +559,9 @@ class DataList {
 
     this._render();
     this._loadData();
+
+    // 캐시된 응답이 갱신되면 로딩 표시 없이 다시 렌더링
+    this._unsubscribeRevalidate = CATUI.api.onRevalidate(this.options.revalidateOn, () => this._loadData(true));
   }
 
   _render() {
@@ -615,8 +620,10 @@ class DataList {
     }
   }
 
-  async _loadData() {
-    this._showLoading();
+  async _loadData(silent = false) {
+    if (!silent) {
+      this._showLoading();
+    }
 
     try {
       if (this.options.fetchData) {
@@ -658,14 +665,20 @@ class DataList {
       return;
     }
 
-    const html = items.map((item, index) => {
-      const content = this.options.renderItem
-        ? this.options.renderItem(item, index)
-        : `<div>${JSON.stringify(item)}</div>`;
-      return `<div class="catui-datalist-item" data-index="${index}">${content}</div>`;
-    }).join('');
+    // 바뀐 아이템만 갱신 (로딩 표시 후에도 기존 노드와 이미지를 재사용)
+    CATUI.reconcile(this._listElement, items, {
+      render: (item, index) => this._renderItem(item, index),
+      place: (node, item, index) => {
+        node.dataset.index = index;
+      }
+    });
+  }
 
-    this._listElement.innerHTML = html;
+  _renderItem(item, index) {
+    const content = this.options.renderItem
+      ? this.options.renderItem(item, index)
+      : `<div>${JSON.stringify(item)}</div>`;
+    return `<div class="catui-datalist-item">${content}</div>`;
   }
 
   _showLoading() {
@@ -690,9 +703,9 @@ class DataList {
         if (!result.items || result.items.length === 0) {
           return false; // 더 이상 데이터 없음
         }
-        // 기존 데이터에 추가
+        // 기존 데이터에 추가 (새 아이템 노드만 생성)
         this.options.data = [...this.options.data, ...result.items];
-        this._appendItems(result.items, this.options.data.length - result.items.length);
+        this._renderItems();
         return true;
       } catch (error) {
         console.error('[DataList] Load more failed:', error);
@@ -702,19 +715,6 @@ class DataList {
     return false;
   }
 
-  _appendItems(items, startIndex) {
-    const html = items.map((item, i) => {
-      const content = this.options.renderItem
-        ? this.options.renderItem(item, startIndex + i)
-        : `<div>${JSON.stringify(item)}</div>`;
-      return `<div class="catui-datalist-item" data-index="${startIndex + i}">${content}</div>`;
-    }).join('');
-
-    // 빈 메시지 제거
-    this._listElement.querySelector('.catui-datalist-empty')?.remove();
-    this._listElement.insertAdjacentHTML('beforeend', html);
-  }
-
   // ========================================
   // Public API
   // ========================================
@@ -754,6 +754,7 @@ class DataList {
     if (this._handlers.click) {
       this._listElement?.removeEventListener('click', this._handlers.click);
     }
+    this._unsubscribeRevalidate?.();
     this._pagination?.destroy();
     this._container.innerHTML = '';
     this._container = null;
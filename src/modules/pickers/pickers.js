@@ -41,6 +41,7 @@ class DatePicker {
     this._element = null;
     this._backdrop = null;
     this._isOpen = false;
+    this._unregisterBack = null;
 
     this._weekdays = this.options.locale === 'ko'
       ? ['일', '월', '화', '수', '목', '금', '토']
@@ -239,6 +240,8 @@ class DatePicker {
     });
 
     this._isOpen = true;
+    // 뒤로 가기로 닫기
+    this._unregisterBack = CATUI.backButton.register(() => this.close());
   }
 
   /**
@@ -247,6 +250,9 @@ class DatePicker {
   close() {
     if (!this._isOpen) return;
 
+    this._unregisterBack?.();
+    this._unregisterBack = null;
+
     this._backdrop.style.opacity = '0';
     this._element.style.transform = 'translateY(100%)';
 
@@ -430,6 +436,7 @@ class TimePicker {
     this._element = null;
     this._backdrop = null;
     this._isOpen = false;
+    this._unregisterBack = null;
 
     if (this._trigger) {
       this._bindTrigger();
@@ -472,6 +479,8 @@ class TimePicker {
     });
 
     this._isOpen = true;
+    // 뒤로 가기로 닫기
+    this._unregisterBack = CATUI.backButton.register(() => this.close());
   }
 
   /**
@@ -480,6 +489,9 @@ class TimePicker {
   close() {
     if (!this._isOpen) return;
 
+    this._unregisterBack?.();
+    this._unregisterBack = null;
+
     this._backdrop.style.opacity = '0';
     this._element.style.transform = 'translateY(100%)';
 
@@ -663,6 +675,7 @@ class ColorPicker {
     this._element = null;
     this._backdrop = null;
     this._isOpen = false;
+    this._unregisterBack = null;
 
     if (this._trigger) {
       this._bindTrigger();
@@ -715,6 +728,8 @@ class ColorPicker {
     });
 
     this._isOpen = true;
+    // 뒤로 가기로 닫기
+    this._unregisterBack = CATUI.backButton.register(() => this.close());
   }
 
   /**
@@ -723,6 +738,9 @@ class ColorPicker {
   close() {
     if (!this._isOpen) return;
 
+    this._unregisterBack?.();
+    this._unregisterBack = null;
+
     this._backdrop.style.opacity = '0';
     this._element.style.transform = 'translateY(100%)';
 
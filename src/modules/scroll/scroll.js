@@ -181,6 +181,8 @@ class InfiniteScroll {
       onLoading: null,
       onLoaded: null,
       onEnd: null,
+      revalidateOn: null,       // API 캐시 재검증을 감지할 URL (string, RegExp, (url) => boolean)
+      onRevalidate: null,       // 재검증 시 콜백 ({ url, data }) => void (제자리 갱신용)
       ...options
     };
 
@@ -190,6 +192,7 @@ class InfiniteScroll {
     this._hasMore = true;
     this._handlers = {};
     this._throttleTimer = null;
+    this._unsubscribeRevalidate = null;
 
     this._init();
   }
@@ -208,6 +211,10 @@ class InfiniteScroll {
       : null;
 
     this._bindEvents();
+
+    if (this.options.onRevalidate) {
+      this._unsubscribeRevalidate = CATUI.api.onRevalidate(this.options.revalidateOn, (detail) => this.options.onRevalidate(detail));
+    }
   }
 
   _bindEvents() {
@@ -283,6 +290,7 @@ class InfiniteScroll {
   destroy() {
     if (this._throttleTimer) clearTimeout(this._throttleTimer);
     this._scrollContainer?.removeEventListener('scroll', this._handlers.scroll);
+    this._unsubscribeRevalidate?.();
     this._scrollContainer = null;
     this._contentContainer = null;
     this._handlers = null;
@@ -403,25 +403,38 @@ class SearchHistory {
       return;
     }
 
-    this._container.innerHTML = `
-      <div class="catui-search-history-header">
-        <span class="catui-search-history-title">${this.options.title}</span>
-        ${this.options.showClearAll ? `
-          <button class="catui-search-history-clearall" type="button">${this.options.clearAllText}</button>
-        ` : ''}
-      </div>
-      <div class="catui-search-history-list">
-        ${this._items.map((item, index) => `
-          <div class="catui-search-history-item" data-index="${index}">
-            <span class="catui-search-history-icon material-icons">history</span>
-            <span class="catui-search-history-text">${item}</span>
-            <button class="catui-search-history-remove" type="button" data-index="${index}">
-              <span class="material-icons">close</span>
-            </button>
-          </div>
-        `).join('')}
-      </div>
-    `;
+    // 헤더와 목록 컨테이너는 비어 있다가 채워질 때만 생성
+    let list = this._container.querySelector(':scope > .catui-search-history-list');
+    if (!list) {
+      this._container.innerHTML = `
+        <div class="catui-search-history-header">
+          <span class="catui-search-history-title">${this.options.title}</span>
+          ${this.options.showClearAll ? `
+            <button class="catui-search-history-clearall" type="button">${this.options.clearAllText}</button>
+          ` : ''}
+        </div>
+        <div class="catui-search-history-list"></div>
+      `;
+      list = this._container.querySelector('.catui-search-history-list');
+    }
+
+    // 검색어를 키로 바뀐 항목만 갱신
+    CATUI.reconcile(list, this._items, {
+      key: item => item,
+      render: item => `
+        <div class="catui-search-history-item">
+          <span class="catui-search-history-icon material-icons">history</span>
+          <span class="catui-search-history-text">${item}</span>
+          <button class="catui-search-history-remove" type="button">
+            <span class="material-icons">close</span>
+          </button>
+        </div>
+      `,
+      place: (node, item, index) => {
+        node.dataset.index = index;
+        node.querySelector('.catui-search-history-remove').dataset.index = index;
+      }
+    });
   }
 
   /**
@@ -473,6 +486,10 @@ class SearchHistory {
     if (this._handlers.itemClick) {
       this._container.removeEventListener('click', this._handlers.itemClick);
     }
+    if (this._handlers.clearAll) {
+      // 헤더는 다시 그리지 않으므로 중복 등록 방지
+      this._container.querySelector('.catui-search-history-clearall')?.removeEventListener('click', this._handlers.clearAll);
+    }
   }
 
   /**
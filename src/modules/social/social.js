@@ -7,6 +7,11 @@
 /**
  * ChatUI 클래스 - 채팅 인터페이스
  * @class ChatUI
+ *
+ * @example
+ * // 실시간 채널 연결: 전송/수신/입력 중 표시를 자동 처리
+ * const channel = CATUI.realtime.connect('wss://example.com/ws', { name: 'chat' });
+ * new ChatUI({ container: '#chat', channel, topic: 'room:1', typingTopic: 'room:1:typing' });
  */
 class ChatUI {
   constructor(options = {}) {
@@ -22,6 +27,9 @@ class ChatUI {
       maxHeight: '400px',
       onSend: null,               // (message) => Promise<void>
       onLoadMore: null,           // () => Promise<messages[]>
+      channel: null,              // RealtimeChannel 또는 채널 이름 (CATUI.realtime)
+      topic: 'chat',              // 메시지 토픽
+      typingTopic: null,          // 입력 중 표시 토픽
       dateFormat: 'HH:mm',
       ...options
     };
@@ -32,6 +40,9 @@ class ChatUI {
     this._handlers = {};
     this._isLoading = false;
     this._typingTimeout = null;
+    this._typingSentAt = 0;
+    this._channel = null;
+    this._unsubscribers = [];
 
     this._init();
   }
@@ -48,9 +59,47 @@ class ChatUI {
 
     this._render();
     this._bindEvents();
+    this._bindChannel();
     this._scrollToBottom();
   }
 
+  _bindChannel() {
+    const { channel, topic, typingTopic } = this.options;
+    this._channel = typeof channel === 'string'
+      ? (typeof CATUI !== 'undefined' ? CATUI.realtime?.channel(channel) : null)
+      : channel;
+
+    if (!this._channel) {
+      if (channel) console.error('[ChatUI] Channel not found:', channel);
+      return;
+    }
+
+    // 수신 메시지 (내가 보낸 메시지가 되돌아온 경우 중복 표시 안 함)
+    this._unsubscribers.push(this._channel.subscribe(topic, (message) => {
+      if (!message || this._hasMessage(message.id)) return;
+      if (message.userId !== this.options.currentUser.id) this.showTyping(false);
+      this.addMessage(message);
+    }));
+
+    if (typingTopic) {
+      this._unsubscribers.push(this._channel.subscribe(typingTopic, (data) => {
+        if (data?.userId === this.options.currentUser.id) return;
+
+        this.showTyping(true);
+        clearTimeout(this._typingTimeout);
+        this._typingTimeout = setTimeout(() => this.showTyping(false), 3000);
+      }));
+
+      this._handlers.input = () => {
+        const now = Date.now();
+        if (now - this._typingSentAt < 2000 || !this._channel.connected) return;
+        this._typingSentAt = now;
+        this._channel.publish(typingTopic, { userId: this.options.currentUser.id });
+      };
+      this._inputEl.addEventListener('input', this._handlers.input);
+    }
+  }
+
   _render() {
     this._container.className = 'catui-chat';
     this._container.innerHTML = `
@@ -143,6 +192,10 @@ class ChatUI {
 
     this._inputEl.value = '';
     this.addMessage(message);
+    this._typingSentAt = 0;
+
+    // 채널이 연결되어 있지 않으면 대기열에 보관 후 재연결 시 전송
+    this._channel?.publish(this.options.topic, message);
 
     if (this.options.onSend) {
       try {
@@ -172,6 +225,10 @@ class ChatUI {
     }
   }
 
+  _hasMessage(id) {
+    return Array.from(this._messagesEl.children).some(el => el.dataset.id === String(id));
+  }
+
   _formatTime(date) {
     if (!date) return '';
     const d = new Date(date);
@@ -220,9 +277,16 @@ class ChatUI {
   destroy() {
     if (this._typingTimeout) clearTimeout(this._typingTimeout);
 
+    this._unsubscribers.forEach(unsubscribe => unsubscribe());
+    this._unsubscribers = [];
+    this._channel = null;
+
     this._container.querySelector('.catui-chat-send-btn')
       ?.removeEventListener('click', this._handlers.sendClick);
     this._inputEl?.removeEventListener('keydown', this._handlers.keydown);
+    if (this._handlers.input) {
+      this._inputEl?.removeEventListener('input', this._handlers.input);
+    }
     if (this._handlers.scroll) {
       this._messagesEl?.removeEventListener('scroll', this._handlers.scroll);
     }
@@ -290,37 +354,45 @@ class Comments {
   _updateComments() {
     const { comments, currentUser, emptyText } = this.options;
 
-    let html = '';
-
-    // 댓글 입력 폼
-    if (currentUser) {
-      html += `
-        <div class="catui-comments-form">
-          <div class="catui-comments-avatar" style="background-image: url('${currentUser.avatar || ''}')">
-            ${!currentUser.avatar ? currentUser.name?.charAt(0) || '?' : ''}
+    // 입력 폼과 목록 컨테이너는 한 번만 생성 (입력 중인 내용 유지)
+    let list = this._container.querySelector(':scope > .catui-comments-list');
+    if (!list) {
+      this._container.innerHTML = `
+        ${currentUser ? `
+          <div class="catui-comments-form">
+            <div class="catui-comments-avatar" style="background-image: url('${currentUser.avatar || ''}')">
+              ${!currentUser.avatar ? currentUser.name?.charAt(0) || '?' : ''}
+            </div>
+            <div class="catui-comments-input-wrap">
+              <textarea class="catui-comments-input" placeholder="${this.options.placeholder}" rows="1"></textarea>
+              <button class="catui-comments-submit btn btn-primary btn-sm">등록</button>
+            </div>
           </div>
-          <div class="catui-comments-input-wrap">
-            <textarea class="catui-comments-input" placeholder="${this.options.placeholder}" rows="1"></textarea>
-            <button class="catui-comments-submit btn btn-primary btn-sm">등록</button>
-          </div>
-        </div>
+        ` : ''}
+        <div class="catui-comments-list"></div>
       `;
+      list = this._container.querySelector('.catui-comments-list');
     }
 
-    // 댓글 목록
-    html += '<div class="catui-comments-list">';
     if (comments.length === 0) {
-      html += `<div class="catui-comments-empty">${emptyText}</div>`;
-    } else {
-      html += this._renderComments(comments, 0);
+      list.innerHTML = `<div class="catui-comments-empty">${emptyText}</div>`;
+      return;
     }
-    html += '</div>';
 
-    this._container.innerHTML = html;
+    this._renderComments(list, comments, 0);
   }
 
-  _renderComments(comments, depth) {
-    return comments.map(comment => this._renderComment(comment, depth)).join('');
+  _renderComments(container, comments, depth) {
+    // 바뀐 댓글만 갱신 (열린 답글/수정 폼 유지), 답글은 각 댓글의 답글 컨테이너에서 갱신
+    CATUI.reconcile(container, comments, {
+      render: comment => this._renderComment(comment, depth),
+      place: (node, comment) => {
+        const replies = node.querySelector(':scope > .catui-comment-content > .catui-comment-replies');
+        if (replies) {
+          this._renderComments(replies, comment.replies, depth + 1);
+        }
+      }
+    });
   }
 
   _renderComment(comment, depth) {
@@ -344,10 +416,8 @@ class Comments {
       `;
     }
 
-    let repliesHtml = '';
-    if (comment.replies?.length) {
-      repliesHtml = `<div class="catui-comment-replies">${this._renderComments(comment.replies, depth + 1)}</div>`;
-    }
+    // 답글은 _renderComments에서 채움
+    const repliesHtml = comment.replies?.length ? '<div class="catui-comment-replies"></div>' : '';
 
     return `
       <div class="catui-comment" data-id="${comment.id}" data-depth="${depth}">
@@ -0,0 +1,81 @@
+import { APIUtil } from '../src/core/api.js';
+
+function json(data, init = {}) {
+  return new Response(JSON.stringify(data), {
+    status: 200,
+    headers: { 'content-type': 'application/json', ...init.headers },
+    ...init
+  });
+}
+
+describe('APIUtil cache and dedupe', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    APIUtil.clearCache();
+    fetchMock = vi.spyOn(globalThis, 'fetch');
+  });
+
+  afterEach(() => {
+    APIUtil.clearCache();
+    vi.restoreAllMocks();
+  });
+
+  it('shares one request between identical GETs', async () => {
+    fetchMock.mockImplementation(async () => json({ n: 1 }));
+
+    const [a, b] = await Promise.all([APIUtil.get('/api/feed'), APIUtil.get('/api/feed')]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(a.data).toEqual({ n: 1 });
+    expect(b.data).toEqual({ n: 1 });
+  });
+
+  it('does not share GETs with different headers', async () => {
+    fetchMock.mockImplementation(async (url, init) => json({ auth: init.headers.Authorization }));
+
+    const [a, b] = await Promise.all([
+      APIUtil.get('/api/me', { headers: { Authorization: 'Bearer a' } }),
+      APIUtil.get('/api/me', { headers: { Authorization: 'Bearer b' } })
+    ]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(a.data.auth).toBe('Bearer a');
+    expect(b.data.auth).toBe('Bearer b');
+  });
+
+  it('returns cached data with swr and revalidates in the background', async () => {
+    fetchMock.mockResolvedValueOnce(json({ v: 1 })).mockResolvedValueOnce(json({ v: 2 }));
+
+    const first = await APIUtil.get('/api/swr', { cache: 'swr', ttl: 0 });
+    const second = await APIUtil.get('/api/swr', { cache: 'swr', ttl: 0 });
+
+    expect(first.data).toEqual({ v: 1 });
+    expect(second.data).toEqual({ v: 1 });
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(2));
+    await vi.waitFor(async () => {
+      expect((await APIUtil.get('/api/swr', { cache: 'cache-first', ttl: 60000 })).data).toEqual({ v: 2 });
+    });
+  });
+
+  it('skips the network for fresh cache-first entries', async () => {
+    fetchMock.mockImplementation(async () => json({ v: 1 }));
+
+    await APIUtil.get('/api/config', { cache: 'cache-first', ttl: 60000 });
+    await APIUtil.get('/api/config', { cache: 'cache-first', ttl: 60000 });
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('passes native fetch cache modes through to fetch', async () => {
+    fetchMock.mockImplementation(async () => json({ v: 1 }));
+
+    await APIUtil.get('/api/live', { cache: 'swr' });
+    const result = await APIUtil.get('/api/live', { cache: 'no-store' });
+
+    expect(result.data).toEqual({ v: 1 });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(fetchMock.mock.calls[1][1].cache).toBe('no-store');
+    expect(fetchMock.mock.calls[0][1].cache).toBeUndefined();
+  });
+});
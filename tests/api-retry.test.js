@@ -0,0 +1,92 @@
+import { APIUtil } from '../src/core/api.js';
+
+function json(status, data, headers = {}) {
+  return new Response(JSON.stringify(data), { status, headers: { 'content-type': 'application/json', ...headers } });
+}
+
+// signal이 취소될 때까지 응답하지 않는 fetch
+function hang(url, init) {
+  return new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  });
+}
+
+describe('APIUtil retry, timeout and cancellation', () => {
+  let fetchMock;
+  const retry = { retries: 2, delay: 1, jitter: false };
+
+  beforeEach(() => {
+    fetchMock = vi.spyOn(globalThis, 'fetch');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('retries retryable status codes and network errors', async () => {
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(json(503, { message: 'busy' }))
+      .mockResolvedValueOnce(json(200, { ok: true }));
+
+    const result = await APIUtil.get('/api/flaky', { retry });
+
+    expect(result.data).toEqual({ ok: true });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('returns the last failure once retries are used up', async () => {
+    fetchMock.mockImplementation(async () => json(500, { message: 'down' }));
+
+    const result = await APIUtil.get('/api/down', { retry });
+
+    expect(result.statusCode).toBe(500);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry non-idempotent methods or other status codes', async () => {
+    fetchMock.mockImplementation(async () => json(503, { message: 'busy' }));
+    await APIUtil.post('/api/orders', {}, { retry });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    fetchMock.mockClear().mockImplementation(async () => json(404, { message: 'missing' }));
+    await APIUtil.get('/api/missing', { retry });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('waits for Retry-After before retrying', () => {
+    const policy = APIUtil._getRetryPolicy({ retries: 1, jitter: false }, 'GET');
+
+    expect(APIUtil._getRetryDelay(policy, 0, json(429, {}, { 'retry-after': '2' }))).toBe(2000);
+    expect(APIUtil._getRetryDelay(policy, 2)).toBe(1200);
+    expect(APIUtil._getRetryDelay({ ...policy, maxDelay: 500 }, 0, json(429, {}, { 'retry-after': '60' }))).toBe(500);
+  });
+
+  it('times out each attempt', async () => {
+    vi.useFakeTimers();
+    fetchMock.mockImplementation(hang);
+
+    const request = APIUtil.get('/api/slow', { timeout: 1000 });
+    await vi.advanceTimersByTimeAsync(1000);
+    const result = await request;
+    vi.useRealTimers();
+
+    expect(result.statusCode).toBe(0);
+    expect(result.error.type).toBe('timeout');
+  });
+
+  it('cancels a pending request and its retry wait', async () => {
+    fetchMock.mockImplementation(hang);
+    const pending = APIUtil.get('/api/pending');
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(1));
+    pending.cancel();
+    expect((await pending).error.type).toBe('abort');
+
+    fetchMock.mockClear().mockImplementation(async () => json(503, {}));
+    const waiting = APIUtil.get('/api/retrying', { retry: { retries: 3, delay: 60000 } });
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(1));
+    waiting.cancel();
+    expect((await waiting).error.type).toBe('abort');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,102 @@
+import { APIUtil } from '../src/core/api.js';
+
+// 조각 단위로 전송되는 응답
+function chunked(chunks, init = {}) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+  return new Response(body, init);
+}
+
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+}
+
+describe('APIUtil upload, progress and streaming', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    APIUtil.clearCache();
+    fetchMock = vi.spyOn(globalThis, 'fetch');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('builds multipart bodies from files and fields', async () => {
+    fetchMock.mockImplementation(async () => new Response('{}', { headers: { 'content-type': 'application/json' } }));
+    const avatar = new File(['a'], 'avatar.png');
+
+    await APIUtil.upload('/api/profile', { name: 'Kim', tags: ['a', 'b'], avatar, meta: { age: 3 } });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('/api/profile');
+    expect(init.method).toBe('POST');
+    expect(init.body.get('name')).toBe('Kim');
+    expect(init.body.getAll('tags')).toEqual(['a', 'b']);
+    expect(init.body.get('avatar').name).toBe('avatar.png');
+    expect(init.body.get('meta')).toBe('{"age":3}');
+    expect(APIUtil._toFormData([avatar, avatar], 'photos').getAll('photos')).toHaveLength(2);
+  });
+
+  it('reports download progress', async () => {
+    fetchMock.mockImplementation(async () => chunked(['{"a":', '1}'], {
+      headers: { 'content-type': 'application/json', 'content-length': '7' }
+    }));
+    const onDownloadProgress = vi.fn();
+    const indicator = { progress: vi.fn() };
+
+    const result = await APIUtil.get('/api/file', { onDownloadProgress });
+    await APIUtil.get('/api/file', { onDownloadProgress: indicator, dedupe: false });
+
+    expect(result.data).toEqual({ a: 1 });
+    expect(onDownloadProgress.mock.calls.map(([info]) => info)).toEqual([
+      { loaded: 5, total: 7, percent: 71 },
+      { loaded: 7, total: 7, percent: 100 }
+    ]);
+    expect(indicator.progress).toHaveBeenLastCalledWith(100);
+  });
+
+  it('streams NDJSON rows split across chunks', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    fetchMock.mockImplementation(async () => chunked(['{"id":1}\n{"id"', ':2}\n\nnot json\n{"id":3}']));
+
+    expect(await collect(APIUtil.stream('/api/export'))).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    expect(fetchMock.mock.calls[0][1].headers.Accept).toBe('application/x-ndjson');
+  });
+
+  it('streams text chunks as they arrive', async () => {
+    fetchMock.mockImplementation(async () => chunked(['Hel', 'lo']));
+
+    expect(await collect(APIUtil.stream('/api/chat', { format: 'text' }))).toEqual(['Hel', 'lo']);
+  });
+
+  it('throws HTTP errors with the status code', async () => {
+    fetchMock.mockImplementation(async () => new Response('{"message":"nope"}', {
+      status: 403,
+      headers: { 'content-type': 'application/json' }
+    }));
+
+    await expect(collect(APIUtil.stream('/api/export'))).rejects.toMatchObject({ message: 'nope', statusCode: 403 });
+  });
+
+  it('cancels the response body when iteration stops early', async () => {
+    const response = chunked(['1\n', '2\n', '3\n']);
+    const cancel = vi.spyOn(ReadableStreamDefaultReader.prototype, 'cancel');
+    fetchMock.mockResolvedValue(response);
+
+    for await (const row of APIUtil.stream('/api/export')) {
+      expect(row).toBe(1);
+      break;
+    }
+
+    expect(cancel).toHaveBeenCalled();
+  });
+});
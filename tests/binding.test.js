@@ -0,0 +1,121 @@
+import { DataBinder } from '../src/core/binding.js';
+import { StateManager } from '../src/core/state.js';
+
+describe('DataBinder', () => {
+  let binder;
+  let root;
+  let store;
+
+  const $ = selector => root.querySelector(selector);
+
+  beforeEach(() => {
+    binder = new DataBinder();
+    root = document.createElement('div');
+    document.body.appendChild(root);
+  });
+
+  afterEach(() => {
+    binder.destroy();
+    store?.destroy();
+    root.remove();
+  });
+
+  it('binds text, visibility and classes and updates them on change', () => {
+    store = StateManager.create({ user: { name: 'Kim' }, tags: new Set(), tab: 'home' });
+    root.innerHTML = `
+      <span catui-bind="user.name | upper"></span>
+      <p catui-show="tags.size > 0">tags</p>
+      <a catui-class:active="tab === 'home'"></a>
+    `;
+    binder.bind(store, root);
+
+    expect($('span').textContent).toBe('KIM');
+    expect($('p').style.display).toBe('none');
+    expect($('a').classList.contains('active')).toBe(true);
+
+    store.user.name = 'Lee';
+    store.tags.add('a');
+    store.tab = 'search';
+
+    expect($('span').textContent).toBe('LEE');
+    expect($('p').style.display).toBe('');
+    expect($('a').classList.contains('active')).toBe(false);
+  });
+
+  it('binds inputs in both directions', () => {
+    store = StateManager.create({ form: { email: '', agree: false, age: null, colors: ['red'] } });
+    root.innerHTML = `
+      <input class="email" catui-model="form.email">
+      <input class="agree" type="checkbox" catui-model="form.agree">
+      <input class="age" type="number" catui-model="form.age">
+      <input class="blue" type="checkbox" value="blue" catui-model="form.colors">
+    `;
+    binder.bind(store, root);
+
+    $('.email').value = 'a@b.c';
+    $('.email').dispatchEvent(new Event('input'));
+    $('.agree').click();
+    $('.age').value = '30';
+    $('.age').dispatchEvent(new Event('input'));
+    $('.blue').click();
+
+    expect(store.form.email).toBe('a@b.c');
+    expect(store.form.agree).toBe(true);
+    expect(store.form.age).toBe(30);
+    expect([...store.form.colors]).toEqual(['red', 'blue']);
+
+    store.form.email = 'x@y.z';
+    expect($('.email').value).toBe('x@y.z');
+  });
+
+  it('renders keyed lists and reuses nodes for unchanged items', () => {
+    store = StateManager.create({ items: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }] });
+    root.innerHTML = '<ul><li catui-each="items as item, i" catui-key="item.id"><span catui-bind="item.name"></span></li></ul>';
+    binder.bind(store, root);
+
+    const names = () => Array.from(root.querySelectorAll('li')).map(li => li.textContent);
+    const first = root.querySelector('li');
+    expect(names()).toEqual(['a', 'b']);
+
+    store.items.push({ id: 3, name: 'c' });
+    store.items[0].name = 'A';
+
+    expect(names()).toEqual(['A', 'b', 'c']);
+    expect(root.querySelector('li')).toBe(first);
+  });
+
+  it('uses the set option for changes from inputs', () => {
+    store = StateManager.create({ email: '' }, { strict: true });
+    store.$defineActions({ update(state, path, value) { state[path] = value; } });
+    root.innerHTML = '<input catui-model="email">';
+    binder.bind(store, root, { set: (path, value) => store.$actions.update(path, value) });
+
+    $('input').value = 'a@b.c';
+    $('input').dispatchEvent(new Event('input'));
+
+    expect(store.email).toBe('a@b.c');
+  });
+
+  it('stops updating after destroy and only destroys bindings inside a container', () => {
+    store = StateManager.create({ count: 0 });
+    const inner = document.createElement('section');
+    root.innerHTML = '<b catui-bind="count"></b>';
+    inner.innerHTML = '<i catui-bind="count"></i>';
+    root.appendChild(inner);
+    const outer = document.createElement('div');
+    outer.innerHTML = '<u catui-bind="count"></u>';
+    document.body.appendChild(outer);
+
+    binder.bind(store, inner);
+    binder.bind(store, outer);
+    expect(binder.count).toBe(2);
+
+    binder.destroyBindings(root);
+    store.count = 1;
+
+    expect(binder.count).toBe(1);
+    expect(inner.querySelector('i').textContent).toBe('0');
+    expect(outer.querySelector('u').textContent).toBe('1');
+    outer.remove();
+  });
+});
@@ -0,0 +1,174 @@
+import { FormValidator } from '../src/core/form.js';
+
+function setup(html) {
+  document.body.innerHTML = `<form id="form">${html}<button type="submit">submit</button></form>`;
+  return document.getElementById('form');
+}
+
+function type(field, value) {
+  field.value = value;
+  field.dispatchEvent(new Event('input'));
+}
+
+describe('FormValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    validator?.destroy();
+    validator = null;
+    vi.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  describe('async rules', () => {
+    it('ignores stale results when the value changes while a check is running', async () => {
+      const form = setup('<div><input name="username"></div>');
+      const resolvers = [];
+      validator = FormValidator.create(form, {
+        username: {
+          remote: {
+            validate: value => new Promise(resolve => resolvers.push({ value, resolve })),
+            message: 'taken',
+            debounce: 0
+          }
+        }
+      }, { validateOnInput: true });
+
+      const field = form.elements.username;
+      type(field, 'admin');
+      await vi.advanceTimersByTimeAsync(0);
+      type(field, 'catlover');
+      await vi.advanceTimersByTimeAsync(0);
+      expect(resolvers.map(call => call.value)).toEqual(['admin', 'catlover']);
+
+      // 나중 값이 먼저 통과한 뒤 이전 값의 실패 결과가 도착
+      resolvers[1].resolve(true);
+      await vi.advanceTimersByTimeAsync(0);
+      resolvers[0].resolve(false);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(validator.getError('username')).toBeFalsy();
+      expect(validator.isPending('username')).toBe(false);
+    });
+
+    it('aborts the previous check when a new one starts', async () => {
+      const form = setup('<div><input name="username"></div>');
+      const signals = [];
+      validator = FormValidator.create(form, {
+        username: {
+          remote: {
+            validate: (value, { signal }) => {
+              signals.push(signal);
+              return new Promise(() => {});
+            },
+            debounce: 0
+          }
+        }
+      }, { validateOnInput: true });
+
+      type(form.elements.username, 'a');
+      await vi.advanceTimersByTimeAsync(0);
+      type(form.elements.username, 'ab');
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(signals).toHaveLength(2);
+      expect(signals[0].aborted).toBe(true);
+      expect(signals[1].aborted).toBe(false);
+    });
+  });
+
+  describe('submit', () => {
+    it('re-submits the form once pending async rules pass', async () => {
+      const form = setup('<div><input name="username" value="catlover"></div>');
+      const check = vi.fn(async () => true);
+      validator = FormValidator.create(form, {
+        username: { remote: { validate: check, debounce: 0 } }
+      });
+      const requestSubmit = vi.spyOn(form, 'requestSubmit').mockImplementation(() => {
+        form.dispatchEvent(new Event('submit', { cancelable: true }));
+      });
+
+      const first = new Event('submit', { cancelable: true });
+      form.dispatchEvent(first);
+      expect(first.defaultPrevented).toBe(true);
+      expect(requestSubmit).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(check).toHaveBeenCalledTimes(1);
+      expect(requestSubmit).toHaveBeenCalledTimes(1);
+      expect(validator.isValid()).toBe(true);
+    });
+
+    it('does not re-submit when an async rule fails', async () => {
+      const form = setup('<div><input name="username" value="admin"></div>');
+      validator = FormValidator.create(form, {
+        username: { remote: { validate: async () => false, message: 'taken', debounce: 0 } }
+      });
+      const requestSubmit = vi.spyOn(form, 'requestSubmit').mockImplementation(() => {});
+
+      form.dispatchEvent(new Event('submit', { cancelable: true }));
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(requestSubmit).not.toHaveBeenCalled();
+      expect(validator.getError('username')).toBe('taken');
+    });
+  });
+
+  describe('conditional rules', () => {
+    it('revalidates a when() field after its condition field changes', () => {
+      const form = setup(`
+        <select name="accountType"><option value="personal">personal</option><option value="business">business</option></select>
+        <div><input name="company"></div>
+      `);
+      validator = FormValidator.create(form, {
+        company: FormValidator.when('accountType', 'business', { required: true })
+      });
+
+      form.elements.company.dispatchEvent(new Event('blur'));
+      expect(validator.getError('company')).toBeFalsy();
+
+      form.elements.accountType.value = 'business';
+      form.elements.accountType.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(validator.getError('company')).toBeTruthy();
+
+      form.elements.accountType.value = 'personal';
+      form.elements.accountType.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(validator.getError('company')).toBeFalsy();
+    });
+
+    it('revalidates a match field when the matched field changes', () => {
+      const form = setup('<div><input name="password"></div><div><input name="confirm"></div>');
+      validator = FormValidator.create(form, {
+        password: { required: true },
+        confirm: { match: 'password' }
+      }, { validateOnInput: true });
+
+      form.elements.password.value = 'secret';
+      form.elements.confirm.value = 'secret';
+      form.elements.confirm.dispatchEvent(new Event('blur'));
+      expect(validator.getError('confirm')).toBeFalsy();
+
+      type(form.elements.password, 'secret2');
+      expect(validator.getError('confirm')).toBeTruthy();
+    });
+
+    it('does not revalidate untouched dependents', () => {
+      const form = setup('<label><input type="checkbox" name="news"></label><div><input name="phone"></div>');
+      validator = FormValidator.create(form, {
+        phone: { requiredIf: 'news' }
+      });
+
+      form.elements.news.checked = true;
+      form.elements.news.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(validator.getError('phone')).toBeFalsy();
+
+      form.elements.phone.dispatchEvent(new Event('blur'));
+      expect(validator.getError('phone')).toBeTruthy();
+    });
+  });
+});
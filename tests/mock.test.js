@@ -0,0 +1,196 @@
+import { APIUtil } from '../src/core/api.js';
+import { APIMock } from '../src/core/mock.js';
+
+describe('APIMock', () => {
+  let mock;
+
+  beforeEach(() => {
+    APIUtil.clearCache();
+    mock = APIUtil.mock();
+  });
+
+  afterEach(() => {
+    mock.restore();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('routes', () => {
+    it('passes params, query, body and headers to handlers', async () => {
+      const handler = vi.fn(({ params, query, body }) => ({ id: params.id, tab: query.tab, name: body.name }));
+      mock.on('PUT', '/api/users/:id', handler);
+
+      const result = await APIUtil.put('/api/users/42?tab=info', { name: 'Kim' }, { headers: { 'X-Test': '1' } });
+
+      expect(result.data).toEqual({ id: '42', tab: 'info', name: 'Kim' });
+      expect(handler.mock.calls[0][0]).toMatchObject({ method: 'PUT', path: '/api/users/42', headers: { 'X-Test': '1' } });
+    });
+
+    it('matches methods and wildcards, latest route first', async () => {
+      mock.routes({
+        'GET /api/files/*': { type: 'any' },
+        'POST /api/files/*': ({ path }) => [201, { created: path }]
+      });
+      mock.on('GET', '/api/files/special', { type: 'special' });
+
+      expect((await APIUtil.get('/api/files/a/b')).data).toEqual({ type: 'any' });
+      expect((await APIUtil.get('/api/files/special')).data).toEqual({ type: 'special' });
+
+      const created = await mock.fetch('/api/files/new', { method: 'POST' });
+      expect(created.status).toBe(201);
+      expect(await created.json()).toEqual({ created: '/api/files/new' });
+    });
+
+    it('responds with fixed data arrays as-is and handler tuples as status and data', async () => {
+      mock.routes({
+        'GET /api/list': [1, 2, 3],
+        'DELETE /api/list/:id': () => [204]
+      });
+
+      expect((await APIUtil.get('/api/list')).data).toEqual([1, 2, 3]);
+      expect((await mock.fetch('/api/list/1', { method: 'DELETE' })).status).toBe(204);
+    });
+
+    it('turns handler errors into 500 responses', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      mock.on('GET', '/api/boom', () => { throw new Error('boom'); });
+
+      const result = await APIUtil.get('/api/boom', { retry: false });
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(500);
+    });
+
+    it('unregisters a route', async () => {
+      mock.configure({ passthrough: false });
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const off = mock.on('GET', '/api/temp', { ok: true });
+      off();
+
+      expect((await APIUtil.get('/api/temp')).statusCode).toBe(404);
+    });
+  });
+
+  describe('latency and errors', () => {
+    it('delays responses', async () => {
+      vi.useFakeTimers();
+      mock.on('GET', '/api/slow', { ok: true }, { delay: 500 });
+
+      let done = false;
+      APIUtil.get('/api/slow').then(() => { done = true; });
+
+      await vi.advanceTimersByTimeAsync(499);
+      expect(done).toBe(false);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(done).toBe(true);
+    });
+
+    it('aborts a delayed response when the request is cancelled', async () => {
+      vi.useFakeTimers();
+      mock.on('GET', '/api/slow', { ok: true }, { delay: 1000 });
+
+      const request = APIUtil.get('/api/slow');
+      request.cancel();
+      const result = await request;
+
+      expect(result.error.type).toBe('abort');
+    });
+
+    it('fails the given number of times, then responds normally', async () => {
+      mock.on('GET', '/api/feed', { items: [] });
+      mock.fail('GET /api/feed', { status: 503, times: 2 });
+
+      const options = { retry: false, dedupe: false };
+      expect((await APIUtil.get('/api/feed', options)).statusCode).toBe(503);
+      expect((await APIUtil.get('/api/feed', options)).statusCode).toBe(503);
+      expect((await APIUtil.get('/api/feed', options)).data).toEqual({ items: [] });
+    });
+
+    it('injects network errors', async () => {
+      mock.fail('POST /api/orders', { network: true, times: 1 });
+
+      const result = await APIUtil.post('/api/orders', {}, { retry: false });
+
+      expect(result.statusCode).toBe(0);
+      expect(result.error.type).toBe('network');
+    });
+
+    it('injects random network errors by errorRate', async () => {
+      mock.on('GET', '/api/flaky', { ok: true });
+      mock.configure({ errorRate: 0.5 });
+      vi.spyOn(Math, 'random').mockReturnValueOnce(0.1).mockReturnValueOnce(0.9);
+
+      expect((await APIUtil.get('/api/flaky', { retry: false })).error.type).toBe('network');
+      expect((await APIUtil.get('/api/flaky', { retry: false })).data).toEqual({ ok: true });
+    });
+  });
+
+  describe('passthrough', () => {
+    it('sends unregistered requests to the network', async () => {
+      const network = vi.spyOn(globalThis, 'fetch').mockResolvedValue(
+        new Response(JSON.stringify({ real: true }), { headers: { 'content-type': 'application/json' } })
+      );
+      mock.on('GET', '/api/mocked', { real: false });
+
+      expect((await APIUtil.get('/api/real')).data).toEqual({ real: true });
+      expect((await APIUtil.get('/api/mocked')).data).toEqual({ real: false });
+      expect(network).toHaveBeenCalledTimes(1);
+    });
+
+    it('answers unregistered requests with 404 when passthrough is off', async () => {
+      const network = vi.spyOn(globalThis, 'fetch');
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      mock.configure({ passthrough: false });
+
+      expect((await APIUtil.get('/api/unknown')).statusCode).toBe(404);
+      expect(network).not.toHaveBeenCalled();
+    });
+
+    it('answers with 404 once a failure-only route is used up', async () => {
+      const network = vi.spyOn(globalThis, 'fetch');
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      mock.configure({ passthrough: false });
+      mock.fail('GET /api/once', { status: 500, times: 1 });
+
+      expect((await APIUtil.get('/api/once', { retry: false })).statusCode).toBe(500);
+      expect((await APIUtil.get('/api/once', { retry: false })).statusCode).toBe(404);
+      expect(network).not.toHaveBeenCalled();
+    });
+
+    it('stops intercepting after restore', async () => {
+      const network = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+      mock.on('GET', '/api/users', []);
+      mock.restore();
+
+      await APIUtil.get('/api/users');
+      expect(network).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('history', () => {
+    it('records calls and filters them by route', async () => {
+      mock.routes({ 'GET /api/users/:id': {}, 'POST /api/users': {} });
+
+      await APIUtil.get('/api/users/1');
+      await APIUtil.post('/api/users', { name: 'Kim' });
+
+      expect(mock.calls()).toHaveLength(2);
+      expect(mock.calls('POST /api/users')).toEqual([expect.objectContaining({ body: { name: 'Kim' } })]);
+      expect(mock.calls('GET /api/users/:id')[0].path).toBe('/api/users/1');
+
+      mock.reset();
+      expect(mock.calls()).toEqual([]);
+    });
+
+    it('keeps only the latest historyLimit requests', async () => {
+      const standalone = new APIMock().configure({ historyLimit: 3 });
+      standalone.on('GET', '/api/items', {});
+
+      for (let i = 0; i < 5; i++) {
+        await standalone.fetch(`/api/items?i=${i}`);
+      }
+
+      expect(standalone.history.map(call => call.query.i)).toEqual(['2', '3', '4']);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { OfflineQueue } from '../src/core/queue.js';
+
+describe('OfflineQueue.start', () => {
+  let queue;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    queue = new OfflineQueue({ send: vi.fn(), emit: vi.fn() });
+  });
+
+  afterEach(() => {
+    queue.destroy();
+    vi.restoreAllMocks();
+  });
+
+  it('can start again after IndexedDB fails', async () => {
+    const removeListener = vi.spyOn(window, 'removeEventListener');
+    const request = vi.spyOn(queue, '_request')
+      .mockRejectedValueOnce(new Error('IndexedDB is not supported'))
+      .mockResolvedValueOnce(2);
+    const replay = vi.spyOn(queue, 'replay').mockImplementation(() => {});
+
+    await queue.start();
+    expect(queue._started).toBe(false);
+    expect(removeListener).toHaveBeenCalledWith('online', expect.any(Function));
+
+    await queue.start();
+    expect(request).toHaveBeenCalledTimes(2);
+    expect(queue.pending).toBe(2);
+    expect(queue.emit).toHaveBeenCalledWith('api:queue', { pending: 2, syncing: false });
+    expect(replay).toHaveBeenCalled();
+  });
+
+  it('starts only once', async () => {
+    const request = vi.spyOn(queue, '_request').mockResolvedValue(0);
+
+    await queue.start();
+    await queue.start();
+
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
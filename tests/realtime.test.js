@@ -0,0 +1,357 @@
+import { RealtimeChannel, Realtime } from '../src/core/realtime.js';
+import { EventBus } from '../src/core/event.js';
+import { ChatUI } from '../src/modules/social/social.js';
+
+// 로컬 WebSocket 대역 (서버 동작은 테스트에서 직접 호출)
+class FakeWebSocket {
+  static instances = [];
+
+  constructor(url, protocols) {
+    this.url = url;
+    this.protocols = protocols;
+    this.sent = [];
+    this.closed = false;
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  // 서버 측 동작
+  serverOpen() {
+    this.onopen?.();
+  }
+
+  serverMessage(message) {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  serverClose() {
+    this.onclose?.();
+  }
+}
+
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.listeners = new Map();
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  serverEvent(type, data) {
+    const event = { type, data: JSON.stringify(data) };
+    if (type === 'message') this.onmessage?.(event);
+    this.listeners.get(type)?.forEach(listener => listener(event));
+  }
+}
+
+const lastSocket = () => FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+
+describe('RealtimeChannel', () => {
+  let channel;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    FakeWebSocket.instances = [];
+    FakeEventSource.instances = [];
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+    vi.stubGlobal('EventSource', FakeEventSource);
+  });
+
+  afterEach(() => {
+    channel?.destroy();
+    channel = null;
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  describe('reconnect', () => {
+    it('backs off exponentially up to maxDelay and resets after a successful open', () => {
+      channel = new RealtimeChannel('wss://test/ws', {
+        reconnect: { delay: 100, factor: 2, maxDelay: 350, jitter: false },
+        heartbeat: false
+      }).open();
+      lastSocket().serverOpen();
+
+      const expectReconnectAfter = (delay) => {
+        const count = FakeWebSocket.instances.length;
+        vi.advanceTimersByTime(delay - 1);
+        expect(FakeWebSocket.instances).toHaveLength(count);
+        vi.advanceTimersByTime(1);
+        expect(FakeWebSocket.instances).toHaveLength(count + 1);
+      };
+
+      lastSocket().serverClose();
+      expect(channel.state).toBe('reconnecting');
+      expectReconnectAfter(100);
+      lastSocket().serverClose();
+      expectReconnectAfter(200);
+      lastSocket().serverClose();
+      expectReconnectAfter(350);
+
+      lastSocket().serverOpen();
+      expect(channel.state).toBe('open');
+      lastSocket().serverClose();
+      expectReconnectAfter(100);
+    });
+
+    it('gives up after the configured retries', () => {
+      channel = new RealtimeChannel('wss://test/ws', {
+        reconnect: { delay: 10, retries: 1, jitter: false },
+        heartbeat: false
+      }).open();
+
+      lastSocket().serverClose();
+      vi.advanceTimersByTime(10);
+      lastSocket().serverClose();
+
+      expect(channel.state).toBe('closed');
+      vi.advanceTimersByTime(1000);
+      expect(FakeWebSocket.instances).toHaveLength(2);
+    });
+
+    it('does not reconnect after close()', () => {
+      channel = new RealtimeChannel('wss://test/ws', { heartbeat: false }).open();
+      lastSocket().serverOpen();
+
+      channel.close();
+      vi.advanceTimersByTime(60000);
+
+      expect(channel.state).toBe('closed');
+      expect(FakeWebSocket.instances).toHaveLength(1);
+    });
+  });
+
+  describe('send queue', () => {
+    it('keeps messages while closed and flushes them in order on open', () => {
+      channel = new RealtimeChannel('wss://test/ws', { heartbeat: false, subscribeMessage: null }).open();
+
+      expect(channel.publish('room', { text: 'a' })).toBe(false);
+      expect(channel.send({ text: 'b' })).toBe(false);
+      expect(channel.pending).toBe(2);
+
+      lastSocket().serverOpen();
+
+      expect(channel.pending).toBe(0);
+      expect(lastSocket().sent).toEqual([{ topic: 'room', data: { text: 'a' } }, { text: 'b' }]);
+    });
+
+    it('drops the oldest messages beyond queueSize', () => {
+      channel = new RealtimeChannel('wss://test/ws', { heartbeat: false, queueSize: 2 }).open();
+
+      channel.send(1);
+      channel.send(2);
+      channel.send(3);
+      lastSocket().serverOpen();
+
+      expect(lastSocket().sent).toEqual([2, 3]);
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('reconnects when no message arrives within the timeout', () => {
+      channel = new RealtimeChannel('wss://test/ws', {
+        heartbeat: { interval: 1000, timeout: 500 },
+        reconnect: { delay: 100, jitter: false }
+      }).open();
+      const socket = lastSocket();
+      socket.serverOpen();
+
+      vi.advanceTimersByTime(1000);
+      expect(socket.sent).toEqual([{ type: 'ping' }]);
+
+      vi.advanceTimersByTime(500);
+      expect(socket.closed).toBe(true);
+      expect(channel.state).toBe('reconnecting');
+    });
+
+    it('keeps the connection when a pong arrives and does not emit it', () => {
+      const bus = new EventBus();
+      const onMessage = vi.fn();
+      bus.on('realtime:message', onMessage);
+      channel = new RealtimeChannel('wss://test/ws', { heartbeat: { interval: 1000, timeout: 500 } }, bus).open();
+      const socket = lastSocket();
+      socket.serverOpen();
+
+      vi.advanceTimersByTime(1000);
+      socket.serverMessage({ type: 'pong' });
+      vi.advanceTimersByTime(500);
+
+      expect(socket.closed).toBe(false);
+      expect(channel.state).toBe('open');
+      expect(onMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('topics', () => {
+    it('sends subscribe messages on open and again after reconnecting', () => {
+      channel = new RealtimeChannel('wss://test/ws', { heartbeat: false, reconnect: { delay: 10, jitter: false } });
+      const handler = vi.fn();
+      channel.subscribe('room:1', handler);
+      channel.open();
+
+      lastSocket().serverOpen();
+      expect(lastSocket().sent).toEqual([{ type: 'subscribe', topic: 'room:1' }]);
+
+      lastSocket().serverMessage({ topic: 'room:1', data: { text: 'hi' } });
+      expect(handler).toHaveBeenCalledWith({ text: 'hi' }, { topic: 'room:1', data: { text: 'hi' } });
+
+      lastSocket().serverClose();
+      vi.advanceTimersByTime(10);
+      lastSocket().serverOpen();
+      expect(lastSocket().sent).toEqual([{ type: 'subscribe', topic: 'room:1' }]);
+    });
+
+    it('unsubscribes from the server after the last subscriber leaves', () => {
+      channel = new RealtimeChannel('wss://test/ws', { heartbeat: false }).open();
+      lastSocket().serverOpen();
+
+      const off1 = channel.subscribe('room', () => {});
+      const off2 = channel.subscribe('room', () => {});
+      off1();
+      expect(lastSocket().sent).toEqual([{ type: 'subscribe', topic: 'room' }]);
+      off2();
+      expect(lastSocket().sent).toEqual([{ type: 'subscribe', topic: 'room' }, { type: 'unsubscribe', topic: 'room' }]);
+    });
+
+    it('receives SSE topics subscribed before the stream opens', () => {
+      channel = new RealtimeChannel('/api/feed/stream', { name: 'feed' }).open();
+      const handler = vi.fn();
+
+      // 연결 중(open 전)에 구독
+      channel.subscribe('post', handler);
+      const source = FakeEventSource.instances[0];
+      source.onopen();
+      source.serverEvent('post', { id: 1 });
+
+      expect(handler).toHaveBeenCalledWith({ id: 1 }, { id: 1 });
+    });
+
+    it('removes SSE listeners when unsubscribed', () => {
+      channel = new RealtimeChannel('/api/feed/stream').open();
+      const handler = vi.fn();
+
+      const off = channel.subscribe('post', handler);
+      off();
+      FakeEventSource.instances[0].serverEvent('post', { id: 1 });
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(FakeEventSource.instances[0].listeners.get('post').size).toBe(0);
+    });
+  });
+
+  describe('Realtime', () => {
+    it('reuses channels by name', () => {
+      const realtime = new Realtime(new EventBus());
+      const first = realtime.connect('wss://test/ws', { name: 'chat', heartbeat: false });
+
+      expect(realtime.connect('wss://test/other', { name: 'chat' })).toBe(first);
+      expect(realtime.channel('chat')).toBe(first);
+      expect(FakeWebSocket.instances).toHaveLength(1);
+
+      realtime.destroy();
+      expect(realtime.channel('chat')).toBeUndefined();
+    });
+  });
+});
+
+describe('ChatUI channel binding', () => {
+  let channel;
+  let chat;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    FakeWebSocket.instances = [];
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+    document.body.innerHTML = '<div id="chat"></div>';
+
+    channel = new RealtimeChannel('wss://test/ws', { heartbeat: false }).open();
+    lastSocket().serverOpen();
+    chat = new ChatUI({
+      container: '#chat',
+      channel,
+      topic: 'room:1',
+      typingTopic: 'room:1:typing',
+      currentUser: { id: 'me', name: 'Me' }
+    });
+  });
+
+  afterEach(() => {
+    chat.destroy();
+    channel.destroy();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  const published = topic => lastSocket().sent.filter(message => message.topic === topic && 'data' in message);
+  const messages = () => Array.from(document.querySelectorAll('.catui-chat-message')).map(el => el.textContent.replace(/\s+/g, ' ').trim());
+
+  it('publishes sent messages to the topic', () => {
+    const input = document.querySelector('.catui-chat-input-field');
+    input.value = 'hello';
+    document.querySelector('.catui-chat-send-btn').click();
+
+    const sent = published('room:1');
+    expect(sent).toHaveLength(1);
+    expect(sent[0].data).toMatchObject({ userId: 'me', text: 'hello' });
+    expect(messages()).toHaveLength(1);
+
+    // 서버가 되돌려 보낸 내 메시지는 다시 표시하지 않음
+    lastSocket().serverMessage(sent[0]);
+    expect(messages()).toHaveLength(1);
+  });
+
+  it('shows incoming messages and typing indicators from other users', () => {
+    const typing = document.querySelector('.catui-chat-typing');
+
+    lastSocket().serverMessage({ topic: 'room:1:typing', data: { userId: 'kim' } });
+    expect(typing.style.display).toBe('flex');
+
+    lastSocket().serverMessage({ topic: 'room:1', data: { id: 'm1', userId: 'kim', userName: 'Kim', text: 'hi' } });
+    expect(messages()).toEqual([expect.stringContaining('hi')]);
+    expect(typing.style.display).toBe('none');
+  });
+
+  it('sends typing events while typing, at most every two seconds', () => {
+    const input = document.querySelector('.catui-chat-input-field');
+    const typingSent = () => published('room:1:typing').length;
+
+    input.dispatchEvent(new Event('input'));
+    input.dispatchEvent(new Event('input'));
+    expect(typingSent()).toBe(1);
+
+    vi.advanceTimersByTime(2000);
+    input.dispatchEvent(new Event('input'));
+    expect(typingSent()).toBe(2);
+  });
+
+  it('unsubscribes from the channel on destroy', () => {
+    chat.destroy();
+    chat = { destroy() {} };
+
+    expect(lastSocket().sent).toContainEqual({ type: 'unsubscribe', topic: 'room:1' });
+    expect(lastSocket().sent).toContainEqual({ type: 'unsubscribe', topic: 'room:1:typing' });
+  });
+});
@@ -0,0 +1,197 @@
+import { ListReconciler } from '../src/core/reconcile.js';
+import { CheckList } from '../src/modules/list/list.js';
+
+const render = item => `<li data-id="${item.id}">${item.title}</li>`;
+
+function createItems(count) {
+  return Array.from({ length: count }, (_, i) => ({ id: i, title: `item ${i}` }));
+}
+
+function ids(container) {
+  return Array.from(container.children).map(node => Number(node.dataset.id));
+}
+
+describe('ListReconciler', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('ul');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+    vi.restoreAllMocks();
+  });
+
+  it('replaces untracked children on the first render', () => {
+    container.innerHTML = '<li>placeholder</li>';
+
+    const stats = ListReconciler.reconcile(container, createItems(3), { render });
+
+    expect(stats).toEqual({ added: 3, updated: 0, moved: 0, removed: 0 });
+    expect(ids(container)).toEqual([0, 1, 2]);
+  });
+
+  it('reuses nodes whose render output did not change', () => {
+    const items = createItems(5);
+    ListReconciler.reconcile(container, items, { render });
+    const nodes = Array.from(container.children);
+
+    items[2] = { ...items[2], title: 'changed' };
+    const stats = ListReconciler.reconcile(container, items, { render });
+
+    expect(stats).toEqual({ added: 0, updated: 1, moved: 0, removed: 0 });
+    expect(container.children[1]).toBe(nodes[1]);
+    expect(container.children[2]).not.toBe(nodes[2]);
+    expect(container.children[2].textContent).toBe('changed');
+  });
+
+  it('moves only the nodes outside the longest stable run', () => {
+    const items = createItems(6);
+    ListReconciler.reconcile(container, items, { render });
+    const nodes = Array.from(container.children);
+
+    // 마지막 항목을 맨 앞으로
+    const stats = ListReconciler.reconcile(container, [items[5], ...items.slice(0, 5)], { render });
+
+    expect(stats.moved).toBe(1);
+    expect(ids(container)).toEqual([5, 0, 1, 2, 3, 4]);
+    expect(Array.from(container.children)).toEqual([nodes[5], ...nodes.slice(0, 5)]);
+  });
+
+  it('keeps nodes when the list is reversed', () => {
+    const items = createItems(4);
+    ListReconciler.reconcile(container, items, { render });
+    const nodes = Array.from(container.children);
+
+    ListReconciler.reconcile(container, [...items].reverse(), { render });
+
+    expect(ids(container)).toEqual([3, 2, 1, 0]);
+    expect(Array.from(container.children)).toEqual([...nodes].reverse());
+  });
+
+  it('removes items that are no longer in the list', () => {
+    const items = createItems(5);
+    ListReconciler.reconcile(container, items, { render });
+    const nodes = Array.from(container.children);
+
+    const stats = ListReconciler.reconcile(container, items.filter(item => item.id % 2 === 0), { render });
+
+    expect(stats).toEqual({ added: 0, updated: 0, moved: 0, removed: 2 });
+    expect(ids(container)).toEqual([0, 2, 4]);
+    expect(nodes[1].isConnected).toBe(false);
+    expect(nodes[3].isConnected).toBe(false);
+  });
+
+  it('handles removals, additions and moves in one pass', () => {
+    const items = createItems(5);
+    ListReconciler.reconcile(container, items, { render });
+
+    const next = [{ id: 9, title: 'new' }, items[4], items[0], items[2]];
+    const stats = ListReconciler.reconcile(container, next, { render });
+
+    expect(stats.added).toBe(1);
+    expect(stats.removed).toBe(2);
+    expect(ids(container)).toEqual([9, 4, 0, 2]);
+  });
+
+  it('matches the item order after random shuffles', () => {
+    let seed = 1;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+
+    for (let round = 0; round < 50; round++) {
+      const unique = new Map();
+      for (let i = 0; i < 15; i++) {
+        const id = Math.floor(random() * 25);
+        unique.set(id, { id, title: `v${random() < 0.2 ? round : 0}` });
+      }
+      const items = Array.from(unique.values());
+
+      ListReconciler.reconcile(container, items, { render });
+      expect(ids(container)).toEqual(items.map(item => item.id));
+    }
+  });
+
+  it('calls place for every node after placement', () => {
+    const place = (node, item, index) => { node.dataset.index = index; };
+    const items = createItems(3);
+    ListReconciler.reconcile(container, items, { render, place });
+    ListReconciler.reconcile(container, [items[2], items[0], items[1]], { render, place });
+
+    expect(Array.from(container.children).map(node => node.dataset.index)).toEqual(['0', '1', '2']);
+  });
+
+  it('keeps duplicate keys as separate nodes', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    ListReconciler.reconcile(container, [{ id: 1, title: 'a' }, { id: 1, title: 'b' }], { render });
+
+    expect(container.children).toHaveLength(2);
+    expect(warn).toHaveBeenCalled();
+  });
+});
+
+describe('CheckList', () => {
+  let container;
+  let list;
+
+  const checked = () => Array.from(container.querySelectorAll('.catui-checklist-item'))
+    .filter(label => label.classList.contains('is-checked') && label.querySelector('input').checked)
+    .map(label => label.dataset.id);
+
+  beforeEach(() => {
+    vi.stubGlobal('CATUI', { reconcile: ListReconciler.reconcile });
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    list = new CheckList({
+      container,
+      selectAll: true,
+      items: [{ id: 'a', content: 'A' }, { id: 'b', content: 'B' }, { id: 'c', content: 'C' }]
+    });
+  });
+
+  afterEach(() => {
+    container.remove();
+    vi.unstubAllGlobals();
+  });
+
+  it('keeps the DOM in sync when deselecting after selectAll', () => {
+    list.selectAll();
+    expect(checked()).toEqual(['a', 'b', 'c']);
+
+    list.deselect('a');
+    expect(checked()).toEqual(['b', 'c']);
+    expect(container.querySelector('.catui-checklist-count').textContent).toBe('2/3');
+  });
+
+  it('keeps the DOM in sync when selecting again after a click', () => {
+    container.querySelector('[data-id="b"]').click();
+    expect(checked()).toEqual(['b']);
+
+    list.deselect('b');
+    list.select('b');
+    expect(checked()).toEqual(['b']);
+
+    list.deselectAll();
+    expect(checked()).toEqual([]);
+  });
+
+  it('clears the previous item in single selection mode', () => {
+    list = new CheckList({
+      container,
+      multiple: false,
+      items: [{ id: 'x', content: 'X' }, { id: 'y', content: 'Y' }]
+    });
+
+    container.querySelector('[data-id="x"]').click();
+    container.querySelector('[data-id="y"]').click();
+    expect(checked()).toEqual(['y']);
+
+    list.select('x');
+    expect(checked()).toEqual(['x']);
+  });
+});
@@ -0,0 +1,84 @@
+import { ViewRouter } from '../src/core/router.js';
+
+const views = {
+  'views/home.html': '<h1>home</h1>',
+  'views/login.html': '<h1>login</h1>',
+  'views/mypage.html': '<meta name="catui-modules" content="pickers, bad/name"><h1>mypage</h1>',
+  'views/editor.html': '<h1>editor</h1>'
+};
+
+describe('ViewRouter guards and view modules', () => {
+  let router;
+  let container;
+  let loggedIn;
+  let loader;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="app"></div>';
+    container = document.getElementById('app');
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async url => new Response(views[url], { status: 200 }));
+    loggedIn = false;
+    loader = { use: vi.fn(async () => {}), destroyInstances: vi.fn() };
+
+    router = new ViewRouter();
+    router.setLoader(loader);
+    router.init({
+      useHistory: false,
+      autoNavigate: false,
+      routes: [
+        { path: '/', view: 'views/home.html' },
+        { path: '/login', view: 'views/login.html' },
+        { path: '/mypage', view: 'views/mypage.html', canEnter: async () => loggedIn || '/login', modules: ['overlays'] },
+        { path: '/editor', view: 'views/editor.html', canLeave: [() => true, (to) => to.path !== '/'] }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    router.destroy();
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  it('redirects when canEnter returns a path', async () => {
+    await router.navigate('/mypage');
+
+    expect(router.current()).toBe('/login');
+    expect(container.textContent).toBe('login');
+    expect(loader.use).not.toHaveBeenCalled();
+  });
+
+  it('cancels navigation when a canLeave guard returns false', async () => {
+    await router.navigate('/editor');
+    await router.navigate('/');
+
+    expect(router.current()).toBe('/editor');
+    expect(container.textContent).toBe('editor');
+
+    await router.navigate('/login');
+    expect(router.current()).toBe('/login');
+  });
+
+  it('passes the target and current routes to guards', async () => {
+    const guard = vi.fn(() => true);
+    router.addRoute('/guarded/:id', { view: 'views/home.html', canEnter: guard });
+
+    await router.navigate('/login');
+    await router.navigate('/guarded/3');
+
+    const [to, from] = guard.mock.calls[0];
+    expect(to.params).toEqual({ id: '3' });
+    expect(from.path).toBe('/login');
+  });
+
+  it('loads route and meta modules before rendering and skips invalid names', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    loggedIn = true;
+
+    await router.navigate('/mypage');
+
+    expect(loader.use).toHaveBeenCalledWith('overlays', 'pickers');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('bad/name'));
+    expect(container.querySelector('h1').textContent).toBe('mypage');
+  });
+});
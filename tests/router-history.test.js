@@ -0,0 +1,136 @@
+import { ViewRouter } from '../src/core/router.js';
+import { BackButtonDispatcher } from '../src/core/backbutton.js';
+
+const views = {
+  'views/home.html': '<h1>home</h1>',
+  'views/product.html': '<h1>product</h1>'
+};
+
+const routes = [
+  { path: '/', view: 'views/home.html' },
+  { path: '/products/:id', view: 'views/product.html' }
+];
+
+describe('ViewRouter history modes', () => {
+  let router;
+  let container;
+  let pushState;
+  let replaceState;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="app"></div>';
+    container = document.getElementById('app');
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async url => new Response(views[url], { status: 200 }));
+    // 실제 URL은 바꾸지 않고 호출만 기록
+    pushState = vi.spyOn(window.history, 'pushState').mockImplementation(() => {});
+    replaceState = vi.spyOn(window.history, 'replaceState').mockImplementation(() => {});
+    router = new ViewRouter();
+  });
+
+  afterEach(() => {
+    router.destroy();
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  const popState = state => window.dispatchEvent(new PopStateEvent('popstate', { state }));
+  const waitForView = text => vi.waitFor(() => expect(container.textContent).toBe(text));
+
+  it('writes hash URLs in hash mode', async () => {
+    router.init({ mode: 'hash', autoNavigate: false, routes });
+
+    await router.navigate('/products/1');
+
+    expect(pushState).toHaveBeenCalledWith({ path: '/products/1', index: 1 }, '', '#/products/1');
+  });
+
+  it('writes real paths under base in history mode and keeps view files in the hash', async () => {
+    router.init({ mode: 'history', base: '/app/', autoNavigate: false, routes });
+
+    await router.navigate('/products/1');
+    await router.navigate('views/home.html', true);
+
+    expect(pushState).toHaveBeenCalledWith({ path: '/products/1', index: 1 }, '', '/app/products/1');
+    expect(replaceState).toHaveBeenCalledWith({ path: 'views/home.html', index: 1 }, '', '#views/home.html');
+  });
+
+  it('does not touch browser history in memory mode', async () => {
+    router.init({ mode: 'memory', autoNavigate: false, routes });
+
+    await router.navigate('/');
+    await router.navigate('/products/1');
+    await router.back();
+
+    expect(pushState).not.toHaveBeenCalled();
+    expect(container.textContent).toBe('home');
+    expect(router.canGoBack()).toBe(false);
+  });
+
+  it('loads popstate entries and tells back from forward by index', async () => {
+    router.init({ mode: 'history', autoNavigate: false, routes, transition: 'slide' });
+    const render = vi.spyOn(router, '_renderView');
+
+    await router.navigate('/');
+    await router.navigate('/products/1');
+
+    popState({ path: '/', index: 1 });
+    await waitForView('home');
+    expect(render.mock.calls.at(-1)[2].direction).toBe('back');
+
+    popState({ path: '/products/1', index: 2 });
+    await waitForView('product');
+    expect(render.mock.calls.at(-1)[2].direction).toBe('forward');
+    expect(pushState).toHaveBeenCalledTimes(2);
+  });
+
+  describe('with BackButtonDispatcher', () => {
+    let backButton;
+
+    beforeEach(() => {
+      backButton = new BackButtonDispatcher(router);
+      router.setBackButton(backButton);
+    });
+
+    afterEach(() => {
+      backButton.destroy();
+    });
+
+    it('runs the top handler on hardware back instead of navigating', async () => {
+      router.init({ mode: 'history', autoNavigate: false, routes });
+      await router.navigate('/');
+      await router.navigate('/products/1');
+
+      const close = vi.fn();
+      backButton.register(close);
+      expect(pushState).toHaveBeenLastCalledWith({ backGuard: true }, '');
+
+      popState({ path: '/', index: 1 });
+
+      expect(close).toHaveBeenCalledTimes(1);
+      expect(container.textContent).toBe('product');
+      expect(backButton.size).toBe(0);
+    });
+
+    it('replaces the guard entry when navigating while a handler is open', async () => {
+      router.init({ mode: 'history', autoNavigate: false, routes });
+      await router.navigate('/');
+      backButton.register(() => {});
+
+      await router.navigate('/products/1');
+
+      expect(replaceState).toHaveBeenCalledWith({ path: '/products/1', index: 2 }, '', '/products/1');
+    });
+
+    it('goes back through the memory stack on hardware back', async () => {
+      router.init({ mode: 'memory', autoNavigate: false, routes });
+      await router.navigate('/');
+      await router.navigate('/products/1');
+      expect(pushState).toHaveBeenCalledWith({ backGuard: true }, '');
+
+      popState(null);
+
+      await waitForView('home');
+      expect(router.canGoBack()).toBe(false);
+    });
+  });
+});
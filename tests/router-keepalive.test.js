@@ -0,0 +1,97 @@
+import { ViewRouter } from '../src/core/router.js';
+
+const views = {
+  'views/list.html': '<ul class="list"><li>1</li></ul>',
+  'views/detail.html': '<h1>detail</h1>',
+  'views/form.html': '<form catui-keep-alive><input></form>'
+};
+
+describe('ViewRouter keep-alive', () => {
+  let router;
+  let container;
+  let loader;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="app"></div>';
+    container = document.getElementById('app');
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async url => new Response(views[url], { status: 200 }));
+
+    loader = {
+      detachInstances: vi.fn(() => new Map([['list', new Set([{ destroy: vi.fn() }])]])),
+      attachInstances: vi.fn(),
+      destroyInstances: vi.fn()
+    };
+
+    router = new ViewRouter();
+    router.setLoader(loader);
+    router.init({
+      useHistory: false,
+      autoNavigate: false,
+      routes: [
+        { path: '/list', view: 'views/list.html', keepAlive: true },
+        { path: '/detail', view: 'views/detail.html' },
+        { path: '/form', view: 'views/form.html' }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    router.destroy();
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  it('restores the same nodes, instances and scroll position when returning', async () => {
+    await router.navigate('/list');
+    const list = container.querySelector('.list');
+    list.scrollTop = 120;
+    loader.destroyInstances.mockClear();
+
+    await router.navigate('/detail');
+    expect(loader.detachInstances).toHaveBeenCalledTimes(1);
+    expect(loader.destroyInstances).not.toHaveBeenCalled();
+    const instances = loader.detachInstances.mock.results[0].value;
+
+    await router.back();
+
+    expect(container.querySelector('.list')).toBe(list);
+    expect(list.scrollTop).toBe(120);
+    expect(loader.attachInstances).toHaveBeenCalledWith(instances);
+  });
+
+  it('treats views with catui-keep-alive as keep-alive', async () => {
+    await router.navigate('/form');
+    const input = container.querySelector('input');
+    input.value = 'draft';
+
+    await router.navigate('/detail');
+    await router.navigate('/form');
+
+    expect(container.querySelector('input')).toBe(input);
+    expect(input.value).toBe('draft');
+  });
+
+  it('reloads and destroys the cached view with reload', async () => {
+    await router.navigate('/list');
+    const list = container.querySelector('.list');
+    await router.navigate('/detail');
+    const [instance] = loader.detachInstances.mock.results[0].value.get('list');
+
+    await router.navigate('/list', { reload: true });
+
+    expect(container.querySelector('.list')).not.toBe(list);
+    expect(instance.destroy).toHaveBeenCalled();
+  });
+
+  it('drops the least recently used views beyond keepAliveMax', async () => {
+    router.keepAliveMax = 1;
+    await router.navigate('/list');
+    await router.navigate('/form');
+    await router.navigate('/detail');
+
+    expect([...router._keepAliveCache.keys()]).toEqual(['/form']);
+
+    router.clearKeepAlive();
+    expect(router._keepAliveCache.size).toBe(0);
+  });
+});
@@ -0,0 +1,99 @@
+import { ViewRouter } from '../src/core/router.js';
+
+const views = {
+  'views/home.html': '<h1>home</h1>',
+  'views/product.html': '<h1>product</h1>'
+};
+
+// Cache Storage 대역 (이름별 Map)
+function createCaches() {
+  const stores = new Map();
+  return {
+    stores,
+    open: vi.fn(async (name) => {
+      if (!stores.has(name)) stores.set(name, new Map());
+      const store = stores.get(name);
+      return {
+        put: async (key, response) => { store.set(key, await response.text()); },
+        match: async key => (store.has(key) ? new Response(store.get(key)) : undefined)
+      };
+    }),
+    delete: vi.fn(async name => stores.delete(name))
+  };
+}
+
+describe('ViewRouter prefetch and view cache', () => {
+  let router;
+  let container;
+  let fetchMock;
+  let caches;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="app"></div>';
+    container = document.getElementById('app');
+    fetchMock = vi.spyOn(globalThis, 'fetch').mockImplementation(async url => new Response(views[url], { status: 200 }));
+    caches = createCaches();
+    vi.stubGlobal('caches', caches);
+
+    router = new ViewRouter();
+    router.init({
+      useHistory: false,
+      autoNavigate: false,
+      routes: [
+        { path: '/', view: 'views/home.html' },
+        { path: '/products/:id', view: 'views/product.html' }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    router.destroy();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  it('shares an in-flight prefetch with navigation', async () => {
+    const prefetched = router.prefetch('/products/42');
+    await router.navigate('/products/42');
+
+    expect(await prefetched).toBe(true);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(container.textContent).toBe('product');
+  });
+
+  it('serves repeated views from the memory cache', async () => {
+    await router.navigate('/');
+    await router.navigate('/products/1');
+    await router.navigate('/');
+
+    expect(fetchMock.mock.calls.map(([url]) => url)).toEqual(['views/home.html', 'views/product.html']);
+  });
+
+  it('falls back to Cache Storage when the network fails', async () => {
+    await router.prefetch('/');
+    await vi.waitFor(() => expect(caches.stores.get('catui-views')?.has('views/home.html')).toBe(true));
+
+    router._viewCache.clear();
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+    await router.navigate('/');
+
+    expect(container.textContent).toBe('home');
+  });
+
+  it('clears the memory cache and Cache Storage', async () => {
+    await router.prefetch('/');
+    await router.clearViewCache();
+
+    expect(caches.delete).toHaveBeenCalledWith('catui-views');
+    await router.navigate('/');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not prefetch when the view cache is off', async () => {
+    router.viewCache = false;
+
+    expect(await router.prefetch('/')).toBe(false);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
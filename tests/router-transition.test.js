@@ -0,0 +1,108 @@
+import { ViewRouter } from '../src/core/router.js';
+
+const views = {
+  'views/home.html': '<h1>home</h1>',
+  'views/list.html': '<h1>list</h1>',
+  'views/detail.html': '<h1>detail</h1>'
+};
+
+describe('ViewRouter transitions and navigation stack', () => {
+  let router;
+  let container;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="app"></div>';
+    container = document.getElementById('app');
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async url => new Response(views[url] ?? '', { status: views[url] ? 200 : 404 }));
+
+    router = new ViewRouter();
+    router.init({
+      useHistory: false,
+      autoNavigate: false,
+      routes: [
+        { path: '/', view: 'views/home.html' },
+        { path: '/list', view: 'views/list.html' },
+        { path: '/detail/:id', view: 'views/detail.html', transition: 'modal' }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    router.destroy();
+    delete Element.prototype.animate;
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  it('pushes, replaces and pops the navigation stack', async () => {
+    await router.navigate('/');
+    await router.navigate('/list');
+    await router.navigate('/detail/1', { replace: true });
+
+    expect(router.stack.map(entry => entry.path)).toEqual(['/', '/detail/1']);
+    expect(router.canGoBack()).toBe(true);
+
+    await router.back();
+
+    expect(router.current()).toBe('/');
+    expect(container.textContent).toBe('home');
+    expect(router.canGoBack()).toBe(false);
+  });
+
+  it('uses the navigate option, then the route, then the default transition', async () => {
+    router.setTransition('fade');
+    await router.navigate('/');
+    await router.navigate('/list', { transition: 'slide' });
+    await router.navigate('/detail/1');
+    await router.navigate('/list');
+
+    expect(router.stack.map(entry => entry.transition)).toEqual(['fade', 'slide', 'modal', 'fade']);
+  });
+
+  it('keeps both views in layers while animating and reverses the transition on back', async () => {
+    const animations = [];
+    Element.prototype.animate = vi.fn(function (keyframes) {
+      let finish;
+      const finished = new Promise(resolve => { finish = resolve; });
+      animations.push({ el: this, keyframes, finish });
+      return { finished };
+    });
+
+    await router.navigate('/');
+    const pushing = router.navigate('/list', { transition: 'slide' });
+    await vi.waitFor(() => expect(animations).toHaveLength(2));
+
+    expect(container.classList.contains('is-view-transitioning')).toBe(true);
+    expect(container.querySelector('.catui-view-layer--leaving').textContent).toBe('home');
+    expect(container.querySelector('.catui-view-layer--entering').textContent).toBe('list');
+
+    animations.forEach(animation => animation.finish());
+    await pushing;
+    expect(container.innerHTML).toBe('<h1>list</h1>');
+
+    animations.length = 0;
+    const popping = router.back();
+    await vi.waitFor(() => expect(animations).toHaveLength(2));
+    const entering = animations.find(animation => animation.el.classList.contains('catui-view-layer--entering'));
+    expect(entering.keyframes[0]).toEqual({ transform: 'translateX(-30%)', opacity: '0.7' });
+
+    animations.forEach(animation => animation.finish());
+    await popping;
+    expect(container.innerHTML).toBe('<h1>home</h1>');
+  });
+
+  it('uses registered custom transitions', async () => {
+    const animate = vi.fn(() => ({ finished: Promise.resolve() }));
+    Element.prototype.animate = animate;
+    router.registerTransition('zoom', {
+      push: { enter: [{ opacity: '0' }, { opacity: '1' }], leave: null, enterOnTop: true },
+      pop: { enter: null, leave: [{ opacity: '1' }, { opacity: '0' }], enterOnTop: false }
+    });
+
+    await router.navigate('/');
+    await router.navigate('/list', { transition: 'zoom' });
+
+    expect(animate).toHaveBeenCalledTimes(1);
+    expect(animate.mock.calls[0][0]).toEqual([{ opacity: '0' }, { opacity: '1' }]);
+  });
+});
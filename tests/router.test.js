@@ -0,0 +1,60 @@
+import { ViewRouter } from '../src/core/router.js';
+
+describe('ViewRouter.resolve', () => {
+  let router;
+
+  beforeEach(() => {
+    router = new ViewRouter();
+    router.addRoutes([
+      { path: '/', view: 'views/home.html' },
+      { path: '/users/:id', view: 'views/user.html' },
+      { path: '/posts/:id/:tab?', view: 'views/post.html' },
+      { path: '/files/*', view: 'views/files.html' },
+      { path: '/old-users/:id', redirect: '/users/:id' }
+    ]);
+  });
+
+  it('matches named params and query strings', () => {
+    const result = router.resolve('/users/42?tab=review');
+    expect(result.view).toBe('views/user.html');
+    expect(result.params).toEqual({ id: '42' });
+    expect(result.query).toEqual({ tab: 'review' });
+    expect(result.notFound).toBe(false);
+  });
+
+  it('supports optional params and wildcards', () => {
+    expect(router.resolve('/posts/1').params).toEqual({ id: '1' });
+    expect(router.resolve('/posts/1/comments').params).toEqual({ id: '1', tab: 'comments' });
+    expect(router.resolve('/files/a/b.txt').params).toEqual({ wildcard: 'a/b.txt' });
+  });
+
+  it('decodes params', () => {
+    expect(router.resolve('/users/%ED%99%8D%EA%B8%B8%EB%8F%99').params.id).toBe('홍길동');
+  });
+
+  it('passes malformed segments through instead of throwing', () => {
+    let result;
+    expect(() => { result = router.resolve('/users/%E0%A4%A'); }).not.toThrow();
+    expect(result.view).toBe('views/user.html');
+    expect(result.params.id).toBe('%E0%A4%A');
+  });
+
+  it('follows redirects and keeps the query string', () => {
+    const result = router.resolve('/old-users/7?from=mail');
+    expect(result.path).toBe('/users/7?from=mail');
+    expect(result.params).toEqual({ id: '7' });
+  });
+
+  it('returns the 404 view for unknown routes', () => {
+    expect(router.resolve('/nope')).toBeNull();
+
+    router.setNotFound('views/404.html');
+    expect(router.resolve('/nope')).toMatchObject({ view: 'views/404.html', notFound: true });
+  });
+
+  it('stops redirect loops', () => {
+    router.addRoute('/a', { redirect: '/b' });
+    router.addRoute('/b', { redirect: '/a' });
+    expect(() => router.resolve('/a')).toThrow(/Too many redirects/);
+  });
+});
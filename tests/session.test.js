@@ -0,0 +1,81 @@
+import { APIUtil } from '../src/core/api.js';
+import { SessionManager } from '../src/core/session.js';
+
+function json(status, data) {
+  return new Response(JSON.stringify(data), { status, headers: { 'content-type': 'application/json' } });
+}
+
+describe('SessionManager token refresh', () => {
+  let session;
+  let fetchMock;
+  let accessToken;
+
+  beforeEach(() => {
+    localStorage.clear();
+    APIUtil.clearCache();
+    accessToken = 'new';
+
+    // 유효한 토큰은 'new'만, 갱신 API는 토큰 없이 응답
+    fetchMock = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+      if (url === '/auth/refresh') return json(200, { accessToken });
+      return init.headers.Authorization === 'Bearer new'
+        ? json(200, { url })
+        : json(401, { message: 'expired' });
+    });
+
+    session = new SessionManager();
+  });
+
+  afterEach(() => {
+    session.destroy();
+    vi.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  it('refreshes once for concurrent 401 responses through CATUI.api', async () => {
+    const refresh = vi.fn(async () => (await APIUtil.post('/auth/refresh', {})).data);
+    session.init({ refresh });
+    session.login({ accessToken: 'old', refreshToken: 'r1' });
+
+    const [a, b] = await Promise.all([
+      APIUtil.get('/api/a', { dedupe: false }),
+      APIUtil.get('/api/b', { dedupe: false })
+    ]);
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(a.data).toEqual({ url: '/api/a' });
+    expect(b.data).toEqual({ url: '/api/b' });
+    expect(session.getAccessToken()).toBe('new');
+  });
+
+  it('refreshes an expiring token before sending without deadlocking', async () => {
+    const refresh = vi.fn(async () => (await APIUtil.post('/auth/refresh', {})).data);
+    session.init({ refresh, refreshBefore: 60000 });
+    session.login({ accessToken: 'old', refreshToken: 'r1', expiresIn: 30 });
+
+    const result = await APIUtil.get('/api/me');
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(result.data).toEqual({ url: '/api/me' });
+    expect(fetchMock.mock.calls.map(([url]) => url)).toEqual(['/auth/refresh', '/api/me']);
+  });
+
+  it('logs out when the refresh request itself is rejected', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    fetchMock.mockImplementation(async () => json(401, { message: 'expired' }));
+    const refresh = vi.fn(async () => {
+      const result = await APIUtil.post('/auth/refresh', {});
+      return result.success ? result.data : null;
+    });
+    const onLogout = vi.fn();
+    session.eventBus = { emit: (event, data) => event === 'session:logout' && onLogout(data) };
+    session.init({ refresh });
+    session.login({ accessToken: 'old', refreshToken: 'r1' });
+
+    const result = await APIUtil.get('/api/a');
+
+    expect(result.statusCode).toBe(401);
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(onLogout).toHaveBeenCalledWith(expect.objectContaining({ reason: 'expired' }));
+  });
+});
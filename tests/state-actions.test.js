@@ -0,0 +1,91 @@
+import { StateManager } from '../src/core/state.js';
+
+describe('StateManager actions', () => {
+  let store;
+
+  beforeEach(() => {
+    store = StateManager.create({
+      count: 0,
+      items: [],
+      tags: new Set(['a']),
+      scores: new Map([['kim', 1]])
+    }, { name: 'test', strict: true });
+
+    store.$defineActions({
+      fail(state) {
+        state.count = 5;
+        state.items.push('x');
+        state.tags.add('b');
+        state.scores.set('lee', 2);
+        state.scores.delete('kim');
+        throw new Error('failed');
+      },
+      replaceTags(state) {
+        state.tags = new Set(['z']);
+        throw new Error('failed');
+      },
+      add(state, tag) {
+        state.tags.add(tag);
+        return state.tags.size;
+      }
+    });
+  });
+
+  it('rolls back every change of a failed action, including Set and Map methods', () => {
+    const tags = store.tags;
+    const watcher = vi.fn();
+    store.watch('count', watcher);
+
+    expect(() => store.$actions.fail()).toThrow('failed');
+
+    expect(store.count).toBe(0);
+    expect(store.items.length).toBe(0);
+    expect([...store.tags]).toEqual(['a']);
+    expect([...store.scores]).toEqual([['kim', 1]]);
+    expect(store.tags).toBe(tags);
+    expect(watcher).not.toHaveBeenCalled();
+  });
+
+  it('restores a replaced collection', () => {
+    const before = store.getState().tags;
+
+    expect(() => store.$actions.replaceTags()).toThrow('failed');
+
+    expect(store.getState().tags).toBe(before);
+    expect([...store.tags]).toEqual(['a']);
+  });
+
+  it('records successful and failed actions in the action log', () => {
+    expect(store.$actions.add('b')).toBe(2);
+    expect(() => store.$actions.fail()).toThrow();
+
+    const [added, failed] = store.$actionLog.entries;
+    expect(added).toMatchObject({ store: 'test', action: 'add', args: ['b'], error: null });
+    expect(added.changes.map(change => change.path)).toEqual(['tags']);
+    expect(failed.error.message).toBe('failed');
+    expect(failed.changes).toEqual([]);
+  });
+
+  it('blocks changes outside actions in strict mode', () => {
+    expect(() => { store.count = 1; }).toThrow(/outside an action/);
+    expect(() => store.tags.add('c')).toThrow(/outside an action/);
+  });
+
+  it('runs middleware hooks and cancels when before returns false', () => {
+    const after = vi.fn();
+    const off = store.$use({
+      before: ({ args }) => args[0] !== 'skip',
+      after
+    });
+
+    store.$actions.add('skip');
+    expect(store.tags.has('skip')).toBe(false);
+
+    store.$actions.add('c');
+    expect(after).toHaveBeenCalledWith(expect.objectContaining({ action: 'add', result: 2 }));
+
+    off();
+    store.$actions.add('d');
+    expect(after).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,100 @@
+import { StateManager } from '../src/core/state.js';
+
+describe('StateManager history', () => {
+  let store;
+
+  beforeEach(() => {
+    store = StateManager.create({ count: 0, color: '#000' }, { history: { limit: 3 } });
+  });
+
+  afterEach(() => {
+    store.destroy();
+  });
+
+  it('undoes and redoes changes', () => {
+    store.count = 1;
+    store.count = 2;
+
+    expect(store.$undo()).toBe(true);
+    expect(store.count).toBe(1);
+    expect(store.$canRedo).toBe(true);
+
+    expect(store.$redo()).toBe(true);
+    expect(store.count).toBe(2);
+    expect(store.$redo()).toBe(false);
+  });
+
+  it('records a batch as one entry and drops redo entries on a new change', () => {
+    store.batch(() => {
+      store.count = 1;
+      store.color = '#fff';
+    });
+    store.$undo();
+
+    expect(store.getState()).toEqual({ count: 0, color: '#000' });
+
+    store.count = 5;
+    expect(store.$canRedo).toBe(false);
+    expect(store.$history.past).toBe(1);
+  });
+
+  it('keeps at most limit entries', () => {
+    for (let i = 1; i <= 5; i++) store.count = i;
+
+    store.$history.go(-10);
+
+    expect(store.count).toBe(2);
+    expect(store.$canUndo).toBe(false);
+  });
+
+  it('removes added keys on undo', () => {
+    store.extra = 'x';
+    store.$undo();
+
+    expect('extra' in store.getState()).toBe(false);
+  });
+
+  it('notifies history listeners', () => {
+    const listener = vi.fn();
+    const off = store.$history.subscribe(listener);
+
+    store.count = 1;
+    store.$undo();
+    store.$history.clear();
+    off();
+    store.count = 2;
+
+    expect(listener.mock.calls.map(([event]) => [event.type, event.canUndo, event.canRedo])).toEqual([
+      ['change', true, false],
+      ['undo', false, true],
+      ['clear', false, false]
+    ]);
+  });
+
+  it('restores snapshots as one undoable change', () => {
+    const saved = store.$snapshot();
+    store.count = 3;
+    store.color = '#f00';
+
+    store.$restore(saved);
+    expect(store.getState()).toEqual({ count: 0, color: '#000' });
+
+    store.$undo();
+    expect(store.getState()).toEqual({ count: 3, color: '#f00' });
+  });
+
+  it('keeps recorded Set values apart from later changes', () => {
+    const tags = StateManager.create({ tags: new Set(['a']) }, { history: true });
+    tags.tags.add('b');
+    tags.tags.add('c');
+
+    tags.$undo();
+    expect([...tags.tags]).toEqual(['a', 'b']);
+    tags.$undo();
+    expect([...tags.tags]).toEqual(['a']);
+    tags.$redo();
+    tags.$redo();
+    expect([...tags.tags]).toEqual(['a', 'b', 'c']);
+    tags.destroy();
+  });
+});
@@ -0,0 +1,109 @@
+import { StateManager } from '../src/core/state.js';
+
+// 값을 그대로 보관하는 저장소 어댑터 (async이면 Promise 반환)
+function memoryStorage(initial = {}, async = false) {
+  const data = new Map(Object.entries(initial));
+  const wrap = value => (async ? Promise.resolve(value) : value);
+  return {
+    data,
+    getItem: vi.fn(key => wrap(data.get(key))),
+    setItem: vi.fn((key, value) => wrap(void data.set(key, value))),
+    removeItem: vi.fn(key => wrap(void data.delete(key)))
+  };
+}
+
+describe('StateManager persist', () => {
+  let store;
+
+  afterEach(() => {
+    store?.destroy();
+    store = null;
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('restores saved state and merges it into the initial state', () => {
+    const storage = memoryStorage({
+      'catui-state:cart': { version: 1, state: { items: [1, 2], ui: { theme: 'dark' } } }
+    });
+
+    store = StateManager.create({ items: [], ui: { theme: 'light', open: false } }, { persist: { key: 'cart', storage } });
+
+    expect(store.items.length).toBe(2);
+    expect(store.ui.theme).toBe('dark');
+    expect(store.ui.open).toBe(false);
+  });
+
+  it('migrates data from older versions and drops it without migrate', () => {
+    const saved = { 'catui-state:cart': { version: 1, state: { list: [1] } } };
+    const migrate = vi.fn(({ list }) => ({ items: list }));
+
+    store = StateManager.create({ items: [] }, { persist: { key: 'cart', version: 2, migrate, storage: memoryStorage(saved) } });
+    expect(migrate).toHaveBeenCalledWith({ list: [1] }, 1);
+    expect(store.items[0]).toBe(1);
+    store.destroy();
+
+    store = StateManager.create({ items: [] }, { persist: { key: 'cart', version: 2, storage: memoryStorage(saved) } });
+    expect(store.items.length).toBe(0);
+  });
+
+  it('saves after the debounce with include and exclude paths applied', async () => {
+    vi.useFakeTimers();
+    const storage = memoryStorage();
+    store = StateManager.create(
+      { items: [], draft: '', ui: { theme: 'light', open: false } },
+      { persist: { key: 'cart', storage, include: ['items', 'ui'], exclude: ['ui.open'], debounce: 200 } }
+    );
+
+    store.items = ['a'];
+    store.draft = 'typing';
+    store.ui = { theme: 'dark', open: true };
+    await vi.advanceTimersByTimeAsync(199);
+    expect(storage.setItem).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(storage.setItem).toHaveBeenCalledTimes(1);
+    expect(storage.data.get('catui-state:cart')).toEqual({ version: 1, state: { items: ['a'], ui: { theme: 'dark' } } });
+  });
+
+  it('round-trips Set and Map values', async () => {
+    const storage = memoryStorage();
+    store = StateManager.create({ tags: new Set(), scores: new Map() }, { persist: { key: 'app', storage } });
+    store.tags = new Set(['a']);
+    store.scores = new Map([['kim', 3]]);
+    await store.$persist.flush();
+    store.destroy();
+
+    store = StateManager.create({ tags: new Set(), scores: new Map() }, { persist: { key: 'app', storage } });
+
+    expect(store.tags.has('a')).toBe(true);
+    expect(store.scores.get('kim')).toBe(3);
+  });
+
+  it('defers watchers until async storage is hydrated and keeps earlier changes', async () => {
+    const storage = memoryStorage({ 'catui-state:drafts': { version: 1, state: { title: 'saved', body: 'saved' } } }, true);
+    const onHydrated = vi.fn();
+    store = StateManager.create({ title: '', body: '' }, { persist: { key: 'drafts', storage, onHydrated } });
+    const watcher = vi.fn();
+    store.watch('body', watcher);
+
+    store.title = 'typed';
+    expect(watcher).not.toHaveBeenCalled();
+
+    await store.$persist.hydrated;
+
+    expect(store.title).toBe('typed');
+    expect(store.body).toBe('saved');
+    expect(watcher.mock.calls[0].slice(0, 2)).toEqual(['saved', '']);
+    expect(onHydrated).toHaveBeenCalledWith({ title: 'typed', body: 'saved' });
+  });
+
+  it('clears the saved state', async () => {
+    const storage = memoryStorage({ 'catui-state:cart': { version: 1, state: {} } });
+    store = StateManager.create({}, { persist: { key: 'cart', storage } });
+
+    await store.$persist.clear();
+
+    expect(storage.data.has('catui-state:cart')).toBe(false);
+  });
+});
@@ -0,0 +1,89 @@
+import { StateManager } from '../src/core/state.js';
+
+describe('StateManager deep watchers', () => {
+  let store;
+
+  beforeEach(() => {
+    store = StateManager.create({
+      user: { name: 'Kim', address: { city: 'Seoul' } },
+      items: [{ title: 'a', done: false }, { title: 'b', done: false }],
+      tags: new Set(),
+      scores: new Map()
+    });
+  });
+
+  afterEach(() => {
+    store.destroy();
+  });
+
+  it('watches dotted paths and notifies parent paths of nested changes', () => {
+    const city = vi.fn();
+    const user = vi.fn();
+    const name = vi.fn();
+    store.watch('user.address.city', city);
+    store.watch('user', user);
+    store.watch('user.name', name);
+
+    store.user.address.city = 'Busan';
+
+    expect(city).toHaveBeenCalledWith('Busan', 'Seoul', 'user.address.city');
+    expect(user).toHaveBeenCalledTimes(1);
+    expect(name).not.toHaveBeenCalled();
+  });
+
+  it('notifies a path watcher when an ancestor object is replaced', () => {
+    const city = vi.fn();
+    store.watch('user.address.city', city);
+
+    store.user = { name: 'Lee', address: { city: 'Incheon' } };
+
+    expect(city).toHaveBeenCalledWith('Incheon', 'Seoul', 'user.address.city');
+  });
+
+  it('matches wildcard paths with the concrete path', () => {
+    const done = vi.fn();
+    store.watch('items.*.done', done);
+
+    store.items[1].done = true;
+
+    expect(done).toHaveBeenCalledWith(true, false, 'items.1.done');
+  });
+
+  it('notifies array watchers once per mutator call', () => {
+    const items = vi.fn();
+    store.watch('items', items);
+
+    store.items.push({ title: 'c', done: false });
+    store.items.sort((a, b) => b.title.localeCompare(a.title));
+
+    expect(items).toHaveBeenCalledTimes(2);
+    expect(store.items.map(item => item.title)).toEqual(['c', 'b', 'a']);
+  });
+
+  it('tracks Set and Map methods', () => {
+    const tags = vi.fn();
+    const kim = vi.fn();
+    store.watch('tags', tags);
+    store.watch('scores.kim', kim);
+
+    store.tags.add('x');
+    store.tags.add('x');
+    store.scores.set('kim', 1);
+
+    expect(tags).toHaveBeenCalledTimes(1);
+    expect(kim).toHaveBeenCalledWith(1, undefined, 'scores.kim');
+  });
+
+  it('recomputes computed values from nested dependencies only', () => {
+    const getter = vi.fn(() => store.items.filter(item => item.done).length);
+    store.compute('doneCount', getter);
+    expect(store.doneCount).toBe(0);
+
+    store.items[0].done = true;
+    expect(store.doneCount).toBe(1);
+
+    const calls = getter.mock.calls.length;
+    store.user.name = 'Lee';
+    expect(getter.mock.calls.length).toBe(calls);
+  });
+});
@@ -0,0 +1,129 @@
+import { IDBStorage } from '../src/core/idb-storage.js';
+import { Storage } from '../src/core/storage.js';
+
+// IDBStorage가 사용하는 만큼만 구현한 메모리 IndexedDB
+function createFakeIndexedDB() {
+  const databases = new Map();
+
+  const succeed = (request, result) => {
+    request.result = result;
+    queueMicrotask(() => request.onsuccess?.());
+    return request;
+  };
+
+  const openStore = (records) => ({
+    get: key => succeed({}, structuredClone(records.get(key))),
+    put: entry => succeed({}, void records.set(entry.key, structuredClone(entry))),
+    delete: key => succeed({}, void records.delete(key)),
+    clear: () => succeed({}, void records.clear()),
+    getAllKeys: () => succeed({}, [...records.keys()].sort()),
+    index: () => ({
+      openKeyCursor: (range) => {
+        const keys = [...records.values()]
+          .filter(entry => entry.expires !== undefined && entry.expires <= range.upper)
+          .map(entry => entry.key);
+        const request = {};
+        const step = () => {
+          const key = keys.shift();
+          succeed(request, key === undefined ? null : { primaryKey: key, continue: step });
+        };
+        step();
+        return request;
+      }
+    })
+  });
+
+  return {
+    databases,
+    open(name) {
+      const request = {};
+      queueMicrotask(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        const records = databases.get(name);
+        request.result = {
+          createObjectStore: () => ({ createIndex() {} }),
+          transaction: () => {
+            const tx = { objectStore: () => openStore(records) };
+            setTimeout(() => tx.oncomplete?.());
+            return tx;
+          },
+          close() {}
+        };
+        if (isNew) request.onupgradeneeded?.();
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+}
+
+describe('IndexedDB storage', () => {
+  let idb;
+
+  beforeEach(() => {
+    idb = createFakeIndexedDB();
+    vi.stubGlobal('indexedDB', idb);
+    vi.stubGlobal('IDBKeyRange', { upperBound: upper => ({ upper }) });
+    Storage._idb = null;
+  });
+
+  afterEach(() => {
+    Storage._idb = null;
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('stores structured values without JSON conversion', async () => {
+    const storage = new IDBStorage({ name: 'test' });
+    const value = { tags: new Set(['a']), at: new Date(0) };
+
+    expect(await storage.set('item', value)).toBe(true);
+    const stored = await storage.get('item');
+
+    expect(stored.tags).toBeInstanceOf(Set);
+    expect(stored.at).toBeInstanceOf(Date);
+    expect(await storage.has('item')).toBe(true);
+    expect(await storage.keys()).toEqual(['item']);
+
+    await storage.remove('item');
+    expect(await storage.get('item', 'none')).toBe('none');
+  });
+
+  it('expires entries and cleans them up by prefix', async () => {
+    const storage = new IDBStorage({ name: 'test' });
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+    await storage.set('cache:a', 1, { expires: 1 });
+    await storage.set('cache:b', 2, { expires: 100 });
+    await storage.set('other', 3, { expires: 1 });
+    await storage.set('keep', 4);
+
+    now.mockReturnValue(5000);
+
+    expect(await storage.cleanExpired('cache:')).toBe(1);
+    expect(await storage.keys()).toEqual(['cache:b', 'keep', 'other']);
+    expect(await storage.get('other', 'expired')).toBe('expired');
+    expect(await storage.keys()).toEqual(['cache:b', 'keep']);
+  });
+
+  it('routes Storage calls with the indexeddb option to the async backend', async () => {
+    await Storage.set('photo', { size: 3 }, { storage: 'indexeddb' });
+
+    expect(localStorage.getItem('photo')).toBeNull();
+    expect(await Storage.get('photo', null, 'indexeddb')).toEqual({ size: 3 });
+    expect(await Storage.keys('indexeddb')).toEqual(['photo']);
+    expect(await Storage.clear('indexeddb')).toBe(true);
+    expect(await Storage.has('photo', 'indexeddb')).toBe(false);
+  });
+
+  it('fails softly when IndexedDB is unavailable', async () => {
+    vi.stubGlobal('indexedDB', undefined);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const storage = new IDBStorage();
+
+    expect(IDBStorage.supported).toBe(false);
+    expect(await storage.set('a', 1)).toBe(false);
+    expect(await storage.get('a', 'fallback')).toBe('fallback');
+    expect(await storage.keys()).toEqual([]);
+  });
+});
@@ -0,0 +1,98 @@
+import { Storage } from '../src/core/storage.js';
+
+describe('Storage namespaces and migrations', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    Storage._namespaces.clear();
+    Storage._accessed.clear();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+    vi.restoreAllMocks();
+  });
+
+  it('prefixes keys and scopes keys() and clear() to the namespace', () => {
+    const app = Storage.namespace('app');
+    app.set('theme', 'dark');
+    app.namespace('user').set('id', 7);
+    Storage.set('theme', 'light');
+
+    expect(Storage.namespace('app')).toBe(app);
+    expect(Storage.get('app:theme')).toBe('dark');
+    expect(app.get('theme')).toBe('dark');
+    expect(app.keys().sort()).toEqual(['theme', 'user:id']);
+
+    app.clear();
+    expect(app.keys()).toEqual([]);
+    expect(Storage.get('theme')).toBe('light');
+  });
+
+  it('runs pending migrations once, in order, and records the version', async () => {
+    localStorage.setItem('app:__version__', '1');
+    const calls = [];
+    const migrations = {
+      1: () => calls.push(1),
+      2: async (ns, from) => calls.push([2, from]),
+      3: (ns, from) => {
+        calls.push([3, from]);
+        ns.set('migrated', true);
+      }
+    };
+
+    const app = Storage.namespace('app', { version: 3, migrations });
+    expect(await app.ready).toBe(3);
+    expect(calls).toEqual([[2, 1], [3, 2]]);
+    expect(app.get('migrated')).toBe(true);
+    expect(app.version).toBe(3);
+
+    expect(await app.migrate(3, migrations)).toBe(3);
+    expect(calls).toHaveLength(2);
+  });
+
+  it('stops at a failed migration and retries it next time', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const second = vi.fn().mockImplementationOnce(() => { throw new Error('boom'); });
+
+    expect(await Storage.migrate(2, { 1: () => {}, 2: second })).toBe(1);
+    expect(await Storage.migrate(2, { 1: () => {}, 2: second })).toBe(2);
+    expect(second).toHaveBeenCalledTimes(2);
+  });
+
+  it('cleans only expired entries of the namespace', () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+    const cache = Storage.namespace('cache');
+    cache.set('old', 1, { expires: 1 });
+    cache.set('fresh', 2, { expires: 100 });
+    Storage.set('outside', 3, { expires: 1 });
+
+    now.mockReturnValue(5000);
+
+    expect(cache.cleanExpired()).toBe(1);
+    expect(cache.keys()).toEqual(['fresh']);
+    expect(localStorage.getItem('outside')).not.toBeNull();
+  });
+
+  it('evicts expired, then least recently used unpinned entries when the quota is exceeded', () => {
+    const setItem = Object.getPrototypeOf(localStorage).setItem;
+    vi.spyOn(Object.getPrototypeOf(localStorage), 'setItem').mockImplementation(function (key, value) {
+      if (localStorage.length >= 3 && localStorage.getItem(key) === null) {
+        throw new DOMException('full', 'QuotaExceededError');
+      }
+      return setItem.call(this, key, value);
+    });
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+    const onQuota = vi.fn();
+    const off = Storage.onQuotaExceeded(onQuota);
+
+    Storage.set('pinned', 1, { pinned: true });
+    Storage.set('old', 2);
+    now.mockReturnValue(2000);
+    Storage.set('recent', 3);
+
+    expect(Storage.set('new', 4)).toBe(true);
+    expect(Object.keys(localStorage).sort()).toEqual(['new', 'pinned', 'recent']);
+    expect(onQuota).toHaveBeenCalledWith({ key: 'new', storage: 'local', evicted: ['old'] });
+    off();
+  });
+});
@@ -0,0 +1,68 @@
+import { Storage } from '../src/core/storage.js';
+import { StorageCipher } from '../src/core/secure-storage.js';
+
+const options = { iterations: 1000 };
+
+describe('Storage encryption', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    Storage._cipher = null;
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Storage._cipher = null;
+    localStorage.clear();
+    vi.restoreAllMocks();
+  });
+
+  it('encrypts values and decrypts them with getSecure after unlocking', async () => {
+    expect(await Storage.unlock('1234', options)).toBe(true);
+    expect(await Storage.set('card', { number: '4111' }, { encrypt: true })).toBe(true);
+
+    const raw = localStorage.getItem('card');
+    expect(raw).not.toContain('4111');
+    expect(StorageCipher.isEncrypted(JSON.parse(raw).value)).toBe(true);
+    expect(await Storage.getSecure('card')).toEqual({ number: '4111' });
+  });
+
+  it('keeps get() synchronous and returns the default for encrypted values', async () => {
+    await Storage.unlock('1234', options);
+    await Storage.set('card', { number: '4111' }, { encrypt: true });
+    Storage.set('plain', 'text');
+
+    expect(Storage.get('card', 'hidden')).toBe('hidden');
+    expect(await Storage.getSecure('plain')).toBe('text');
+  });
+
+  it('returns the default while locked and rejects a different PIN', async () => {
+    await Storage.unlock('1234', options);
+    await Storage.set('card', { number: '4111' }, { encrypt: true });
+    Storage.lock();
+
+    expect(Storage.unlocked).toBe(false);
+    expect(await Storage.getSecure('card', null)).toBeNull();
+    expect(await Storage.unlock('0000', options)).toBe(false);
+    expect(await Storage.unlock('1234', options)).toBe(true);
+    expect(await Storage.getSecure('card')).toEqual({ number: '4111' });
+  });
+
+  it('fails to save encrypted values while locked', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await Storage.set('card', {}, { encrypt: true })).toBe(false);
+    expect(localStorage.getItem('card')).toBeNull();
+  });
+
+  it('accepts a CryptoKey and forgets the PIN on resetEncryption', async () => {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    expect(await Storage.unlock(key)).toBe(true);
+    await Storage.set('token', 'secret', { encrypt: true });
+    expect(await Storage.getSecure('token')).toBe('secret');
+
+    await Storage.unlock('1234', options);
+    await Storage.resetEncryption();
+    expect(Storage.unlocked).toBe(false);
+    expect(await Storage.unlock('5678', options)).toBe(true);
+  });
+});
@@ -0,0 +1,106 @@
+import { TabSync } from '../src/core/sync.js';
+import { StateManager } from '../src/core/state.js';
+
+// 같은 이름의 채널끼리 동기적으로 전달하는 BroadcastChannel
+class FakeBroadcastChannel {
+  static channels = [];
+
+  constructor(name) {
+    this.name = name;
+    FakeBroadcastChannel.channels.push(this);
+  }
+
+  postMessage(message) {
+    const data = structuredClone(message);
+    FakeBroadcastChannel.channels
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => channel.onmessage?.({ data }));
+  }
+
+  close() {
+    FakeBroadcastChannel.channels = FakeBroadcastChannel.channels.filter(channel => channel !== this);
+  }
+}
+
+describe('TabSync', () => {
+  let tabA;
+  let tabB;
+  let storeA;
+  let storeB;
+
+  beforeEach(() => {
+    FakeBroadcastChannel.channels = [];
+    vi.stubGlobal('BroadcastChannel', FakeBroadcastChannel);
+    tabA = new TabSync({ emit: vi.fn() }).start();
+    tabB = new TabSync({ emit: vi.fn() }).start();
+    storeA = StateManager.create({ items: [], theme: 'light' });
+    storeB = StateManager.create({ items: [], theme: 'light' });
+  });
+
+  afterEach(() => {
+    tabA.destroy();
+    tabB.destroy();
+    storeA.destroy();
+    storeB.destroy();
+    vi.unstubAllGlobals();
+  });
+
+  it('applies store changes from other tabs and emits sync:update', () => {
+    const { emit } = tabB.eventBus;
+    tabA.register('cart', storeA);
+    tabB.register('cart', storeB);
+    const watcher = vi.fn();
+    storeB.watch('items', watcher);
+
+    storeA.items.push({ id: 1 });
+    storeA.theme = 'dark';
+
+    expect(storeB.items[0]).toEqual({ id: 1 });
+    expect(storeB.theme).toBe('dark');
+    expect(watcher).toHaveBeenCalled();
+    expect(emit).toHaveBeenCalledWith('sync:update', { name: 'cart', paths: ['theme'] });
+  });
+
+  it('does not echo remote changes back', () => {
+    const post = vi.spyOn(tabB, 'post');
+    tabA.register('cart', storeA);
+    tabB.register('cart', storeB);
+    post.mockClear();
+
+    storeA.theme = 'dark';
+
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  it('sends the current state to a newly registered tab', () => {
+    tabA.register('cart', storeA);
+    storeA.theme = 'dark';
+
+    tabB.register('cart', storeB);
+
+    expect(storeB.theme).toBe('dark');
+  });
+
+  it('resolves conflicts with a custom strategy', () => {
+    const conflict = vi.fn(({ local, remote }) => `${local}+${remote}`);
+    tabA.register('cart', storeA);
+    tabB.register('cart', storeB, { conflict });
+    tabB.stop();
+
+    storeB.theme = 'blue';
+    tabB.start();
+    storeA.theme = 'dark';
+
+    expect(conflict).toHaveBeenCalledWith(expect.objectContaining({ path: 'theme', local: 'blue', remote: 'dark' }));
+    expect(storeB.theme).toBe('blue+dark');
+  });
+
+  it('delivers custom messages to handlers', () => {
+    const handler = vi.fn();
+    tabB.on('cart:checkout', handler);
+
+    tabA.post('cart:checkout', { orderId: 7 });
+
+    expect(handler).toHaveBeenCalledWith({ orderId: 7 }, expect.objectContaining({ from: tabA.tabId }));
+  });
+});
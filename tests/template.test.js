@@ -0,0 +1,112 @@
+import { Template } from '../src/core/template.js';
+
+describe('Template', () => {
+  afterEach(() => {
+    Template.clearCache();
+    vi.restoreAllMocks();
+  });
+
+  describe('output', () => {
+    it('escapes values and leaves triple-brace output raw', () => {
+      const data = { html: '<b>bold</b>' };
+      expect(Template.render('{{html}}', data)).toBe('&lt;b&gt;bold&lt;&#x2F;b&gt;');
+      expect(Template.render('{{{html}}}', data)).toBe('<b>bold</b>');
+    });
+
+    it('reads dot paths and renders missing values as empty', () => {
+      expect(Template.render('{{user.name}}/{{user.age}}/{{none.deep}}', { user: { name: 'Kim' } })).toBe('Kim//');
+    });
+
+    it('ignores inherited properties', () => {
+      expect(Template.render('[{{constructor}}][{{toString}}]', {})).toBe('[][]');
+      expect(Template.render('{{#each items as item}}[{{constructor}}]{{/each}}', { items: [1] })).toBe('[]');
+    });
+
+    it('reads Map entries and Map getters such as size', () => {
+      const data = { m: new Map([[1, 1], ['name', 'Kim']]), tags: new Set(['a', 'b']) };
+      expect(Template.render('{{m.name}}/{{m.size}}/{{tags.size}}', data)).toBe('Kim/2/2');
+      expect(Template.render('{{#if tags.size > 0}}yes{{/if}}', data)).toBe('yes');
+    });
+
+    it('drops comments', () => {
+      expect(Template.render('a{{! note }}b', {})).toBe('ab');
+    });
+  });
+
+  describe('blocks', () => {
+    it('renders if / else if / else chains', () => {
+      const render = Template.compile('{{#if n > 10}}big{{else if n > 5}}mid{{else}}small{{/if}}');
+      expect(render({ n: 11 })).toBe('big');
+      expect(render({ n: 6 })).toBe('mid');
+      expect(render({ n: 1 })).toBe('small');
+    });
+
+    it('supports comparison and logical operators', () => {
+      const render = Template.compile("{{#if role === 'admin' && !banned || vip}}yes{{/if}}");
+      expect(render({ role: 'admin', banned: false })).toBe('yes');
+      expect(render({ role: 'admin', banned: true })).toBe('');
+      expect(render({ role: 'user', vip: true })).toBe('yes');
+    });
+
+    it('renders unless blocks', () => {
+      expect(Template.render('{{#unless done}}todo{{/unless}}', { done: false })).toBe('todo');
+      expect(Template.render('{{#unless done}}todo{{/unless}}', { done: true })).toBe('');
+    });
+
+    it('iterates arrays with loop variables', () => {
+      const html = Template.render(
+        '{{#each items as item, i}}{{i}}:{{item}}{{#if @first}}^{{/if}}{{#if @last}}${{/if}},{{/each}}',
+        { items: ['a', 'b', 'c'] }
+      );
+      expect(html).toBe('0:a^,1:b,2:c$,');
+    });
+
+    it('renders the else branch of an empty each', () => {
+      expect(Template.render('{{#each items as item}}{{item}}{{else}}empty{{/each}}', { items: [] })).toBe('empty');
+    });
+  });
+
+  describe('filters and partials', () => {
+    it('chains filters with arguments', () => {
+      expect(Template.render('{{name | trim | upper}}', { name: ' kim ' })).toBe('KIM');
+      expect(Template.render("{{text | truncate:3:'~'}}", { text: 'abcdef' })).toBe('abc~');
+      expect(Template.render("{{missing | default:'-'}}", {})).toBe('-');
+    });
+
+    it('renders partials with their own context', () => {
+      Template.partial('tag', '<i>{{name}}</i>');
+      expect(Template.render('{{#each tags as tag}}{{> tag tag}}{{/each}}', { tags: [{ name: 'a' }, { name: 'b' }] }))
+        .toBe('<i>a</i><i>b</i>');
+    });
+
+    it('stops recursive partials', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      Template.partial('loop', 'x{{> loop}}');
+      expect(() => Template.render('{{> loop}}', {})).not.toThrow();
+      expect(error).toHaveBeenCalled();
+    });
+  });
+
+  describe('errors', () => {
+    it('throws from compile() for invalid templates', () => {
+      expect(() => Template.compile('{{#if a}}')).toThrow(/unclosed/);
+      expect(() => Template.compile('{{/if}}')).toThrow(/unexpected/);
+      expect(() => Template.compile('{{#loop a}}{{/loop}}')).toThrow(/unknown block/);
+      expect(() => Template.compile('{{a ==}}')).toThrow(/invalid expression/);
+    });
+
+    it('rejects loose equality operators', () => {
+      expect(() => Template.compile('{{#if a == 1}}x{{/if}}')).toThrow();
+      expect(() => Template.compile('{{#if a != 1}}x{{/if}}')).toThrow();
+    });
+
+    it('falls back to plain placeholders in render() and logs once per template', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const template = '{{#if open}}{{name}}';
+
+      expect(Template.render(template, { name: '<b>' })).toBe('{{#if open}}&lt;b&gt;');
+      expect(Template.render(template, { name: 'kim' })).toBe('{{#if open}}kim');
+      expect(error).toHaveBeenCalledTimes(1);
+    });
+  });
+});